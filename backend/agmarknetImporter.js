@@ -0,0 +1,298 @@
+const fs = require('fs');
+const path = require('path');
+const { loadAPMCStore, saveAPMCStore, reloadAPMCData } = require('./apmcData');
+
+// Agmarknet export headers (lowercased, non-alphanumerics removed) mapped to record fields
+const HEADER_FIELDS = {
+  statename: 'state',
+  state: 'state',
+  districtname: 'district',
+  district: 'district',
+  marketname: 'market',
+  market: 'market',
+  commodity: 'commodity',
+  commodityname: 'commodity',
+  variety: 'variety',
+  grade: 'grade',
+  minprice: 'minPrice',
+  minpricersquintal: 'minPrice',
+  maxprice: 'maxPrice',
+  maxpricersquintal: 'maxPrice',
+  modalprice: 'modalPrice',
+  modalpricersquintal: 'modalPrice',
+  arrivals: 'arrivals',
+  arrivalstonnes: 'arrivals',
+  arrivalsquintal: 'arrivals',
+  arrivalsqui: 'arrivals',
+  traded: 'traded',
+  tradedtonnes: 'traded',
+  tradedquintal: 'traded',
+  tradedqui: 'traded',
+  pricedate: 'date',
+  reporteddate: 'date',
+  arrivaldate: 'date',
+  date: 'date'
+};
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+/**
+ * Split CSV text into rows of cells (handles quoted cells with commas and newlines)
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows of cell values
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell.trim());
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value !== ''));
+}
+
+/**
+ * Parse Agmarknet dates ("03 Dec 2025", "03-Dec-2025", "03/12/2025", "2025-12-03") to ISO format
+ */
+function parseAgmarknetDate(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+
+  let match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text);
+  if (match) {
+    return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+  }
+
+  match = /^(\d{1,2})[\s\-/]([A-Za-z]{3})[A-Za-z]*[\s\-/](\d{4})$/.exec(text);
+  if (match && MONTHS[match[2].toLowerCase()]) {
+    return `${match[3]}-${String(MONTHS[match[2].toLowerCase()]).padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+  }
+
+  match = /^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/.exec(text);
+  if (match) {
+    return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+  }
+
+  return null;
+}
+
+function parseNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = parseFloat(String(value).replace(/,/g, ''));
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Convert export rows (header row first) into APMC store records.
+ * Arrivals reported in tonnes are converted to quintals.
+ * @param {Array<Array<string>>} rows - Rows including the header row
+ * @param {Object} defaults - Values for columns missing from the export (e.g. { commodity: "TOMATO" })
+ * @returns {Object} { records, skipped }
+ */
+function parseAgmarknetRows(rows, defaults = {}) {
+  // Agmarknet exports may have a title line above the header, so find the first row with a known date column
+  const headerIndex = rows.findIndex(row =>
+    row.some(cell => HEADER_FIELDS[cell.toLowerCase().replace(/[^a-z0-9]/g, '')] === 'date')
+  );
+
+  if (headerIndex === -1) {
+    throw new Error('No Agmarknet header row found (expected a Price Date or Reported Date column)');
+  }
+
+  const header = rows[headerIndex];
+  const columns = header.map(cell => {
+    const key = cell.toLowerCase().replace(/[^a-z0-9]/g, '');
+    return {
+      field: HEADER_FIELDS[key] || null,
+      inTonnes: key.includes('tonne')
+    };
+  });
+
+  const records = [];
+  const skipped = [];
+
+  rows.slice(headerIndex + 1).forEach((row, index) => {
+    const values = {};
+    columns.forEach((column, i) => {
+      if (column.field && row[i] !== undefined && row[i] !== '') {
+        values[column.field] = row[i];
+        if (column.inTonnes) values[`${column.field}InTonnes`] = true;
+      }
+    });
+
+    const record = {
+      date: parseAgmarknetDate(values.date),
+      state: (values.state || defaults.state || '').toUpperCase() || null,
+      district: (values.district || defaults.district || '').toUpperCase() || null,
+      market: (values.market || defaults.market || '').toUpperCase().replace(/\s*APMC$/, '') || null,
+      commodity: (values.commodity || defaults.commodity || '').toUpperCase() || null,
+      variety: values.variety || null,
+      grade: values.grade || null,
+      minPrice: parseNumber(values.minPrice),
+      maxPrice: parseNumber(values.maxPrice),
+      modalPrice: parseNumber(values.modalPrice),
+      arrivals: parseNumber(values.arrivals),
+      traded: parseNumber(values.traded),
+      unit: "Qui"
+    };
+
+    if (record.arrivals !== null && values.arrivalsInTonnes) {
+      record.arrivals = Math.round(record.arrivals * 10 * 100) / 100;
+    }
+    if (record.traded !== null && values.tradedInTonnes) {
+      record.traded = Math.round(record.traded * 10 * 100) / 100;
+    }
+
+    if (!record.date || !record.market || !record.commodity || record.modalPrice === null) {
+      skipped.push({ row: headerIndex + index + 2, reason: 'Missing date, market, commodity or modal price' });
+      return;
+    }
+
+    records.push(record);
+  });
+
+  return { records, skipped };
+}
+
+/**
+ * Read an Agmarknet export file (.csv, .xlsx or .xls) into rows
+ */
+function readAgmarknetFile(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (extension === '.xlsx' || extension === '.xls') {
+    const XLSX = require('xlsx');
+    const workbook = XLSX.readFile(filePath);
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return parseCSV(XLSX.utils.sheet_to_csv(sheet));
+  }
+
+  return parseCSV(fs.readFileSync(filePath, 'utf8'));
+}
+
+function recordKey(record) {
+  return [record.date, record.market, record.commodity, record.variety || '', record.grade || ''].join('|');
+}
+
+/**
+ * Merge imported records into existing ones; an imported record replaces one with the same
+ * date, market, commodity, variety and grade
+ * @returns {Object} { records, added, updated }
+ */
+function mergeRecords(existingRecords, incomingRecords) {
+  const merged = new Map(existingRecords.map(record => [recordKey(record), record]));
+  let added = 0;
+  let updated = 0;
+
+  incomingRecords.forEach(record => {
+    const key = recordKey(record);
+    if (merged.has(key)) {
+      updated++;
+    } else {
+      added++;
+    }
+    merged.set(key, record);
+  });
+
+  return { records: [...merged.values()], added, updated };
+}
+
+/**
+ * Import an Agmarknet daily arrivals export into the APMC store and refresh the derived market data
+ * @param {string} filePath - Path to the .csv/.xlsx export
+ * @param {Object} defaults - Values for columns missing from the export
+ * @returns {Object} Import summary
+ */
+function importAgmarknetFile(filePath, defaults = {}) {
+  const { records, skipped } = parseAgmarknetRows(readAgmarknetFile(filePath), defaults);
+  const store = loadAPMCStore();
+  const merged = mergeRecords(store.records, records);
+
+  saveAPMCStore({
+    updatedAt: new Date().toISOString(),
+    sources: [...new Set([...store.sources, path.basename(filePath)])],
+    records: merged.records
+  });
+
+  reloadAPMCData();
+
+  return {
+    file: path.basename(filePath),
+    recordsRead: records.length,
+    added: merged.added,
+    updated: merged.updated,
+    skipped,
+    commodities: [...new Set(records.map(record => record.commodity))],
+    markets: [...new Set(records.map(record => record.market))],
+    dateRange: records.length > 0 ? {
+      from: records.reduce((min, r) => (r.date < min ? r.date : min), records[0].date),
+      to: records.reduce((max, r) => (r.date > max ? r.date : max), records[0].date)
+    } : null
+  };
+}
+
+// CLI: node agmarknetImporter.js <export.csv|export.xlsx> [...more files]
+if (require.main === module) {
+  const files = process.argv.slice(2);
+
+  if (files.length === 0) {
+    console.error('Usage: node agmarknetImporter.js <agmarknet-export.csv|.xlsx> [...]');
+    process.exit(1);
+  }
+
+  files.forEach(file => {
+    try {
+      const summary = importAgmarknetFile(file);
+      console.log(`✅ Imported ${summary.file}: ${summary.added} added, ${summary.updated} updated, ${summary.skipped.length} skipped`);
+      console.log(`   Commodities: ${summary.commodities.join(', ')}`);
+      console.log(`   Markets: ${summary.markets.join(', ')}`);
+    } catch (error) {
+      console.error(`❌ Failed to import ${file}:`, error.message);
+      process.exitCode = 1;
+    }
+  });
+}
+
+module.exports = {
+  parseCSV,
+  parseAgmarknetDate,
+  parseAgmarknetRows,
+  readAgmarknetFile,
+  mergeRecords,
+  importAgmarknetFile
+};
@@ -1,165 +1,265 @@
-// APMC PALAMANER Trade Data (Dec 1-3, 2025)
-const apmcData = {
-  "TOMATO": {
-    region: "PALAMANER",
-    state: "ANDHRA PRADESH",
-    recentTrades: [
-      { date: "2025-12-03", minPrice: 2900, modalPrice: 3800, maxPrice: 3800, arrivals: 231, traded: 231, unit: "Qui" },
-      { date: "2025-12-02", minPrice: 4300, modalPrice: 4800, maxPrice: 4800, arrivals: 201, traded: 201, unit: "Qui" },
-      { date: "2025-12-01", minPrice: 3300, modalPrice: 4000, maxPrice: 4000, arrivals: 180, traded: 180, unit: "Qui" }
-    ],
-    totalArrivals: 612,
-    avgModalPrice: 4200,
-    priceVolatility: "MEDIUM",
-    demand: "HIGH"
-  },
-  "CAULIFLOWER": {
-    region: "PALAMANER",
-    state: "ANDHRA PRADESH",
-    recentTrades: [
-      { date: "2025-12-03", minPrice: 1000, modalPrice: 1600, maxPrice: 1600, arrivals: 46, traded: 46, unit: "Qui" },
-      { date: "2025-12-02", minPrice: 1500, modalPrice: 1700, maxPrice: 1700, arrivals: 57, traded: 57, unit: "Qui" },
-      { date: "2025-12-01", minPrice: 1200, modalPrice: 1400, maxPrice: 1400, arrivals: 64, traded: 64, unit: "Qui" }
-    ],
-    totalArrivals: 167,
-    avgModalPrice: 1567,
-    priceVolatility: "LOW",
-    demand: "MEDIUM"
-  },
-  "CABBAGE": {
-    region: "PALAMANER",
-    state: "ANDHRA PRADESH",
-    recentTrades: [
-      { date: "2025-12-03", minPrice: 700, modalPrice: 1500, maxPrice: 1500, arrivals: 45, traded: 45, unit: "Qui" },
-      { date: "2025-12-02", minPrice: 600, modalPrice: 1300, maxPrice: 1300, arrivals: 59, traded: 59, unit: "Qui" },
-      { date: "2025-12-01", minPrice: 1300, modalPrice: 1600, maxPrice: 1600, arrivals: 58, traded: 58, unit: "Qui" }
-    ],
-    totalArrivals: 162,
-    avgModalPrice: 1467,
-    priceVolatility: "MEDIUM",
-    demand: "MEDIUM"
-  },
-  "GREEN CHILLI": {
-    region: "PALAMANER",
-    state: "ANDHRA PRADESH",
-    recentTrades: [
-      { date: "2025-12-03", minPrice: 3000, modalPrice: 4500, maxPrice: 4500, arrivals: 13, traded: 13, unit: "Qui" },
-      { date: "2025-12-02", minPrice: 3500, modalPrice: 4500, maxPrice: 4500, arrivals: 25, traded: 25, unit: "Qui" },
-      { date: "2025-12-01", minPrice: 3500, modalPrice: 3500, maxPrice: 4000, arrivals: 21, traded: 21, unit: "Qui" }
-    ],
-    totalArrivals: 59,
-    avgModalPrice: 4167,
-    priceVolatility: "MEDIUM",
-    demand: "HIGH"
-  },
-  "BRINJAL": {
-    region: "PALAMANER",
-    state: "ANDHRA PRADESH",
-    recentTrades: [
-      { date: "2025-12-03", minPrice: 2000, modalPrice: 3000, maxPrice: 3000, arrivals: 13, traded: 13, unit: "Qui" },
-      { date: "2025-12-02", minPrice: 2500, modalPrice: 2500, maxPrice: 2500, arrivals: 14, traded: 14, unit: "Qui" },
-      { date: "2025-12-01", minPrice: 2000, modalPrice: 4000, maxPrice: 4000, arrivals: 21, traded: 21, unit: "Qui" }
-    ],
-    totalArrivals: 48,
-    avgModalPrice: 3167,
-    priceVolatility: "HIGH",
-    demand: "MEDIUM"
-  },
-  "POTATO": {
-    region: "PALAMANER",
-    state: "ANDHRA PRADESH",
-    recentTrades: [
-      { date: "2025-12-03", minPrice: 1000, modalPrice: 2500, maxPrice: 2500, arrivals: 16, traded: 16, unit: "Qui" },
-      { date: "2025-12-02", minPrice: 3000, modalPrice: 3000, maxPrice: 3000, arrivals: 17, traded: 17, unit: "Qui" },
-      { date: "2025-12-01", minPrice: 2000, modalPrice: 2500, maxPrice: 3000, arrivals: 20, traded: 20, unit: "Qui" }
-    ],
-    totalArrivals: 53,
-    avgModalPrice: 2667,
-    priceVolatility: "MEDIUM",
-    demand: "MEDIUM"
-  },
-  "BEANS -CLUSTER": {
-    region: "PALAMANER",
-    state: "ANDHRA PRADESH",
-    recentTrades: [
-      { date: "2025-12-03", minPrice: 2000, modalPrice: 3500, maxPrice: 3500, arrivals: 14, traded: 14, unit: "Qui" },
-      { date: "2025-12-02", minPrice: 2000, modalPrice: 2500, maxPrice: 3500, arrivals: 18, traded: 18, unit: "Qui" },
-      { date: "2025-12-01", minPrice: 2000, modalPrice: 3000, maxPrice: 3000, arrivals: 17, traded: 17, unit: "Qui" }
-    ],
-    totalArrivals: 49,
-    avgModalPrice: 3000,
-    priceVolatility: "MEDIUM",
-    demand: "MEDIUM"
-  },
-  "RIDGE GOURD (TURAI)": {
-    region: "PALAMANER",
-    state: "ANDHRA PRADESH",
-    recentTrades: [
-      { date: "2025-12-03", minPrice: 2500, modalPrice: 4000, maxPrice: 4000, arrivals: 14, traded: 14, unit: "Qui" },
-      { date: "2025-12-02", minPrice: 4000, modalPrice: 4000, maxPrice: 4000, arrivals: 12, traded: 12, unit: "Qui" },
-      { date: "2025-12-01", minPrice: 2500, modalPrice: 2500, maxPrice: 3000, arrivals: 9, traded: 9, unit: "Qui" }
-    ],
-    totalArrivals: 35,
-    avgModalPrice: 3500,
-    priceVolatility: "HIGH",
-    demand: "MEDIUM"
+const fs = require('fs');
+const path = require('path');
+const { resolveCrop } = require('./cropRegistry');
+const { toDailySeries, calculateVolatility, calculateDemand, calculateGlut, configureMarketSignals } = require('./marketSignals');
+
+// Local store of APMC trade records, filled by agmarknetImporter.js
+const apmcStorePath = path.join(__dirname, 'apmcStore.json');
+
+// Number of most recent trades shown and used for the average price and arrivals
+const RECENT_TRADE_DAYS = 3;
+
+/**
+ * Load the APMC store from disk
+ * @returns {Object} { updatedAt, sources, records }
+ */
+function loadAPMCStore() {
+  try {
+    const store = JSON.parse(fs.readFileSync(apmcStorePath, 'utf8'));
+    return {
+      updatedAt: store.updatedAt || null,
+      sources: store.sources || [],
+      records: Array.isArray(store.records) ? store.records : []
+    };
+  } catch (error) {
+    console.error('Error loading APMC store:', error.message);
+    return { updatedAt: null, sources: [], records: [] };
   }
-};
+}
 
-// Crop mapping to normalize names
-const cropNameMapping = {
-  "TOMATO": ["tomato", "tomatoes"],
-  "CAULIFLOWER": ["cauliflower"],
-  "CABBAGE": ["cabbage"],
-  "GREEN CHILLI": ["green chilli", "chilli", "green chili"],
-  "BRINJAL": ["brinjal", "eggplant", "baingan"],
-  "POTATO": ["potato", "potatoes", "aloo"],
-  "BEANS -CLUSTER": ["cluster beans", "beans cluster", "guar"],
-  "RIDGE GOURD (TURAI)": ["ridge gourd", "turai", "beerakaya"]
-};
+/**
+ * When the APMC store file was last written, for caches of results computed from it
+ * @returns {number|null} Modification time in milliseconds, or null when there is no store
+ */
+function getAPMCStoreModifiedTime() {
+  try {
+    return fs.statSync(apmcStorePath).mtimeMs;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Write the APMC store to disk, one record per line to keep diffs readable
+ * @param {Object} store - { updatedAt, sources, records }
+ */
+function saveAPMCStore(store) {
+  const records = [...store.records].sort((a, b) =>
+    a.commodity.localeCompare(b.commodity) ||
+    a.market.localeCompare(b.market) ||
+    a.date.localeCompare(b.date)
+  );
+
+  const content = [
+    '{',
+    `  "updatedAt": ${JSON.stringify(store.updatedAt)},`,
+    `  "sources": ${JSON.stringify(store.sources || [])},`,
+    '  "records": [',
+    records.map(record => `    ${JSON.stringify(record)}`).join(',\n'),
+    '  ]',
+    '}',
+    ''
+  ].join('\n');
+
+  fs.writeFileSync(apmcStorePath, content);
+}
+
+/**
+ * Summarize one market's records for a commodity: recent trades, plus volatility, demand and glut signals
+ * computed from the full daily series (see marketSignals.js)
+ * @param {string} market - APMC market name
+ * @param {Array} marketRecords - Trade records for one commodity at one market
+ * @returns {Object} Market summary
+ */
+function summarizeMarketRecords(market, marketRecords) {
+  const recentTrades = [...marketRecords]
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .slice(0, RECENT_TRADE_DAYS)
+    .map(record => ({
+      date: record.date,
+      minPrice: record.minPrice,
+      modalPrice: record.modalPrice,
+      maxPrice: record.maxPrice,
+      arrivals: record.arrivals,
+      traded: record.traded ?? record.arrivals,
+      unit: record.unit || "Qui"
+    }));
+
+  const totalArrivals = Math.round(recentTrades.reduce((sum, trade) => sum + (trade.arrivals || 0), 0) * 100) / 100;
+  const avgModalPrice = Math.round(recentTrades.reduce((sum, trade) => sum + trade.modalPrice, 0) / recentTrades.length);
+  const dailySeries = toDailySeries(marketRecords);
+  const volatility = calculateVolatility(dailySeries);
+  const glut = calculateGlut(dailySeries);
+  const demand = calculateDemand(dailySeries, { totalArrivals, avgModalPrice }, glut);
+
+  return {
+    region: market,
+    state: marketRecords[0].state,
+    recentTrades,
+    totalArrivals,
+    avgModalPrice,
+    priceVolatility: volatility.level,
+    demand: demand.level,
+    volatilityMetrics: volatility,
+    demandMetrics: demand,
+    glutMetrics: glut
+  };
+}
+
+/**
+ * Build per-market summaries from store records
+ * @param {Array} records - APMC trade records
+ * @returns {Object} Summaries keyed by market, then commodity
+ */
+function buildAPMCMarketData(records) {
+  const grouped = {};
+  records.forEach(record => {
+    const market = record.market.toUpperCase().trim();
+    const commodity = record.commodity.toUpperCase().trim();
+    if (!grouped[market]) grouped[market] = {};
+    if (!grouped[market][commodity]) grouped[market][commodity] = [];
+    grouped[market][commodity].push(record);
+  });
+
+  const data = {};
+  Object.entries(grouped).forEach(([market, commodities]) => {
+    data[market] = {};
+    Object.entries(commodities).forEach(([commodity, marketRecords]) => {
+      data[market][commodity] = summarizeMarketRecords(market, marketRecords);
+    });
+  });
+
+  return data;
+}
 
-function getAPMCCropData(cropName) {
+// APMC market data derived from the store: apmcData holds each commodity's main market
+// (most recent arrivals), apmcMarketData holds every market
+const apmcData = {};
+const apmcMarketData = {};
+
+/**
+ * Rebuild apmcData and apmcMarketData from the store (called at startup and after an import)
+ */
+function reloadAPMCData() {
+  const store = loadAPMCStore();
+  const marketData = buildAPMCMarketData(store.records);
+
+  const mainMarketData = {};
+  Object.values(marketData).forEach(commodities => {
+    Object.entries(commodities).forEach(([commodity, summary]) => {
+      if (!mainMarketData[commodity] || summary.totalArrivals > mainMarketData[commodity].totalArrivals) {
+        mainMarketData[commodity] = summary;
+      }
+    });
+  });
+
+  Object.keys(apmcData).forEach(key => delete apmcData[key]);
+  Object.assign(apmcData, mainMarketData);
+  Object.keys(apmcMarketData).forEach(key => delete apmcMarketData[key]);
+  Object.assign(apmcMarketData, marketData);
+
+  return apmcData;
+}
+
+/**
+ * Resolve a crop name to its APMC commodity key through the crop registry
+ * @param {string} cropName - Crop name, alias or registry ID
+ * @returns {string|null} Commodity key in apmcData
+ */
+function resolveAPMCCommodity(cropName) {
+  if (!cropName) return null;
   const normalizedName = cropName.toUpperCase().trim();
   
   // Direct match
   if (apmcData[normalizedName]) {
-    return apmcData[normalizedName];
+    return normalizedName;
   }
   
-  // Search through mappings
-  for (const [key, aliases] of Object.entries(cropNameMapping)) {
-    if (aliases.some(alias => normalizedName.includes(alias.toUpperCase()) || alias.toUpperCase().includes(normalizedName))) {
-      return apmcData[key];
-    }
-  }
+  const crop = resolveCrop(cropName);
+  if (!crop) return null;
   
-  return null;
+  return crop.apmcCommodities.find(commodity => apmcData[commodity]) || null;
 }
 
-function calculateDemandLevel(totalArrivals, avgPrice, priceVolatility) {
-  // High arrivals + Good prices = High demand
-  if (totalArrivals > 150 && avgPrice > 3000) return "HIGH";
-  if (totalArrivals > 100 || avgPrice > 3500) return "MEDIUM-HIGH";
-  if (totalArrivals > 50 && avgPrice > 2000) return "MEDIUM";
-  return "LOW-MEDIUM";
+/**
+ * Get APMC market data for a crop
+ * @param {string} cropName - Crop name or alias
+ * @param {string} market - Optional market; defaults to the crop's main market
+ * @returns {Object|null} Market summary
+ */
+function getAPMCCropData(cropName, market = null) {
+  const commodity = resolveAPMCCommodity(cropName);
+  if (!commodity) return null;
+
+  if (market) {
+    return apmcMarketData[market.toUpperCase().trim()]?.[commodity] || null;
+  }
+
+  return apmcData[commodity];
 }
 
-function getAllAPMCCrops() {
-  return Object.keys(apmcData).map(crop => ({
+/**
+ * Get a crop's market summary at every market that trades it
+ * @param {string} cropName - Crop name or alias
+ * @returns {Array} Market summaries, highest average modal price first
+ */
+function getAPMCCropDataByMarket(cropName) {
+  const commodity = resolveAPMCCommodity(cropName);
+  if (!commodity) return [];
+
+  return Object.values(apmcMarketData)
+    .map(commodities => commodities[commodity])
+    .filter(Boolean)
+    .sort((a, b) => b.avgModalPrice - a.avgModalPrice);
+}
+
+function getAPMCMarkets() {
+  return Object.keys(apmcMarketData);
+}
+
+/**
+ * Change the volatility/demand/glut settings and recompute the market data
+ * @param {Object} overrides - See configureMarketSignals in marketSignals.js
+ * @returns {Object} The updated configuration
+ */
+function configureAPMCSignals(overrides) {
+  const config = configureMarketSignals(overrides);
+  reloadAPMCData();
+  return config;
+}
+
+reloadAPMCData();
+
+/**
+ * Get all crops traded at a market (or each crop's main market when no market is given)
+ * @param {string} market - Optional APMC market
+ * @returns {Array} Crops sorted by total arrivals
+ */
+function getAllAPMCCrops(market = null) {
+  const source = market ? (apmcMarketData[market.toUpperCase().trim()] || {}) : apmcData;
+
+  return Object.keys(source).map(crop => ({
     crop,
-    ...apmcData[crop]
+    ...source[crop]
   })).sort((a, b) => b.totalArrivals - a.totalArrivals);
 }
 
-function getHighDemandCrops() {
-  return getAllAPMCCrops().filter(crop => crop.demand === "HIGH" || crop.totalArrivals > 150);
+function getHighDemandCrops(market = null) {
+  return getAllAPMCCrops(market).filter(crop => crop.demand === "HIGH" || crop.totalArrivals > 150);
 }
 
 module.exports = {
   apmcData,
+  apmcMarketData,
   getAPMCCropData,
-  calculateDemandLevel,
+  getAPMCCropDataByMarket,
+  getAPMCMarkets,
+  resolveAPMCCommodity,
+  configureAPMCSignals,
   getAllAPMCCrops,
   getHighDemandCrops,
-  cropNameMapping
+  loadAPMCStore,
+  saveAPMCStore,
+  getAPMCStoreModifiedTime,
+  reloadAPMCData
 };
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveLocation } = require('./gazetteer');
+
+// Mandal and village boundary polygons (GeoJSON: longitude before latitude). The bundled polygons are
+// approximate; see the file's source note before relying on points near a mandal boundary.
+const boundariesPath = path.join(__dirname, 'boundaries.geojson');
+
+function loadBoundaries() {
+  try {
+    return JSON.parse(fs.readFileSync(boundariesPath, 'utf8'));
+  } catch (error) {
+    console.error('Error loading boundaries:', error.message);
+    return { type: "FeatureCollection", features: [] };
+  }
+}
+
+const boundaries = loadBoundaries();
+
+/**
+ * Read a soil card geoPosition: "12.7479°N, 78.3410°E", "12.7479, 78.3410" (latitude first), or
+ * { latitude, longitude } / { lat, lng }. S and W hemispheres are negative.
+ * @returns {Object|null} { latitude, longitude } in decimal degrees, or null when it cannot be read
+ */
+function parseGeoPosition(input) {
+  if (input === undefined || input === null || input === '') return null;
+
+  let latitude;
+  let longitude;
+  if (typeof input === 'object') {
+    latitude = parseFloat(input.latitude ?? input.lat);
+    longitude = parseFloat(input.longitude ?? input.lng ?? input.lon);
+  } else {
+    const parts = [...String(input).toUpperCase().matchAll(/(-?\d+(?:\.\d+)?)\s*°?\s*([NSEW])?/g)];
+    if (parts.length !== 2) return null;
+
+    const signed = ([, value, hemisphere]) => (hemisphere === 'S' || hemisphere === 'W' ? -1 : 1) * parseFloat(value);
+    const [first, second] = parts;
+    const swapped = ['E', 'W'].includes(first[2]) || ['N', 'S'].includes(second[2]);
+    latitude = signed(swapped ? second : first);
+    longitude = signed(swapped ? first : second);
+  }
+
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+  return { latitude, longitude };
+}
+
+// Ray casting: a point is inside when a ray from it crosses the ring an odd number of times
+function pointInRing(longitude, latitude, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > latitude) !== (yj > latitude) && longitude < ((xj - xi) * (latitude - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function pointInGeometry(longitude, latitude, geometry) {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  return polygons.some(([outer, ...holes]) =>
+    pointInRing(longitude, latitude, outer) && !holes.some(hole => pointInRing(longitude, latitude, hole))
+  );
+}
+
+/**
+ * The mandal and village whose boundaries contain a point
+ * @returns {Object} { mandal, village } - names from the boundary file, null when the point is in none
+ */
+function locatePoint(latitude, longitude) {
+  const containing = level => boundaries.features.find(feature =>
+    feature.properties.level === level && feature.geometry && pointInGeometry(longitude, latitude, feature.geometry)
+  );
+  const mandal = containing("mandal");
+  const village = containing("village");
+
+  return {
+    mandal: mandal ? mandal.properties.name : null,
+    village: village ? village.properties.name : null
+  };
+}
+
+/**
+ * Resolve a geoPosition to its mandal and village in the gazetteer
+ * @returns {Object} { location, coordinates, warnings } (location is null outside the bundled boundaries) or { error }
+ */
+function resolveGeoPosition(geoPosition) {
+  const coordinates = parseGeoPosition(geoPosition);
+  if (!coordinates) {
+    return { error: `Invalid geoPosition: ${JSON.stringify(geoPosition)} (use "12.7479°N, 78.3410°E" or "12.7479, 78.3410")` };
+  }
+
+  const point = locatePoint(coordinates.latitude, coordinates.longitude);
+  if (!point.mandal) {
+    return {
+      location: null,
+      coordinates,
+      warnings: [`geoPosition ${coordinates.latitude}, ${coordinates.longitude} is outside the mandal boundaries on file`]
+    };
+  }
+
+  const resolved = resolveLocation({ mandal: point.mandal, village: point.village });
+  if (resolved.error) return { error: `Boundary file place not in the gazetteer: ${resolved.error}` };
+
+  return { location: resolved.location, coordinates, warnings: [] };
+}
+
+/**
+ * Resolve a farm's location from its land details and the soil card geoPosition. Coordinates inside the
+ * boundaries on file decide the mandal and village; land details that name a different mandal or village
+ * are reported in warnings and in locationMismatch. Without usable coordinates the land details are used.
+ * @param {string|Object} landDetails - Place name or { village, mandal (or subDistrict), district } (see resolveLocation)
+ * @param {string|Object} geoPosition - Soil card geoPosition (see parseGeoPosition), optional
+ * @returns {Object} { location, locationSource, geoPosition, warnings, locationMismatch } where locationMismatch
+ *   is { level, landDetails, geoPosition } (the names each gives) or null; or { error, suggestions } when the
+ *   land details do not resolve and the geoPosition does not place the farm
+ */
+function resolveFarmLocation(landDetails, geoPosition) {
+  const typed = resolveLocation(landDetails);
+  const geo = geoPosition === undefined || geoPosition === null || geoPosition === '' ? null : resolveGeoPosition(geoPosition);
+  const fromCoordinates = geo && !geo.error ? geo.location : null;
+
+  if (!fromCoordinates) {
+    if (typed.error) return typed;
+    return {
+      location: typed.location,
+      locationSource: typed.location ? "landDetails" : null,
+      geoPosition: geo && geo.coordinates ? geo.coordinates : null,
+      warnings: [
+        ...(geo ? (geo.error ? [geo.error] : geo.warnings).map(warning => `${warning}; using the land details`) : []),
+        ...typed.warnings
+      ],
+      locationMismatch: null
+    };
+  }
+
+  const given = typed.location;
+  let locationMismatch = null;
+  const warnings = [];
+  if (typed.error) {
+    warnings.push(`${typed.error}; using ${fromCoordinates.mandal} mandal from the soil card geoPosition`);
+  } else if (given && given.mandal && given.mandal !== fromCoordinates.mandal) {
+    locationMismatch = { level: "mandal", landDetails: given.mandal, geoPosition: fromCoordinates.mandal };
+  } else if (given && given.village && fromCoordinates.village && given.village !== fromCoordinates.village) {
+    locationMismatch = { level: "village", landDetails: given.village, geoPosition: fromCoordinates.village };
+  } else {
+    warnings.push(...typed.warnings);
+  }
+  if (locationMismatch) {
+    const { level, landDetails: typedName, geoPosition: pointName } = locationMismatch;
+    warnings.push(`The land details give ${typedName} ${level}, but the soil card geoPosition is in ${pointName} ${level}; using ${pointName}`);
+  }
+
+  return { location: fromCoordinates, locationSource: "geoPosition", geoPosition: geo.coordinates, warnings, locationMismatch };
+}
+
+module.exports = {
+  boundariesSource: boundaries.source || null,
+  parseGeoPosition,
+  locatePoint,
+  resolveGeoPosition,
+  resolveFarmLocation
+};
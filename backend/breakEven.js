@@ -0,0 +1,236 @@
+const { getCostNorm, COST_COMPONENTS, STAGE_COST_SHARES } = require('./costNorms');
+
+// Changes (percent, each way) the sensitivity table applies to price, yield, labour and input costs
+const SENSITIVITY_STEPS = [10, 20, 30];
+
+// Cost components grouped for the sensitivity table. Machinery, irrigation and marketing costs are held fixed.
+const COST_GROUPS = {
+  labour: ["labour"],
+  inputs: ["seed", "fertilizer", "plantProtection"]
+};
+
+// Cost component a farmer's cost category (e.g. "HIRED_LABOUR", "SEED_TREATMENT") belongs to, by its name
+const CATEGORY_COMPONENTS = [
+  ["labour", /LABOU?R|WAGE|WORKER|MANPOWER/],
+  ["seed", /SEED|NURSERY|SAPLING|PLANTING/],
+  ["fertilizer", /FERTILI[SZ]|MANURE|COMPOST|NUTRIENT|UREA/],
+  ["plantProtection", /PESTICIDE|INSECTICIDE|FUNGICIDE|HERBICIDE|WEEDICIDE|SPRAY|PROTECTION/],
+  ["machinery", /MACHIN|TRACTOR|EQUIPMENT|PLOUGH|HARVESTER/],
+  ["irrigation", /IRRIGAT|WATER|POWER|ELECTRIC|DIESEL|PUMP/],
+  ["marketing", /MARKET|TRANSPORT|PACK|STORAGE/]
+];
+
+const round2 = value => Math.round(value * 100) / 100;
+
+const stageKey = name => String(name || '').toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+
+function categoryComponent(category) {
+  const name = String(category || '').toUpperCase();
+  const match = CATEGORY_COMPONENTS.find(([, pattern]) => pattern.test(name));
+  return match ? match[0] : null;
+}
+
+/**
+ * Split an amount over cost components in proportion to weights (e.g. a cost norm's components)
+ */
+function splitByWeights(amount, weights) {
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  const split = {};
+  if (!(total > 0)) return split;
+  Object.entries(weights).forEach(([component, weight]) => {
+    split[component] = amount * weight / total;
+  });
+  return split;
+}
+
+/**
+ * A farmer's stage costs by cost component. Categories are placed by their names; the rest of a stage's
+ * categories are split like the crop's cost norm spends in that stage (see STAGE_COST_SHARES), or like
+ * the whole norm for stages not among the nine. Each stage counts its own categories, so a stage name
+ * that appears twice is not counted twice.
+ * @returns {Object} { costs (by component), splitByNorm (the amount placed by the norm), splitCosts (that
+ *   amount by component) }
+ */
+function farmerCostComponents(stages, norm) {
+  const costs = {};
+  const splitCosts = {};
+  COST_COMPONENTS.forEach(component => {
+    costs[component] = 0;
+    splitCosts[component] = 0;
+  });
+  let splitByNorm = 0;
+
+  stages.forEach(stage => {
+    let unplaced = 0;
+    (stage.categories || []).forEach(category => {
+      const cost = category.data && category.data.totalCost;
+      if (!cost) return;
+      const component = categoryComponent(category.category);
+      if (component) {
+        costs[component] += cost;
+      } else {
+        unplaced += cost;
+      }
+    });
+    if (!(unplaced > 0)) return;
+
+    const stageShares = STAGE_COST_SHARES.find(entry => stageKey(entry.stage) === stageKey(stage.stageName));
+    const weights = {};
+    COST_COMPONENTS.forEach(component => {
+      weights[component] = norm.perHectare[component] * (stageShares ? stageShares.shares[component] || 0 : 1);
+    });
+    Object.entries(splitByWeights(unplaced, weights)).forEach(([component, cost]) => {
+      costs[component] += cost;
+      splitCosts[component] += cost;
+    });
+    splitByNorm += unplaced;
+  });
+
+  COST_COMPONENTS.forEach(component => {
+    costs[component] = Math.round(costs[component]);
+    splitCosts[component] = Math.round(splitCosts[component]);
+  });
+  return { costs, splitByNorm: Math.round(splitByNorm), splitCosts };
+}
+
+/**
+ * A recommendation's cost by component and in the sensitivity groups: the cost norm's components, or
+ * the farmer's stage costs placed in components
+ * @param {Object} recommendation - From generateCropRecommendation
+ * @param {Object} farmerData - The farmer profile the recommendation used, if any
+ * @returns {Object} { basis, components, labour, inputs, other, total, splitByNorm, estimated } where
+ *   estimated gives how much of labour and inputs was split by the norm rather than recorded
+ */
+function groupCosts(recommendation, farmerData = null) {
+  const profitability = recommendation.profitability;
+  let components;
+  let splitByNorm = 0;
+  let splitCosts = {};
+
+  if (profitability.costBasis === "farmerData") {
+    const stages = farmerData?.profile?.metaData?.stages || [];
+    const norm = getCostNorm(recommendation.crop, recommendation.farmConditions?.mandal);
+    const farmerCosts = farmerCostComponents(stages, norm);
+    components = farmerCosts.costs;
+    splitByNorm = farmerCosts.splitByNorm;
+    splitCosts = farmerCosts.splitCosts;
+  } else {
+    components = {};
+    COST_COMPONENTS.forEach(component => { components[component] = profitability.costBreakdown[component] || 0; });
+  }
+
+  const sumOf = (costs, list) => list.reduce((sum, component) => sum + (costs[component] || 0), 0);
+  const labour = sumOf(components, COST_GROUPS.labour);
+  const inputs = sumOf(components, COST_GROUPS.inputs);
+  const total = profitability.totalCost;
+
+  return {
+    basis: profitability.costBasis,
+    components,
+    labour,
+    inputs,
+    other: total - labour - inputs,
+    total,
+    splitByNorm,
+    estimated: {
+      labour: sumOf(splitCosts, COST_GROUPS.labour),
+      inputs: sumOf(splitCosts, COST_GROUPS.inputs)
+    }
+  };
+}
+
+/**
+ * Price and yield at which a recommendation's net income just covers its cost. Market charges take the
+ * same share of the gross as in the recommendation.
+ * @param {Object} recommendation - From generateCropRecommendation
+ * @returns {Object|null} { totalCost, yieldQuintals, pricePerQuintal, netShareOfGross, costPerQuintal,
+ *   breakEvenPricePerQuintal, breakEvenYieldQuintals, breakEvenYieldPerHectare, priceMarginPercent,
+ *   yieldMarginPercent }, or null when the crop has no price or yield. The margins are how far price or
+ *   yield can fall before a loss (negative when already below break-even).
+ */
+function calculateBreakEven(recommendation) {
+  const profitability = recommendation.profitability;
+  if (!profitability || !(profitability.pricePerQuintal > 0) || !(profitability.yieldQuintals > 0)) return null;
+
+  const { totalCost, yieldQuintals, pricePerQuintal } = profitability;
+  const netShare = profitability.expectedIncome > 0 ? profitability.netIncome / profitability.expectedIncome : 1;
+  if (!(netShare > 0)) return null;
+
+  const breakEvenPrice = totalCost / (yieldQuintals * netShare);
+  const breakEvenYield = totalCost / (pricePerQuintal * netShare);
+
+  return {
+    totalCost: Math.round(totalCost),
+    yieldQuintals: round2(yieldQuintals),
+    pricePerQuintal: round2(pricePerQuintal),
+    netShareOfGross: round2(netShare),
+    costPerQuintal: round2(totalCost / yieldQuintals),
+    breakEvenPricePerQuintal: round2(breakEvenPrice),
+    breakEvenYieldQuintals: round2(breakEvenYield),
+    breakEvenYieldPerHectare: recommendation.areaHectares > 0 ? round2(breakEvenYield / recommendation.areaHectares) : null,
+    priceMarginPercent: round2((pricePerQuintal - breakEvenPrice) / pricePerQuintal * 100),
+    yieldMarginPercent: round2((yieldQuintals - breakEvenYield) / yieldQuintals * 100)
+  };
+}
+
+/**
+ * Tornado table: net profit when price, yield, labour cost or input cost alone changes by each of
+ * SENSITIVITY_STEPS down and up, rows ordered by their swing (widest first). A cost row is marked
+ * estimated when part of its base value was split from unplaced stage costs by the norm.
+ * @param {Object} recommendation - From generateCropRecommendation
+ * @param {Object} costGroups - From groupCosts
+ * @returns {Object|null} { steps, baseNetProfit, rows: [{ variable, baseValue, estimated, estimatedAmount, swing,
+ *   changes: [{ changePercent, netProfit, profitChange }] }] }, or null when the crop has no price or yield
+ */
+function calculateSensitivity(recommendation, costGroups) {
+  const profitability = recommendation.profitability;
+  if (!profitability || !(profitability.pricePerQuintal > 0) || !(profitability.yieldQuintals > 0)) return null;
+
+  const netShare = profitability.expectedIncome > 0 ? profitability.netIncome / profitability.expectedIncome : 1;
+  const netProfitOf = ({ price = 1, yieldFactor = 1, labour = 1, inputs = 1 }) =>
+    profitability.yieldQuintals * yieldFactor * profitability.pricePerQuintal * price * netShare
+    - (costGroups.labour * labour + costGroups.inputs * inputs + costGroups.other);
+  const baseNetProfit = netProfitOf({});
+
+  const estimated = costGroups.estimated || {};
+  const variables = [
+    { variable: "price", baseValue: round2(profitability.pricePerQuintal), factor: "price" },
+    { variable: "yield", baseValue: round2(profitability.yieldQuintals), factor: "yieldFactor" },
+    { variable: "labourCost", baseValue: costGroups.labour, factor: "labour", estimatedAmount: estimated.labour || 0 },
+    { variable: "inputCost", baseValue: costGroups.inputs, factor: "inputs", estimatedAmount: estimated.inputs || 0 }
+  ];
+  const changePercents = [...SENSITIVITY_STEPS].reverse().map(step => -step).concat(SENSITIVITY_STEPS);
+
+  const rows = variables.map(({ variable, baseValue, factor, estimatedAmount = 0 }) => {
+    const changes = changePercents.map(changePercent => {
+      const netProfit = netProfitOf({ [factor]: 1 + changePercent / 100 });
+      return {
+        changePercent,
+        netProfit: Math.round(netProfit),
+        profitChange: Math.round(netProfit - baseNetProfit)
+      };
+    });
+    return {
+      variable,
+      baseValue,
+      estimated: estimatedAmount > 0,
+      estimatedAmount,
+      swing: Math.abs(changes[changes.length - 1].netProfit - changes[0].netProfit),
+      changes
+    };
+  });
+
+  return {
+    steps: SENSITIVITY_STEPS,
+    baseNetProfit: Math.round(baseNetProfit),
+    rows: rows.sort((a, b) => b.swing - a.swing)
+  };
+}
+
+module.exports = {
+  SENSITIVITY_STEPS,
+  COST_GROUPS,
+  groupCosts,
+  calculateBreakEven,
+  calculateSensitivity
+};
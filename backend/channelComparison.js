@@ -0,0 +1,149 @@
+const { getRythuBazarCropData } = require('./rythuBazarData');
+const { calculateNetRealization, vehicleTypes } = require('./netRealization');
+const { convertMass, convertPrice } = require('./units');
+
+// The Rythu Bazar bulletins are for the Kuppam Rythu Bazar; its wholesale price is the Kuppam market price
+const RYTHU_BAZAR_MARKET = "KUPPAM";
+
+// A farmer's stall can only sell so much in a day, and perishable produce cannot be held for long
+const DEFAULT_STALL_LIMIT_KG_PER_DAY = 300;
+const DEFAULT_MAX_STALL_DAYS = 5;
+
+// Farmer plus one helper for a stall day (local agricultural wage)
+const DEFAULT_LABOUR_COST_PER_STALL_DAY = 800;
+
+// Produce for the stall goes daily by auto
+const STALL_VEHICLE_TYPE = "AUTO";
+
+const round = value => Math.round(value);
+
+/**
+ * Pick the bulletin entry for a date, or the latest one
+ */
+function selectBulletinEntry(cropData, date) {
+  if (date) return cropData.dailyPrices.find(entry => entry.date === date) || null;
+  return cropData.latest;
+}
+
+/**
+ * Compare selling a harvest directly at the Rythu Bazar with selling it all through wholesale.
+ * Rythu Bazar stalls have no commission, but the farmer spends stall days selling and can only sell
+ * a limited quantity per day; anything above the limit goes to wholesale anyway.
+ * @param {Object} params
+ * @param {string} params.crop - Crop name
+ * @param {number} params.quantityKg - Harvest quantity to sell
+ * @param {string} params.date - Bulletin date (YYYY-MM-DD), defaults to the latest bulletin
+ * @param {string} params.mandal - Farmer's mandal, for transport distance
+ * @param {number} params.stallLimitKgPerDay - Quantity one stall can sell in a day
+ * @param {number} params.maxStallDays - Days the farmer can keep selling before the produce spoils
+ * @param {number} params.labourCostPerStallDay - Labour cost of one stall day
+ * @param {string} params.vehicleType - Vehicle for the wholesale load
+ * @returns {Object|null} Channel comparison, or null when the crop has no Rythu Bazar prices
+ */
+function compareSalesChannels({
+  crop,
+  quantityKg,
+  date = null,
+  mandal = null,
+  stallLimitKgPerDay = DEFAULT_STALL_LIMIT_KG_PER_DAY,
+  maxStallDays = DEFAULT_MAX_STALL_DAYS,
+  labourCostPerStallDay = DEFAULT_LABOUR_COST_PER_STALL_DAY,
+  vehicleType
+}) {
+  const cropData = getRythuBazarCropData(crop);
+  if (!cropData) return null;
+
+  const entry = selectBulletinEntry(cropData, date);
+  if (!entry || !entry.wholesalePrice || !entry.rythuBazarPrice) return null;
+
+  const wholesalePricePerKg = entry.wholesalePrice.avg;
+  const rythuBazarPricePerKg = entry.rythuBazarPrice.avg;
+
+  // Everything sold wholesale at the local market
+  const wholesale = calculateNetRealization({
+    pricePerQuintal: convertPrice(wholesalePricePerKg, "Rs/Kg", "Rs/Qui"),
+    quantityQuintals: convertMass(quantityKg, "kg", "quintal"),
+    market: RYTHU_BAZAR_MARKET,
+    mandal,
+    vehicleType
+  });
+
+  // As much as the stall limit allows sold directly, the rest wholesale
+  const stallCapacityKg = stallLimitKgPerDay * maxStallDays;
+  const stallQuantityKg = Math.min(quantityKg, stallCapacityKg);
+  const remainderKg = quantityKg - stallQuantityKg;
+  const stallDays = stallQuantityKg > 0 ? Math.ceil(stallQuantityKg / stallLimitKgPerDay) : 0;
+
+  // One trip per stall day, whatever the day's load
+  const distanceKm = wholesale.assumptions.transport.distanceKm;
+  const stallTransportCost = stallDays * distanceKm * vehicleTypes[STALL_VEHICLE_TYPE].ratePerKm;
+  const stallGrossIncome = stallQuantityKg * rythuBazarPricePerKg;
+  const labourCost = stallDays * labourCostPerStallDay;
+
+  const remainder = remainderKg > 0
+    ? calculateNetRealization({
+      pricePerQuintal: convertPrice(wholesalePricePerKg, "Rs/Kg", "Rs/Qui"),
+      quantityQuintals: convertMass(remainderKg, "kg", "quintal"),
+      market: RYTHU_BAZAR_MARKET,
+      mandal,
+      vehicleType
+    })
+    : null;
+
+  const directNetIncome = stallGrossIncome - labourCost - stallTransportCost + (remainder ? remainder.netIncome : 0);
+  const gain = directNetIncome - wholesale.netIncome;
+
+  return {
+    crop: cropData.commodity,
+    date: entry.date,
+    unit: "Rs/Kg",
+    prices: {
+      wholesale: wholesalePricePerKg,
+      localMarket: entry.localMarketPrice?.avg ?? null,
+      rythuBazar: rythuBazarPricePerKg
+    },
+    priceSpread: {
+      perKg: Math.round((rythuBazarPricePerKg - wholesalePricePerKg) * 100) / 100,
+      percent: wholesalePricePerKg > 0
+        ? Math.round(((rythuBazarPricePerKg - wholesalePricePerKg) / wholesalePricePerKg) * 1000) / 10
+        : null
+    },
+    quantityKg,
+    channels: {
+      wholesale: {
+        grossIncome: wholesale.grossIncome,
+        deductions: wholesale.deductions,
+        netIncome: wholesale.netIncome,
+        netPricePerKg: quantityKg > 0 ? Math.round((wholesale.netIncome / quantityKg) * 100) / 100 : 0
+      },
+      rythuBazar: {
+        stallQuantityKg,
+        stallDays,
+        remainderToWholesaleKg: remainderKg,
+        stallGrossIncome: round(stallGrossIncome),
+        labourCost: round(labourCost),
+        transportCost: round(stallTransportCost),
+        remainderNetIncome: remainder ? remainder.netIncome : 0,
+        netIncome: round(directNetIncome),
+        netPricePerKg: quantityKg > 0 ? Math.round((directNetIncome / quantityKg) * 100) / 100 : 0
+      }
+    },
+    directSellingGain: round(gain),
+    directSellingGainPercent: wholesale.netIncome > 0 ? Math.round((gain / wholesale.netIncome) * 1000) / 10 : null,
+    recommendedChannel: gain > 0 ? "RYTHU_BAZAR" : "WHOLESALE",
+    assumptions: {
+      stallLimitKgPerDay,
+      maxStallDays,
+      labourCostPerStallDay,
+      distanceKm,
+      wholesaleCharges: wholesale.assumptions.charges
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_STALL_LIMIT_KG_PER_DAY,
+  DEFAULT_MAX_STALL_DAYS,
+  DEFAULT_LABOUR_COST_PER_STALL_DAY,
+  compareSalesChannels
+};
@@ -0,0 +1,278 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveCrop, getCropCategory, CATEGORY_SECTORS } = require('./cropRegistry');
+const { resolveLocation } = require('./gazetteer');
+const { convertArea, normalizeUnit } = require('./units');
+
+// Cost of cultivation norms in Rs per acre for one season, by crop (optionally for one mandal) and by
+// crop category. Rows are replaced by CSV imports (costNormsImporter.js) and admin edits (/api/cost-norms).
+// The bundled rows are rough figures and are reported as estimates; imported and edited rows carry
+// "estimate": false.
+const costNormsPath = path.join(__dirname, 'costNorms.json');
+
+// Cost components in the order they are listed
+const COST_COMPONENTS = ["seed", "fertilizer", "plantProtection", "labour", "machinery", "irrigation", "marketing"];
+
+// Share of each component spent in each crop stage (the nine stages of the farmer records), used to
+// spread a norm over the stages: seed at sowing, fertilizer as basal and top dressings, plant protection
+// from crop protection to fruiting, machinery at land preparation and harvest, marketing after harvest
+const STAGE_COST_SHARES = [
+  { stage: "Treating Soil", shares: { fertilizer: 0.2, labour: 0.05 } },
+  { stage: "Land Preparation", shares: { machinery: 0.6, labour: 0.1 } },
+  { stage: "Sowing", shares: { seed: 1, labour: 0.1 } },
+  { stage: "Crop Protection", shares: { plantProtection: 0.4, labour: 0.05 } },
+  { stage: "Vegetative Stage", shares: { fertilizer: 0.4, irrigation: 0.4, labour: 0.15 } },
+  { stage: "Flowering", shares: { fertilizer: 0.2, plantProtection: 0.3, irrigation: 0.3, labour: 0.1 } },
+  { stage: "Fruiting", shares: { fertilizer: 0.2, plantProtection: 0.3, irrigation: 0.3, labour: 0.1 } },
+  { stage: "Harvesting", shares: { machinery: 0.4, labour: 0.3 } },
+  { stage: "Post Harvest", shares: { marketing: 1, labour: 0.05 } }
+];
+
+function loadCostNormsFile() {
+  try {
+    return JSON.parse(fs.readFileSync(costNormsPath, 'utf8'));
+  } catch (error) {
+    console.error('Error loading cost norms:', error.message);
+    return { unit: "Rs/acre", default: null, norms: [] };
+  }
+}
+
+const costNorms = loadCostNormsFile();
+
+const total = costs => COST_COMPONENTS.reduce((sum, component) => sum + (costs[component] || 0), 0);
+
+const withTotal = (costs, factor = 1) => {
+  const scaled = {};
+  COST_COMPONENTS.forEach(component => {
+    scaled[component] = Math.round((costs[component] || 0) * factor);
+  });
+  return { ...scaled, total: total(scaled) };
+};
+
+/**
+ * Norm rows as stored, optionally for one crop, category or mandal
+ * @param {Object} filters - { crop, category, mandal }; crop and mandal are resolved like getCostNorm's
+ */
+function getCostNormRows(filters = {}) {
+  const crop = filters.crop ? resolveCrop(filters.crop) : null;
+  const mandal = filters.mandal ? String(filters.mandal).toUpperCase() : null;
+  return costNorms.norms
+    .filter(row => !filters.crop || (crop && row.crop === crop.id))
+    .filter(row => !filters.category || row.category === filters.category)
+    .filter(row => !mandal || row.mandal === mandal)
+    .map(row => ({ ...row, costs: withTotal(row.costs), estimate: row.estimate !== false }));
+}
+
+/**
+ * Cost of cultivation norm for a crop: the crop's row for the farmer's mandal, else the crop's
+ * district-wide row, else its category's, else the default
+ * @param {string} cropName - Crop name or alias
+ * @param {string} mandal - Gazetteer mandal name, optional
+ * @returns {Object} { cropId, crop, category, mandal, basis, source, estimate, unit, perAcre, perHectare } where
+ *   basis is "cropMandal", "crop", "category" or "default", estimate is false only for imported or edited rows
+ *   and perAcre/perHectare give each component and the total
+ */
+function getCostNorm(cropName, mandal = null) {
+  const crop = resolveCrop(cropName);
+  const category = crop ? crop.category : getCropCategory(cropName);
+  const mandalKey = mandal ? String(mandal).toUpperCase() : null;
+
+  const candidates = [
+    ["cropMandal", crop && mandalKey && costNorms.norms.find(row => row.crop === crop.id && row.mandal === mandalKey)],
+    ["crop", crop && costNorms.norms.find(row => row.crop === crop.id && !row.mandal)],
+    ["category", category && costNorms.norms.find(row => !row.crop && row.category === category && !row.mandal)]
+  ];
+  const [basis, row] = candidates.find(([, match]) => match) || ["default", null];
+  const costs = row ? row.costs : costNorms.default || {};
+
+  return {
+    cropId: crop ? crop.id : null,
+    crop: crop ? crop.name : cropName,
+    category: category || null,
+    mandal: row ? row.mandal : null,
+    basis,
+    source: row ? row.source : "default norm",
+    estimate: !(row && row.estimate === false),
+    unit: costNorms.unit,
+    perAcre: withTotal(costs),
+    perHectare: withTotal(costs, convertArea(1, "hectare", "acre"))
+  };
+}
+
+/**
+ * A cost norm for a farm: each component and the total for the area
+ * @param {Object} norm - From getCostNorm
+ * @param {number} areaHectares - Farm area
+ */
+function scaleCostNorm(norm, areaHectares) {
+  return withTotal(norm.perHectare, areaHectares);
+}
+
+/**
+ * A crop's cost of cultivation on a farm, with the norm it comes from
+ * @returns {Object} { basis, source, estimate, areaHectares, perAcre, costs } (costs are for the whole farm)
+ */
+function getFarmCostOfCultivation(cropName, areaHectares, mandal = null) {
+  const norm = getCostNorm(cropName, mandal);
+  return {
+    basis: norm.basis,
+    source: norm.source,
+    estimate: norm.estimate,
+    areaHectares,
+    perAcre: norm.perAcre,
+    costs: scaleCostNorm(norm, areaHectares)
+  };
+}
+
+/**
+ * Spread a farm's cost of cultivation over the nine crop stages (see STAGE_COST_SHARES)
+ * @param {Object} costs - Component costs, e.g. from scaleCostNorm
+ * @returns {Array} [{ stage, name, totalCost, breakdown: [{ component, cost }] }]
+ */
+function estimateStageCosts(costs) {
+  return STAGE_COST_SHARES.map(({ stage, shares }, index) => {
+    const breakdown = Object.entries(shares)
+      .map(([component, share]) => ({ component, cost: Math.round((costs[component] || 0) * share) }))
+      .filter(entry => entry.cost > 0);
+    return {
+      stage: index + 1,
+      name: stage,
+      totalCost: breakdown.reduce((sum, entry) => sum + entry.cost, 0),
+      breakdown
+    };
+  });
+}
+
+/**
+ * Check and normalize a norm row from a CSV import or an admin edit. Costs are converted to Rs per acre.
+ * @param {Object} input - { crop or category, mandal, source, a cost for every component, and unit, the
+ *   area the costs are for ("acre" by default, "hectare", "Rs/ha", "per acre") }
+ * @returns {Object} { row } or { error }
+ */
+function normalizeCostNormRow(input) {
+  const blank = value => value === undefined || value === null || String(value).trim() === '';
+  let crop = null;
+  let category = null;
+
+  if (!blank(input.crop)) {
+    crop = resolveCrop(input.crop);
+    if (!crop) return { error: `Unknown crop: ${input.crop} (see GET /api/crops)` };
+    category = crop.category;
+  } else if (!blank(input.category)) {
+    category = String(input.category).trim().toLowerCase();
+    if (!CATEGORY_SECTORS[category]) {
+      return { error: `Unknown category: ${input.category} (use ${Object.keys(CATEGORY_SECTORS).join(', ')})` };
+    }
+  } else {
+    return { error: 'crop or category is required' };
+  }
+
+  let mandal = null;
+  if (!blank(input.mandal)) {
+    if (!crop) return { error: 'Category norms cannot be set for one mandal' };
+    const resolved = resolveLocation(input.mandal, { level: "mandal" });
+    if (resolved.error) return { error: resolved.error };
+    mandal = resolved.location.mandal;
+  }
+
+  const unit = blank(input.unit) ? "acre" : normalizeUnit(String(input.unit).trim().replace(/^(rs|₹)?\s*(\/|per\b)\s*/i, ''), "area");
+  if (!unit) {
+    return { error: `Invalid unit: ${input.unit} (use acre or hectare)` };
+  }
+  const perAcre = convertArea(1, "acre", unit);
+
+  const costs = {};
+  for (const component of COST_COMPONENTS) {
+    const value = blank(input[component]) ? NaN : Number(String(input[component]).replace(/[,₹\s]/g, ''));
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `${component} must be a cost of 0 or more (Rs per ${unit})` };
+    }
+    costs[component] = Math.round(value * perAcre);
+  }
+
+  return {
+    row: {
+      crop: crop ? crop.id : null,
+      category,
+      mandal,
+      costs,
+      source: blank(input.source) ? null : String(input.source).trim(),
+      estimate: false
+    }
+  };
+}
+
+const rowKey = row => [row.crop || '', row.crop ? '' : row.category, row.mandal || ''].join('|');
+
+/**
+ * Add norm rows, replacing rows for the same crop (or category) and mandal
+ * @returns {Object} { norms, added, updated }
+ */
+function mergeCostNormRows(existingRows, incomingRows) {
+  const merged = new Map(existingRows.map(row => [rowKey(row), row]));
+  let added = 0;
+  let updated = 0;
+
+  incomingRows.forEach(row => {
+    if (merged.has(rowKey(row))) {
+      updated++;
+    } else {
+      added++;
+    }
+    merged.set(rowKey(row), row);
+  });
+
+  return { norms: [...merged.values()], added, updated };
+}
+
+// One row per line, so edits show up as one-line diffs
+function saveCostNorms(data) {
+  const inline = value => JSON.stringify(value, null, 1).replace(/\n\s*/g, ' ');
+  const { norms, ...header } = data;
+  const fields = Object.entries(header).map(([key, value]) => `  ${JSON.stringify(key)}: ${inline(value)}`);
+  const rows = norms.map(row => `    ${inline(row)}`);
+  fs.writeFileSync(costNormsPath, `{\n${fields.join(',\n')},\n  "norms": [\n${rows.join(',\n')}\n  ]\n}\n`);
+}
+
+/**
+ * Save norm rows to costNorms.json and use them from now on
+ * @param {Array} rows - Normalized rows (see normalizeCostNormRow)
+ * @returns {Object} { added, updated }
+ */
+function storeCostNormRows(rows) {
+  const merged = mergeCostNormRows(costNorms.norms, rows);
+  costNorms.norms = merged.norms;
+  costNorms.updatedAt = new Date().toISOString();
+  saveCostNorms(costNorms);
+  return { added: merged.added, updated: merged.updated };
+}
+
+/**
+ * Delete the norm row for a crop (or category) and mandal
+ * @returns {boolean} Whether a row was deleted
+ */
+function deleteCostNormRow(row) {
+  const key = rowKey(row);
+  const remaining = costNorms.norms.filter(existing => rowKey(existing) !== key);
+  if (remaining.length === costNorms.norms.length) return false;
+
+  costNorms.norms = remaining;
+  costNorms.updatedAt = new Date().toISOString();
+  saveCostNorms(costNorms);
+  return true;
+}
+
+module.exports = {
+  COST_COMPONENTS,
+  STAGE_COST_SHARES,
+  costNormsSource: { source: costNorms.source, notes: costNorms.notes },
+  getCostNormRows,
+  getCostNorm,
+  scaleCostNorm,
+  getFarmCostOfCultivation,
+  estimateStageCosts,
+  normalizeCostNormRow,
+  mergeCostNormRows,
+  storeCostNormRows,
+  deleteCostNormRow
+};
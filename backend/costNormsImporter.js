@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCSV } = require('./agmarknetImporter');
+const { COST_COMPONENTS, normalizeCostNormRow, storeCostNormRows } = require('./costNorms');
+
+// CSV headers (lowercased, non-alphanumerics removed) mapped to norm fields
+const HEADER_FIELDS = {
+  crop: 'crop',
+  cropname: 'crop',
+  commodity: 'crop',
+  category: 'category',
+  cropcategory: 'category',
+  mandal: 'mandal',
+  mandalname: 'mandal',
+  unit: 'unit',
+  per: 'unit',
+  seed: 'seed',
+  seeds: 'seed',
+  seedcost: 'seed',
+  seedlings: 'seed',
+  fertilizer: 'fertilizer',
+  fertilizers: 'fertilizer',
+  fertiliser: 'fertilizer',
+  manure: 'fertilizer',
+  manuresandfertilizers: 'fertilizer',
+  plantprotection: 'plantProtection',
+  pesticides: 'plantProtection',
+  pesticide: 'plantProtection',
+  labour: 'labour',
+  labor: 'labour',
+  humanlabour: 'labour',
+  machinery: 'machinery',
+  machine: 'machinery',
+  machinelabour: 'machinery',
+  irrigation: 'irrigation',
+  irrigationcharges: 'irrigation',
+  marketing: 'marketing',
+  marketingcost: 'marketing',
+  total: 'total',
+  totalcost: 'total',
+  source: 'source'
+};
+
+const headerField = header => HEADER_FIELDS[String(header).toLowerCase().replace(/[^a-z0-9]/g, '')];
+
+/**
+ * Read cost norm rows from CSV text: one row per crop (or category) and optional mandal, with a cost
+ * column for each component (seed, fertilizer, plant protection, labour, machinery, irrigation, marketing),
+ * per acre unless a unit column says hectare. A total column, when present, is checked against the components.
+ * @param {string} text - CSV content
+ * @param {Object} defaults - { unit, source } for rows that do not give them
+ * @returns {Object} { rows, skipped, totalMismatches }
+ */
+function parseCostNormRows(text, defaults = {}) {
+  const [headers = [], ...lines] = parseCSV(text).filter(cells => cells.some(cell => String(cell).trim() !== ''));
+  const fields = headers.map(headerField);
+  const missing = COST_COMPONENTS.filter(component => !fields.includes(component));
+  if (!fields.includes('crop') && !fields.includes('category')) missing.unshift('crop');
+  if (missing.length > 0) {
+    throw new Error(`Missing columns: ${missing.join(', ')}`);
+  }
+
+  const rows = [];
+  const skipped = [];
+  const totalMismatches = [];
+
+  lines.forEach((cells, index) => {
+    const rowNumber = index + 2;
+    const input = { unit: defaults.unit, source: defaults.source };
+    fields.forEach((field, column) => {
+      if (field && String(cells[column] ?? '').trim() !== '') input[field] = cells[column];
+    });
+
+    const normalized = normalizeCostNormRow(input);
+    if (normalized.error) {
+      skipped.push({ row: rowNumber, reason: normalized.error });
+      return;
+    }
+
+    if (input.total !== undefined) {
+      const given = Number(String(input.total).replace(/[,₹\s]/g, ''));
+      const components = COST_COMPONENTS.reduce((sum, component) => sum + Number(String(input[component]).replace(/[,₹\s]/g, '')), 0);
+      if (Number.isFinite(given) && Math.abs(given - components) > 1) {
+        totalMismatches.push({ row: rowNumber, crop: normalized.row.crop || normalized.row.category, total: given, sumOfComponents: components });
+      }
+    }
+
+    rows.push(normalized.row);
+  });
+
+  return { rows, skipped, totalMismatches };
+}
+
+/**
+ * Import cost norms from CSV text into costNorms.json
+ * @param {string} text - CSV content
+ * @param {Object} options - { dryRun, unit, source }; dryRun checks and reports without saving
+ * @returns {Object} Import summary
+ */
+function importCostNorms(text, options = {}) {
+  const { rows, skipped, totalMismatches } = parseCostNormRows(text, options);
+  const stored = options.dryRun ? { added: null, updated: null } : storeCostNormRows(rows);
+
+  return {
+    dryRun: Boolean(options.dryRun),
+    rowsRead: rows.length,
+    added: stored.added,
+    updated: stored.updated,
+    crops: [...new Set(rows.map(row => row.crop || `${row.category} (category)`))],
+    mandals: [...new Set(rows.map(row => row.mandal).filter(Boolean))],
+    issues: { skipped, totalMismatches }
+  };
+}
+
+/**
+ * Import a cost norms CSV file
+ * @param {string} filePath - Path to the .csv file
+ * @param {Object} options - See importCostNorms; source defaults to the file name
+ */
+function importCostNormsFile(filePath, options = {}) {
+  const summary = importCostNorms(fs.readFileSync(filePath, 'utf8'), {
+    ...options,
+    source: options.source || path.basename(filePath)
+  });
+  return { file: path.basename(filePath), ...summary };
+}
+
+// CLI: node costNormsImporter.js [--dry-run] [--per-hectare] <norms.csv> [...more files]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const unit = args.includes('--per-hectare') ? 'hectare' : undefined;
+  const files = args.filter(arg => !arg.startsWith('--'));
+
+  if (files.length === 0) {
+    console.error('Usage: node costNormsImporter.js [--dry-run] [--per-hectare] <cost-norms.csv> [...]');
+    process.exit(1);
+  }
+
+  files.forEach(file => {
+    try {
+      const summary = importCostNormsFile(file, { dryRun, unit });
+      const { issues } = summary;
+      console.log(`${dryRun ? '🔎 Checked' : '✅ Imported'} ${summary.file}: ${summary.rowsRead} rows${dryRun ? '' : `, ${summary.added} added, ${summary.updated} updated`}, ${issues.skipped.length} skipped`);
+      console.log(`   Crops: ${summary.crops.join(', ')}`);
+      if (summary.mandals.length > 0) console.log(`   Mandals: ${summary.mandals.join(', ')}`);
+      issues.skipped.forEach(entry => console.log(`   ⚠️  Row ${entry.row}: ${entry.reason}`));
+      issues.totalMismatches.forEach(entry =>
+        console.log(`   ⚠️  Row ${entry.row} (${entry.crop}): total ${entry.total} but the components add up to ${entry.sumOfComponents}`)
+      );
+    } catch (error) {
+      console.error(`❌ Failed to import ${file}:`, error.message);
+      process.exitCode = 1;
+    }
+  });
+}
+
+module.exports = {
+  parseCostNormRows,
+  importCostNorms,
+  importCostNormsFile
+};
@@ -0,0 +1,142 @@
+const { resolveCrop } = require('./cropRegistry');
+
+// Sowing-to-harvest duration (days) and seasonal crop water requirement (mm) by category,
+// from FAO Irrigation and Drainage Paper 33 ranges for semi-arid South India.
+// Perennials give the first year after planting.
+const categoryProfiles = {
+  vegetable: { durationDays: 100, waterNeedMm: 450 },
+  fruit: { durationDays: 365, waterNeedMm: 1000 },
+  flower: { durationDays: 90, waterNeedMm: 500 },
+  grain: { durationDays: 120, waterNeedMm: 500 },
+  pulse: { durationDays: 110, waterNeedMm: 350 },
+  oilseed: { durationDays: 110, waterNeedMm: 450 },
+  cash: { durationDays: 160, waterNeedMm: 700 },
+  spice: { durationDays: 180, waterNeedMm: 700 },
+  plantation: { durationDays: 365, waterNeedMm: 1500 },
+  sericulture: { durationDays: 365, waterNeedMm: 900 }
+};
+
+const DEFAULT_PROFILE = { durationDays: 120, waterNeedMm: 500 };
+
+// Crops that differ from their category
+const cropProfiles = {
+  "tomato": { durationDays: 120, waterNeedMm: 500 },
+  "potato": { durationDays: 100, waterNeedMm: 500 },
+  "onion": { durationDays: 130, waterNeedMm: 450 },
+  "green-chilli": { durationDays: 150, waterNeedMm: 600 },
+  "leafy-vegetables": { durationDays: 40, waterNeedMm: 250 },
+  "banana": { durationDays: 330, waterNeedMm: 1800 },
+  "paddy": { durationDays: 120, waterNeedMm: 1200 },
+  "maize": { durationDays: 110, waterNeedMm: 550 },
+  "jowar": { durationDays: 110, waterNeedMm: 450 },
+  "bajra": { durationDays: 90, waterNeedMm: 350 },
+  "ragi": { durationDays: 110, waterNeedMm: 350 },
+  "tur": { durationDays: 160, waterNeedMm: 550 },
+  "moong": { durationDays: 70, waterNeedMm: 300 },
+  "urad": { durationDays: 80, waterNeedMm: 320 },
+  "horse-gram": { durationDays: 100, waterNeedMm: 250 },
+  "groundnut": { durationDays: 110, waterNeedMm: 500 },
+  "sunflower": { durationDays: 100, waterNeedMm: 450 },
+  "cotton": { durationDays: 170, waterNeedMm: 800 },
+  "sugarcane": { durationDays: 365, waterNeedMm: 1800 },
+  "turmeric": { durationDays: 270, waterNeedMm: 1500 },
+  "ginger": { durationDays: 240, waterNeedMm: 1300 },
+  "dry-chilli": { durationDays: 150, waterNeedMm: 600 },
+  "marigold": { durationDays: 90, waterNeedMm: 450 }
+};
+
+// FAO-56 crop coefficients (Kc) for the initial, mid-season and late stages, and the share of the
+// crop's duration in each growth stage (initial, development, mid-season, late), from Tables 11 and 12
+// of FAO Irrigation and Drainage Paper 56. Kc rises linearly through development and falls through
+// the late stage.
+const categoryCoefficients = {
+  vegetable: { kc: [0.6, 1.05, 0.9], stages: [0.2, 0.3, 0.3, 0.2] },
+  fruit: { kc: [0.6, 0.85, 0.75], stages: [0.15, 0.25, 0.4, 0.2] },
+  flower: { kc: [0.6, 1.0, 0.85], stages: [0.2, 0.3, 0.35, 0.15] },
+  grain: { kc: [0.3, 1.1, 0.5], stages: [0.2, 0.3, 0.3, 0.2] },
+  pulse: { kc: [0.4, 1.05, 0.5], stages: [0.15, 0.3, 0.35, 0.2] },
+  oilseed: { kc: [0.35, 1.1, 0.4], stages: [0.2, 0.3, 0.3, 0.2] },
+  cash: { kc: [0.4, 1.15, 0.6], stages: [0.15, 0.3, 0.35, 0.2] },
+  spice: { kc: [0.5, 1.05, 0.75], stages: [0.15, 0.3, 0.35, 0.2] },
+  plantation: { kc: [0.9, 1.0, 0.95], stages: [0.1, 0.2, 0.5, 0.2] },
+  sericulture: { kc: [0.5, 1.0, 0.9], stages: [0.1, 0.2, 0.5, 0.2] }
+};
+
+const DEFAULT_COEFFICIENTS = { kc: [0.5, 1.05, 0.7], stages: [0.2, 0.3, 0.3, 0.2] };
+
+const cropCoefficients = {
+  "tomato": { kc: [0.6, 1.15, 0.8], stages: [0.22, 0.3, 0.3, 0.18] },
+  "potato": { kc: [0.5, 1.15, 0.75], stages: [0.24, 0.29, 0.29, 0.18] },
+  "onion": { kc: [0.7, 1.05, 0.75], stages: [0.1, 0.17, 0.47, 0.26] },
+  "green-chilli": { kc: [0.6, 1.05, 0.9], stages: [0.21, 0.29, 0.33, 0.17] },
+  "dry-chilli": { kc: [0.6, 1.05, 0.9], stages: [0.21, 0.29, 0.33, 0.17] },
+  "leafy-vegetables": { kc: [0.7, 1.0, 0.95], stages: [0.25, 0.35, 0.3, 0.1] },
+  "banana": { kc: [0.5, 1.1, 1.0], stages: [0.31, 0.23, 0.31, 0.15] },
+  "paddy": { kc: [1.05, 1.2, 0.9], stages: [0.25, 0.25, 0.33, 0.17] },
+  "maize": { kc: [0.3, 1.2, 0.5], stages: [0.16, 0.28, 0.32, 0.24] },
+  "jowar": { kc: [0.3, 1.0, 0.55], stages: [0.16, 0.28, 0.32, 0.24] },
+  "bajra": { kc: [0.3, 1.0, 0.3], stages: [0.14, 0.24, 0.38, 0.24] },
+  "ragi": { kc: [0.3, 1.0, 0.3], stages: [0.14, 0.24, 0.38, 0.24] },
+  "tur": { kc: [0.4, 1.15, 0.35], stages: [0.15, 0.25, 0.35, 0.25] },
+  "moong": { kc: [0.4, 1.0, 0.35], stages: [0.2, 0.3, 0.35, 0.15] },
+  "urad": { kc: [0.4, 1.0, 0.35], stages: [0.2, 0.3, 0.35, 0.15] },
+  "horse-gram": { kc: [0.4, 1.0, 0.35], stages: [0.2, 0.3, 0.35, 0.15] },
+  "groundnut": { kc: [0.4, 1.15, 0.6], stages: [0.19, 0.27, 0.35, 0.19] },
+  "sunflower": { kc: [0.35, 1.05, 0.35], stages: [0.19, 0.27, 0.35, 0.19] },
+  "cotton": { kc: [0.35, 1.15, 0.6], stages: [0.15, 0.25, 0.31, 0.29] },
+  "sugarcane": { kc: [0.4, 1.25, 0.75], stages: [0.09, 0.15, 0.47, 0.29] }
+};
+
+// Months a season's crops are sown in the Rayalaseema region. Kharif goes in with the south-west
+// monsoon, Rabi with the north-east monsoon; perennials are planted when either monsoon has set in.
+const seasonSowingMonths = {
+  Kharif: ["Jun", "Jul", "Aug"],
+  Rabi: ["Oct", "Nov", "Dec"],
+  Zaid: ["Jan", "Feb", "Mar"],
+  Perennial: ["Jun", "Jul", "Aug", "Sep", "Oct", "Nov"]
+};
+
+/**
+ * Duration, water need, crop coefficients and sowing months for a crop
+ * @param {string} cropName - Crop name or alias
+ * @returns {Object} { cropId, name, category, seasons, durationDays, waterNeedMm, cropCoefficients,
+ *   sowingMonths, source };
+ *   unregistered crops get the default profile with Kharif sowing
+ */
+function getCropProfile(cropName) {
+  const crop = resolveCrop(cropName);
+  const profile = (crop && (cropProfiles[crop.id] || categoryProfiles[crop.category])) || DEFAULT_PROFILE;
+  const coefficients = (crop && (cropCoefficients[crop.id] || categoryCoefficients[crop.category])) || DEFAULT_COEFFICIENTS;
+  const seasons = crop ? crop.seasons : ["Kharif"];
+
+  const sowingMonths = {};
+  seasons.forEach(season => {
+    if (seasonSowingMonths[season]) sowingMonths[season] = seasonSowingMonths[season];
+  });
+
+  return {
+    cropId: crop ? crop.id : null,
+    name: crop ? crop.name : cropName,
+    category: crop ? crop.category : null,
+    seasons,
+    durationDays: profile.durationDays,
+    waterNeedMm: profile.waterNeedMm,
+    cropCoefficients: {
+      initial: coefficients.kc[0],
+      mid: coefficients.kc[1],
+      end: coefficients.kc[2],
+      stageFractions: coefficients.stages
+    },
+    sowingMonths,
+    source: crop && cropProfiles[crop.id] ? "crop" : crop && categoryProfiles[crop.category] ? "category" : "default"
+  };
+}
+
+module.exports = {
+  categoryProfiles,
+  cropProfiles,
+  categoryCoefficients,
+  cropCoefficients,
+  seasonSowingMonths,
+  getCropProfile
+};
@@ -0,0 +1,595 @@
+// Crop master registry: one entry per crop with its names and the keys used by each data source.
+// mspKeys are keys in mspData.js, apmcCommodities are Agmarknet commodity names and
+// rythuBazarName is the commodity name used for Rythu Bazar bulletins.
+const cropRegistry = {
+  // VEGETABLES
+  "tomato": {
+    name: "Tomato", telugu: "టమాటా", hindi: "टमाटर",
+    aliases: ["tomatoes", "tamata"],
+    category: "vegetable", seasons: ["Kharif", "Rabi", "Zaid"],
+    mspKeys: [], apmcCommodities: ["TOMATO"], rythuBazarName: "TOMATO"
+  },
+  "brinjal": {
+    name: "Brinjal", telugu: "వంకాయ", hindi: "बैंगन",
+    aliases: ["eggplant", "baingan", "vankaya", "brinjal white", "sara"],
+    category: "vegetable", seasons: ["Kharif", "Rabi", "Zaid"],
+    mspKeys: [], apmcCommodities: ["BRINJAL"], rythuBazarName: "BRINJAL"
+  },
+  "okra": {
+    name: "Ladies Finger", telugu: "బెండకాయ", hindi: "भिंडी",
+    aliases: ["lady finger", "ladies finger", "bhindi", "bendakaya"],
+    category: "vegetable", seasons: ["Kharif", "Zaid"],
+    mspKeys: [], apmcCommodities: ["BHINDI(LADIES FINGER)"], rythuBazarName: "LADIES FINGER"
+  },
+  "green-chilli": {
+    name: "Green Chilli", telugu: "పచ్చి మిరపకాయ", hindi: "हरी मिर्च",
+    aliases: ["green chillies", "green chili", "chilli", "chillies", "mirchi", "pachi mirapakaya"],
+    category: "vegetable", seasons: ["Kharif", "Rabi"],
+    mspKeys: [], apmcCommodities: ["GREEN CHILLI"], rythuBazarName: "GREEN CHILLI"
+  },
+  "capsicum": {
+    name: "Capsicum", telugu: "క్యాప్సికం", hindi: "शिमला मिर्च",
+    aliases: ["bell pepper", "shimla mirch"],
+    category: "vegetable", seasons: ["Rabi", "Kharif"],
+    mspKeys: [], apmcCommodities: ["CAPSICUM"], rythuBazarName: "CAPSICUM"
+  },
+  "bitter-gourd": {
+    name: "Bitter Gourd", telugu: "కాకరకాయ", hindi: "करेला",
+    aliases: ["karela", "kakarakaya", "potti", "podugu"],
+    category: "vegetable", seasons: ["Kharif", "Zaid"],
+    mspKeys: [], apmcCommodities: ["BITTER GOURD"], rythuBazarName: "BITTER GOURD"
+  },
+  "ridge-gourd": {
+    name: "Ridge Gourd", telugu: "బీరకాయ", hindi: "तोरई",
+    aliases: ["ridged gourd", "turai", "beerakaya"],
+    category: "vegetable", seasons: ["Kharif", "Zaid"],
+    mspKeys: [], apmcCommodities: ["RIDGE GOURD (TURAI)"], rythuBazarName: "RIDGE GOURD"
+  },
+  "snake-gourd": {
+    name: "Snake Gourd", telugu: "పొట్లకాయ", hindi: "चिचिंडा",
+    aliases: ["snake guard", "potlakaya"],
+    category: "vegetable", seasons: ["Kharif", "Zaid"],
+    mspKeys: [], apmcCommodities: ["SNAKEGOURD"], rythuBazarName: "SNAKE GOURD"
+  },
+  "bottle-gourd": {
+    name: "Bottle Gourd", telugu: "సొరకాయ", hindi: "लौकी",
+    aliases: ["lauki", "sorakaya"],
+    category: "vegetable", seasons: ["Kharif", "Zaid"],
+    mspKeys: [], apmcCommodities: ["BOTTLE GOURD"], rythuBazarName: "BOTTLE GOURD"
+  },
+  "ivy-gourd": {
+    name: "Ivy Gourd", telugu: "దొండకాయ", hindi: "कुंदरू",
+    aliases: ["donda", "dondakaya", "tindora"],
+    category: "vegetable", seasons: ["Kharif", "Rabi", "Zaid"],
+    mspKeys: [], apmcCommodities: ["LITTLE GOURD (KUNDRU)"], rythuBazarName: "IVY GOURD"
+  },
+  "pumpkin": {
+    name: "Pumpkin", telugu: "గుమ్మడికాయ", hindi: "कद्दू",
+    aliases: ["red pumpkin", "redpumkin", "gummadikaya"],
+    category: "vegetable", seasons: ["Kharif", "Zaid"],
+    mspKeys: [], apmcCommodities: ["PUMPKIN"], rythuBazarName: "PUMPKIN"
+  },
+  "cucumber": {
+    name: "Cucumber", telugu: "దోసకాయ", hindi: "खीरा",
+    aliases: ["dosakaya"],
+    category: "vegetable", seasons: ["Kharif", "Zaid"],
+    mspKeys: [], apmcCommodities: ["CUCUMBAR(KHEERA)"], rythuBazarName: "CUCUMBER"
+  },
+  "keera": {
+    name: "Keera (Salad Cucumber)", telugu: "కీర దోసకాయ", hindi: null,
+    aliases: ["salad cucumber"],
+    category: "vegetable", seasons: ["Zaid", "Rabi"],
+    mspKeys: [], apmcCommodities: [], rythuBazarName: "KEERA"
+  },
+  "cauliflower": {
+    name: "Cauliflower", telugu: "కాలీఫ్లవర్", hindi: "फूलगोभी",
+    aliases: ["phool gobhi"],
+    category: "vegetable", seasons: ["Rabi"],
+    mspKeys: [], apmcCommodities: ["CAULIFLOWER"], rythuBazarName: "CAULIFLOWER"
+  },
+  "cabbage": {
+    name: "Cabbage", telugu: "క్యాబేజీ", hindi: "पत्तागोभी",
+    aliases: ["patta gobhi"],
+    category: "vegetable", seasons: ["Rabi"],
+    mspKeys: [], apmcCommodities: ["CABBAGE"], rythuBazarName: "CABBAGE"
+  },
+  "knol-khol": {
+    name: "Knol Khol", telugu: "నూల్‌కోల్", hindi: "गांठ गोभी",
+    aliases: ["knolkhol", "nookal", "kohlrabi"],
+    category: "vegetable", seasons: ["Rabi"],
+    mspKeys: [], apmcCommodities: ["KNOOL KHOL"], rythuBazarName: "KNOL KHOL"
+  },
+  "carrot": {
+    name: "Carrot", telugu: "క్యారెట్", hindi: "गाजर",
+    aliases: ["carrots", "gajar"],
+    category: "vegetable", seasons: ["Rabi"],
+    mspKeys: [], apmcCommodities: ["CARROT"], rythuBazarName: "CARROT"
+  },
+  "beetroot": {
+    name: "Beetroot", telugu: "బీట్‌రూట్", hindi: "चुकंदर",
+    aliases: ["beet root"],
+    category: "vegetable", seasons: ["Rabi"],
+    mspKeys: [], apmcCommodities: ["BEETROOT"], rythuBazarName: "BEETROOT"
+  },
+  "radish": {
+    name: "Radish", telugu: "ముల్లంగి", hindi: "मूली",
+    aliases: ["mullangi", "mooli"],
+    category: "vegetable", seasons: ["Rabi", "Kharif"],
+    mspKeys: [], apmcCommodities: ["RADDISH"], rythuBazarName: "RADISH"
+  },
+  "chow-chow": {
+    name: "Chow Chow", telugu: "బెంగళూరు వంకాయ", hindi: "चाउ चाउ",
+    aliases: ["chayote"],
+    category: "vegetable", seasons: ["Kharif", "Rabi"],
+    mspKeys: [], apmcCommodities: ["CHOW CHOW"], rythuBazarName: "CHOW CHOW"
+  },
+  "potato": {
+    name: "Potato", telugu: "బంగాళదుంప", hindi: "आलू",
+    aliases: ["potatoes", "aloo", "alu"],
+    category: "vegetable", seasons: ["Rabi"],
+    mspKeys: [], apmcCommodities: ["POTATO"], rythuBazarName: "POTATO"
+  },
+  "onion": {
+    name: "Onion", telugu: "ఉల్లిపాయ", hindi: "प्याज",
+    aliases: ["onions", "ullipaya", "pyaz"],
+    category: "vegetable", seasons: ["Kharif", "Rabi"],
+    mspKeys: [], apmcCommodities: ["ONION"], rythuBazarName: "ONION"
+  },
+  "garlic": {
+    name: "Garlic", telugu: "వెల్లుల్లి", hindi: "लहसुन",
+    aliases: ["vellulli", "lahsun"],
+    category: "vegetable", seasons: ["Rabi"],
+    mspKeys: [], apmcCommodities: ["GARLIC"], rythuBazarName: "GARLIC"
+  },
+  "cluster-beans": {
+    name: "Cluster Beans", telugu: "గోరుచిక్కుడు", hindi: "ग्वार फली",
+    aliases: ["beans cluster", "guar", "goru chikkudu"],
+    category: "vegetable", seasons: ["Kharif", "Zaid"],
+    mspKeys: [], apmcCommodities: ["BEANS -CLUSTER"], rythuBazarName: "CLUSTER BEANS"
+  },
+  "field-beans": {
+    name: "Field Beans", telugu: "చిక్కుడుకాయ", hindi: "सेम",
+    aliases: ["chikkudu", "dolichos", "avarai"],
+    category: "vegetable", seasons: ["Kharif", "Rabi"],
+    mspKeys: [], apmcCommodities: ["FIELD PEA"], rythuBazarName: "FIELD BEANS"
+  },
+  "french-beans": {
+    name: "French Beans", telugu: "ఫ్రెంచ్ బీన్స్", hindi: "फ्रेंच बीन",
+    aliases: ["french bean", "frenchbeans"],
+    category: "vegetable", seasons: ["Kharif", "Rabi"],
+    mspKeys: [], apmcCommodities: ["BEANS"], rythuBazarName: "FRENCH BEANS"
+  },
+  "colocasia": {
+    name: "Colocasia", telugu: "చామగడ్డ", hindi: "अरबी",
+    aliases: ["chamagadda", "arbi", "taro"],
+    category: "vegetable", seasons: ["Kharif"],
+    mspKeys: [], apmcCommodities: ["COLACASIA"], rythuBazarName: "COLOCASIA"
+  },
+  "elephant-foot-yam": {
+    name: "Elephant Foot Yam", telugu: "కంద", hindi: "सूरन",
+    aliases: ["kanda", "kanda gadda", "suran", "yam"],
+    category: "vegetable", seasons: ["Kharif"],
+    mspKeys: [], apmcCommodities: ["ELEPHANT YAMP (SURAN)"], rythuBazarName: "ELEPHANT FOOT YAM"
+  },
+  "drumstick": {
+    name: "Drumstick", telugu: "మునగకాయ", hindi: "सहजन",
+    aliases: ["drumsticks", "munagakaya", "mulagakadalu", "moringa"],
+    category: "vegetable", seasons: ["Perennial"],
+    mspKeys: [], apmcCommodities: ["DRUMSTICK"], rythuBazarName: "DRUMSTICK"
+  },
+  "raw-banana": {
+    name: "Raw Banana", telugu: "అరటికాయ", hindi: "कच्चा केला",
+    aliases: ["aratikaya", "banana green"],
+    category: "vegetable", seasons: ["Perennial"],
+    mspKeys: [], apmcCommodities: ["BANANA - GREEN"], rythuBazarName: "RAW BANANA"
+  },
+  "leafy-vegetables": {
+    name: "Leafy Vegetables", telugu: "ఆకుకూరలు", hindi: "हरी पत्तेदार सब्ज़ियाँ",
+    aliases: ["leaf vegetables", "akukuralu", "greens"],
+    category: "vegetable", seasons: ["Kharif", "Rabi", "Zaid"],
+    mspKeys: [], apmcCommodities: [], rythuBazarName: "LEAFY VEGETABLES"
+  },
+  "coriander-leaves": {
+    name: "Coriander Leaves", telugu: "కొత్తిమీర", hindi: "हरा धनिया",
+    // Bulletins print coriander and pudina (mint) on one line
+    aliases: ["coriander", "corionder", "kothimeera", "pudina", "pudina leaves"],
+    category: "vegetable", seasons: ["Kharif", "Rabi", "Zaid"],
+    mspKeys: [], apmcCommodities: ["CORIANDER(LEAVES)"], rythuBazarName: "CORIANDER LEAVES"
+  },
+  "curry-leaves": {
+    name: "Curry Leaves", telugu: "కరివేపాకు", hindi: "करी पत्ता",
+    aliases: ["karivepaku"],
+    category: "vegetable", seasons: ["Perennial"],
+    mspKeys: [], apmcCommodities: [], rythuBazarName: "CURRY LEAVES"
+  },
+
+  // FRUITS
+  "banana": {
+    name: "Banana", telugu: "అరటిపండు", hindi: "केला",
+    aliases: ["bananas", "arati"],
+    category: "fruit", seasons: ["Perennial"],
+    mspKeys: [], apmcCommodities: ["BANANA"], rythuBazarName: "BANANA"
+  },
+  "lemon": {
+    name: "Lemon", telugu: "నిమ్మకాయ", hindi: "नींबू",
+    aliases: ["lime", "acid lime", "nimmakaya"],
+    category: "fruit", seasons: ["Perennial"],
+    mspKeys: [], apmcCommodities: ["LEMON", "LIME"], rythuBazarName: "LEMON"
+  },
+  "mango": {
+    name: "Mango", telugu: "మామిడి", hindi: "आम",
+    aliases: ["mangoes", "mamidi"],
+    category: "fruit", seasons: ["Perennial"],
+    mspKeys: [], apmcCommodities: ["MANGO"], rythuBazarName: null
+  },
+  "papaya": {
+    name: "Papaya", telugu: "బొప్పాయి", hindi: "पपीता",
+    aliases: ["boppayi"],
+    category: "fruit", seasons: ["Perennial"],
+    mspKeys: [], apmcCommodities: ["PAPAYA"], rythuBazarName: null
+  },
+  "guava": {
+    name: "Guava", telugu: "జామ", hindi: "अमरूद",
+    aliases: ["jama"],
+    category: "fruit", seasons: ["Perennial"],
+    mspKeys: [], apmcCommodities: ["GUAVA"], rythuBazarName: null
+  },
+  "pomegranate": {
+    name: "Pomegranate", telugu: "దానిమ్మ", hindi: "अनार",
+    aliases: ["danimma"],
+    category: "fruit", seasons: ["Perennial"],
+    mspKeys: [], apmcCommodities: ["POMEGRANATE"], rythuBazarName: null
+  },
+  "sweet-orange": {
+    name: "Sweet Orange", telugu: "బత్తాయి", hindi: "मौसंबी",
+    aliases: ["orange", "citrus", "mosambi", "batthayi"],
+    category: "fruit", seasons: ["Perennial"],
+    mspKeys: [], apmcCommodities: ["MOSAMBI(SWEET LIME)", "ORANGE"], rythuBazarName: null
+  },
+
+  // PLANTATION, SPICE AND FLOWER CROPS
+  "coconut": {
+    name: "Coconut", telugu: "కొబ్బరి", hindi: "नारियल",
+    aliases: ["kobbari"],
+    category: "plantation", seasons: ["Perennial"],
+    mspKeys: [], apmcCommodities: ["COCONUT"], rythuBazarName: null
+  },
+  "cashew": {
+    name: "Cashew", telugu: "జీడిమామిడి", hindi: "काजू",
+    aliases: ["cashewnut", "cashew nut"],
+    category: "plantation", seasons: ["Perennial"],
+    mspKeys: [], apmcCommodities: ["CASHEWNUTS"], rythuBazarName: null
+  },
+  "oil-palm": {
+    name: "Oil Palm", telugu: "ఆయిల్ పామ్", hindi: "ऑयल पाम",
+    aliases: ["oilpalm"],
+    category: "plantation", seasons: ["Perennial"],
+    mspKeys: [], apmcCommodities: [], rythuBazarName: null
+  },
+  "turmeric": {
+    name: "Turmeric", telugu: "పసుపు", hindi: "हल्दी",
+    aliases: ["pasupu", "haldi"],
+    category: "spice", seasons: ["Kharif"],
+    mspKeys: [], apmcCommodities: ["TURMERIC"], rythuBazarName: null
+  },
+  "dry-chilli": {
+    name: "Dry Chilli", telugu: "ఎండు మిరపకాయ", hindi: "सूखी लाल मिर्च",
+    aliases: ["dry chillies", "dry chili", "red chilli", "red chillies", "endu mirapakaya", "lal mirch"],
+    category: "spice", seasons: ["Kharif", "Rabi"],
+    mspKeys: [], apmcCommodities: ["DRY CHILLIES"], rythuBazarName: null
+  },
+  "ginger": {
+    name: "Ginger", telugu: "అల్లం", hindi: "अदरक",
+    aliases: ["allam", "adrak"],
+    category: "spice", seasons: ["Kharif"],
+    mspKeys: [], apmcCommodities: ["GINGER(GREEN)"], rythuBazarName: null
+  },
+  "marigold": {
+    name: "Marigold", telugu: "బంతి", hindi: "गेंदा",
+    aliases: ["banthi"],
+    category: "flower", seasons: ["Kharif", "Rabi"],
+    mspKeys: [], apmcCommodities: ["MARIGOLD(LOOSE)"], rythuBazarName: null
+  },
+  "rose": {
+    name: "Rose", telugu: "గులాబీ", hindi: "गुलाब",
+    aliases: ["roses"],
+    category: "flower", seasons: ["Perennial"],
+    mspKeys: [], apmcCommodities: ["ROSE(LOOSE)"], rythuBazarName: null
+  },
+  "chrysanthemum": {
+    name: "Chrysanthemum", telugu: "చామంతి", hindi: "गुलदाउदी",
+    aliases: ["chamanthi", "sevanthi"],
+    category: "flower", seasons: ["Kharif", "Rabi"],
+    mspKeys: [], apmcCommodities: ["CHRYSANTHEMUM(LOOSE)"], rythuBazarName: null
+  },
+  "mulberry": {
+    name: "Mulberry (Sericulture)", telugu: "మల్బరీ", hindi: "शहतूत",
+    aliases: ["silk", "silkworm", "sericulture", "cocoon"],
+    category: "sericulture", seasons: ["Perennial"],
+    mspKeys: [], apmcCommodities: [], rythuBazarName: null
+  },
+
+  // CEREALS AND MILLETS
+  "paddy": {
+    name: "Paddy", telugu: "వరి", hindi: "धान",
+    aliases: ["rice", "vari", "dhan"],
+    category: "grain", seasons: ["Kharif", "Rabi"],
+    mspKeys: ["Paddy (Common)", "Paddy (Grade A)"], apmcCommodities: ["PADDY(DHAN)(COMMON)"], rythuBazarName: null
+  },
+  "jowar": {
+    name: "Jowar", telugu: "జొన్న", hindi: "ज्वार",
+    aliases: ["sorghum", "jonna"],
+    category: "grain", seasons: ["Kharif", "Rabi"],
+    mspKeys: ["Jowar (Hybrid)", "Jowar (Maldandi)"], apmcCommodities: ["JOWAR(SORGHUM)"], rythuBazarName: null
+  },
+  "bajra": {
+    name: "Bajra", telugu: "సజ్జ", hindi: "बाजरा",
+    aliases: ["pearl millet", "sajja"],
+    category: "grain", seasons: ["Kharif"],
+    mspKeys: ["Bajra"], apmcCommodities: ["BAJRA(PEARL MILLET/CUMBU)"], rythuBazarName: null
+  },
+  "ragi": {
+    name: "Ragi", telugu: "రాగి", hindi: "रागी",
+    aliases: ["finger millet", "mandua"],
+    category: "grain", seasons: ["Kharif"],
+    mspKeys: ["Ragi"], apmcCommodities: ["RAGI (FINGER MILLET)"], rythuBazarName: null
+  },
+  "maize": {
+    name: "Maize", telugu: "మొక్కజొన్న", hindi: "मक्का",
+    aliases: ["corn", "makka", "mokkajonna"],
+    category: "grain", seasons: ["Kharif", "Rabi"],
+    mspKeys: ["Maize"], apmcCommodities: ["MAIZE"], rythuBazarName: null
+  },
+  "wheat": {
+    name: "Wheat", telugu: "గోధుమ", hindi: "गेहूं",
+    aliases: ["gehun", "godhuma"],
+    category: "grain", seasons: ["Rabi"],
+    mspKeys: ["Wheat"], apmcCommodities: ["WHEAT"], rythuBazarName: null
+  },
+  "barley": {
+    name: "Barley", telugu: "బార్లీ", hindi: "जौ",
+    aliases: ["jau"],
+    category: "grain", seasons: ["Rabi"],
+    mspKeys: ["Barley"], apmcCommodities: ["BARLEY (JAU)"], rythuBazarName: null
+  },
+
+  // PULSES
+  "tur": {
+    name: "Tur (Arhar)", telugu: "కంది", hindi: "अरहर",
+    aliases: ["arhar", "red gram", "redgram", "pigeon pea", "toor", "kandi", "tur dal"],
+    category: "pulse", seasons: ["Kharif"],
+    mspKeys: ["Tur (Arhar)"], apmcCommodities: ["ARHAR (TUR/RED GRAM)(WHOLE)"], rythuBazarName: null
+  },
+  "moong": {
+    name: "Moong", telugu: "పెసర", hindi: "मूंग",
+    aliases: ["green gram", "greengram", "pesara", "moong dal"],
+    category: "pulse", seasons: ["Kharif", "Rabi", "Zaid"],
+    mspKeys: ["Moong"], apmcCommodities: ["GREEN GRAM (MOONG)(WHOLE)"], rythuBazarName: null
+  },
+  "urad": {
+    name: "Urad", telugu: "మినుము", hindi: "उड़द",
+    aliases: ["black gram", "blackgram", "minumu", "urad dal"],
+    category: "pulse", seasons: ["Kharif", "Rabi"],
+    mspKeys: ["Urad"], apmcCommodities: ["BLACK GRAM (URD BEANS)(WHOLE)"], rythuBazarName: null
+  },
+  "gram": {
+    name: "Gram", telugu: "శనగ", hindi: "चना",
+    aliases: ["bengal gram", "bengalgram", "chickpea", "chana", "senaga"],
+    category: "pulse", seasons: ["Rabi"],
+    mspKeys: ["Gram"], apmcCommodities: ["BENGAL GRAM(GRAM)(WHOLE)"], rythuBazarName: null
+  },
+  "masur": {
+    name: "Masur (Lentil)", telugu: "మసూర్ పప్పు", hindi: "मसूर",
+    aliases: ["lentil", "masoor"],
+    category: "pulse", seasons: ["Rabi"],
+    mspKeys: ["Masur (Lentil)"], apmcCommodities: ["LENTIL (MASUR)(WHOLE)"], rythuBazarName: null
+  },
+  "horse-gram": {
+    name: "Horse Gram", telugu: "ఉలవలు", hindi: "कुलथी",
+    aliases: ["horsegram", "ulavalu", "kulthi"],
+    category: "pulse", seasons: ["Rabi"],
+    mspKeys: [], apmcCommodities: ["HORSE GRAM"], rythuBazarName: null
+  },
+
+  // OILSEEDS
+  "groundnut": {
+    name: "Groundnut", telugu: "వేరుశనగ", hindi: "मूंगफली",
+    aliases: ["peanut", "verusenaga", "moongphali"],
+    category: "oilseed", seasons: ["Kharif", "Rabi"],
+    mspKeys: ["Groundnut"], apmcCommodities: ["GROUNDNUT"], rythuBazarName: null
+  },
+  "sunflower": {
+    name: "Sunflower", telugu: "పొద్దుతిరుగుడు", hindi: "सूरजमुखी",
+    aliases: ["sunflower seed", "podduthirugudu"],
+    category: "oilseed", seasons: ["Kharif", "Rabi"],
+    mspKeys: ["Sunflower Seed"], apmcCommodities: ["SUNFLOWER"], rythuBazarName: null
+  },
+  "soyabean": {
+    name: "Soyabean", telugu: "సోయాబీన్", hindi: "सोयाबीन",
+    aliases: ["soybean", "soya"],
+    category: "oilseed", seasons: ["Kharif"],
+    mspKeys: ["Soyabean (Yellow)"], apmcCommodities: ["SOYABEAN"], rythuBazarName: null
+  },
+  "sesamum": {
+    name: "Sesamum", telugu: "నువ్వులు", hindi: "तिल",
+    aliases: ["sesame", "til", "gingelly", "nuvvulu"],
+    category: "oilseed", seasons: ["Kharif", "Zaid"],
+    mspKeys: ["Sesamum"], apmcCommodities: ["SESAMUM(SESAME,GINGELLY,TIL)"], rythuBazarName: null
+  },
+  "nigerseed": {
+    name: "Nigerseed", telugu: "వెర్రి నువ్వులు", hindi: "रामतिल",
+    aliases: ["niger", "niger seed", "ramtil"],
+    category: "oilseed", seasons: ["Kharif"],
+    mspKeys: ["Nigerseed"], apmcCommodities: ["NIGER SEED (RAMTIL)"], rythuBazarName: null
+  },
+  "mustard": {
+    name: "Rapeseed and Mustard", telugu: "ఆవాలు", hindi: "सरसों",
+    aliases: ["rapeseed", "rapeseed and mustard", "sarson", "avalu"],
+    category: "oilseed", seasons: ["Rabi"],
+    mspKeys: ["Rapeseed And Mustard"], apmcCommodities: ["MUSTARD"], rythuBazarName: null
+  },
+  "safflower": {
+    name: "Safflower", telugu: "కుసుమ", hindi: "कुसुम",
+    aliases: ["kusuma"],
+    category: "oilseed", seasons: ["Rabi"],
+    mspKeys: ["Safflower"], apmcCommodities: ["SAFFLOWER"], rythuBazarName: null
+  },
+
+  // COMMERCIAL CROPS
+  "cotton": {
+    name: "Cotton", telugu: "పత్తి", hindi: "कपास",
+    aliases: ["patti", "kapas"],
+    category: "cash", seasons: ["Kharif"],
+    mspKeys: ["Cotton (Medium Staple)", "Cotton (Long Staple)"], apmcCommodities: ["COTTON"], rythuBazarName: null
+  },
+  "sugarcane": {
+    name: "Sugarcane", telugu: "చెరకు", hindi: "गन्ना",
+    aliases: ["cheraku", "ganna"],
+    category: "cash", seasons: ["Perennial"],
+    mspKeys: [], apmcCommodities: ["SUGARCANE"], rythuBazarName: null
+  },
+  "jute": {
+    name: "Jute", telugu: "జనపనార", hindi: "जूट",
+    aliases: [],
+    category: "cash", seasons: ["Kharif"],
+    mspKeys: ["Jute"], apmcCommodities: ["JUTE"], rythuBazarName: null
+  }
+};
+
+// Department each category falls under (used to match government schemes)
+const CATEGORY_SECTORS = {
+  vegetable: "horticulture",
+  fruit: "horticulture",
+  plantation: "horticulture",
+  spice: "horticulture",
+  flower: "horticulture",
+  sericulture: "sericulture",
+  grain: "agriculture",
+  pulse: "agriculture",
+  oilseed: "agriculture",
+  cash: "agriculture"
+};
+
+/**
+ * Normalize a crop name for lookup: lowercase, punctuation to spaces, single spaces
+ */
+function normalizeCropKey(name) {
+  if (name === null || name === undefined) return '';
+  return String(name)
+    .toLowerCase()
+    .replace(/[()[\],.\-_/]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Index every known name (id, English, Telugu, Hindi, aliases, MSP, APMC and Rythu Bazar keys)
+ * to its crop ID. Names must be unique across crops.
+ */
+function buildNameIndex() {
+  const index = new Map();
+
+  Object.entries(cropRegistry).forEach(([id, crop]) => {
+    const names = [
+      id,
+      crop.name,
+      crop.telugu,
+      crop.hindi,
+      ...crop.aliases,
+      ...crop.mspKeys,
+      ...crop.apmcCommodities,
+      crop.rythuBazarName
+    ];
+
+    names.filter(Boolean).forEach(name => {
+      const key = normalizeCropKey(name);
+      const existing = index.get(key);
+      if (existing && existing !== id) {
+        throw new Error(`Crop name "${name}" is registered for both ${existing} and ${id}`);
+      }
+      index.set(key, id);
+    });
+  });
+
+  return index;
+}
+
+const cropNameIndex = buildNameIndex();
+
+function toCropRecord(id) {
+  const crop = cropRegistry[id];
+  return {
+    id,
+    ...crop,
+    sector: CATEGORY_SECTORS[crop.category] || "agriculture"
+  };
+}
+
+/**
+ * Resolve any crop name, alias or source key to its registry entry.
+ * Matching is on whole names only; a name that is not registered resolves to null.
+ * @param {string} cropName - Crop name in English, Telugu or Hindi, an alias, or an MSP/APMC key
+ * @returns {Object|null} Crop record with id and sector
+ */
+function resolveCrop(cropName) {
+  const key = normalizeCropKey(cropName);
+  if (!key) return null;
+
+  let id = cropNameIndex.get(key);
+
+  // Plural forms ("tomatoes" is an alias, "carrots" or "brinjals" are not)
+  if (!id && key.endsWith('s')) {
+    id = cropNameIndex.get(key.slice(0, -1));
+  }
+
+  return id ? toCropRecord(id) : null;
+}
+
+function getCrop(id) {
+  return cropRegistry[id] ? toCropRecord(id) : null;
+}
+
+/**
+ * List registered crops
+ * @param {Object} filters - { category, season, sector }
+ * @returns {Array} Crop records sorted by name
+ */
+function getAllCrops(filters = {}) {
+  const { category, season, sector } = filters;
+
+  return Object.keys(cropRegistry)
+    .map(toCropRecord)
+    .filter(crop =>
+      (!category || crop.category === category.toLowerCase()) &&
+      (!sector || crop.sector === sector.toLowerCase()) &&
+      (!season || crop.seasons.some(s => s.toLowerCase() === season.toLowerCase()))
+    )
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Crop category ("vegetable", "grain", "pulse", ...) or null for an unregistered crop
+ */
+function getCropCategory(cropName) {
+  const crop = resolveCrop(cropName);
+  return crop ? crop.category : null;
+}
+
+/**
+ * Crop sector ("horticulture", "agriculture" or "sericulture"); unregistered crops count as agriculture
+ */
+function getCropSector(cropName) {
+  const crop = resolveCrop(cropName);
+  return crop ? crop.sector : "agriculture";
+}
+
+module.exports = {
+  cropRegistry,
+  CATEGORY_SECTORS,
+  normalizeCropKey,
+  resolveCrop,
+  getCrop,
+  getAllCrops,
+  getCropCategory,
+  getCropSector
+};
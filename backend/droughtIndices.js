@@ -0,0 +1,380 @@
+const { rainfallData, MONTHS, monthRainfall, findMandalMatch } = require('./rainfallData');
+const { resolveCrop } = require('./cropRegistry');
+const { finiteOr } = require('./numbers');
+
+// Drought and excess-rain thresholds. SPI cut-offs follow the WMO scale (-1 is moderately dry),
+// departure cut-offs IMD's meteorological drought (more than 25% below normal) and excess (+20%).
+// Either index past its cut-off classifies a season; whether the other agrees is reported.
+const droughtConfig = {
+  spi: {
+    drought: finiteOr(parseFloat(process.env.DROUGHT_SPI), -1.0),
+    excess: finiteOr(parseFloat(process.env.EXCESS_SPI), 1.0),
+    // SPI needs a few years of totals to fit; with fewer only the departure from normal is used
+    minYears: finiteOr(parseInt(process.env.DROUGHT_SPI_MIN_YEARS, 10), 5)
+  },
+  departurePercent: {
+    drought: finiteOr(parseFloat(process.env.DROUGHT_DEPARTURE_PERCENT), -25),
+    excess: finiteOr(parseFloat(process.env.EXCESS_DEPARTURE_PERCENT), 20)
+  },
+  // The normal is the mean of at least this many seasons (the WMO 30-year climatological normal); a
+  // shorter record uses its median, so one very wet year does not make every ordinary year look dry
+  normalMinYears: finiteOr(parseInt(process.env.DROUGHT_NORMAL_MIN_YEARS, 10), 30),
+  // A month is dry when it gets less than this fraction of its normal, counted only for months
+  // whose normal is at least minNormalMm (a rainless February is not a dry spell)
+  dryMonth: {
+    fractionOfNormal: finiteOr(parseFloat(process.env.DRY_MONTH_FRACTION), 0.5),
+    minNormalMm: finiteOr(parseFloat(process.env.DRY_MONTH_MIN_NORMAL_MM), 10)
+  },
+  // Share of Kharif seasons in drought that makes a mandal drought-prone
+  droughtProneShare: finiteOr(parseFloat(process.env.DROUGHT_PRONE_SHARE), 0.2),
+  // Success-rate points taken off water-intensive crops in drought-prone mandals
+  successRatePenalty: finiteOr(parseFloat(process.env.DROUGHT_SUCCESS_RATE_PENALTY), 15)
+};
+
+// Partial calendar years with fewer months than this are not classified
+const MIN_MONTHS_TO_CLASSIFY_YEAR = 6;
+
+// Season months; the Rabi season runs into the next calendar year
+const SEASONS = {
+  kharif: { name: "Kharif", months: [["Jun", 0], ["Jul", 0], ["Aug", 0], ["Sep", 0], ["Oct", 0]] },
+  rabi: { name: "Rabi", months: [["Nov", 0], ["Dec", 0], ["Jan", 1], ["Feb", 1], ["Mar", 1]] },
+  summer: { name: "Summer", months: [["Apr", 0], ["May", 0]] }
+};
+
+// Crops that need assured irrigation through the season (flooded paddy, long-duration
+// and perennial crops); they are downgraded where the monsoon often fails
+const WATER_INTENSIVE_CROPS = [
+  "paddy", "sugarcane", "banana", "raw-banana", "turmeric", "ginger",
+  "coconut", "oil-palm", "colocasia", "elephant-foot-yam", "jute"
+];
+
+const round1 = value => Math.round(value * 10) / 10;
+const round2 = value => Math.round(value * 100) / 100;
+const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Log-gamma by the Lanczos approximation
+function logGamma(x) {
+  const c = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  c.forEach(coefficient => { series += coefficient / ++y; });
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+// Regularized lower incomplete gamma P(a, x): series below a + 1, continued fraction above
+function gammaP(a, x) {
+  if (x <= 0) return 0;
+  const logPrefix = -x + a * Math.log(x) - logGamma(a);
+
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < 200; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-12) break;
+    }
+    return sum * Math.exp(logPrefix);
+  }
+
+  let b = x + 1 - a;
+  let c = 1e300;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 200; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+  return 1 - Math.exp(logPrefix) * h;
+}
+
+// Inverse of the standard normal CDF (Acklam's rational approximation)
+function inverseNormal(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Standardized Precipitation Index for each total: a gamma distribution is fitted to the non-zero
+ * totals (Thom's maximum likelihood estimate) and the cumulative probability of each total is mapped
+ * to a standard normal value. Zero totals take the centre of the zero probability mass, estimated as
+ * zeros / (n + 1) (Stagge et al., 2015), so a rainless season in a short record still reads as dry.
+ * @param {Array} totals - Rainfall totals for the same period in different years
+ * @returns {Array|null} SPI per total, or null when the totals cannot be fitted
+ */
+function calculateSPI(totals) {
+  if (totals.length < droughtConfig.spi.minYears) return null;
+
+  const nonZero = totals.filter(total => total > 0);
+  if (nonZero.length < 2) return null;
+
+  const nonZeroMean = mean(nonZero);
+  const A = Math.log(nonZeroMean) - mean(nonZero.map(Math.log));
+  if (!(A > 0)) return null;
+
+  const alpha = (1 + Math.sqrt(1 + (4 * A) / 3)) / (4 * A);
+  const beta = nonZeroMean / alpha;
+  const zeroProbability = (totals.length - nonZero.length) / (totals.length + 1);
+
+  return totals.map(total => {
+    const probability = total > 0
+      ? zeroProbability + (1 - zeroProbability) * gammaP(alpha, total / beta)
+      : zeroProbability / 2;
+    return round2(inverseNormal(Math.min(Math.max(probability, 1e-6), 1 - 1e-6)));
+  });
+}
+
+/**
+ * DROUGHT, NORMAL or EXCESS, with the indices it rests on. SPI from a short record rests on a shaky
+ * gamma fit and a departure from a short normal swings with a single wet year, so neither vetoes the
+ * other: either index past its cut-off classifies the season, and indicesAgree is false when the
+ * other does not. Indices past opposite cut-offs give CONFLICTING. When SPI cannot be fitted the
+ * departure alone is used, as IMD declares drought on it.
+ * @returns {Object|null} { classification, basis (the indices behind it), indicesAgree }
+ */
+function classifyRainfall(spi, departurePercent) {
+  if (spi === null && departurePercent === null) return null;
+
+  const { spi: spiLimits, departurePercent: departureLimits } = droughtConfig;
+  const classifyIndex = (value, limits) =>
+    value <= limits.drought ? "DROUGHT" : value >= limits.excess ? "EXCESS" : "NORMAL";
+  const indices = [
+    spi !== null && { index: "spi", classification: classifyIndex(spi, spiLimits) },
+    departurePercent !== null && { index: "departure", classification: classifyIndex(departurePercent, departureLimits) }
+  ].filter(Boolean);
+
+  const extremes = indices.filter(entry => entry.classification !== "NORMAL");
+  const classifications = [...new Set(extremes.map(entry => entry.classification))];
+  const basis = extremes.length > 0 ? extremes : indices;
+
+  return {
+    classification: classifications.length > 1 ? "CONFLICTING" : classifications[0] || "NORMAL",
+    basis: basis.map(entry => entry.index),
+    indicesAgree: extremes.length === 0 || extremes.length === indices.length
+  };
+}
+
+/**
+ * Long-term mean rainfall of each calendar month over the valid readings
+ */
+function monthlyNormals(mandalData) {
+  const normals = {};
+  MONTHS.forEach(month => {
+    const values = Object.keys(mandalData)
+      .map(year => monthRainfall(mandalData, year, month))
+      .filter(value => value !== null);
+    normals[month] = values.length > 0 ? mean(values) : null;
+  });
+  return normals;
+}
+
+/**
+ * Indices for one period (a list of [month, yearOffset]) in every year that has all its months
+ * @returns {Array} [{ startYear, total, normal, normalBasis, departurePercent, spi, dryMonths, classification,
+ *   classificationBasis, indicesAgree }]
+ */
+function calculatePeriodIndices(mandalData, months, normals) {
+  const years = Object.keys(mandalData).map(year => parseInt(year, 10)).sort((a, b) => a - b);
+
+  const periods = years
+    .map(startYear => {
+      const values = months.map(([month, offset]) => ({
+        month,
+        rainfall: monthRainfall(mandalData, startYear + offset, month)
+      }));
+      return {
+        startYear,
+        values,
+        missingMonths: values.filter(entry => entry.rainfall === null).map(entry => entry.month)
+      };
+    })
+    .filter(period => period.missingMonths.length < months.length);
+
+  const complete = periods.filter(period => period.missingMonths.length === 0);
+  const totals = complete.map(period => period.values.reduce((sum, entry) => sum + entry.rainfall, 0));
+  const normalBasis = totals.length >= droughtConfig.normalMinYears ? "mean" : "median";
+  const normal = totals.length === 0 ? null : normalBasis === "mean" ? mean(totals) : median(totals);
+  const spiValues = calculateSPI(totals);
+
+  return periods.map(period => {
+    const completeIndex = complete.indexOf(period);
+    const isComplete = completeIndex !== -1;
+    const total = isComplete ? totals[completeIndex] : null;
+    const departurePercent = isComplete && normal > 0 ? round1(((total - normal) / normal) * 100) : null;
+    const spi = isComplete && spiValues ? spiValues[completeIndex] : null;
+    const rating = isComplete ? classifyRainfall(spi, departurePercent) : null;
+
+    const dryMonths = period.values
+      .filter(entry => {
+        const monthNormal = normals[entry.month];
+        return entry.rainfall !== null &&
+          monthNormal !== null && monthNormal >= droughtConfig.dryMonth.minNormalMm &&
+          entry.rainfall < monthNormal * droughtConfig.dryMonth.fractionOfNormal;
+      })
+      .map(entry => entry.month);
+
+    return {
+      startYear: period.startYear,
+      total: total !== null ? round1(total) : null,
+      normal: normal !== null ? round1(normal) : null,
+      normalBasis: normal !== null ? `${normalBasis} of ${totals.length} seasons` : null,
+      departurePercent,
+      spi,
+      dryMonthCount: dryMonths.length,
+      dryMonths,
+      missingMonths: period.missingMonths,
+      classification: rating ? rating.classification : null,
+      classificationBasis: rating ? rating.basis : null,
+      indicesAgree: rating ? rating.indicesAgree : null
+    };
+  });
+}
+
+/**
+ * Season-wise and year-wise drought indicators for a mandal
+ * @param {string} requestedMandal - Mandal or village, or a rainfall record name (see findMandalMatch)
+ * @returns {Object|null} Drought indices, or null when the mandal has no rainfall records
+ */
+function calculateDroughtIndices(requestedMandal) {
+  const mandal = findMandalMatch(requestedMandal);
+  if (!mandal) return null;
+
+  const mandalData = rainfallData[mandal];
+  const normals = monthlyNormals(mandalData);
+
+  const seasons = {};
+  Object.entries(SEASONS).forEach(([key, season]) => {
+    seasons[key] = calculatePeriodIndices(mandalData, season.months, normals).map(({ startYear, ...indices }) => ({
+      season: key === "rabi" ? `${startYear}-${String(startYear + 1).slice(2)}` : String(startYear),
+      ...indices
+    }));
+  });
+
+  // Calendar years; a partial year is compared with the same months of the other years
+  const years = Object.keys(mandalData).sort().map(year => {
+    const recorded = MONTHS.filter(month => monthRainfall(mandalData, year, month) !== null);
+    const indices = calculatePeriodIndices(mandalData, recorded.map(month => [month, 0]), normals)
+      .find(entry => entry.startYear === parseInt(year, 10));
+    const { startYear, missingMonths, ...rest } = indices || { missingMonths: [] };
+    const classified = recorded.length >= MIN_MONTHS_TO_CLASSIFY_YEAR && indices;
+
+    return {
+      year,
+      complete: recorded.length === 12,
+      monthsRecorded: recorded.length,
+      ...rest,
+      classification: classified ? indices.classification : null,
+      classificationBasis: classified ? indices.classificationBasis : null,
+      indicesAgree: classified ? indices.indicesAgree : null
+    };
+  });
+
+  const classifiedKharif = seasons.kharif.filter(season => season.classification);
+  const kharifDroughts = classifiedKharif.filter(season => season.classification === "DROUGHT");
+  const droughtFrequency = classifiedKharif.length > 0 ? round2(kharifDroughts.length / classifiedKharif.length) : null;
+  const latestKharif = classifiedKharif[classifiedKharif.length - 1] || null;
+
+  return {
+    mandal,
+    unit: "mm",
+    monthlyNormals: Object.fromEntries(Object.entries(normals).map(([month, value]) => [month, value !== null ? round1(value) : null])),
+    seasons,
+    years,
+    summary: {
+      droughtYears: years.filter(year => year.classification === "DROUGHT").map(year => year.year),
+      kharifDroughtSeasons: kharifDroughts.map(season => season.season),
+      kharifDroughtFrequency: droughtFrequency,
+      droughtProne: droughtFrequency !== null && droughtFrequency >= droughtConfig.droughtProneShare,
+      latestKharif: latestKharif ? { season: latestKharif.season, classification: latestKharif.classification } : null
+    },
+    thresholds: droughtConfig
+  };
+}
+
+/**
+ * Drought summary for every mandal with rainfall records
+ */
+function getDroughtSummaries() {
+  return Object.keys(rainfallData).map(mandal => {
+    const indices = calculateDroughtIndices(mandal);
+    return { mandal, ...indices.summary };
+  });
+}
+
+function isWaterIntensive(cropName) {
+  const crop = resolveCrop(cropName);
+  return Boolean(crop && WATER_INTENSIVE_CROPS.includes(crop.id));
+}
+
+/**
+ * Advisory for growing a water-intensive crop in a mandal that is drought-prone or whose last
+ * Kharif monsoon failed
+ * @returns {Object|null} { mandal, droughtProne, kharifDroughtFrequency, latestKharif, successRatePenalty, message },
+ *   or null when the crop is not water-intensive or the mandal is not at risk
+ */
+function getDroughtAdvisory(cropName, mandalName) {
+  if (!mandalName || !isWaterIntensive(cropName)) return null;
+
+  const indices = calculateDroughtIndices(mandalName);
+  if (!indices) return null;
+
+  const { droughtProne, kharifDroughtFrequency, latestKharif } = indices.summary;
+  const lastKharifDrought = latestKharif && latestKharif.classification === "DROUGHT";
+  if (!droughtProne && !lastKharifDrought) return null;
+
+  const crop = resolveCrop(cropName);
+  const reasons = [];
+  if (droughtProne) reasons.push(`the Kharif monsoon failed in ${Math.round(kharifDroughtFrequency * 100)}% of recorded seasons`);
+  if (lastKharifDrought) reasons.push(`Kharif ${latestKharif.season} was a drought season`);
+
+  return {
+    mandal: indices.mandal,
+    droughtProne,
+    kharifDroughtFrequency,
+    latestKharif,
+    successRatePenalty: droughtConfig.successRatePenalty,
+    message: `${crop.name} needs assured irrigation; in ${indices.mandal} ${reasons.join(' and ')}. Grow it only with a reliable borewell or tank, or choose a less water-intensive crop`
+  };
+}
+
+module.exports = {
+  droughtConfig,
+  WATER_INTENSIVE_CROPS,
+  calculateSPI,
+  classifyRainfall,
+  calculateDroughtIndices,
+  getDroughtSummaries,
+  isWaterIntensive,
+  getDroughtAdvisory
+};
@@ -0,0 +1,241 @@
+const gazetteer = require('./gazetteer.json');
+
+// Lookup order when one name matches places at several levels: a name that is both a mandal and its
+// headquarters village ("Kuppam") resolves to the mandal
+const LEVELS = ["mandal", "village", "district", "state"];
+
+/**
+ * Normalize a place name for lookup: lower case, punctuation and "mandal"/"village"/"district"
+ * suffixes dropped ("Kuppam (Urban)" and "Kuppam urban" match; "Gudupalle Mandal" matches "Gudupalle")
+ */
+function normalizePlaceName(name) {
+  if (name === undefined || name === null) return '';
+  return String(name)
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^a-z0-9\u0C00-\u0C7F]+/g, ' ')
+    .replace(/\b(mandal|mandalam|village|district|dist|dt)\b/g, ' ')
+    .replace(/మండలం|గ్రామం|జిల్లా/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Every place with its parents filled in; villages without coordinates take their mandal's
+const places = [];
+gazetteer.states.forEach(state => {
+  places.push({ ...state, level: "state", village: null, mandal: null, district: null, state: state.name });
+});
+gazetteer.districts.forEach(district => {
+  places.push({ ...district, level: "district", village: null, mandal: null, district: district.name });
+});
+gazetteer.mandals.forEach(mandal => {
+  const district = gazetteer.districts.find(entry => entry.name === mandal.district);
+  places.push({ ...mandal, level: "mandal", village: null, mandal: mandal.name, state: district ? district.state : null });
+});
+gazetteer.villages.forEach(village => {
+  const mandal = places.find(place => place.level === "mandal" && place.name === village.mandal);
+  places.push({
+    ...village,
+    level: "village",
+    village: village.name,
+    district: mandal ? mandal.district : null,
+    state: mandal ? mandal.state : null,
+    latitude: village.latitude ?? (mandal ? mandal.latitude : null),
+    longitude: village.longitude ?? (mandal ? mandal.longitude : null),
+    rainfallStation: village.rainfallStation || (mandal ? mandal.rainfallStation : null)
+  });
+});
+
+// Lookup keys (English name, Telugu name, aliases and LGD code) to the places they name
+const placeIndex = new Map();
+places.forEach(place => {
+  const keys = [place.name, place.nameTelugu, place.lgdCode, ...(place.aliases || [])].map(normalizePlaceName).filter(Boolean);
+  new Set(keys).forEach(key => {
+    if (!placeIndex.has(key)) placeIndex.set(key, []);
+    placeIndex.get(key).push(place);
+  });
+});
+
+const publicPlace = place => ({
+  level: place.level,
+  name: place.name,
+  nameTelugu: place.nameTelugu || null,
+  lgdCode: place.lgdCode || null,
+  village: place.village,
+  mandal: place.mandal,
+  district: place.district,
+  state: place.state,
+  latitude: place.latitude ?? null,
+  longitude: place.longitude ?? null,
+  rainfallStation: place.rainfallStation || null
+});
+
+/**
+ * Places whose name, Telugu name, alias or LGD code is exactly the query (after normalizing)
+ * @param {Object} filters - { level, mandal } restrict the matches to one level or one mandal's villages
+ */
+function matchPlaces(query, filters = {}) {
+  const key = normalizePlaceName(query);
+  return (placeIndex.get(key) || [])
+    .filter(place => !filters.level || place.level === filters.level)
+    .filter(place => !filters.mandal || place.mandal === filters.mandal)
+    .sort((a, b) => LEVELS.indexOf(a.level) - LEVELS.indexOf(b.level));
+}
+
+// Edit distance between two names, for suggestions only; lookups never match on it
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Places with a name close to the query, closest first, for "did you mean" lists
+ * @param {Object} options - { level, limit }
+ * @returns {Array} [{ level, name, nameTelugu, mandal, district }]
+ */
+function suggestPlaces(query, options = {}) {
+  const { level, limit = 5 } = options;
+  const key = normalizePlaceName(query);
+  if (!key) return [];
+
+  const best = new Map();
+  placeIndex.forEach((indexed, indexKey) => {
+    const distance = editDistance(key, indexKey);
+    const close = distance <= Math.max(2, Math.floor(indexKey.length / 3)) ||
+      (key.length >= 3 && (indexKey.startsWith(key) || key.startsWith(indexKey)));
+    if (!close) return;
+
+    indexed
+      .filter(place => !level || place.level === level)
+      .forEach(place => {
+        const id = `${place.level}:${place.name}:${place.mandal}`;
+        if (!best.has(id) || best.get(id).distance > distance) best.set(id, { place, distance });
+      });
+  });
+
+  return [...best.values()]
+    .sort((a, b) => a.distance - b.distance || LEVELS.indexOf(a.place.level) - LEVELS.indexOf(b.place.level))
+    .slice(0, limit)
+    .map(({ place }) => ({
+      level: place.level,
+      name: place.name,
+      nameTelugu: place.nameTelugu || null,
+      mandal: place.mandal,
+      district: place.district
+    }));
+}
+
+function notFound(level, query) {
+  const suggestions = suggestPlaces(query, { level: level === "location" ? undefined : level });
+  const names = [...new Set(suggestions.map(place => place.name))];
+  return {
+    error: `Unknown ${level}: ${query}${names.length > 0 ? ` (did you mean ${names.join(', ')}?)` : ''}`,
+    suggestions
+  };
+}
+
+// One place from a match list, or an error when the name is shared by places at the same level
+function pickPlace(matches, level, query) {
+  if (matches.length === 0) return notFound(level, query);
+  const sameLevel = matches.filter(place => place.level === matches[0].level);
+  if (sameLevel.length > 1) {
+    return {
+      error: `${query} matches ${sameLevel.length} ${sameLevel[0].level}s (${sameLevel.map(place => `${place.name} in ${place.mandal || place.district}`).join(', ')}); give the mandal as well`,
+      suggestions: sameLevel.map(publicPlace)
+    };
+  }
+  return { place: matches[0] };
+}
+
+/**
+ * Resolve a place to a gazetteer entry, by name, Telugu name, alias or LGD code. Matching is exact after
+ * normalizing; an unknown name is an error with a list of close names, never a guess.
+ * @param {string|Object} input - A place name or code, or { village, mandal (or subDistrict), district, state }
+ *   as in the land records; the finest field given decides the place, and a village missing from the
+ *   gazetteer falls back to its mandal with a warning
+ * @param {Object} options - { level } restricts a name lookup to one level
+ * @returns {Object} { location, warnings } (location is null for empty input) or { error, suggestions }
+ */
+function resolveLocation(input, options = {}) {
+  const blank = value => value === undefined || value === null || String(value).trim() === '';
+
+  if (blank(input)) return { location: null, warnings: [] };
+
+  if (typeof input !== 'object') {
+    const picked = pickPlace(matchPlaces(input, { level: options.level }), options.level || "location", input);
+    return picked.error ? picked : { location: publicPlace(picked.place), warnings: [] };
+  }
+
+  const mandalQuery = blank(input.mandal) ? input.subDistrict : input.mandal;
+  const warnings = [];
+  let district = null;
+  let mandal = null;
+  let village = null;
+
+  if (!blank(input.district)) {
+    const picked = pickPlace(matchPlaces(input.district, { level: "district" }), "district", input.district);
+    if (picked.place) {
+      district = picked.place;
+    } else if (blank(mandalQuery) && blank(input.village)) {
+      return picked;
+    } else {
+      warnings.push(`District ${input.district} is not in the gazetteer; resolved from the ${blank(mandalQuery) ? 'village' : 'mandal'}`);
+    }
+  }
+
+  if (!blank(mandalQuery)) {
+    const picked = pickPlace(matchPlaces(mandalQuery, { level: "mandal" }), "mandal", mandalQuery);
+    if (picked.error) return picked;
+    mandal = picked.place;
+
+    if (district && mandal.district !== district.name) {
+      return {
+        error: `Mandal ${mandal.name} is in ${mandal.district} district, not ${district.name}`,
+        suggestions: [publicPlace(mandal)]
+      };
+    }
+  }
+
+  if (!blank(input.village)) {
+    const matches = matchPlaces(input.village, { level: "village", mandal: mandal ? mandal.name : undefined });
+    if (matches.length > 0 || !mandal) {
+      const picked = pickPlace(matches, "village", input.village);
+      if (picked.error) return picked;
+      village = picked.place;
+    } else {
+      warnings.push(`Village ${input.village} is not listed under ${mandal.name} mandal in the gazetteer; using the mandal`);
+    }
+  }
+
+  let place = village || mandal || district;
+  if (!place && !blank(input.state)) {
+    const picked = pickPlace(matchPlaces(input.state, { level: "state" }), "state", input.state);
+    if (picked.error) return picked;
+    place = picked.place;
+  }
+
+  return { location: place ? publicPlace(place) : null, warnings };
+}
+
+/**
+ * Every place in the gazetteer, optionally of one level
+ */
+function getPlaces(level) {
+  return places.filter(place => !level || place.level === level).map(publicPlace);
+}
+
+module.exports = {
+  LEVELS,
+  gazetteerSource: { source: gazetteer.source, notes: gazetteer.notes },
+  normalizePlaceName,
+  suggestPlaces,
+  resolveLocation,
+  getPlaces
+};
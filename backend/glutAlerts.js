@@ -0,0 +1,160 @@
+const { apmcMarketData, resolveAPMCCommodity } = require('./apmcData');
+const { resolveCrop } = require('./cropRegistry');
+const { calculateNetRealization } = require('./netRealization');
+const { marketSignalConfig } = require('./marketSignals');
+const { finiteOr } = require('./numbers');
+
+// Crops that keep for weeks or months, so the farmer can wait for the glut to clear
+const STORABLE_CATEGORIES = ["grain", "pulse", "oilseed", "cash", "spice", "plantation"];
+
+// Another market must pay at least this much more (net of transport and charges) to be worth diverting to
+const DIVERT_MIN_NET_GAIN = finiteOr(parseFloat(process.env.GLUT_DIVERT_MIN_GAIN), 0.05);
+
+// Load used to compare net prices between markets
+const COMPARISON_QUANTITY_QUINTALS = 10;
+
+const SEVERITY_ORDER = { "HIGH": 0, "MEDIUM": 1, "LOW": 2 };
+
+/**
+ * Best market without a glut that pays enough more than the glutted one, or null
+ */
+function findDiversionMarket(commodity, glutMarket, glutPrice, mandal, vehicleType) {
+  const netPriceAt = (market, pricePerQuintal) => calculateNetRealization({
+    pricePerQuintal,
+    quantityQuintals: COMPARISON_QUANTITY_QUINTALS,
+    market,
+    mandal,
+    vehicleType
+  });
+
+  const glutNet = netPriceAt(glutMarket, glutPrice);
+
+  const best = Object.values(apmcMarketData)
+    .map(commodities => commodities[commodity])
+    .filter(data => data && data.region !== glutMarket && !data.glutMetrics.detected)
+    .map(data => {
+      const realization = netPriceAt(data.region, data.avgModalPrice);
+      return {
+        market: data.region,
+        distanceKm: realization.assumptions.transport.distanceKm,
+        pricePerQuintal: data.avgModalPrice,
+        netPricePerQuintal: realization.netPricePerQuintal
+      };
+    })
+    .sort((a, b) => b.netPricePerQuintal - a.netPricePerQuintal)[0];
+
+  if (!best || best.netPricePerQuintal < glutNet.netPricePerQuintal * (1 + DIVERT_MIN_NET_GAIN)) return null;
+
+  return { ...best, glutMarketNetPricePerQuintal: glutNet.netPricePerQuintal };
+}
+
+/**
+ * Suggested action for a glut: divert to a better market if there is one, otherwise hold storable
+ * crops and process perishable ones
+ */
+function suggestGlutAction(commodity, marketData, mandal, vehicleType) {
+  const diversion = findDiversionMarket(
+    commodity, marketData.region, marketData.glutMetrics.recentModalPrice, mandal, vehicleType
+  );
+  if (diversion) {
+    return {
+      action: "DIVERT",
+      market: diversion.market,
+      distanceKm: diversion.distanceKm,
+      netPricePerQuintal: diversion.netPricePerQuintal,
+      reason: `${diversion.market} pays ₹${diversion.netPricePerQuintal}/quintal net against ₹${diversion.glutMarketNetPricePerQuintal} at ${marketData.region}`
+    };
+  }
+
+  const crop = resolveCrop(commodity);
+  if (crop && STORABLE_CATEGORIES.includes(crop.category)) {
+    return {
+      action: "HOLD",
+      reason: "Store the produce and sell after arrivals ease; prices usually recover once the glut clears"
+    };
+  }
+
+  return {
+    action: "PROCESS",
+    reason: "Produce will not keep until prices recover; sell to processors or process it (drying, pulping, grading out the best lots for fresh sale)"
+  };
+}
+
+function buildGlutAlert(commodity, marketData, mandal, vehicleType) {
+  const glut = marketData.glutMetrics;
+  const crop = resolveCrop(commodity);
+
+  return {
+    type: "GLUT",
+    crop: commodity,
+    cropId: crop ? crop.id : null,
+    market: marketData.region,
+    severity: glut.severity,
+    detectedOn: glut.recentTo,
+    message: `${commodity} arrivals at ${marketData.region} are ${glut.arrivalsChangePercent}% above the ${glut.baselineType.toLowerCase()} baseline while the modal price is down ${Math.abs(glut.priceChangePercent)}%`,
+    metrics: glut,
+    suggestedAction: suggestGlutAction(commodity, marketData, mandal, vehicleType)
+  };
+}
+
+/**
+ * Glut alerts for commodities whose arrivals are spiking above baseline while prices fall
+ * @param {Object} filters - { crop, market, severity, mandal, vehicleType }; mandal and vehicleType
+ *   are used to compare net prices when suggesting a market to divert to
+ * @returns {Array} Alerts, most severe first
+ */
+function getGlutAlerts(filters = {}) {
+  const { crop, market, severity, mandal, vehicleType } = filters;
+
+  let commodityFilter = null;
+  if (crop) {
+    commodityFilter = resolveAPMCCommodity(crop);
+    if (!commodityFilter) return [];
+  }
+
+  const alerts = [];
+  Object.entries(apmcMarketData).forEach(([marketName, commodities]) => {
+    if (market && marketName !== market.toUpperCase().trim()) return;
+
+    Object.entries(commodities).forEach(([commodity, marketData]) => {
+      if (commodityFilter && commodity !== commodityFilter) return;
+      if (!marketData.glutMetrics.detected) return;
+      if (severity && marketData.glutMetrics.severity !== severity.toUpperCase()) return;
+
+      alerts.push(buildGlutAlert(commodity, marketData, mandal, vehicleType));
+    });
+  });
+
+  return alerts.sort((a, b) =>
+    SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] ||
+    a.metrics.priceChangePercent - b.metrics.priceChangePercent
+  );
+}
+
+/**
+ * Glut alerts for one crop at any market, for attaching to recommendations
+ * @param {string} cropName - Crop name or alias
+ * @param {Object} options - { mandal, vehicleType }
+ * @returns {Array} Alerts (empty when there is no glut)
+ */
+function getCropGlutAlerts(cropName, options = {}) {
+  return getGlutAlerts({ ...options, crop: cropName });
+}
+
+/**
+ * Settings the detector runs with (see the glut section of marketSignals.js)
+ */
+function getGlutSettings() {
+  return {
+    ...marketSignalConfig.glut,
+    divertMinNetGain: DIVERT_MIN_NET_GAIN,
+    storableCategories: STORABLE_CATEGORIES
+  };
+}
+
+module.exports = {
+  STORABLE_CATEGORIES,
+  getGlutAlerts,
+  getCropGlutAlerts,
+  getGlutSettings
+};
@@ -0,0 +1,371 @@
+const temperatureNormals = require('./temperatureNormals.json');
+const { rainfallData, MONTHS, monthRainfall, findMandalMatch } = require('./rainfallData');
+const { getCropProfile } = require('./cropProfiles');
+const { getSowingWindow } = require('./sowingWindow');
+const { finiteOr } = require('./numbers');
+
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// Share of the water pumped that reaches the root zone, by irrigation method (CWC/FAO field application efficiencies)
+const IRRIGATION_EFFICIENCY = {
+  drip: 0.9,
+  sprinkler: 0.75,
+  flood: 0.6
+};
+
+// Monthly rainfall the deficit is computed on: the long-term mean, or the 80% dependable rainfall
+// (exceeded four years in five) that irrigation schemes are designed for
+const RAINFALL_BASES = ["normal", "dependable"];
+
+// Borewell pump defaults: a 5 HP submersible lifting from 60 m at 45% wire-to-water efficiency,
+// and the 9 hours of free daytime power Andhra Pradesh supplies to farm connections
+const pumpDefaults = {
+  horsepower: finiteOr(parseFloat(process.env.PUMP_DEFAULT_HP), 5),
+  headM: finiteOr(parseFloat(process.env.PUMP_DEFAULT_HEAD_M), 60),
+  efficiency: finiteOr(parseFloat(process.env.PUMP_EFFICIENCY), 0.45),
+  powerSupplyHoursPerDay: finiteOr(parseFloat(process.env.FARM_POWER_HOURS_PER_DAY), 9)
+};
+
+const WATTS_PER_HP = 745.7;
+const GRAVITY = 9.81;
+// 1 mm of water over a hectare
+const LITRES_PER_MM_HECTARE = 10000;
+
+const round1 = value => Math.round(value * 10) / 10;
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * Month name from "Jul", "july" or 7 (null when not a month)
+ */
+function parseMonth(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (Number.isInteger(number)) return number >= 1 && number <= 12 ? MONTHS[number - 1] : null;
+  const prefix = String(value).trim().slice(0, 3).toLowerCase();
+  return MONTHS.find(month => month.toLowerCase() === prefix) || null;
+}
+
+/**
+ * Temperature normals station for a mandal (the default station when the mandal has none)
+ */
+function getTemperatureStation(mandal) {
+  const name = (mandal && temperatureNormals.mandals[mandal]) || temperatureNormals.defaultStation;
+  return { name, ...temperatureNormals.stations[name] };
+}
+
+/**
+ * Extraterrestrial radiation (MJ/m²/day) at a latitude on a day of the year (FAO-56 equation 21)
+ */
+function extraterrestrialRadiation(latitudeDeg, dayOfYear) {
+  const phi = (latitudeDeg * Math.PI) / 180;
+  const dr = 1 + 0.033 * Math.cos((2 * Math.PI * dayOfYear) / 365);
+  const delta = 0.409 * Math.sin((2 * Math.PI * dayOfYear) / 365 - 1.39);
+  const omega = Math.acos(-Math.tan(phi) * Math.tan(delta));
+  return ((24 * 60) / Math.PI) * 0.082 * dr *
+    (omega * Math.sin(phi) * Math.sin(delta) + Math.cos(phi) * Math.cos(delta) * Math.sin(omega));
+}
+
+/**
+ * Hargreaves reference evapotranspiration (mm/day) for each calendar month at a station,
+ * with radiation taken on the 15th of the month
+ * @returns {Object} { Jan: mm/day, ... }
+ */
+function referenceEvapotranspiration(station) {
+  const et0 = {};
+  let dayOfYear = 0;
+  MONTHS.forEach((month, index) => {
+    const tmax = station.tmax[month];
+    const tmin = station.tmin[month];
+    const ra = extraterrestrialRadiation(station.latitude, dayOfYear + 15);
+    // 0.408 converts MJ/m²/day to mm/day of evaporation
+    et0[month] = 0.0023 * 0.408 * ra * ((tmax + tmin) / 2 + 17.8) * Math.sqrt(Math.max(0, tmax - tmin));
+    dayOfYear += DAYS_IN_MONTH[index];
+  });
+  return et0;
+}
+
+/**
+ * Crop coefficient on a day after sowing: flat through the initial stage, rising to the mid-season
+ * value through development, flat through mid-season and falling to the end value through the late stage
+ */
+function cropCoefficientOnDay(coefficients, day, durationDays) {
+  const [initial, development, mid] = coefficients.stageFractions.map(fraction => fraction * durationDays);
+  const developmentEnd = initial + development;
+  const midEnd = developmentEnd + mid;
+
+  if (day < initial) return coefficients.initial;
+  if (day < developmentEnd) {
+    return coefficients.initial + ((day - initial) / development) * (coefficients.mid - coefficients.initial);
+  }
+  if (day < midEnd) return coefficients.mid;
+  return coefficients.mid + ((day - midEnd) / (durationDays - midEnd)) * (coefficients.end - coefficients.mid);
+}
+
+/**
+ * Crop evapotranspiration for each calendar month the crop is in the field, sown on the 1st of the sowing month
+ * @returns {Array} [{ month, days, et0Mm, kc, cropWaterRequirementMm }]
+ */
+function cropWaterCalendar(profile, sowingMonth, et0) {
+  const rows = [];
+  let monthIndex = MONTHS.indexOf(sowingMonth);
+  let day = 0;
+
+  while (day < profile.durationDays) {
+    const month = MONTHS[monthIndex % 12];
+    const days = Math.min(DAYS_IN_MONTH[monthIndex % 12], profile.durationDays - day);
+    let kcSum = 0;
+    for (let d = day; d < day + days; d++) {
+      kcSum += cropCoefficientOnDay(profile.cropCoefficients, d, profile.durationDays);
+    }
+    rows.push({
+      month,
+      days,
+      et0Mm: et0[month] * days,
+      kc: kcSum / days,
+      cropWaterRequirementMm: et0[month] * kcSum
+    });
+    day += days;
+    monthIndex++;
+  }
+  return rows;
+}
+
+/**
+ * Monthly rainfall over a mandal's valid readings: the mean, or the 20th percentile for dependable rainfall
+ */
+function monthlyRainfall(mandalData, basis) {
+  const rainfall = {};
+  MONTHS.forEach(month => {
+    const values = Object.keys(mandalData)
+      .map(year => monthRainfall(mandalData, year, month))
+      .filter(value => value !== null)
+      .sort((a, b) => a - b);
+
+    if (values.length === 0) {
+      rainfall[month] = null;
+    } else if (basis === "dependable") {
+      const position = 0.2 * (values.length - 1);
+      const lower = Math.floor(position);
+      const upper = Math.min(lower + 1, values.length - 1);
+      rainfall[month] = values[lower] + (position - lower) * (values[upper] - values[lower]);
+    } else {
+      rainfall[month] = values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+  });
+  return rainfall;
+}
+
+/**
+ * Effective rainfall (mm) from a month's rainfall by the USDA Soil Conservation Service method
+ * used in FAO CROPWAT
+ */
+function effectiveRainfall(monthlyRainfallMm) {
+  if (monthlyRainfallMm <= 250) return (monthlyRainfallMm * (125 - 0.2 * monthlyRainfallMm)) / 125;
+  return 125 + 0.1 * monthlyRainfallMm;
+}
+
+/**
+ * Irrigation method key (drip, sprinkler or flood) from a free-text method, or null when not recognized
+ */
+function normalizeIrrigationMethod(method) {
+  if (!method) return null;
+  const text = String(method).toLowerCase();
+  if (text.includes('drip') || text.includes('micro')) return "drip";
+  if (text.includes('sprink') || text.includes('rain gun') || text.includes('raingun')) return "sprinkler";
+  if (['flood', 'furrow', 'basin', 'border', 'surface', 'channel'].some(word => text.includes(word))) return "flood";
+  return null;
+}
+
+/**
+ * Borewell and tube well water sources are pumped
+ */
+function isBorewell(waterSource) {
+  return Boolean(waterSource) && /bore|tube/i.test(String(waterSource));
+}
+
+/**
+ * Pump discharge in litres per hour: the given discharge, or the hydraulic estimate from power and head
+ */
+function pumpDischarge(options = {}) {
+  if (options.pumpDischargeLph) {
+    return { dischargeLph: Math.round(options.pumpDischargeLph), basis: "given", horsepower: options.pumpHp || null, headM: options.pumpHeadM || null };
+  }
+  const horsepower = options.pumpHp || pumpDefaults.horsepower;
+  const headM = options.pumpHeadM || pumpDefaults.headM;
+  // Water power = ρ·g·Q·H, so Q (L/s) = P (W) × efficiency / (g × H)
+  const litresPerSecond = (horsepower * WATTS_PER_HP * pumpDefaults.efficiency) / (GRAVITY * headM);
+  return { dischargeLph: Math.round(litresPerSecond * 3600), basis: "estimated", horsepower, headM };
+}
+
+/**
+ * Sowing month: the given month, else the mandal's recommended sowing window, else the crop's first sowing month
+ */
+function resolveSowingMonth(profile, cropName, mandal, options) {
+  const given = parseMonth(options.sowingMonth);
+  if (given) return { month: given, source: "given" };
+  const sowingWindow = mandal ? getSowingWindow(cropName, mandal, { season: options.season }) : null;
+  if (sowingWindow?.recommended) return { month: sowingWindow.recommended.month, source: "sowing-window" };
+  return { month: Object.values(profile.sowingMonths)[0]?.[0] || "Jun", source: "season" };
+}
+
+/**
+ * Seasonal crop water requirement (mm) of a crop sown in a month at a mandal's temperature station;
+ * needs no rainfall records
+ * @param {string} cropName - Crop name or alias
+ * @param {Object} options - { mandal, sowingMonth, season }; without a sowing month the mandal's recommended
+ *   sowing window is used
+ * @returns {Object} { cropWaterRequirementMm, litresPerHectare, sowingMonth, durationDays, station }
+ */
+function cropWaterRequirement(cropName, options = {}) {
+  const profile = getCropProfile(cropName);
+  const mandal = options.mandal ? findMandalMatch(options.mandal) : null;
+  const station = getTemperatureStation(mandal);
+  const sowingMonth = resolveSowingMonth(profile, cropName, mandal, options).month;
+  const calendar = cropWaterCalendar(profile, sowingMonth, referenceEvapotranspiration(station));
+  const totalMm = calendar.reduce((sum, row) => sum + row.cropWaterRequirementMm, 0);
+
+  return {
+    cropWaterRequirementMm: Math.round(totalMm),
+    litresPerHectare: Math.round(totalMm * LITRES_PER_MM_HECTARE),
+    sowingMonth,
+    durationDays: profile.durationDays,
+    station: station.name
+  };
+}
+
+/**
+ * Month-by-month irrigation gap for a crop in a mandal: crop water requirement (FAO-56 Kc × Hargreaves ET0)
+ * less effective rainfall, in mm and in litres over the farm, with pump hours for borewell farms
+ * @param {string} cropName - Crop name or alias
+ * @param {string} mandalName - Mandal or village, or a rainfall record name (see findMandalMatch)
+ * @param {Object} options - { sowingMonth, season, areaHectares, irrigationMethod, waterSource, rainfallBasis,
+ *   pumpHp, pumpHeadM, pumpDischargeLph }; without a sowing month the mandal's recommended sowing window is used
+ * @returns {Object|null} Irrigation gap, or null when the mandal has no rainfall records
+ */
+function calculateIrrigationGap(cropName, mandalName, options = {}) {
+  const mandal = findMandalMatch(mandalName);
+  if (!mandal) return null;
+
+  const notes = [];
+  const profile = getCropProfile(cropName);
+  const station = getTemperatureStation(mandal);
+  const et0 = referenceEvapotranspiration(station);
+  const rainfallBasis = RAINFALL_BASES.includes(options.rainfallBasis) ? options.rainfallBasis : "normal";
+  const rainfall = monthlyRainfall(rainfallData[mandal], rainfallBasis);
+
+  const { month: sowingMonth, source: sowingMonthSource } = resolveSowingMonth(profile, cropName, mandal, options);
+
+  const areaHectares = options.areaHectares > 0 ? options.areaHectares : 1;
+  if (!(options.areaHectares > 0)) notes.push("Farm area not given; litres and pump hours are for 1 hectare");
+
+  let method = normalizeIrrigationMethod(options.irrigationMethod);
+  if (!method) {
+    notes.push(options.irrigationMethod
+      ? `Irrigation method "${options.irrigationMethod}" not recognized; assumed flood irrigation`
+      : "Irrigation method not given; assumed flood irrigation");
+    method = "flood";
+  }
+  const efficiency = IRRIGATION_EFFICIENCY[method];
+
+  const borewell = isBorewell(options.waterSource);
+  const pump = borewell ? pumpDischarge(options) : null;
+
+  const monthly = cropWaterCalendar(profile, sowingMonth, et0).map((row, index) => {
+    const monthRain = rainfall[row.month];
+    // A month the crop is only partly in the field gets that share of the month's effective rain
+    const effectiveMm = monthRain !== null ? effectiveRainfall(monthRain) * (row.days / DAYS_IN_MONTH[MONTHS.indexOf(row.month)]) : 0;
+    const netMm = Math.max(0, row.cropWaterRequirementMm - effectiveMm);
+    const grossMm = netMm / efficiency;
+    const grossLitres = grossMm * areaHectares * LITRES_PER_MM_HECTARE;
+
+    return {
+      cropMonth: index + 1,
+      month: row.month,
+      daysInField: row.days,
+      et0Mm: round1(row.et0Mm),
+      kc: round2(row.kc),
+      cropWaterRequirementMm: round1(row.cropWaterRequirementMm),
+      rainfallMm: monthRain !== null ? round1(monthRain) : null,
+      effectiveRainfallMm: round1(effectiveMm),
+      netIrrigationMm: round1(netMm),
+      grossIrrigationMm: round1(grossMm),
+      netIrrigationLitres: Math.round(netMm * areaHectares * LITRES_PER_MM_HECTARE),
+      grossIrrigationLitres: Math.round(grossLitres),
+      ...(pump ? {
+        pumpHours: round1(grossLitres / pump.dischargeLph),
+        pumpHoursPerDay: round1(grossLitres / pump.dischargeLph / row.days)
+      } : {})
+    };
+  });
+
+  const sum = field => monthly.reduce((total, row) => total + row[field], 0);
+  const totals = {
+    cropWaterRequirementMm: Math.round(sum('cropWaterRequirementMm')),
+    effectiveRainfallMm: Math.round(sum('effectiveRainfallMm')),
+    netIrrigationMm: Math.round(sum('netIrrigationMm')),
+    grossIrrigationMm: Math.round(sum('grossIrrigationMm')),
+    netIrrigationLitres: sum('netIrrigationLitres'),
+    grossIrrigationLitres: sum('grossIrrigationLitres')
+  };
+
+  let pumpSummary = null;
+  if (pump) {
+    const peak = monthly.reduce((max, row) => (row.pumpHoursPerDay > max.pumpHoursPerDay ? row : max), monthly[0]);
+    pumpSummary = {
+      dischargeLph: pump.dischargeLph,
+      dischargeBasis: pump.basis,
+      horsepower: pump.horsepower,
+      headM: pump.headM,
+      totalHours: round1(sum('pumpHours')),
+      peakMonth: peak.month,
+      peakHoursPerDay: peak.pumpHoursPerDay,
+      powerSupplyHoursPerDay: pumpDefaults.powerSupplyHoursPerDay,
+      exceedsPowerSupply: peak.pumpHoursPerDay > pumpDefaults.powerSupplyHoursPerDay
+    };
+    if (pump.basis === "estimated") {
+      notes.push(`Pump discharge estimated for a ${pump.horsepower} HP pump lifting ${pump.headM} m at ${Math.round(pumpDefaults.efficiency * 100)}% efficiency; give pumpDischargeLph for a measured value`);
+    }
+    if (pumpSummary.exceedsPowerSupply) {
+      notes.push(`${peak.month} needs ${peak.pumpHoursPerDay} pump hours a day, more than the ${pumpDefaults.powerSupplyHoursPerDay} hours of farm power supply; switch to drip, stagger sowing or reduce the area`);
+    }
+  }
+
+  if (profile.cropId === 'paddy') {
+    notes.push("Excludes water for puddling, standing water and percolation, which add substantially to paddy's field need");
+  }
+
+  return {
+    crop: profile.name,
+    cropId: profile.cropId,
+    mandal,
+    unit: "mm",
+    sowingMonth,
+    sowingMonthSource,
+    durationDays: profile.durationDays,
+    areaHectares: round2(areaHectares),
+    irrigationMethod: method,
+    irrigationEfficiency: efficiency,
+    waterSource: options.waterSource || null,
+    rainfallBasis,
+    temperatureStation: station.name,
+    monthly,
+    totals,
+    pump: pumpSummary,
+    notes: [
+      `Reference ET by the Hargreaves method from approximate temperature normals for ${station.name}; effective rainfall by the USDA-SCS method on ${rainfallBasis === "dependable" ? "80% dependable" : "mean"} monthly rainfall`,
+      ...notes
+    ]
+  };
+}
+
+module.exports = {
+  IRRIGATION_EFFICIENCY,
+  RAINFALL_BASES,
+  pumpDefaults,
+  parseMonth,
+  referenceEvapotranspiration,
+  effectiveRainfall,
+  isBorewell,
+  cropWaterRequirement,
+  calculateIrrigationGap
+};
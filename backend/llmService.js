@@ -1,4 +1,6 @@
 const OpenAI = require('openai');
+const { getCropCategory } = require('./cropRegistry');
+const { getNormCostOfCultivation } = require('./profitabilityEngine');
 
 // Initialize OpenAI or Together AI client
 let llmClient = null;
@@ -88,19 +90,21 @@ Keep responses concise, actionable, and specific to the Chittoor district agricu
 function buildContextForLLM(cropName, recommendation, farmerData) {
   let context = `Analyze the profitability and viability of growing ${cropName} in the KUPPAM/PALAMANER region (Chittoor district, Andhra Pradesh).
 
-**Market Data (PALAMANER APMC):**
+**Market Data (${recommendation.marketData?.region || 'PALAMANER'} APMC${recommendation.marketDistanceKm ? `, ~${recommendation.marketDistanceKm} km away` : ''}):**
 - Average Market Price: ₹${recommendation.profitability.pricePerQuintal}/quintal
 - Market Demand: ${recommendation.demand}
 - Price Volatility: ${recommendation.marketData?.priceVolatility || 'N/A'}
 ${recommendation.marketData ? `- Recent Arrivals: ${recommendation.marketData.totalArrivals} quintals` : ''}
 
 **Financial Projections:**
-- Expected Income: ₹${recommendation.expectedIncome.toLocaleString('en-IN')}
-- Total Cost: ₹${Math.round(recommendation.profitability.totalCost).toLocaleString('en-IN')}
+- Expected Income (gross): ₹${recommendation.expectedIncome.toLocaleString('en-IN')}
+- Net Income after transport and market charges: ₹${recommendation.netIncome.toLocaleString('en-IN')}
+- Total Cost: ₹${Math.round(recommendation.profitability.totalCost).toLocaleString('en-IN')}${recommendation.profitability.costIsEstimate ? ' (a rough estimate from the cost of cultivation norm, not the farmer\'s costs)' : ''}
 - Expected Profit: ₹${Math.round(recommendation.profitability.profit).toLocaleString('en-IN')}
 - ROI: ${recommendation.profitability.roi}%
 - Success Rate: ${recommendation.successRate}%
 - Estimated Yield: ${recommendation.profitability.yieldQuintals.toFixed(1)} quintals per ${recommendation.areaHectares} hectares
+${recommendation.riskSimulation ? `- Simulated Profit Risk: ${Math.round(recommendation.riskSimulation.probabilityOfLoss * 100)}% chance of a loss (${recommendation.riskSimulation.riskLevel} risk${recommendation.riskSimulation.riskLevelBasis === 'fixedPrice' ? '; yield and drought variance only, as there is too little price history and the price is held fixed' : ''}); net income ₹${recommendation.riskSimulation.income.p10.toLocaleString('en-IN')} to ₹${recommendation.riskSimulation.income.p90.toLocaleString('en-IN')} in 80% of seasons` : ''}
 `;
 
   if (farmerData) {
@@ -213,14 +217,15 @@ Keep total response under 300 words.`
  * @param {string} cropName - Name of the crop
  * @param {Object} recommendation - Crop recommendation data with profitability info
  * @param {Object} farmerData - Optional farmer profile data
+ * @param {Object} options - { mandal } for the cost norm in the defaults
  * @returns {Promise<Object>} Structured operational details
  */
-async function generateCropOperationalDetails(cropName, recommendation, farmerData = null) {
+async function generateCropOperationalDetails(cropName, recommendation, farmerData = null, options = {}) {
   const client = initializeLLMClient();
   
   if (!client) {
     // Return defaults if LLM not available
-    return getDefaultOperationalDetails(cropName, recommendation);
+    return getDefaultOperationalDetails(cropName, recommendation, options.mandal);
   }
   
   // Build prompt for structured operational details
@@ -266,7 +271,7 @@ Return ONLY valid JSON with no additional text or explanations.`
     console.error(`Error generating operational details for ${cropName}:`, error.message);
     // Fall back to defaults on error
     try {
-      return getDefaultOperationalDetails(cropName, recommendation);
+      return getDefaultOperationalDetails(cropName, recommendation, options.mandal);
     } catch (fallbackError) {
       console.error('Error in fallback defaults:', fallbackError);
       // Ultimate fallback - return basic structure
@@ -308,6 +313,7 @@ CROP INFORMATION:
 - Success Rate: ${recommendation.successRate}%
 - Area: ${recommendation.areaHectares} hectares
 ${recommendation.marketData ? `- Average Price: ₹${recommendation.marketData.avgModalPrice}/quintal` : ''}
+${recommendation.riskSimulation?.riskLevel ? `- Risk Level: ${recommendation.riskSimulation.riskLevel} (${Math.round(recommendation.riskSimulation.probabilityOfLoss * 100)}% chance of a loss in a profit simulation; use this level)` : ''}
 `;
 
   if (farmerData) {
@@ -406,24 +412,14 @@ function validateOperationalDetails(details, cropName, recommendation) {
 }
 
 /**
- * Get default operational details based on crop type
+ * Get default operational details based on crop type, with the cost of cultivation from the crop's
+ * cost norm for the mandal
  */
-function getDefaultOperationalDetails(cropName, recommendation) {
-  const cropLower = cropName.toLowerCase();
-  
-  // Determine crop category
-  let category = 'vegetable';
-  if (cropLower.includes('rice') || cropLower.includes('wheat') || cropLower.includes('maize')) {
-    category = 'grain';
-  } else if (cropLower.includes('moong') || cropLower.includes('tur') || cropLower.includes('arhar') || cropLower.includes('dal')) {
-    category = 'pulse';
-  } else if (cropLower.includes('cotton') || cropLower.includes('sugarcane')) {
-    category = 'cash';
-  } else if (cropLower.includes('groundnut') || cropLower.includes('sesamum') || cropLower.includes('til')) {
-    category = 'oilseed';
-  }
+function getDefaultOperationalDetails(cropName, recommendation, mandal = null) {
+  const category = getCropCategory(cropName) || 'vegetable';
+  const { costOfCultivation, profitMargin } = getNormCostOfCultivation(cropName, recommendation, mandal);
   
-  // Default values based on category
+  // Default values based on category (fruits, spices and other horticulture crops use the vegetable defaults)
   const defaults = {
     vegetable: {
       equipmentNeeded: ['Tractor', 'Drip Irrigation', 'Sprayer', 'Harvester'],
@@ -516,8 +512,9 @@ function getDefaultOperationalDetails(cropName, recommendation) {
   
   return {
     ...categoryDefaults,
+    costOfCultivation,
     marketAnalysis: {
-      profitMargin: '20%',
+      profitMargin,
       marketDemand: recommendation.demand || 'Medium'
     }
   };
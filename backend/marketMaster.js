@@ -0,0 +1,150 @@
+const { resolveLocation } = require('./gazetteer');
+
+// Markets where Kuppam constituency farmers sell, with approximate coordinates.
+// charges are the deductions from a farmer's sale: commission agent %, market fee %,
+// hamali (loading/unloading labour) per quintal and grading/sorting losses %
+const marketMaster = {
+  "KUPPAM": {
+    name: "KUPPAM",
+    displayName: "Kuppam APMC",
+    state: "ANDHRA PRADESH",
+    district: "CHITTOOR",
+    latitude: 12.7479,
+    longitude: 78.3410,
+    charges: { commissionPercent: 8, marketFeePercent: 1, hamaliPerQuintal: 15, gradingLossPercent: 3 }
+  },
+  "PALAMANER": {
+    name: "PALAMANER",
+    displayName: "Palamaner APMC",
+    state: "ANDHRA PRADESH",
+    district: "CHITTOOR",
+    latitude: 13.2000,
+    longitude: 78.7480,
+    charges: { commissionPercent: 10, marketFeePercent: 1, hamaliPerQuintal: 15, gradingLossPercent: 4 }
+  },
+  "MADANAPALLE": {
+    name: "MADANAPALLE",
+    displayName: "Madanapalle APMC",
+    state: "ANDHRA PRADESH",
+    district: "ANNAMAYYA",
+    latitude: 13.5503,
+    longitude: 78.5026,
+    charges: { commissionPercent: 10, marketFeePercent: 1, hamaliPerQuintal: 12, gradingLossPercent: 4 }
+  },
+  "KOLAR": {
+    name: "KOLAR",
+    displayName: "Kolar APMC",
+    state: "KARNATAKA",
+    district: "KOLAR",
+    latitude: 13.1362,
+    longitude: 78.1292,
+    charges: { commissionPercent: 10, marketFeePercent: 1.5, hamaliPerQuintal: 15, gradingLossPercent: 4 }
+  },
+  "KRISHNAGIRI": {
+    name: "KRISHNAGIRI",
+    displayName: "Krishnagiri Regulated Market",
+    state: "TAMIL NADU",
+    district: "KRISHNAGIRI",
+    latitude: 12.5186,
+    longitude: 78.2137,
+    charges: { commissionPercent: 8, marketFeePercent: 1, hamaliPerQuintal: 12, gradingLossPercent: 3 }
+  }
+};
+
+// Straight-line distance is scaled up to approximate road distance
+const ROAD_DISTANCE_FACTOR = 1.3;
+
+// Markets further than this (by road) are not considered reachable by default
+const DEFAULT_MAX_MARKET_DISTANCE_KM = 100;
+
+/**
+ * Great-circle distance between two points in kilometres
+ */
+function haversineDistance(lat1, lon1, lat2, lon2) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const earthRadiusKm = 6371;
+
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+
+  return earthRadiusKm * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function getMarket(marketName) {
+  if (!marketName) return null;
+  return marketMaster[marketName.toUpperCase().replace(/\s*APMC$/, '').trim()] || null;
+}
+
+function getAllMarkets() {
+  return Object.values(marketMaster);
+}
+
+/**
+ * Find the location of a mandal or village through the gazetteer (exact match on names, Telugu names and codes)
+ * @param {string} mandalName - Mandal or village name as entered by the farmer
+ * @returns {Object|null} { mandal, latitude, longitude }
+ */
+function findMandalLocation(mandalName) {
+  const { location } = resolveLocation(mandalName);
+  if (!location || !location.mandal) return null;
+
+  return { mandal: location.mandal, latitude: location.latitude, longitude: location.longitude };
+}
+
+/**
+ * Pick candidate markets for a farmer's mandal, nearest first
+ * @param {string} mandalName - Farmer's mandal
+ * @param {Object} options - { maxDistanceKm }
+ * @returns {Array} [{ market, displayName, state, distanceKm }] - distanceKm is null when the mandal is unknown
+ */
+function resolveCandidateMarkets(mandalName, options = {}) {
+  const { maxDistanceKm = DEFAULT_MAX_MARKET_DISTANCE_KM } = options;
+  const location = findMandalLocation(mandalName);
+
+  if (!location) {
+    return getAllMarkets().map(market => ({
+      market: market.name,
+      displayName: market.displayName,
+      state: market.state,
+      distanceKm: null
+    }));
+  }
+
+  return getAllMarkets()
+    .map(market => ({
+      market: market.name,
+      displayName: market.displayName,
+      state: market.state,
+      distanceKm: Math.round(
+        haversineDistance(location.latitude, location.longitude, market.latitude, market.longitude) * ROAD_DISTANCE_FACTOR
+      )
+    }))
+    .filter(candidate => candidate.distanceKm <= maxDistanceKm)
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+/**
+ * Estimated road distance from a mandal to a market
+ * @returns {number|null} Distance in km, or null if the mandal or market is unknown
+ */
+function getMarketDistance(mandalName, marketName) {
+  const location = findMandalLocation(mandalName);
+  const market = getMarket(marketName);
+  if (!location || !market) return null;
+
+  return Math.round(
+    haversineDistance(location.latitude, location.longitude, market.latitude, market.longitude) * ROAD_DISTANCE_FACTOR
+  );
+}
+
+module.exports = {
+  marketMaster,
+  haversineDistance,
+  getMarket,
+  getAllMarkets,
+  findMandalLocation,
+  resolveCandidateMarkets,
+  getMarketDistance
+};
@@ -0,0 +1,324 @@
+const { finiteOr } = require('./numbers');
+
+// Price volatility, demand and glut signals computed from APMC daily price and arrival series.
+// Defaults can be overridden with environment variables or configureMarketSignals().
+const marketSignalConfig = {
+  volatility: {
+    // "CV" (coefficient of variation), "DRAWDOWN" (max drawdown) or "COMBINED" (the higher of the two levels)
+    method: process.env.VOLATILITY_METHOD || "COMBINED",
+    windowDays: finiteOr(parseInt(process.env.VOLATILITY_WINDOW_DAYS, 10), 30),
+    thresholds: {
+      cv: {
+        low: finiteOr(parseFloat(process.env.VOLATILITY_CV_LOW), 0.08),
+        high: finiteOr(parseFloat(process.env.VOLATILITY_CV_HIGH), 0.15)
+      },
+      drawdown: {
+        low: finiteOr(parseFloat(process.env.VOLATILITY_DRAWDOWN_LOW), 0.10),
+        high: finiteOr(parseFloat(process.env.VOLATILITY_DRAWDOWN_HIGH), 0.25)
+      }
+    }
+  },
+  demand: {
+    // "TREND" (arrival and price movement) or "LEVELS" (arrival volume and price level)
+    method: process.env.DEMAND_METHOD || "TREND",
+    windowDays: finiteOr(parseInt(process.env.DEMAND_WINDOW_DAYS, 10), 30),
+    // Fewer trading days than this fall back to the LEVELS method
+    minObservations: finiteOr(parseInt(process.env.DEMAND_MIN_OBSERVATIONS, 10), 3),
+    // Demand index (price change + arrivals change) cut-offs
+    thresholds: {
+      high: finiteOr(parseFloat(process.env.DEMAND_INDEX_HIGH), 0.15),
+      mediumHigh: finiteOr(parseFloat(process.env.DEMAND_INDEX_MEDIUM_HIGH), 0.05),
+      medium: finiteOr(parseFloat(process.env.DEMAND_INDEX_MEDIUM), -0.05)
+    }
+  },
+  glut: {
+    // Latest trading days compared against the baseline
+    recentDays: finiteOr(parseInt(process.env.GLUT_RECENT_DAYS, 10), 3),
+    // Trailing baseline window, used when there is no same-month history from earlier years
+    baselineDays: finiteOr(parseInt(process.env.GLUT_BASELINE_DAYS, 10), 30),
+    minBaselineDays: finiteOr(parseInt(process.env.GLUT_MIN_BASELINE_DAYS, 10), 3),
+    // Fractions of the baseline: arrivals rise and modal price fall that flag a glut, and the severe levels
+    thresholds: {
+      arrivalsSpike: finiteOr(parseFloat(process.env.GLUT_ARRIVALS_SPIKE), 0.3),
+      priceDrop: finiteOr(parseFloat(process.env.GLUT_PRICE_DROP), 0.1),
+      severeArrivalsSpike: finiteOr(parseFloat(process.env.GLUT_SEVERE_ARRIVALS_SPIKE), 1.0),
+      severePriceDrop: finiteOr(parseFloat(process.env.GLUT_SEVERE_PRICE_DROP), 0.25)
+    }
+  }
+};
+
+const LEVELS = ["LOW", "MEDIUM", "HIGH"];
+
+const round = (value, digits = 4) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Override signal settings, e.g. configureMarketSignals({ volatility: { method: "CV" } })
+ * Callers that cache derived data (apmcData.js) must rebuild it afterwards.
+ * @returns {Object} The updated configuration
+ */
+function configureMarketSignals(overrides = {}) {
+  ['volatility', 'demand', 'glut'].forEach(section => {
+    if (!overrides[section]) return;
+    const { thresholds, ...rest } = overrides[section];
+    Object.assign(marketSignalConfig[section], rest);
+    if (thresholds) {
+      Object.entries(thresholds).forEach(([key, value]) => {
+        marketSignalConfig[section].thresholds[key] = typeof value === 'object'
+          ? { ...marketSignalConfig[section].thresholds[key], ...value }
+          : value;
+      });
+    }
+  });
+  return marketSignalConfig;
+}
+
+/**
+ * Combine trade records into one entry per trading day, oldest first.
+ * Records for different varieties on the same day are combined (arrival-weighted modal price).
+ * @param {Array} records - APMC trade records for one commodity at one market
+ * @returns {Array} [{ date, minPrice, maxPrice, modalPrice, arrivals }]
+ */
+function toDailySeries(records) {
+  const byDate = {};
+  records.forEach(record => {
+    if (!byDate[record.date]) byDate[record.date] = [];
+    byDate[record.date].push(record);
+  });
+
+  return Object.keys(byDate).sort().map(date => {
+    const dayRecords = byDate[date];
+    const arrivals = dayRecords.reduce((sum, r) => sum + (r.arrivals || 0), 0);
+    const modalPrice = arrivals > 0
+      ? dayRecords.reduce((sum, r) => sum + r.modalPrice * (r.arrivals || 0), 0) / arrivals
+      : dayRecords.reduce((sum, r) => sum + r.modalPrice, 0) / dayRecords.length;
+
+    return {
+      date,
+      minPrice: Math.min(...dayRecords.map(r => r.minPrice ?? r.modalPrice)),
+      maxPrice: Math.max(...dayRecords.map(r => r.maxPrice ?? r.modalPrice)),
+      modalPrice: Math.round(modalPrice),
+      arrivals: Math.round(arrivals * 100) / 100
+    };
+  });
+}
+
+function coefficientOfVariation(prices) {
+  if (prices.length < 2) return 0;
+  const mean = average(prices);
+  if (mean <= 0) return 0;
+  const variance = prices.reduce((sum, price) => sum + Math.pow(price - mean, 2), 0) / prices.length;
+  return Math.sqrt(variance) / mean;
+}
+
+/**
+ * Largest fall from a running peak, as a fraction of the peak
+ */
+function maxDrawdown(prices) {
+  let peak = -Infinity;
+  let drawdown = 0;
+  prices.forEach(price => {
+    peak = Math.max(peak, price);
+    if (peak > 0) drawdown = Math.max(drawdown, (peak - price) / peak);
+  });
+  return drawdown;
+}
+
+function classify(value, thresholds) {
+  if (value < thresholds.low) return "LOW";
+  if (value < thresholds.high) return "MEDIUM";
+  return "HIGH";
+}
+
+/**
+ * Price volatility of a daily series over the configured window
+ * @param {Array} series - Daily series from toDailySeries (oldest first)
+ * @returns {Object} { level, method, coefficientOfVariation, maxDrawdown, observations }
+ */
+function calculateVolatility(series) {
+  const { method, windowDays, thresholds } = marketSignalConfig.volatility;
+  const prices = series.slice(-windowDays).map(day => day.modalPrice);
+
+  const cv = coefficientOfVariation(prices);
+  const drawdown = maxDrawdown(prices);
+  const cvLevel = classify(cv, thresholds.cv);
+  const drawdownLevel = classify(drawdown, thresholds.drawdown);
+
+  let level;
+  if (prices.length < 2) {
+    level = "LOW";
+  } else if (method === "CV") {
+    level = cvLevel;
+  } else if (method === "DRAWDOWN") {
+    level = drawdownLevel;
+  } else {
+    level = LEVELS[Math.max(LEVELS.indexOf(cvLevel), LEVELS.indexOf(drawdownLevel))];
+  }
+
+  return {
+    level,
+    method,
+    coefficientOfVariation: round(cv),
+    maxDrawdown: round(drawdown),
+    observations: prices.length
+  };
+}
+
+/**
+ * Demand from arrival volume and price level (used when there is too little history for a trend)
+ */
+function demandFromLevels(totalArrivals, avgPrice) {
+  // High arrivals + Good prices = High demand
+  if (totalArrivals > 150 && avgPrice > 3000) return "HIGH";
+  if (totalArrivals > 100 || avgPrice > 3500) return "MEDIUM-HIGH";
+  if (totalArrivals > 50 && avgPrice > 2000) return "MEDIUM";
+  return "LOW-MEDIUM";
+}
+
+/**
+ * Demand level from arrival and price behaviour over the configured window.
+ * The window is split into an earlier and a later half. A rise in demand lifts both prices and
+ * arrivals, so when they move together the demand index is the sum of the two changes. When they
+ * move in opposite directions the move is supply-driven (e.g. a glut: arrivals up, price down) and
+ * the index is the price change alone. A detected glut caps the level at LOW-MEDIUM.
+ * @param {Array} series - Daily series from toDailySeries (oldest first)
+ * @param {Object} recent - { totalArrivals, avgModalPrice } of the recent trades, for the LEVELS method
+ * @param {Object} glut - Optional, from calculateGlut
+ * @returns {Object} { level, method, demandIndex, priceChangePercent, arrivalsChangePercent, supplyDriven,
+ *   glut, observations }
+ */
+function calculateDemand(series, recent, glut = null) {
+  const { method, windowDays, minObservations, thresholds } = marketSignalConfig.demand;
+  const window = series.slice(-windowDays);
+
+  const glutDetected = Boolean(glut && glut.detected);
+
+  if (method === "LEVELS" || window.length < Math.max(minObservations, 2)) {
+    return {
+      level: glutDetected ? "LOW-MEDIUM" : demandFromLevels(recent.totalArrivals, recent.avgModalPrice),
+      method: "LEVELS",
+      demandIndex: null,
+      priceChangePercent: null,
+      arrivalsChangePercent: null,
+      supplyDriven: null,
+      glut: glutDetected,
+      observations: window.length
+    };
+  }
+
+  const split = Math.floor(window.length / 2);
+  const earlier = window.slice(0, split);
+  const later = window.slice(split);
+
+  const change = (before, after) => (before > 0 ? (after - before) / before : 0);
+  const priceChange = change(average(earlier.map(d => d.modalPrice)), average(later.map(d => d.modalPrice)));
+  const arrivalsChange = change(average(earlier.map(d => d.arrivals)), average(later.map(d => d.arrivals)));
+  const supplyDriven = priceChange * arrivalsChange < 0;
+  const demandIndex = supplyDriven ? priceChange : priceChange + arrivalsChange;
+
+  let level = "LOW-MEDIUM";
+  if (glutDetected) level = "LOW-MEDIUM"; // a glut is never reported as demand
+  else if (demandIndex >= thresholds.high) level = "HIGH";
+  else if (demandIndex >= thresholds.mediumHigh) level = "MEDIUM-HIGH";
+  else if (demandIndex >= thresholds.medium) level = "MEDIUM";
+
+  return {
+    level,
+    method: "TREND",
+    demandIndex: round(demandIndex),
+    priceChangePercent: round(priceChange * 100, 2),
+    arrivalsChangePercent: round(arrivalsChange * 100, 2),
+    supplyDriven,
+    glut: glutDetected,
+    observations: window.length
+  };
+}
+
+/**
+ * Baseline days for a glut check: the same calendar months in earlier years (seasonal), or failing
+ * that the trading days just before the recent window (trailing)
+ */
+function selectGlutBaseline(earlierDays, recent, config) {
+  const recentMonths = new Set(recent.map(day => day.date.slice(5, 7)));
+  const recentYear = recent[0].date.slice(0, 4);
+  const seasonal = earlierDays.filter(day =>
+    recentMonths.has(day.date.slice(5, 7)) && day.date.slice(0, 4) < recentYear
+  );
+  if (seasonal.length >= config.minBaselineDays) return { type: "SEASONAL", days: seasonal };
+
+  const trailing = earlierDays.slice(-config.baselineDays);
+  if (trailing.length >= config.minBaselineDays) return { type: "TRAILING", days: trailing };
+
+  return { type: null, days: [] };
+}
+
+/**
+ * Market glut check: arrivals over the recent trading days well above their baseline while the
+ * modal price falls below it. Either movement alone is ordinary (a good harvest, a price dip).
+ * @param {Array} series - Daily series from toDailySeries (oldest first)
+ * @returns {Object} { detected, severity, baselineType, baselineArrivalsPerDay, recentArrivalsPerDay,
+ *   arrivalsChangePercent, baselineModalPrice, recentModalPrice, priceChangePercent, recentFrom, recentTo, baselineDays }
+ */
+function calculateGlut(series) {
+  const config = marketSignalConfig.glut;
+  const { thresholds } = config;
+  const recent = series.slice(-config.recentDays);
+  const baseline = recent.length > 0
+    ? selectGlutBaseline(series.slice(0, series.length - recent.length), recent, config)
+    : { type: null, days: [] };
+
+  const result = {
+    detected: false,
+    severity: null,
+    baselineType: baseline.type,
+    baselineArrivalsPerDay: null,
+    recentArrivalsPerDay: null,
+    arrivalsChangePercent: null,
+    baselineModalPrice: null,
+    recentModalPrice: null,
+    priceChangePercent: null,
+    recentFrom: recent[0]?.date || null,
+    recentTo: recent[recent.length - 1]?.date || null,
+    baselineDays: baseline.days.length
+  };
+  if (!baseline.type) return result;
+
+  const baselineArrivals = average(baseline.days.map(d => d.arrivals));
+  const recentArrivals = average(recent.map(d => d.arrivals));
+  const baselinePrice = average(baseline.days.map(d => d.modalPrice));
+  const recentPrice = average(recent.map(d => d.modalPrice));
+  const arrivalsChange = baselineArrivals > 0 ? (recentArrivals - baselineArrivals) / baselineArrivals : 0;
+  const priceChange = baselinePrice > 0 ? (recentPrice - baselinePrice) / baselinePrice : 0;
+
+  Object.assign(result, {
+    baselineArrivalsPerDay: round(baselineArrivals, 2),
+    recentArrivalsPerDay: round(recentArrivals, 2),
+    arrivalsChangePercent: round(arrivalsChange * 100, 2),
+    baselineModalPrice: Math.round(baselinePrice),
+    recentModalPrice: Math.round(recentPrice),
+    priceChangePercent: round(priceChange * 100, 2)
+  });
+
+  const priceDrop = -priceChange;
+  if (arrivalsChange >= thresholds.arrivalsSpike && priceDrop >= thresholds.priceDrop) {
+    const severeArrivals = arrivalsChange >= thresholds.severeArrivalsSpike;
+    const severeDrop = priceDrop >= thresholds.severePriceDrop;
+    result.detected = true;
+    result.severity = severeArrivals && severeDrop ? "HIGH" : (severeArrivals || severeDrop ? "MEDIUM" : "LOW");
+  }
+
+  return result;
+}
+
+module.exports = {
+  marketSignalConfig,
+  configureMarketSignals,
+  toDailySeries,
+  coefficientOfVariation,
+  maxDrawdown,
+  calculateVolatility,
+  demandFromLevels,
+  calculateDemand,
+  calculateGlut
+};
@@ -1,3 +1,5 @@
+const { resolveCrop } = require('./cropRegistry');
+
 const mspData = {
   // KHARIF CROPS (KMS - Kharif Marketing Season)
   "Paddy (Common)": {
@@ -120,51 +122,57 @@ const mspData = {
     "2025-26": 9537
   },
 
-  // RABI CROPS (RMS - Rabi Marketing Season)
+  // RABI CROPS (RMS - Rabi Marketing Season; RMS 2026-27 is the crop sown in Rabi 2025-26)
   "Wheat": {
     "2021-22": 1975,
     "2022-23": 2015,
     "2023-24": 2125,
     "2024-25": 2275,
-    "2025-26": 2425
+    "2025-26": 2425,
+    "2026-27": 2585
   },
   "Barley": {
     "2021-22": 1600,
     "2022-23": 1635,
     "2023-24": 1735,
     "2024-25": 1850,
-    "2025-26": 1980
+    "2025-26": 1980,
+    "2026-27": 2150
   },
   "Gram": {
     "2021-22": 5100,
     "2022-23": 5230,
     "2023-24": 5335,
     "2024-25": 5440,
-    "2025-26": 5650
+    "2025-26": 5650,
+    "2026-27": 5875
   },
   "Masur (Lentil)": {
     "2021-22": 5100,
     "2022-23": 5500,
     "2023-24": 6000,
     "2024-25": 6425,
-    "2025-26": 6700
+    "2025-26": 6700,
+    "2026-27": 7000
   },
   "Rapeseed And Mustard": {
     "2021-22": 4650,
     "2022-23": 5050,
     "2023-24": 5450,
     "2024-25": 5650,
-    "2025-26": 5950
+    "2025-26": 5950,
+    "2026-27": 6200
   },
   "Safflower": {
     "2021-22": 5327,
     "2022-23": 5441,
     "2023-24": 5650,
     "2024-25": 5800,
-    "2025-26": 5940
+    "2025-26": 5940,
+    "2026-27": 6540
   },
 
-  // COMMERCIAL CROPS
+  // COMMERCIAL CROPS (Jute season runs July-June and follows the Kharif rules below)
   "Jute": {
     "2021-22": 4500,
     "2022-23": 4750,
@@ -174,18 +182,168 @@ const mspData = {
   }
 };
 
+// Marketing season each MSP table belongs to
+const RABI_MSP_KEYS = ["Wheat", "Barley", "Gram", "Masur (Lentil)", "Rapeseed And Mustard", "Safflower"];
+
+const MARKETING_SEASONS = {
+  Kharif: { code: "KMS", name: "Kharif Marketing Season", months: "October-September" },
+  Rabi: { code: "RMS", name: "Rabi Marketing Season", months: "April-March" }
+};
+
+function getMSPSeason(mspKey) {
+  return RABI_MSP_KEYS.includes(mspKey) ? "Rabi" : "Kharif";
+}
+
+/**
+ * Format the marketing year that starts in a calendar year ("2025-26")
+ */
+function formatMarketingYear(startYear) {
+  return `${startYear}-${String(startYear + 1).slice(2)}`;
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * Marketing year whose MSP applies to a crop, from its sowing or harvest date.
+ *
+ * Kharif (KMS): a crop sown from March onwards, or harvested from July onwards, belongs to that
+ * year's KMS; earlier dates belong to the previous one (a Rabi paddy sown in December and harvested
+ * in April is still procured under the KMS of the previous Kharif).
+ * Rabi (RMS): a crop sown from August onwards belongs to the next year's RMS; a crop harvested
+ * before October belongs to that year's RMS (wheat harvested in March 2026 → RMS 2026-27).
+ *
+ * @param {string} season - "Kharif" or "Rabi"
+ * @param {Object} dates - { sowingDate, harvestDate }; the harvest date wins when both are given
+ * @returns {Object|null} { marketingYear, resolvedFrom }
+ */
+function getMarketingYear(season, { sowingDate, harvestDate } = {}) {
+  const harvest = parseDate(harvestDate);
+  const sowing = parseDate(sowingDate);
+  const isRabi = season === "Rabi";
+
+  if (harvest) {
+    const year = harvest.getFullYear();
+    const month = harvest.getMonth() + 1;
+    const startYear = isRabi ? (month >= 10 ? year + 1 : year) : (month >= 7 ? year : year - 1);
+    return { marketingYear: formatMarketingYear(startYear), resolvedFrom: "harvestDate" };
+  }
+
+  if (sowing) {
+    const year = sowing.getFullYear();
+    const month = sowing.getMonth() + 1;
+    const startYear = isRabi ? (month >= 8 ? year + 1 : year) : (month >= 3 ? year : year - 1);
+    return { marketingYear: formatMarketingYear(startYear), resolvedFrom: "sowingDate" };
+  }
+
+  return null;
+}
+
+function getLatestYear(mspKey) {
+  return Object.keys(mspData[mspKey]).sort().pop();
+}
+
 function getMSPData() {
-  return Object.keys(mspData).map(crop => ({
-    crop,
-    latestMSP: mspData[crop]["2025-26"] || mspData[crop]["2024-25"], // Use most recent
-    trend: {
-      "2021-22": mspData[crop]["2021-22"] || 0,
-      "2022-23": mspData[crop]["2022-23"] || 0,
-      "2023-24": mspData[crop]["2023-24"] || 0,
-      "2024-25": mspData[crop]["2024-25"] || 0,
-      "2025-26": mspData[crop]["2025-26"] || 0
-    }
-  }));
+  return Object.keys(mspData).map(crop => {
+    const latestYear = getLatestYear(crop);
+    return {
+      crop,
+      season: getMSPSeason(crop),
+      latestYear,
+      latestMSP: mspData[crop][latestYear],
+      trend: {
+        "2021-22": mspData[crop]["2021-22"] || 0,
+        "2022-23": mspData[crop]["2022-23"] || 0,
+        "2023-24": mspData[crop]["2023-24"] || 0,
+        "2024-25": mspData[crop]["2024-25"] || 0,
+        "2025-26": mspData[crop]["2025-26"] || 0,
+        ...(mspData[crop]["2026-27"] ? { "2026-27": mspData[crop]["2026-27"] } : {})
+      }
+    };
+  });
+}
+
+/**
+ * Resolve a crop name to its MSP key through the crop registry.
+ * Crops with several MSP grades (e.g. Paddy Common / Grade A) resolve to the first (common) grade.
+ * @param {string} cropName - Crop name, alias or MSP key
+ * @returns {string|null} Key in mspData
+ */
+function resolveMSPKey(cropName) {
+  if (!cropName) return null;
+  if (mspData[cropName]) return cropName;
+
+  const crop = resolveCrop(cropName);
+  if (!crop) return null;
+
+  return crop.mspKeys.find(key => mspData[key]) || null;
+}
+
+/**
+ * Get MSP details (latest MSP and 5-year trend) for a crop
+ * @returns {Object|null} Entry from getMSPData, or null if the crop has no MSP
+ */
+function getCropMSP(cropName) {
+  const mspKey = resolveMSPKey(cropName);
+  if (!mspKey) return null;
+
+  return getMSPData().find(entry => entry.crop === mspKey);
+}
+
+/**
+ * Applicable MSP for a crop, by season and marketing year.
+ * The marketing year is taken from options.marketingYear, else resolved from the harvest or
+ * sowing date, else from options.date (treated as the sale date), else today. When the MSP for
+ * that year is not in the table, the latest announced MSP is returned with isLatestAvailable set.
+ * @param {string} cropName - Crop name, alias or MSP key
+ * @param {Object} options - { marketingYear, sowingDate, harvestDate, date }
+ * @returns {Object|null} MSP details, or null if the crop has no MSP
+ */
+function getApplicableMSP(cropName, options = {}) {
+  const mspKey = resolveMSPKey(cropName);
+  if (!mspKey) return null;
+
+  const crop = resolveCrop(cropName);
+  const season = getMSPSeason(mspKey);
+
+  let resolution;
+  if (options.marketingYear) {
+    resolution = { marketingYear: options.marketingYear, resolvedFrom: "marketingYear" };
+  } else {
+    resolution = getMarketingYear(season, options) ||
+      { ...getMarketingYear(season, { harvestDate: parseDate(options.date) || new Date() }), resolvedFrom: options.date ? "date" : "today" };
+  }
+
+  const table = mspData[mspKey];
+  const latestYear = getLatestYear(mspKey);
+  const announced = table[resolution.marketingYear] !== undefined;
+  const appliedYear = announced ? resolution.marketingYear : latestYear;
+
+  // Other grades of the same crop (e.g. Paddy Grade A, Cotton Long Staple)
+  const grades = (crop ? crop.mspKeys : [mspKey])
+    .filter(key => mspData[key])
+    .map(key => ({ mspKey: key, msp: mspData[key][appliedYear] ?? null }));
+
+  return {
+    crop: crop ? crop.name : mspKey,
+    cropId: crop ? crop.id : null,
+    mspKey,
+    season,
+    marketingSeason: MARKETING_SEASONS[season].code,
+    requestedMarketingYear: resolution.marketingYear,
+    marketingYear: appliedYear,
+    resolvedFrom: resolution.resolvedFrom,
+    msp: table[appliedYear],
+    unit: "Rs/Qui",
+    isLatestAvailable: !announced,
+    note: announced
+      ? null
+      : `MSP for ${MARKETING_SEASONS[season].code} ${resolution.marketingYear} is not in the MSP table; latest announced (${latestYear}) used`,
+    grades
+  };
 }
 
 function getHighValueCrops() {
@@ -195,5 +353,11 @@ function getHighValueCrops() {
 module.exports = {
   mspData,
   getMSPData,
+  MARKETING_SEASONS,
+  getMSPSeason,
+  getMarketingYear,
+  resolveMSPKey,
+  getCropMSP,
+  getApplicableMSP,
   getHighValueCrops
 };
@@ -0,0 +1,105 @@
+const { getMarket, getMarketDistance } = require('./marketMaster');
+
+// Hired transport: capacity per trip (quintals) and charge per km (covers the empty return)
+const vehicleTypes = {
+  "AUTO": { name: "Auto / three-wheeler", capacityQuintals: 5, ratePerKm: 18 },
+  "MINI_TRUCK": { name: "Mini truck (Tata Ace / Bolero pickup)", capacityQuintals: 12, ratePerKm: 26 },
+  "TRACTOR": { name: "Tractor with trailer", capacityQuintals: 30, ratePerKm: 35 },
+  "TRUCK": { name: "Lorry", capacityQuintals: 90, ratePerKm: 48 }
+};
+
+const DEFAULT_VEHICLE_TYPE = "MINI_TRUCK";
+
+// Used when the farmer's mandal is missing or not in the mandal list
+const DEFAULT_ORIGIN_MANDAL = "KUPPAM";
+
+// Deductions for markets without their own charges
+const DEFAULT_MARKET_CHARGES = {
+  commissionPercent: 10,
+  marketFeePercent: 1,
+  hamaliPerQuintal: 15,
+  gradingLossPercent: 4
+};
+
+const round = value => Math.round(value);
+
+/**
+ * Transport cost for hauling produce to market
+ * @param {number} quantityQuintals - Quantity to transport
+ * @param {number} distanceKm - Road distance to the market
+ * @param {string} vehicleType - Key of vehicleTypes
+ * @returns {Object} { vehicleType, trips, distanceKm, cost }
+ */
+function calculateTransportCost(quantityQuintals, distanceKm, vehicleType = DEFAULT_VEHICLE_TYPE) {
+  const typeKey = (vehicleType || DEFAULT_VEHICLE_TYPE).toUpperCase().replace(/[\s-]+/g, '_');
+  const vehicle = vehicleTypes[typeKey] || vehicleTypes[DEFAULT_VEHICLE_TYPE];
+  const trips = quantityQuintals > 0 ? Math.ceil(quantityQuintals / vehicle.capacityQuintals) : 0;
+
+  return {
+    vehicleType: vehicleTypes[typeKey] ? typeKey : DEFAULT_VEHICLE_TYPE,
+    vehicle: vehicle.name,
+    trips,
+    distanceKm,
+    cost: round(trips * distanceKm * vehicle.ratePerKm)
+  };
+}
+
+/**
+ * Net price realization: what the farmer receives after selling at a market.
+ * Grading losses reduce the saleable quantity; commission and market fee are charged
+ * on the sale value; hamali is charged per quintal handled.
+ * @param {Object} params
+ * @param {number} params.pricePerQuintal - Market (modal) price
+ * @param {number} params.quantityQuintals - Quantity taken to market
+ * @param {string} params.market - Market name (for its charges)
+ * @param {string} params.mandal - Farmer's mandal (for transport distance)
+ * @param {number} params.distanceKm - Road distance; overrides the mandal-based estimate
+ * @param {string} params.vehicleType - Key of vehicleTypes
+ * @returns {Object} Gross income, itemized deductions and net income
+ */
+function calculateNetRealization({ pricePerQuintal, quantityQuintals, market, mandal = null, distanceKm = null, vehicleType = DEFAULT_VEHICLE_TYPE }) {
+  const marketInfo = getMarket(market);
+  const charges = marketInfo?.charges || DEFAULT_MARKET_CHARGES;
+
+  const distance = distanceKm ??
+    getMarketDistance(mandal, market) ??
+    getMarketDistance(DEFAULT_ORIGIN_MANDAL, market) ??
+    0;
+
+  const grossIncome = pricePerQuintal * quantityQuintals;
+  const gradingLoss = grossIncome * (charges.gradingLossPercent / 100);
+  const saleValue = grossIncome - gradingLoss;
+  const commission = saleValue * (charges.commissionPercent / 100);
+  const marketFee = saleValue * (charges.marketFeePercent / 100);
+  const hamali = quantityQuintals * charges.hamaliPerQuintal;
+  const transport = calculateTransportCost(quantityQuintals, distance, vehicleType);
+
+  const totalDeductions = gradingLoss + commission + marketFee + hamali + transport.cost;
+  const netIncome = grossIncome - totalDeductions;
+
+  return {
+    market: marketInfo ? marketInfo.name : market,
+    grossIncome: round(grossIncome),
+    deductions: {
+      transport: transport.cost,
+      commission: round(commission),
+      hamali: round(hamali),
+      marketFee: round(marketFee),
+      gradingLoss: round(gradingLoss)
+    },
+    totalDeductions: round(totalDeductions),
+    netIncome: round(netIncome),
+    netPricePerQuintal: quantityQuintals > 0 ? round(netIncome / quantityQuintals) : 0,
+    deductionPercent: grossIncome > 0 ? Math.round((totalDeductions / grossIncome) * 1000) / 10 : 0,
+    assumptions: {
+      charges,
+      transport
+    }
+  };
+}
+
+module.exports = {
+  vehicleTypes,
+  calculateTransportCost,
+  calculateNetRealization
+};
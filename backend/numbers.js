@@ -0,0 +1,11 @@
+// Reading numbers from settings and request options
+
+/**
+ * A finite number, or the fallback. Unlike `value || fallback`, 0 is kept: it is a valid rate,
+ * cost, gain or threshold, and parseFloat of an unset or mistyped setting gives NaN
+ */
+const finiteOr = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+
+module.exports = {
+  finiteOr
+};
@@ -0,0 +1,438 @@
+const { resolveAPMCCommodity, getAPMCCropData, getAPMCStoreModifiedTime } = require('./apmcData');
+const { getPriceHistory, aggregateMonthly, MONTH_NAMES, toMonthName } = require('./priceHistory');
+const { finiteOr } = require('./numbers');
+
+// Monthly price forecasts from the stored APMC series. Several simple models are backtested on the
+// crop's own history and the one with the lowest error is used.
+const SEASON_LENGTH = 12;
+const MAX_HORIZON_MONTHS = 12;
+
+// Rolling-origin backtest: the last few months are forecast from the history before them
+const BACKTEST_ORIGINS = finiteOr(parseInt(process.env.FORECAST_BACKTEST_ORIGINS, 10), 6);
+const BACKTEST_HORIZON_MONTHS = 4;
+
+// Fitted models by commodity and market, kept until the APMC store file changes
+const fittedModels = new Map();
+
+// Two-sided normal quantiles for the supported prediction interval levels
+const INTERVAL_Z = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96 };
+const DEFAULT_INTERVAL_LEVEL = 0.8;
+
+const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Monthly average modal prices, oldest first, with missing months filled by linear interpolation
+ * @returns {Object} { months: ["YYYY-MM"], values: [price], filledMonths }
+ */
+function toContinuousMonthly(monthly) {
+  if (monthly.length === 0) return { months: [], values: [], filledMonths: 0 };
+
+  const toIndex = month => parseInt(month.slice(0, 4), 10) * 12 + parseInt(month.slice(5, 7), 10) - 1;
+  const toMonth = index => `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+  const known = new Map(monthly.map(m => [toIndex(m.month), m.avgModalPrice]));
+  const first = toIndex(monthly[0].month);
+  const last = toIndex(monthly[monthly.length - 1].month);
+
+  const months = [];
+  const values = [];
+  let filledMonths = 0;
+  let previous = first;
+  for (let index = first; index <= last; index++) {
+    months.push(toMonth(index));
+    if (known.has(index)) {
+      values.push(known.get(index));
+      previous = index;
+    } else {
+      let next = index + 1;
+      while (!known.has(next)) next++;
+      const weight = (index - previous) / (next - previous);
+      values.push(known.get(previous) + (known.get(next) - known.get(previous)) * weight);
+      filledMonths++;
+    }
+  }
+
+  return { months, values, filledMonths };
+}
+
+/**
+ * Naive: every future month at the last observed price
+ */
+const naiveModel = {
+  name: "NAIVE",
+  minLength: 2,
+  fit(values) {
+    const fitted = values.map((_, t) => (t === 0 ? null : values[t - 1]));
+    const last = values[values.length - 1];
+    return { fitted, forecast: horizon => Array(horizon).fill(last) };
+  }
+};
+
+/**
+ * Seasonal naive: every future month at the price of the same month a year earlier
+ */
+const seasonalNaiveModel = {
+  name: "SEASONAL_NAIVE",
+  minLength: SEASON_LENGTH + 1,
+  fit(values) {
+    const n = values.length;
+    const fitted = values.map((_, t) => (t < SEASON_LENGTH ? null : values[t - SEASON_LENGTH]));
+    return {
+      fitted,
+      forecast: horizon => Array.from({ length: horizon }, (_, i) =>
+        values[n - SEASON_LENGTH + (i % SEASON_LENGTH)]
+      )
+    };
+  }
+};
+
+/**
+ * One pass of damped-trend exponential smoothing, with multiplicative seasonality when seasonal
+ */
+function runHoltWinters(values, { alpha, beta, gamma, phi }, seasonal) {
+  const m = SEASON_LENGTH;
+  const start = seasonal ? m : 1;
+  let level = seasonal ? mean(values.slice(0, m)) : values[0];
+  let trend = seasonal
+    ? (mean(values.slice(m, 2 * m)) - mean(values.slice(0, m))) / m
+    : values[1] - values[0];
+  const season = seasonal ? values.slice(0, m).map(value => value / level) : [];
+
+  const fitted = Array(values.length).fill(null);
+  for (let t = start; t < values.length; t++) {
+    const factor = seasonal ? season[t - m] : 1;
+    fitted[t] = (level + phi * trend) * factor;
+
+    const previousLevel = level;
+    level = alpha * (values[t] / factor) + (1 - alpha) * (previousLevel + phi * trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * phi * trend;
+    if (seasonal) season.push(gamma * (values[t] / level) + (1 - gamma) * season[t - m]);
+  }
+
+  const n = values.length;
+  const forecast = horizon => Array.from({ length: horizon }, (_, i) => {
+    let damping = 0;
+    for (let k = 1; k <= i + 1; k++) damping += Math.pow(phi, k);
+    const factor = seasonal ? season[n - m + (i % m)] : 1;
+    return Math.max(0, (level + damping * trend) * factor);
+  });
+
+  return { fitted, forecast };
+}
+
+const HOLT_WINTERS_GRID = [];
+[0.1, 0.3, 0.5, 0.8].forEach(alpha => {
+  [0.05, 0.2].forEach(beta => {
+    [0.1, 0.3, 0.5].forEach(gamma => HOLT_WINTERS_GRID.push({ alpha, beta, gamma, phi: 0.9 }));
+  });
+});
+
+/**
+ * Holt-Winters (multiplicative seasonality, damped trend) with smoothing parameters picked by
+ * in-sample error. With under two years of history it drops the seasonal component (Holt).
+ */
+const holtWintersModel = {
+  name: "HOLT_WINTERS",
+  minLength: 4,
+  fit(values) {
+    const seasonal = values.length >= 2 * SEASON_LENGTH;
+    const grid = seasonal ? HOLT_WINTERS_GRID : HOLT_WINTERS_GRID.filter(params => params.gamma === 0.1);
+
+    let best = null;
+    grid.forEach(params => {
+      const run = runHoltWinters(values, params, seasonal);
+      const sse = run.fitted.reduce((sum, f, t) => (f === null ? sum : sum + Math.pow(values[t] - f, 2)), 0);
+      if (!best || sse < best.sse) best = { ...run, sse, params };
+    });
+
+    return {
+      fitted: best.fitted,
+      forecast: best.forecast,
+      details: { variant: seasonal ? "SEASONAL" : "HOLT", ...best.params }
+    };
+  }
+};
+
+/**
+ * Least squares fit of an AR(p) model with intercept to a series
+ * @returns {Object|null} { coefficients: [c, a1..ap], sse }
+ */
+function fitAutoregression(series, p) {
+  const rows = [];
+  const targets = [];
+  for (let t = p; t < series.length; t++) {
+    rows.push([1, ...Array.from({ length: p }, (_, k) => series[t - k - 1])]);
+    targets.push(series[t]);
+  }
+  if (rows.length <= p + 1) return null;
+
+  // Normal equations (X'X) b = X'y, solved by Gaussian elimination
+  const size = p + 1;
+  const matrix = Array.from({ length: size }, (_, i) => {
+    const row = Array.from({ length: size }, (_, j) => rows.reduce((sum, r) => sum + r[i] * r[j], 0));
+    row.push(rows.reduce((sum, r, k) => sum + r[i] * targets[k], 0));
+    return row;
+  });
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < size; r++) {
+      if (Math.abs(matrix[r][col]) > Math.abs(matrix[pivot][col])) pivot = r;
+    }
+    if (Math.abs(matrix[pivot][col]) < 1e-12) return null;
+    [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+    for (let r = 0; r < size; r++) {
+      if (r === col) continue;
+      const ratio = matrix[r][col] / matrix[col][col];
+      for (let c = col; c <= size; c++) matrix[r][c] -= ratio * matrix[col][c];
+    }
+  }
+  const coefficients = matrix.map((row, i) => row[size] / row[i]);
+
+  const sse = rows.reduce((sum, r, k) => {
+    const prediction = r.reduce((acc, x, j) => acc + x * coefficients[j], 0);
+    return sum + Math.pow(targets[k] - prediction, 2);
+  }, 0);
+
+  return { coefficients, sse, observations: rows.length };
+}
+
+/**
+ * ARIMA-lite: ARIMA(p,1,0) with drift on log prices, p from 0 to 2 chosen by AIC
+ */
+const arimaLiteModel = {
+  name: "ARIMA_LITE",
+  minLength: 6,
+  fit(values) {
+    const logs = values.map(value => Math.log(Math.max(value, 1)));
+    const diffs = logs.slice(1).map((value, t) => value - logs[t]);
+
+    let best = null;
+    [0, 1, 2].forEach(p => {
+      const fit = fitAutoregression(diffs, p);
+      if (!fit) return;
+      const aic = fit.observations * Math.log(Math.max(fit.sse, 1e-12) / fit.observations) + 2 * (p + 1);
+      if (!best || aic < best.aic) best = { ...fit, p, aic };
+    });
+
+    const predictDiff = (history, t) => best.coefficients.reduce(
+      (sum, coefficient, j) => sum + coefficient * (j === 0 ? 1 : history[t - j]), 0
+    );
+
+    const fitted = values.map((_, t) => {
+      const d = t - 1;
+      if (d < best.p || d < 0) return null;
+      return Math.exp(logs[t - 1] + predictDiff(diffs, d));
+    });
+
+    const forecast = horizon => {
+      const history = [...diffs];
+      let logLevel = logs[logs.length - 1];
+      return Array.from({ length: horizon }, () => {
+        const next = predictDiff(history, history.length);
+        history.push(next);
+        logLevel += next;
+        return Math.exp(logLevel);
+      });
+    };
+
+    return { fitted, forecast, details: { order: [best.p, 1, 0], aic: Math.round(best.aic * 100) / 100 } };
+  }
+};
+
+const MODELS = [seasonalNaiveModel, holtWintersModel, arimaLiteModel, naiveModel];
+
+/**
+ * Rolling-origin backtest of every model with enough history, on the same origins
+ * @returns {Array} [{ model, mape, forecasts }] best first; empty when the history is too short
+ */
+function backtestModels(values) {
+  const n = values.length;
+  const eligible = MODELS.filter(model => n - model.minLength >= 2);
+  if (eligible.length === 0) return [];
+
+  const firstOrigin = Math.max(...eligible.map(model => model.minLength), n - BACKTEST_ORIGINS);
+  const results = eligible.map(model => {
+    const errors = [];
+    for (let origin = firstOrigin; origin < n; origin++) {
+      const horizon = Math.min(BACKTEST_HORIZON_MONTHS, n - origin);
+      const predictions = model.fit(values.slice(0, origin)).forecast(horizon);
+      predictions.forEach((prediction, h) => {
+        const actual = values[origin + h];
+        if (actual > 0) errors.push(Math.abs(actual - prediction) / actual);
+      });
+    }
+    return {
+      model: model.name,
+      mape: errors.length > 0 ? Math.round(mean(errors) * 10000) / 100 : null,
+      forecasts: errors.length
+    };
+  });
+
+  const order = MODELS.map(model => model.name);
+  return results
+    .filter(result => result.mape !== null)
+    .sort((a, b) => a.mape - b.mape || order.indexOf(a.model) - order.indexOf(b.model));
+}
+
+/**
+ * Spread of one-step log errors, for the prediction intervals
+ */
+function logResidualSigma(values, fitted) {
+  const residuals = fitted
+    .map((f, t) => (f && f > 0 && values[t] > 0 ? Math.log(values[t] / f) : null))
+    .filter(residual => residual !== null);
+  if (residuals.length < 2) return 0;
+  const average = mean(residuals);
+  return Math.sqrt(residuals.reduce((sum, r) => sum + Math.pow(r - average, 2), 0) / (residuals.length - 1));
+}
+
+const shiftMonth = (month, offset) => {
+  const index = parseInt(month.slice(0, 4), 10) * 12 + parseInt(month.slice(5, 7), 10) - 1 + offset;
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+};
+
+/**
+ * The monthly series of a commodity at a market with the backtest and the best model fitted to it,
+ * cached until the APMC store changes. Histories shorter than the backtest window (BACKTEST_ORIGINS
+ * months after the shortest model's minimum) are not fitted.
+ * @returns {Object|null} { months, values, filledMonths, backtest, selected, fit, sigma }
+ */
+function fitPriceModel(commodity, market) {
+  const key = `${commodity}|${market}`;
+  const storeModifiedTime = getAPMCStoreModifiedTime();
+  const cached = fittedModels.get(key);
+  if (cached && cached.storeModifiedTime === storeModifiedTime) return cached.model;
+
+  const history = getPriceHistory(commodity, { market });
+  const { months, values, filledMonths } = toContinuousMonthly(aggregateMonthly(history.series));
+  const minHistoryMonths = BACKTEST_ORIGINS + Math.min(...MODELS.map(model => model.minLength));
+
+  let model = null;
+  if (values.length >= minHistoryMonths) {
+    const backtest = backtestModels(values);
+    if (backtest.length > 0) {
+      const selected = MODELS.find(candidate => candidate.name === backtest[0].model);
+      const fit = selected.fit(values);
+      model = { months, values, filledMonths, backtest, selected, fit, sigma: logResidualSigma(values, fit.fitted) };
+    }
+  }
+
+  fittedModels.set(key, { storeModifiedTime, model });
+  return model;
+}
+
+/**
+ * Forecast monthly modal prices for a crop at one market
+ * @param {string} cropName - Crop name or alias
+ * @param {Object} options - { market, horizonMonths (1-12, default 6), intervalLevel (0.8, 0.9 or 0.95) }
+ * @returns {Object|null} Forecast with the selected model, backtest results and prediction intervals;
+ *   null when the crop has no APMC prices or too little history to backtest
+ */
+function forecastPrices(cropName, options = {}) {
+  const commodity = resolveAPMCCommodity(cropName);
+  if (!commodity) return null;
+
+  const marketData = getAPMCCropData(commodity, options.market);
+  if (!marketData) return null;
+
+  const fitted = fitPriceModel(commodity, marketData.region);
+  if (!fitted) return null;
+  const { months, filledMonths, backtest, selected, fit, sigma } = fitted;
+
+  const horizonMonths = Math.min(Math.max(options.horizonMonths || 6, 1), MAX_HORIZON_MONTHS);
+  const intervalLevel = INTERVAL_Z[options.intervalLevel] ? options.intervalLevel : DEFAULT_INTERVAL_LEVEL;
+  const z = INTERVAL_Z[intervalLevel];
+
+  const latestMonth = months[months.length - 1];
+
+  return {
+    commodity,
+    market: marketData.region,
+    unit: "Rs/Qui",
+    history: {
+      from: months[0],
+      to: latestMonth,
+      months: months.length,
+      filledMonths
+    },
+    model: {
+      name: selected.name,
+      details: fit.details || null,
+      backtestMape: backtest[0].mape
+    },
+    backtest,
+    intervalLevel,
+    forecast: fit.forecast(horizonMonths).map((price, i) => {
+      // Log-normal interval widening with the square root of the horizon
+      const spread = z * sigma * Math.sqrt(i + 1);
+      return {
+        month: shiftMonth(latestMonth, i + 1),
+        monthsAhead: i + 1,
+        price: Math.round(price),
+        lower: Math.round(price * Math.exp(-spread)),
+        upper: Math.round(price * Math.exp(spread))
+      };
+    })
+  };
+}
+
+/**
+ * Months from the latest month of data to a target: a date or "YYYY-MM" gives that month,
+ * a month number or name gives its next occurrence
+ */
+function monthsAheadOf(latestMonth, target) {
+  const latestYear = parseInt(latestMonth.slice(0, 4), 10);
+  const latestIndex = parseInt(latestMonth.slice(5, 7), 10) - 1;
+
+  const isDate = target instanceof Date || /^\d{4}-\d{2}/.test(String(target));
+  if (isDate) {
+    const date = target instanceof Date ? target : new Date(String(target).length === 7 ? `${target}-01` : target);
+    if (isNaN(date)) return null;
+    return (date.getFullYear() - latestYear) * 12 + date.getMonth() - latestIndex;
+  }
+
+  const monthName = toMonthName(target);
+  if (!monthName) return null;
+  const ahead = (MONTH_NAMES.indexOf(monthName) - latestIndex + 12) % 12;
+  return ahead === 0 ? SEASON_LENGTH : ahead;
+}
+
+/**
+ * Forecast price for the month a crop will be sold (e.g. its harvest month)
+ * @param {string} cropName - Crop name or alias
+ * @param {number|string|Date} target - Harvest date, "YYYY-MM", month number (1-12) or month name
+ * @param {Object} options - { market, intervalLevel }
+ * @returns {Object|null} { method, model, month, monthsAhead, price, lower, upper, intervalLevel, backtestMape },
+ *   or null when there is no forecast or the target is not in the next 12 months
+ */
+function forecastPriceForMonth(cropName, target, options = {}) {
+  const forecast = forecastPrices(cropName, { ...options, horizonMonths: MAX_HORIZON_MONTHS });
+  if (!forecast) return null;
+
+  const monthsAhead = monthsAheadOf(forecast.history.to, target);
+  if (monthsAhead === null || monthsAhead > MAX_HORIZON_MONTHS) return null;
+
+  // Harvests in the latest month of data (or earlier) are priced one month ahead
+  const point = forecast.forecast[Math.max(monthsAhead, 1) - 1];
+
+  return {
+    method: "FORECAST",
+    model: forecast.model.name,
+    market: forecast.market,
+    month: point.month,
+    monthsAhead: point.monthsAhead,
+    price: point.price,
+    lower: point.lower,
+    upper: point.upper,
+    intervalLevel: forecast.intervalLevel,
+    backtestMape: forecast.model.backtestMape
+  };
+}
+
+module.exports = {
+  MAX_HORIZON_MONTHS,
+  INTERVAL_Z,
+  toContinuousMonthly,
+  backtestModels,
+  forecastPrices,
+  forecastPriceForMonth
+};
@@ -0,0 +1,227 @@
+const { apmcData, loadAPMCStore, resolveAPMCCommodity, getAPMCCropData } = require('./apmcData');
+const { toDailySeries } = require('./marketSignals');
+const { convertPrice, normalizeUnit } = require('./units');
+
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+/**
+ * Get the daily APMC price series for a crop at one market, oldest first.
+ * Records for different varieties on the same day are combined (arrival-weighted modal price).
+ * @param {string} cropName - Crop name or alias
+ * @param {Object} options - { market, from, to, priceUnit } (dates as YYYY-MM-DD; prices in Rs/Qui unless priceUnit is given)
+ * @returns {Object|null} { commodity, market, unit, series }
+ */
+function getPriceHistory(cropName, options = {}) {
+  const commodity = resolveAPMCCommodity(cropName);
+  if (!commodity) return null;
+
+  const market = (options.market || apmcData[commodity].region).toUpperCase();
+  const { from, to } = options;
+
+  const records = loadAPMCStore().records.filter(record =>
+    record.commodity.toUpperCase() === commodity &&
+    record.market.toUpperCase() === market &&
+    (!from || record.date >= from) &&
+    (!to || record.date <= to)
+  );
+
+  const unit = normalizeUnit(options.priceUnit, "price") || "Rs/Qui";
+  const toUnit = price => Math.round(convertPrice(price, "Rs/Qui", unit) * 100) / 100;
+  const series = toDailySeries(records);
+
+  return {
+    commodity,
+    market,
+    unit,
+    series: unit === "Rs/Qui" ? series : series.map(day => ({
+      ...day,
+      minPrice: toUnit(day.minPrice),
+      maxPrice: toUnit(day.maxPrice),
+      modalPrice: toUnit(day.modalPrice)
+    }))
+  };
+}
+
+/**
+ * Aggregate a daily series into calendar months
+ * @param {Array} series - Daily series from getPriceHistory
+ * @returns {Array} [{ month: "YYYY-MM", avgModalPrice, minPrice, maxPrice, totalArrivals, tradingDays }]
+ */
+function aggregateMonthly(series) {
+  const byMonth = {};
+  series.forEach(day => {
+    const month = day.date.slice(0, 7);
+    if (!byMonth[month]) byMonth[month] = [];
+    byMonth[month].push(day);
+  });
+
+  return Object.keys(byMonth).sort().map(month => {
+    const days = byMonth[month];
+    return {
+      month,
+      avgModalPrice: Math.round(days.reduce((sum, d) => sum + d.modalPrice, 0) / days.length),
+      minPrice: Math.min(...days.map(d => d.minPrice)),
+      maxPrice: Math.max(...days.map(d => d.maxPrice)),
+      totalArrivals: Math.round(days.reduce((sum, d) => sum + d.arrivals, 0) * 100) / 100,
+      tradingDays: days.length
+    };
+  });
+}
+
+/**
+ * Trailing moving average of the last `window` values (null if there are fewer values)
+ */
+function movingAverage(values, window) {
+  if (values.length < window || window <= 0) return null;
+  const slice = values.slice(-window);
+  return Math.round(slice.reduce((sum, value) => sum + value, 0) / window);
+}
+
+/**
+ * Seasonal index per calendar month: average price in that month divided by the
+ * average of all monthly prices. Months without data are left out.
+ * @param {Array} monthly - Monthly series from aggregateMonthly
+ * @returns {Object} Index keyed by month name ("Jan".."Dec")
+ */
+function calculateSeasonalIndex(monthly) {
+  if (monthly.length === 0) return {};
+
+  const overallAverage = monthly.reduce((sum, m) => sum + m.avgModalPrice, 0) / monthly.length;
+  if (overallAverage <= 0) return {};
+
+  const byCalendarMonth = {};
+  monthly.forEach(m => {
+    const monthIndex = parseInt(m.month.slice(5, 7), 10) - 1;
+    if (!byCalendarMonth[monthIndex]) byCalendarMonth[monthIndex] = [];
+    byCalendarMonth[monthIndex].push(m.avgModalPrice);
+  });
+
+  const seasonalIndex = {};
+  Object.keys(byCalendarMonth).sort((a, b) => a - b).forEach(monthIndex => {
+    const prices = byCalendarMonth[monthIndex];
+    const average = prices.reduce((sum, price) => sum + price, 0) / prices.length;
+    seasonalIndex[MONTH_NAMES[monthIndex]] = Math.round((average / overallAverage) * 1000) / 1000;
+  });
+
+  return seasonalIndex;
+}
+
+/**
+ * Compute the price trend for a crop: moving averages, month-over-month change and seasonal index
+ * @param {string} cropName - Crop name or alias
+ * @param {Object} options - { market, from, to, priceUnit }
+ * @returns {Object|null} Trend analysis
+ */
+function calculatePriceTrend(cropName, options = {}) {
+  const history = getPriceHistory(cropName, options);
+  if (!history || history.series.length === 0) return null;
+
+  const { series } = history;
+  const modalPrices = series.map(day => day.modalPrice);
+  const monthly = aggregateMonthly(series);
+
+  let monthOverMonth = null;
+  if (monthly.length >= 2) {
+    const current = monthly[monthly.length - 1];
+    const previous = monthly[monthly.length - 2];
+    monthOverMonth = {
+      currentMonth: current.month,
+      previousMonth: previous.month,
+      currentAvgPrice: current.avgModalPrice,
+      previousAvgPrice: previous.avgModalPrice,
+      changePercent: Math.round(((current.avgModalPrice - previous.avgModalPrice) / previous.avgModalPrice) * 10000) / 100
+    };
+  }
+
+  return {
+    commodity: history.commodity,
+    market: history.market,
+    unit: history.unit,
+    period: {
+      from: series[0].date,
+      to: series[series.length - 1].date,
+      tradingDays: series.length,
+      months: monthly.length
+    },
+    latestPrice: series[series.length - 1].modalPrice,
+    movingAverages: {
+      days7: movingAverage(modalPrices, 7),
+      days30: movingAverage(modalPrices, 30),
+      months3: movingAverage(monthly.map(m => m.avgModalPrice), 3)
+    },
+    monthOverMonth,
+    seasonalIndex: calculateSeasonalIndex(monthly),
+    monthly
+  };
+}
+
+/**
+ * Expected price for a crop in a given harvest month. The current price is scaled by the
+ * ratio of the harvest month's seasonal index to the current month's; without enough
+ * history the current average modal price is returned unchanged.
+ * @param {string} cropName - Crop name or alias
+ * @param {number|string|Date} harvestMonth - Month number (1-12), month name, or a date
+ * @param {Object} options - { market }
+ * @returns {Object|null} { price, method, harvestMonth, seasonalIndex }
+ */
+function getExpectedPriceForMonth(cropName, harvestMonth, options = {}) {
+  const commodity = resolveAPMCCommodity(cropName);
+  if (!commodity) return null;
+
+  const marketData = getAPMCCropData(commodity, options.market) || apmcData[commodity];
+  const currentPrice = marketData.avgModalPrice;
+  const targetMonth = toMonthName(harvestMonth);
+  const trend = calculatePriceTrend(cropName, { market: marketData.region });
+
+  if (!trend || !targetMonth) {
+    return { price: currentPrice, method: "CURRENT_MODAL", harvestMonth: targetMonth, seasonalIndex: null };
+  }
+
+  const latestMonth = MONTH_NAMES[parseInt(trend.period.to.slice(5, 7), 10) - 1];
+  const harvestIndex = trend.seasonalIndex[targetMonth];
+  const currentIndex = trend.seasonalIndex[latestMonth];
+
+  if (!harvestIndex || !currentIndex) {
+    return { price: currentPrice, method: "CURRENT_MODAL", harvestMonth: targetMonth, seasonalIndex: null };
+  }
+
+  return {
+    price: Math.round(currentPrice * (harvestIndex / currentIndex)),
+    method: "SEASONAL_INDEX",
+    harvestMonth: targetMonth,
+    seasonalIndex: harvestIndex
+  };
+}
+
+/**
+ * Convert a month number (1-12), month name or date to a short month name ("Jan".."Dec")
+ */
+function toMonthName(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (value instanceof Date) {
+    return isNaN(value) ? null : MONTH_NAMES[value.getMonth()];
+  }
+
+  if (typeof value === 'number' || /^\d{1,2}$/.test(String(value))) {
+    const monthNumber = parseInt(value, 10);
+    return monthNumber >= 1 && monthNumber <= 12 ? MONTH_NAMES[monthNumber - 1] : null;
+  }
+
+  const byName = MONTH_NAMES.find(name => String(value).toLowerCase().startsWith(name.toLowerCase()));
+  if (byName) return byName;
+
+  const date = new Date(value);
+  return isNaN(date) ? null : MONTH_NAMES[date.getMonth()];
+}
+
+module.exports = {
+  MONTH_NAMES,
+  getPriceHistory,
+  aggregateMonthly,
+  movingAverage,
+  calculateSeasonalIndex,
+  calculatePriceTrend,
+  getExpectedPriceForMonth,
+  toMonthName
+};
@@ -1,5 +1,35 @@
 const { getAPMCCropData } = require('./apmcData');
-const { mspData } = require('./mspData');
+const { resolveCandidateMarkets } = require('./marketMaster');
+const { getApplicableMSP } = require('./mspData');
+const { resolveCrop, getCropCategory } = require('./cropRegistry');
+const { getExpectedPriceForMonth } = require('./priceHistory');
+const { forecastPriceForMonth } = require('./priceForecast');
+const { calculateNetRealization } = require('./netRealization');
+const { getCropGlutAlerts } = require('./glutAlerts');
+const { getDroughtAdvisory } = require('./droughtIndices');
+const { getCropProfile } = require('./cropProfiles');
+const { getCostNorm, scaleCostNorm, getFarmCostOfCultivation, COST_COMPONENTS } = require('./costNorms');
+const { getYieldBenchmark, getBenchmarkConditions, scaleYieldBenchmark, assessYield } = require('./yieldBenchmarks');
+const { cropWaterRequirement } = require('./irrigationGap');
+const { parseQuantity, convertMass } = require('./units');
+
+// Load size used to compare markets by net price when the harvest quantity is not known yet
+const MARKET_COMPARISON_QUANTITY_QUINTALS = 10;
+
+// Farm area assumed when the farmer's is not known (the sample farmer's holding)
+const DEFAULT_LAND_AREA_HECTARES = 0.6;
+
+/**
+ * Expected harvest date: the harvest date if given, otherwise the sowing date (or today, for a crop
+ * being planned) plus the crop's typical duration (see cropProfiles.js)
+ */
+function estimateHarvestDate(cropName, { sowingDate, harvestDate } = {}) {
+  if (harvestDate && !isNaN(new Date(harvestDate))) return new Date(harvestDate);
+
+  const sown = sowingDate && !isNaN(new Date(sowingDate)) ? new Date(sowingDate) : new Date();
+  const days = getCropProfile(cropName).durationDays;
+  return new Date(sown.getTime() + days * 24 * 60 * 60 * 1000);
+}
 
 /**
  * Calculate total cost from farmer stages data
@@ -24,64 +54,182 @@ function calculateTotalCostFromStages(stages) {
   return totalCost;
 }
 
+/**
+ * Choose the APMC market to price a crop at.
+ * An explicit market wins; otherwise, when the farmer's mandal is known, the reachable
+ * market with the best net price (after transport and market deductions) is used;
+ * otherwise the crop's main market.
+ * @param {string} cropName - Name of the crop
+ * @param {Object} options - { market, mandal, vehicleType }
+ * @returns {Object} { apmcData, distanceKm, marketComparison }
+ */
+function resolvePricingMarket(cropName, options = {}) {
+  if (options.market) {
+    return { apmcData: getAPMCCropData(cropName, options.market), distanceKm: null, marketComparison: [] };
+  }
+  
+  if (options.mandal) {
+    const marketComparison = resolveCandidateMarkets(options.mandal)
+      .map(candidate => {
+        const marketData = getAPMCCropData(cropName, candidate.market);
+        if (!marketData) return null;
+        
+        const realization = calculateNetRealization({
+          pricePerQuintal: marketData.avgModalPrice,
+          quantityQuintals: MARKET_COMPARISON_QUANTITY_QUINTALS,
+          market: candidate.market,
+          distanceKm: candidate.distanceKm,
+          vehicleType: options.vehicleType
+        });
+        
+        return {
+          market: candidate.market,
+          distanceKm: candidate.distanceKm,
+          pricePerQuintal: marketData.avgModalPrice,
+          netPricePerQuintal: realization.netPricePerQuintal,
+          marketData
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.netPricePerQuintal - a.netPricePerQuintal);
+    
+    if (marketComparison.length > 0) {
+      return {
+        apmcData: marketComparison[0].marketData,
+        distanceKm: marketComparison[0].distanceKm,
+        marketComparison: marketComparison.map(({ marketData, ...candidate }) => candidate)
+      };
+    }
+  }
+  
+  return { apmcData: getAPMCCropData(cropName), distanceKm: null, marketComparison: [] };
+}
+
 /**
  * Calculate expected income based on yield and market prices
  * @param {string} cropName - Name of the crop
  * @param {number} yieldQty - Yield quantity in quintals
  * @param {string} priceSource - "APMC" or "MSP"
- * @returns {Object} Income calculation
+ * @param {Object} options - { harvestMonth, market, mandal, vehicleType, distanceKm, sowingDate, harvestDate };
+ *   APMC prices are forecast for the harvest month (harvestMonth as 1-12, name or date, else from
+ *   harvestDate/sowingDate), market/mandal choose the APMC (see resolvePricingMarket),
+ *   vehicleType/distanceKm feed the net realization and sowingDate/harvestDate pick the MSP marketing year
+ * @returns {Object} Income calculation (expectedIncome is gross; netIncome is after market deductions;
+ *   priceBand/incomeBand give the forecast's prediction interval)
  */
-function calculateExpectedIncome(cropName, yieldQty, priceSource = "APMC") {
-  const apmcData = getAPMCCropData(cropName);
+function calculateExpectedIncome(cropName, yieldQty, priceSource = "APMC", options = {}) {
+  const { apmcData, distanceKm, marketComparison } = resolvePricingMarket(cropName, options);
   
   let pricePerQuintal = 0;
   let priceSourceUsed = "";
+  let pricingBasis = null;
+  let priceBand = null;
   
   if (priceSource === "APMC" && apmcData) {
     pricePerQuintal = apmcData.avgModalPrice;
     priceSourceUsed = `APMC ${apmcData.region}`;
+    
+    // Price by the forecast for the harvest month; without enough history for a forecast,
+    // fall back to the seasonal index for an explicit harvest month
+    const harvestTarget = options.harvestMonth || estimateHarvestDate(cropName, options);
+    const forecast = forecastPriceForMonth(cropName, harvestTarget, { market: apmcData.region });
+    if (forecast) {
+      pricePerQuintal = forecast.price;
+      pricingBasis = forecast;
+      priceBand = { low: forecast.lower, high: forecast.upper, intervalLevel: forecast.intervalLevel };
+    } else if (options.harvestMonth) {
+      const expectedPrice = getExpectedPriceForMonth(cropName, options.harvestMonth, { market: apmcData.region });
+      if (expectedPrice) {
+        pricePerQuintal = expectedPrice.price;
+        pricingBasis = expectedPrice;
+      }
+    }
   } else {
-    // Try to get MSP data (normalize crop name)
-    const mspKey = Object.keys(mspData).find(key => 
-      key.toLowerCase().includes(cropName.toLowerCase()) || 
-      cropName.toLowerCase().includes(key.toLowerCase().split(' ')[0])
-    );
+    const mspDetails = getApplicableMSP(cropName, { sowingDate: options.sowingDate, harvestDate: options.harvestDate });
     
-    if (mspKey) {
-      pricePerQuintal = mspData[mspKey]["2025-26"] || mspData[mspKey]["2024-25"];
-      priceSourceUsed = "MSP";
+    if (mspDetails) {
+      pricePerQuintal = mspDetails.msp;
+      priceSourceUsed = `MSP ${mspDetails.marketingSeason} ${mspDetails.marketingYear}`;
+      pricingBasis = mspDetails;
     }
   }
   
   const expectedIncome = pricePerQuintal * yieldQty;
   
+  // Net of transport, commission, hamali, market fee and grading losses when sold at an APMC
+  const netRealization = priceSource === "APMC" && apmcData
+    ? calculateNetRealization({
+      pricePerQuintal,
+      quantityQuintals: yieldQty,
+      market: apmcData.region,
+      mandal: options.mandal,
+      distanceKm: options.distanceKm ?? distanceKm,
+      vehicleType: options.vehicleType
+    })
+    : null;
+  
   return {
     pricePerQuintal,
     priceSourceUsed,
+    pricingBasis,
+    market: apmcData && priceSource === "APMC" ? apmcData.region : null,
+    marketDistanceKm: distanceKm,
+    marketComparison,
     yieldQty,
-    expectedIncome
+    expectedIncome,
+    priceBand,
+    incomeBand: priceBand ? { low: priceBand.low * yieldQty, high: priceBand.high * yieldQty } : null,
+    netIncome: netRealization ? netRealization.netIncome : expectedIncome,
+    netRealization
   };
 }
 
+/**
+ * Cost of cultivation norm for a crop scaled to a farm (see costNorms.js)
+ * @returns {Object} { totalCost, costBreakdown (by component), costBasis, costIsEstimate }
+ */
+function estimateCultivationCost(cropName, areaHectares, mandal) {
+  const norm = getCostNorm(cropName, mandal);
+  const costs = scaleCostNorm(norm, areaHectares);
+  const costBreakdown = {};
+  COST_COMPONENTS.forEach(component => { costBreakdown[component] = costs[component]; });
+  return { totalCost: costs.total, costBreakdown, costBasis: `${norm.basis}Norms`, costIsEstimate: norm.estimate };
+}
+
 /**
  * Calculate profit/loss and return on investment
  * @param {Object} farmerData - Farmer profile with crop details
  * @param {string} cropName - Name of the crop
- * @returns {Object} Profitability analysis
+ * @param {Object} options - Passed to calculateExpectedIncome; sowing/harvest dates default to the farmer's crop details.
+ *   When the farmer's stages record no costs, the cost norm for options.mandal and options.landAreaHectares is used;
+ *   when the crop details record no yield, the median of options.yieldBenchmark (or the crop's benchmark for
+ *   options.mandal) for options.landAreaHectares
+ * @returns {Object} Profitability analysis, with yieldBasis "farmerData" or the benchmark's basis
  */
-function calculateProfitability(farmerData, cropName) {
+function calculateProfitability(farmerData, cropName, options = {}) {
   const stages = farmerData?.profile?.metaData?.stages || [];
   const cropDetails = farmerData?.profile?.metaData?.masterData?.cropDetails || {};
   
-  // Get costs
-  const totalCost = calculateTotalCostFromStages(stages);
+  // Get costs from the farmer's stages, or the crop's cost norm when they record none
+  const stageCost = calculateTotalCostFromStages(stages);
+  const { totalCost, costBreakdown, costBasis, costIsEstimate } = stageCost > 0
+    ? { totalCost: stageCost, costBreakdown: calculateCostBreakdown(stages), costBasis: "farmerData", costIsEstimate: false }
+    : estimateCultivationCost(cropName, options.landAreaHectares || DEFAULT_LAND_AREA_HECTARES, options.mandal);
   
-  // Get actual or expected yield (in quintals, assuming 1 quintal = 100 kg)
-  const yieldKg = cropDetails.cropYield || 7500; // Default from sample data
-  const yieldQuintals = yieldKg / 100;
+  // Get the farmer's yield (in kg unless cropYieldUnit says otherwise), or the median yield benchmark for the land area
+  const cropYield = parseQuantity(cropDetails.cropYield, "mass", "kg", cropDetails.cropYieldUnit);
+  const benchmark = cropYield ? null : options.yieldBenchmark || getYieldBenchmark(cropName, { mandal: options.mandal });
+  const yieldQuintals = cropYield
+    ? convertMass(cropYield.value, cropYield.unit, "quintal")
+    : benchmark.median * (options.landAreaHectares || DEFAULT_LAND_AREA_HECTARES);
+  const yieldBasis = cropYield ? "farmerData" : `${benchmark.basis}Benchmark`;
   
   // Get income calculation
-  const incomeCalc = calculateExpectedIncome(cropName, yieldQuintals, "APMC");
+  const incomeCalc = calculateExpectedIncome(cropName, yieldQuintals, "APMC", {
+    ...options,
+    sowingDate: options.sowingDate || cropDetails.sowingDate,
+    harvestDate: options.harvestDate || cropDetails.harvestDate
+  });
   
   // Use expected income for future projections
   const expectedIncome = incomeCalc.expectedIncome;
@@ -89,6 +237,8 @@ function calculateProfitability(farmerData, cropName) {
   // Store actual income if available for reference
   const actualIncome = cropDetails.incomeFromYieldSale || null;
   
+  const netIncome = incomeCalc.netIncome;
+  
   // Calculate profit and ROI based on expected income
   const profit = expectedIncome - totalCost;
   const roi = totalCost > 0 ? ((profit / totalCost) * 100).toFixed(2) : 0;
@@ -97,14 +247,25 @@ function calculateProfitability(farmerData, cropName) {
   return {
     totalCost,
     expectedIncome,
+    netIncome,
     actualIncome,
     profit,
+    netProfit: netIncome - totalCost,
     roi: parseFloat(roi),
     profitPerQuintal: parseFloat(profitPerQuintal),
     yieldQuintals,
+    yieldBasis,
     pricePerQuintal: incomeCalc.pricePerQuintal,
     priceSource: incomeCalc.priceSourceUsed,
-    costBreakdown: calculateCostBreakdown(stages)
+    pricingBasis: incomeCalc.pricingBasis,
+    priceBand: incomeCalc.priceBand,
+    incomeBand: incomeCalc.incomeBand,
+    market: incomeCalc.market,
+    marketComparison: incomeCalc.marketComparison,
+    netRealization: incomeCalc.netRealization,
+    costBreakdown,
+    costBasis,
+    costIsEstimate
   };
 }
 
@@ -142,9 +303,11 @@ function calculateCostBreakdown(stages) {
  * @param {Object} farmerData - Farmer profile data
  * @param {Object} profitability - Profitability analysis
  * @param {Object} apmcData - APMC market data
+ * @param {Object} yieldAchievement - The farmer's yield against the crop's benchmark (see assessYield), or null
+ *   when the farmer recorded no yield
  * @returns {number} Success rate percentage (0-100)
  */
-function calculateSuccessRate(farmerData, profitability, apmcData) {
+function calculateSuccessRate(farmerData, profitability, apmcData, yieldAchievement) {
   let successScore = 0;
   
   // 1. Crop completion status (30%)
@@ -166,12 +329,12 @@ function calculateSuccessRate(farmerData, profitability, apmcData) {
     successScore += 10;
   }
   
-  // 3. Yield achievement (20%)
-  const actualYield = profitability.yieldQuintals;
-  const expectedYield = 75; // Average expected for vegetables
-  const yieldRatio = actualYield / expectedYield;
+  // 3. Yield achievement (20%): yield per hectare against the benchmark median for the crop and farm
+  const yieldRatio = yieldAchievement ? yieldAchievement.achievement : null;
   
-  if (yieldRatio >= 1) {
+  if (yieldRatio === null) {
+    successScore += 10; // Neutral without a yield of the farmer's own to compare
+  } else if (yieldRatio >= 1) {
     successScore += 20;
   } else if (yieldRatio >= 0.8) {
     successScore += 15;
@@ -179,7 +342,7 @@ function calculateSuccessRate(farmerData, profitability, apmcData) {
     successScore += 10;
   }
   
-  // 4. Market demand alignment (20%)
+  // 4. Market demand alignment (20%), less a penalty for volatile prices
   if (apmcData) {
     if (apmcData.demand === "HIGH") {
       successScore += 20;
@@ -188,61 +351,143 @@ function calculateSuccessRate(farmerData, profitability, apmcData) {
     } else if (apmcData.demand === "MEDIUM") {
       successScore += 10;
     }
+    if (apmcData.priceVolatility === "HIGH") {
+      successScore -= 5;
+    }
   } else {
     successScore += 10; // Neutral if no APMC data
   }
   
-  return Math.min(100, Math.round(successScore));
+  return Math.max(0, Math.min(100, Math.round(successScore)));
+}
+
+/**
+ * Estimate success rate from market signals alone (no farmer data)
+ * @param {Object} apmcData - APMC market summary with computed demand and volatility
+ * @returns {number} Success rate percentage
+ */
+function estimateSuccessRate(apmcData) {
+  if (!apmcData) return 60;
+  
+  const demandPoints = { "HIGH": 18, "MEDIUM-HIGH": 12, "MEDIUM": 6 };
+  const volatilityPoints = { "LOW": 2, "MEDIUM": 0, "HIGH": -5 };
+  
+  return 60 + (demandPoints[apmcData.demand] || 0) + (volatilityPoints[apmcData.priceVolatility] || 0);
 }
 
 /**
  * Generate crop recommendation with profitability data
  * @param {string} cropName - Name of the crop
  * @param {Object} farmerData - Farmer profile data (optional)
- * @param {number} landAreaHectares - Land area in hectares
- * @returns {Object} Crop recommendation with all metrics
+ * @param {number} landAreaHectares - Land area in hectares; estimates without farmer data are the crop's
+ *   median yield benchmark (see yieldBenchmarks.js) and cost norm (see costNorms.js) scaled to it
+ * @param {Object} options - { harvestMonth, market, mandal } passed to calculateExpectedIncome; mandal also
+ *   looks up the drought advisory for water-intensive crops. mandal, season and irrigation ("irrigated" or
+ *   "rainfed") pick the yield benchmark, with the farmer's sowing date, water source and variety
+ * @returns {Object} Crop recommendation with all metrics; profitability.perHectare gives the per-hectare
+ *   yield, cost and income and the basis they came from, yieldBenchmark the benchmark used (picked by
+ *   farmConditions) and yieldAchievement the farmer's yield against it
  */
-function generateCropRecommendation(cropName, farmerData = null, landAreaHectares = 0.6) {
-  const apmcData = getAPMCCropData(cropName);
+function generateCropRecommendation(cropName, farmerData = null, landAreaHectares = DEFAULT_LAND_AREA_HECTARES, options = {}) {
+  const { apmcData, distanceKm } = resolvePricingMarket(cropName, options);
+  const cropInfo = resolveCrop(cropName);
+  const areaHectares = landAreaHectares > 0 ? landAreaHectares : DEFAULT_LAND_AREA_HECTARES;
+  const cropDetails = farmerData?.profile?.metaData?.masterData?.cropDetails || {};
+  const farmConditions = getBenchmarkConditions({
+    mandal: options.mandal,
+    season: options.season,
+    sowingDate: options.sowingDate || cropDetails.sowingDate,
+    irrigation: options.irrigation,
+    waterSource: cropDetails.waterSource,
+    irrigationMethod: cropDetails.methodOfIrrigation,
+    variety: cropDetails.cropVariety
+  });
+  const yieldBenchmark = getYieldBenchmark(cropName, farmConditions);
   
   // Use farmer data if provided, otherwise create estimates
   let profitability;
   let successRate;
+  let yieldBasis;
+  let yieldAchievement = null;
   
   if (farmerData) {
-    profitability = calculateProfitability(farmerData, cropName);
-    successRate = calculateSuccessRate(farmerData, profitability, apmcData);
+    profitability = calculateProfitability(farmerData, cropName, { ...options, landAreaHectares: areaHectares, yieldBenchmark });
+    yieldBasis = profitability.yieldBasis;
+    if (yieldBasis === "farmerData") {
+      yieldAchievement = assessYield(yieldBenchmark, profitability.yieldQuintals, areaHectares);
+    }
+    successRate = calculateSuccessRate(farmerData, profitability, apmcData, yieldAchievement);
   } else {
-    // Estimate based on APMC and typical costs
-    const estimatedYield = 75; // quintals for 0.6 hectares
-    const estimatedCost = 110000; // Based on sample farmer data
-    const incomeCalc = calculateExpectedIncome(cropName, estimatedYield, "APMC");
+    // Estimate from the crop's median yield benchmark and cost norm, scaled to the farm
+    const estimatedYield = yieldBenchmark.median * areaHectares;
+    const { totalCost: estimatedCost, costBreakdown, costBasis, costIsEstimate } = estimateCultivationCost(cropName, areaHectares, options.mandal);
+    const incomeCalc = calculateExpectedIncome(cropName, estimatedYield, "APMC", options);
     
     profitability = {
       totalCost: estimatedCost,
       expectedIncome: incomeCalc.expectedIncome,
+      netIncome: incomeCalc.netIncome,
       profit: incomeCalc.expectedIncome - estimatedCost,
+      netProfit: incomeCalc.netIncome - estimatedCost,
       roi: ((incomeCalc.expectedIncome - estimatedCost) / estimatedCost * 100).toFixed(2),
       yieldQuintals: estimatedYield,
       pricePerQuintal: incomeCalc.pricePerQuintal,
-      priceSource: incomeCalc.priceSourceUsed
+      priceSource: incomeCalc.priceSourceUsed,
+      pricingBasis: incomeCalc.pricingBasis,
+      priceBand: incomeCalc.priceBand,
+      incomeBand: incomeCalc.incomeBand,
+      market: incomeCalc.market,
+      marketComparison: incomeCalc.marketComparison,
+      netRealization: incomeCalc.netRealization,
+      costBreakdown,
+      costBasis,
+      costIsEstimate
     };
     
-    // Estimate success rate
-    successRate = apmcData ? (apmcData.demand === "HIGH" ? 78 : 65) : 60;
+    successRate = estimateSuccessRate(apmcData);
+    yieldBasis = `${yieldBenchmark.basis}Benchmark`;
+  }
+
+  const round2 = value => Math.round(value * 100) / 100;
+  const perHectare = {
+    yieldBasis,
+    // A benchmark yield is a rough estimate unless the benchmark row was measured
+    yieldIsEstimate: yieldBasis !== "farmerData" && yieldBenchmark.estimate,
+    costBasis: profitability.costBasis,
+    costIsEstimate: profitability.costIsEstimate,
+    yieldQuintals: round2(profitability.yieldQuintals / areaHectares),
+    totalCost: Math.round(profitability.totalCost / areaHectares),
+    expectedIncome: Math.round(profitability.expectedIncome / areaHectares),
+    netIncome: Math.round(profitability.netIncome / areaHectares)
+  };
+
+  // Water-intensive crops are less likely to succeed where the monsoon often fails
+  const droughtAdvisory = getDroughtAdvisory(cropName, options.mandal);
+  if (droughtAdvisory) {
+    successRate = Math.max(0, successRate - droughtAdvisory.successRatePenalty);
   }
   
   return {
     crop: cropName,
+    cropId: cropInfo ? cropInfo.id : null,
+    category: cropInfo ? cropInfo.category : null,
     expectedIncome: Math.round(profitability.expectedIncome),
+    netIncome: Math.round(profitability.netIncome),
     demand: apmcData ? apmcData.demand : "MEDIUM",
     successRate,
+    marketAlerts: getCropGlutAlerts(cropName, { mandal: options.mandal, vehicleType: options.vehicleType }),
+    droughtAdvisory,
     profitability: {
       ...profitability,
-      roi: parseFloat(profitability.roi)
+      roi: parseFloat(profitability.roi),
+      perHectare
     },
+    yieldBenchmark: { ...yieldBenchmark, farm: scaleYieldBenchmark(yieldBenchmark, areaHectares) },
+    yieldAchievement,
+    farmConditions,
     marketData: apmcData || null,
-    areaHectares: landAreaHectares
+    marketDistanceKm: distanceKm,
+    areaHectares
   };
 }
 
@@ -251,73 +496,102 @@ function generateCropRecommendation(cropName, farmerData = null, landAreaHectare
  * @param {Array} cropList - List of crop names to analyze
  * @param {Object} farmerData - Optional farmer profile data
  * @param {number} topN - Number of top crops to return
+ * @param {Object} options - { landAreaHectares, mandal, market, season, irrigation } passed to generateCropRecommendation
  * @returns {Array} Sorted list of profitable crops
  */
-function getTopProfitableCrops(cropList, farmerData = null, topN = 5) {
+function getTopProfitableCrops(cropList, farmerData = null, topN = 5, options = {}) {
+  const { landAreaHectares, ...recommendationOptions } = options;
   const recommendations = cropList.map(crop => 
-    generateCropRecommendation(crop, farmerData)
+    generateCropRecommendation(crop, farmerData, landAreaHectares, recommendationOptions)
   );
   
-  // Sort by expected income (descending)
+  // Sort by expected income (descending); equal incomes rank the more likely success first.
+  // Water-intensive crops in a drought-prone mandal go below the rest.
   return recommendations
-    .sort((a, b) => b.expectedIncome - a.expectedIncome)
+    .sort((a, b) =>
+      Boolean(a.droughtAdvisory) - Boolean(b.droughtAdvisory) ||
+      b.expectedIncome - a.expectedIncome ||
+      b.successRate - a.successRate
+    )
     .slice(0, topN);
 }
 
 /**
  * Generate operational details for a crop (equipment, effort, resources, etc.)
- * Uses LLM if available, otherwise falls back to crop-type defaults
+ * Uses LLM if available, otherwise falls back to crop-type defaults. The water requirement is always
+ * the crop's seasonal evapotranspiration (see irrigationGap), not the LLM's or the defaults' figure, and
+ * the risk level is the profit simulation's when the recommendation has one (see riskSimulation.js); it is
+ * null when the simulation had too little price history to rate it.
  * @param {string} cropName - Name of the crop
  * @param {Object} recommendation - Crop recommendation data
  * @param {Object} farmerData - Optional farmer profile data
+ * @param {Object} options - { mandal, sowingMonth } for the water requirement
  * @returns {Promise<Object>} Operational details object
  */
-async function generateCropOperationalDetails(cropName, recommendation, farmerData = null) {
+async function generateCropOperationalDetails(cropName, recommendation, farmerData = null, options = {}) {
+  let operationalDetails = null;
+
   // Try to use LLM service if available
   try {
     const llmService = require('./llmService');
     if (llmService.generateCropOperationalDetails) {
-      const operationalDetails = await llmService.generateCropOperationalDetails(cropName, recommendation, farmerData);
-      return operationalDetails;
+      operationalDetails = await llmService.generateCropOperationalDetails(cropName, recommendation, farmerData, options);
     }
   } catch (error) {
     console.error(`Error generating operational details for ${cropName}:`, error.message);
   }
   
   // Fall back to defaults if LLM unavailable or fails
-  return getDefaultOperationalDetailsFallback(cropName, recommendation);
+  if (!operationalDetails) {
+    operationalDetails = getDefaultOperationalDetailsFallback(cropName, recommendation, options.mandal);
+  }
+
+  const requirement = cropWaterRequirement(cropName, options);
+  const riskSimulation = recommendation.riskSimulation;
+  return {
+    ...operationalDetails,
+    riskLevel: riskSimulation ? riskSimulation.riskLevel : operationalDetails.riskLevel,
+    riskLevelBasis: riskSimulation ? riskSimulation.riskLevelBasis : "estimate",
+    resourceRequirements: {
+      ...operationalDetails.resourceRequirements,
+      waterNeeded: `${requirement.litresPerHectare.toLocaleString('en-IN')} L/ha`
+    },
+    waterRequirement: requirement.litresPerHectare,
+    cropWaterRequirementMm: requirement.cropWaterRequirementMm
+  };
 }
 
 /**
- * Fallback function for default operational details (when LLM unavailable)
+ * Cost of cultivation for a recommendation's area from the crop's cost norm for the mandal, and the
+ * profit margin it leaves on the expected income, for the default operational details
+ * @returns {Object} { costOfCultivation (see getFarmCostOfCultivation), profitMargin }
  */
-function getDefaultOperationalDetailsFallback(cropName, recommendation) {
-  const cropLower = cropName.toLowerCase();
-  
-  // Determine crop category
-  let category = 'vegetable';
-  if (cropLower.includes('rice') || cropLower.includes('wheat') || cropLower.includes('maize')) {
-    category = 'grain';
-  } else if (cropLower.includes('moong') || cropLower.includes('tur') || cropLower.includes('arhar') || cropLower.includes('dal')) {
-    category = 'pulse';
-  } else if (cropLower.includes('cotton') || cropLower.includes('sugarcane')) {
-    category = 'cash';
-  } else if (cropLower.includes('groundnut') || cropLower.includes('sesamum') || cropLower.includes('til')) {
-    category = 'oilseed';
-  }
+function getNormCostOfCultivation(cropName, recommendation, mandal = null) {
+  const costOfCultivation = getFarmCostOfCultivation(cropName, recommendation.areaHectares || DEFAULT_LAND_AREA_HECTARES, mandal);
+  const profitMargin = recommendation.expectedIncome > 0
+    ? `${Math.round((recommendation.expectedIncome - costOfCultivation.costs.total) / recommendation.expectedIncome * 100)}%`
+    : 'Not available';
+  return { costOfCultivation, profitMargin };
+}
+
+/**
+ * Fallback function for default operational details (when LLM unavailable); the cost of cultivation and
+ * profit margin come from the crop's cost norm for the mandal
+ */
+function getDefaultOperationalDetailsFallback(cropName, recommendation, mandal = null) {
+  const category = getCropCategory(cropName) || 'vegetable';
+  const { costOfCultivation, profitMargin } = getNormCostOfCultivation(cropName, recommendation, mandal);
   
-  // Default values based on category
+  // Default values based on category (fruits, spices and other horticulture crops use the vegetable defaults)
   const defaults = {
     vegetable: {
       equipmentNeeded: ['Tractor', 'Drip Irrigation', 'Sprayer', 'Harvester'],
       effortDistribution: { setup: 20, maintenance: 50, harvesting: 30 },
       resourceRequirements: {
-        waterNeeded: '2500 L/ha',
         fertilizers: ['Urea', 'DAP', 'Potash'],
         pesticides: ['Neem Oil', 'Insecticide']
       },
       maturityTime: 90,
-      waterRequirement: 2500,
       laborRequirement: 120,
       riskLevel: 'Medium',
       soilConditions: {
@@ -325,7 +599,7 @@ function getDefaultOperationalDetailsFallback(cropName, recommendation) {
         analysis: 'Vegetables grow well in well-drained loamy soil with good organic matter'
       },
       marketAnalysis: {
-        profitMargin: '20%',
+        profitMargin,
         marketDemand: recommendation.demand || 'Medium'
       }
     },
@@ -333,12 +607,10 @@ function getDefaultOperationalDetailsFallback(cropName, recommendation) {
       equipmentNeeded: ['Tractor', 'Seed Drill', 'Thresher', 'Harvester'],
       effortDistribution: { setup: 30, maintenance: 60, harvesting: 40 },
       resourceRequirements: {
-        waterNeeded: '3000 L/ha',
         fertilizers: ['Urea', 'DAP'],
         pesticides: ['Herbicide', 'Fungicide']
       },
       maturityTime: 120,
-      waterRequirement: 3000,
       laborRequirement: 150,
       riskLevel: 'Low',
       soilConditions: {
@@ -346,7 +618,7 @@ function getDefaultOperationalDetailsFallback(cropName, recommendation) {
         analysis: 'Grains require fertile soil with good water retention capacity'
       },
       marketAnalysis: {
-        profitMargin: '20%',
+        profitMargin,
         marketDemand: recommendation.demand || 'Medium'
       }
     },
@@ -354,12 +626,10 @@ function getDefaultOperationalDetailsFallback(cropName, recommendation) {
       equipmentNeeded: ['Tractor', 'Seed Drill', 'Thresher'],
       effortDistribution: { setup: 15, maintenance: 40, harvesting: 25 },
       resourceRequirements: {
-        waterNeeded: '1500 L/ha',
         fertilizers: ['DAP', 'Rhizobium'],
         pesticides: ['Neem Oil']
       },
       maturityTime: 80,
-      waterRequirement: 1500,
       laborRequirement: 80,
       riskLevel: 'Low',
       soilConditions: {
@@ -367,7 +637,7 @@ function getDefaultOperationalDetailsFallback(cropName, recommendation) {
         analysis: 'Pulses are well-suited for the region and improve soil nitrogen'
       },
       marketAnalysis: {
-        profitMargin: '20%',
+        profitMargin,
         marketDemand: recommendation.demand || 'Medium'
       }
     },
@@ -375,12 +645,10 @@ function getDefaultOperationalDetailsFallback(cropName, recommendation) {
       equipmentNeeded: ['Tractor', 'Cotton Picker', 'Sprayer'],
       effortDistribution: { setup: 35, maintenance: 70, harvesting: 50 },
       resourceRequirements: {
-        waterNeeded: '4000 L/ha',
         fertilizers: ['Urea', 'DAP', 'Potash'],
         pesticides: ['Insecticide', 'Herbicide']
       },
       maturityTime: 150,
-      waterRequirement: 4000,
       laborRequirement: 200,
       riskLevel: 'Medium',
       soilConditions: {
@@ -388,7 +656,7 @@ function getDefaultOperationalDetailsFallback(cropName, recommendation) {
         analysis: 'Cash crops require well-drained soil with adequate nutrients'
       },
       marketAnalysis: {
-        profitMargin: '20%',
+        profitMargin,
         marketDemand: recommendation.demand || 'Medium'
       }
     },
@@ -396,12 +664,10 @@ function getDefaultOperationalDetailsFallback(cropName, recommendation) {
       equipmentNeeded: ['Tractor', 'Seed Drill', 'Harvester'],
       effortDistribution: { setup: 20, maintenance: 45, harvesting: 30 },
       resourceRequirements: {
-        waterNeeded: '2000 L/ha',
         fertilizers: ['DAP', 'Urea'],
         pesticides: ['Insecticide']
       },
       maturityTime: 100,
-      waterRequirement: 2000,
       laborRequirement: 100,
       riskLevel: 'Medium',
       soilConditions: {
@@ -409,22 +675,26 @@ function getDefaultOperationalDetailsFallback(cropName, recommendation) {
         analysis: 'Oilseeds grow well in well-drained sandy loam soil'
       },
       marketAnalysis: {
-        profitMargin: '20%',
+        profitMargin,
         marketDemand: recommendation.demand || 'Medium'
       }
     }
   };
   
-  return defaults[category] || defaults.vegetable;
+  return { ...(defaults[category] || defaults.vegetable), costOfCultivation };
 }
 
 module.exports = {
+  resolvePricingMarket,
   calculateTotalCostFromStages,
   calculateExpectedIncome,
   calculateProfitability,
   calculateCostBreakdown,
   calculateSuccessRate,
+  estimateSuccessRate,
+  DEFAULT_LAND_AREA_HECTARES,
   generateCropRecommendation,
   getTopProfitableCrops,
+  getNormCostOfCultivation,
   generateCropOperationalDetails
 };
@@ -0,0 +1,349 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveLocation } = require('./gazetteer');
+const { finiteOr } = require('./numbers');
+
+// Monthly rainfall (mm) by mandal and year, from the mandal rain gauge records (see rainfallImporter.js).
+// A month with no reading is stored as null; 0 means the gauge recorded no rain.
+const rainfallDataPath = path.join(__dirname, 'rainfallData.json');
+
+// Readings outside 0..maxMonthlyMm are treated as missing; a zero in a month that averages at least
+// suspectZeroNormalMm in the other years is flagged for checking (often an unreported month entered as 0)
+const rainfallQualityConfig = {
+  maxMonthlyMm: finiteOr(parseFloat(process.env.RAINFALL_MAX_MONTHLY_MM), 1200),
+  suspectZeroNormalMm: finiteOr(parseFloat(process.env.RAINFALL_SUSPECT_ZERO_NORMAL_MM), 50)
+};
+
+function loadRainfallFile() {
+  try {
+    return JSON.parse(fs.readFileSync(rainfallDataPath, 'utf8'));
+  } catch (error) {
+    console.error('Error loading rainfall data:', error.message);
+    return {};
+  }
+}
+
+const rainfallData = loadRainfallFile();
+
+/**
+ * Rainfall record for a place: a record name ("KUPPAM URBAN") as is, otherwise the rain gauge the
+ * gazetteer assigns to the mandal or village (see gazetteer.js). Names are never matched loosely.
+ * @returns {string|null} Rainfall record name, or null for an unknown place or one without records
+ */
+function findMandalMatch(requestedMandal) {
+  if (!requestedMandal) return null;
+
+  const exactMatch = Object.keys(rainfallData).find(mandal => mandal === String(requestedMandal).toUpperCase().trim());
+  if (exactMatch) return exactMatch;
+
+  const { location } = resolveLocation(requestedMandal);
+  return location && location.rainfallStation in rainfallData ? location.rainfallStation : null;
+}
+
+// Function to calculate rainfall statistics for a mandal
+function calculateRainfallStats(requestedMandal) {
+  console.log(`🔍 Processing rainfall data for mandal: ${requestedMandal}`);
+
+  const matchedMandal = findMandalMatch(requestedMandal);
+
+  if (!matchedMandal) {
+    console.log(`❌ No rainfall data found for mandal: ${requestedMandal}`);
+    console.log(`📋 Available mandals: ${Object.keys(rainfallData).join(', ')}`);
+    return null;
+  }
+
+  console.log(`✅ Matched "${requestedMandal}" to "${matchedMandal}", analyzing ${Object.keys(rainfallData[matchedMandal]).length} years of data`);
+
+  const mandalData = rainfallData[matchedMandal];
+  const years = Object.keys(mandalData).sort();
+  const monthlyTotals = {};
+  const yearlyTotals = {};
+  const seasonalPatterns = {
+    kharif: [], // Jun-Oct
+    rabi: [],   // Nov-Mar
+    summer: []  // Apr-May
+  };
+  // Missing months (null, absent or invalid readings) are left out; months with no rain count as zero
+  const dataQuality = { monthsRecorded: 0, zeroMonths: 0, missingMonths: 0 };
+
+  // Calculate monthly and yearly totals
+  years.forEach(year => {
+    let yearlyTotal = 0;
+
+    MONTHS.forEach((month, index) => {
+      const rainfall = monthRainfall(mandalData, year, month);
+      if (rainfall === null) {
+        if (month in mandalData[year]) dataQuality.missingMonths++;
+        return;
+      }
+      dataQuality.monthsRecorded++;
+      if (rainfall === 0) dataQuality.zeroMonths++;
+      yearlyTotal += rainfall;
+
+      // Initialize monthly total if not exists
+      if (!monthlyTotals[month]) {
+        monthlyTotals[month] = [];
+      }
+      monthlyTotals[month].push(rainfall);
+
+      // Categorize by season
+      const monthNum = index + 1;
+      if (monthNum >= 6 && monthNum <= 10) {
+        seasonalPatterns.kharif.push(rainfall);
+      } else if (monthNum >= 11 || monthNum <= 3) {
+        seasonalPatterns.rabi.push(rainfall);
+      } else {
+        seasonalPatterns.summer.push(rainfall);
+      }
+    });
+
+    yearlyTotals[year] = Math.round(yearlyTotal * 10) / 10;
+  });
+
+  // Years without all twelve months recorded (records start mid-year, gaps, the current year is still running)
+  const partialYears = {};
+  years.forEach(year => {
+    const monthsRecorded = MONTHS.filter(month => monthRainfall(mandalData, year, month) !== null).length;
+    if (monthsRecorded < 12) partialYears[year] = monthsRecorded;
+  });
+
+  // Calculate averages; the yearly average uses complete years only, when there are any
+  const completeYears = years.filter(year => !(year in partialYears));
+  const averagedYears = completeYears.length > 0 ? completeYears : years;
+  const avgYearlyRainfall = averagedYears.reduce((sum, year) => sum + yearlyTotals[year], 0) / averagedYears.length;
+
+  const average = values => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+
+  // Monthly averages over the recorded readings, dry months included; null when a month was never recorded
+  const monthlyAverages = {};
+  MONTHS.forEach(month => {
+    monthlyAverages[month] = monthlyTotals[month] ? average(monthlyTotals[month]).toFixed(1) : null;
+  });
+
+  const avgKharif = average(seasonalPatterns.kharif);
+  const avgRabi = average(seasonalPatterns.rabi);
+  const avgSummer = average(seasonalPatterns.summer);
+
+  // Find most recent year data
+  const latestYear = Math.max(...years.map(y => parseInt(y)));
+  const latestData = mandalData[latestYear.toString()];
+
+  return {
+    mandal: matchedMandal,
+    averageYearlyRainfall: avgYearlyRainfall.toFixed(1),
+    seasonalAverages: {
+      kharif: avgKharif.toFixed(1),
+      rabi: avgRabi.toFixed(1),
+      summer: avgSummer.toFixed(1)
+    },
+    monthlyAverages,
+    yearlyTotals,
+    partialYears,
+    dataQuality,
+    latestYear: String(latestYear),
+    latestYearData: latestData,
+    yearsAnalyzed: years.length,
+    rainfallPattern: avgYearlyRainfall > 1000 ? 'High' : avgYearlyRainfall > 500 ? 'Medium' : 'Low'
+  };
+}
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+/**
+ * Recorded rainfall for a month, or null when it is missing or invalid (negative or implausibly high readings)
+ * @param {Object} mandalData - One mandal's records ({ year: { month: mm } })
+ */
+function monthRainfall(mandalData, year, month) {
+  const value = mandalData[String(year)]?.[month];
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= rainfallQualityConfig.maxMonthlyMm
+    ? value
+    : null;
+}
+
+/**
+ * Whether a month has ended by a date, so its reading is due
+ */
+function isMonthDue(year, month, asOf = new Date()) {
+  const monthIndex = MONTHS.indexOf(month);
+  return parseInt(year, 10) < asOf.getFullYear() ||
+    (parseInt(year, 10) === asOf.getFullYear() && monthIndex < asOf.getMonth());
+}
+
+// Calendar months of each season (the rabi months of one calendar year span two rabi seasons)
+const SEASON_MONTHS = {
+  kharif: ["Jun", "Jul", "Aug", "Sep", "Oct"],
+  rabi: ["Nov", "Dec", "Jan", "Feb", "Mar"],
+  summer: ["Apr", "May"]
+};
+
+const round1 = value => Math.round(value * 10) / 10;
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * Mandals with rainfall records and the years covered
+ * @returns {Array} [{ mandal, years, from, to }]
+ */
+function getRainfallMandals() {
+  return Object.entries(rainfallData).map(([mandal, mandalData]) => {
+    const years = Object.keys(mandalData).sort();
+    return {
+      mandal,
+      years,
+      from: years[0] || null,
+      to: years[years.length - 1] || null
+    };
+  });
+}
+
+/**
+ * Rainfall for one mandal and year, month by month against the mandal's long-term monthly average
+ * @param {string} requestedMandal - Mandal or village, or a rainfall record name (see findMandalMatch)
+ * @param {string|number} year - Calendar year
+ * @returns {Object|null} Year rainfall, or null when the mandal or year has no records
+ */
+function getYearRainfall(requestedMandal, year) {
+  const matchedMandal = findMandalMatch(requestedMandal);
+  if (!matchedMandal) return null;
+
+  const mandalData = rainfallData[matchedMandal];
+  const yearData = mandalData[String(year)];
+  if (!yearData) return null;
+
+  // Every month the year has an entry for; missing readings stay null and are left out of the totals
+  const monthly = MONTHS.filter(month => month in yearData).map(month => {
+    const history = Object.keys(mandalData)
+      .map(y => monthRainfall(mandalData, y, month))
+      .filter(value => value !== null);
+
+    return {
+      month,
+      rainfall: monthRainfall(mandalData, year, month),
+      average: history.length > 0 ? round1(history.reduce((a, b) => a + b, 0) / history.length) : null
+    };
+  });
+  const recorded = monthly.filter(entry => entry.rainfall !== null);
+
+  const total = recorded.reduce((sum, entry) => sum + entry.rainfall, 0);
+  const seasonalTotals = {};
+  Object.entries(SEASON_MONTHS).forEach(([season, months]) => {
+    seasonalTotals[season] = round1(recorded
+      .filter(entry => months.includes(entry.month))
+      .reduce((sum, entry) => sum + entry.rainfall, 0));
+  });
+
+  return {
+    mandal: matchedMandal,
+    year: String(year),
+    unit: "mm",
+    total: round1(total),
+    monthsRecorded: recorded.length,
+    missingMonths: MONTHS.filter(month => isMonthDue(year, month) && monthRainfall(mandalData, year, month) === null),
+    complete: recorded.length === 12,
+    seasonalTotals,
+    monthly
+  };
+}
+
+/**
+ * Data-quality report for the stored records: months due but not recorded, invalid readings
+ * and zeros in months that are normally wet
+ * @param {Array<string>} mandals - Mandals to check (default all)
+ * @param {Date} asOf - Months ending after this date are not yet due
+ * @returns {Array} [{ mandal, from, to, monthsExpected, monthsRecorded, completeness, zeroMonths,
+ *   missingMonths: [{ year, months }], invalidReadings: [{ year, month, value }], suspectZeros: [{ year, month, normalMm }] }]
+ */
+function assessRainfallQuality(mandals = Object.keys(rainfallData), asOf = new Date()) {
+  return mandals.filter(mandal => rainfallData[mandal]).map(mandal => {
+    const mandalData = rainfallData[mandal];
+    const years = Object.keys(mandalData).sort();
+    const missingMonths = [];
+    const invalidReadings = [];
+    const suspectZeros = [];
+    let monthsExpected = 0;
+    let monthsRecorded = 0;
+    let zeroMonths = 0;
+
+    years.forEach(year => {
+      const missing = [];
+      MONTHS.forEach(month => {
+        if (!isMonthDue(year, month, asOf)) return;
+        monthsExpected++;
+
+        const raw = mandalData[year][month];
+        const value = monthRainfall(mandalData, year, month);
+        if (value === null) {
+          missing.push(month);
+          if (raw !== null && raw !== undefined) invalidReadings.push({ year, month, value: raw });
+          return;
+        }
+
+        monthsRecorded++;
+        if (value > 0) return;
+        zeroMonths++;
+
+        const others = years
+          .filter(other => other !== year)
+          .map(other => monthRainfall(mandalData, other, month))
+          .filter(other => other !== null);
+        const normal = others.length > 0 ? others.reduce((a, b) => a + b, 0) / others.length : null;
+        if (normal !== null && normal >= rainfallQualityConfig.suspectZeroNormalMm) {
+          suspectZeros.push({ year, month, normalMm: round1(normal) });
+        }
+      });
+      if (missing.length > 0) missingMonths.push({ year, months: missing });
+    });
+
+    return {
+      mandal,
+      from: years[0] || null,
+      to: years[years.length - 1] || null,
+      monthsExpected,
+      monthsRecorded,
+      completeness: monthsExpected > 0 ? round2(monthsRecorded / monthsExpected) : null,
+      zeroMonths,
+      missingMonths,
+      invalidReadings,
+      suspectZeros
+    };
+  });
+}
+
+/**
+ * Write rainfall records to rainfallData.json, one year per line with every month listed
+ */
+function saveRainfallData(data) {
+  const mandals = Object.entries(data).map(([mandal, mandalData]) => {
+    const years = Object.keys(mandalData).sort().map(year => {
+      const months = MONTHS
+        .filter(month => month in mandalData[year])
+        .map(month => `"${month}": ${JSON.stringify(mandalData[year][month])}`);
+      return `    "${year}": { ${months.join(', ')} }`;
+    });
+    return `  ${JSON.stringify(mandal)}: {\n${years.join(',\n')}\n  }`;
+  });
+  fs.writeFileSync(rainfallDataPath, `{\n${mandals.join(',\n')}\n}\n`);
+}
+
+/**
+ * Reload rainfall records from disk into the shared rainfallData object (after an import)
+ */
+function reloadRainfallData() {
+  const fresh = loadRainfallFile();
+  Object.keys(rainfallData).forEach(mandal => delete rainfallData[mandal]);
+  Object.assign(rainfallData, fresh);
+}
+
+module.exports = {
+  rainfallData,
+  rainfallQualityConfig,
+  MONTHS,
+  monthRainfall,
+  isMonthDue,
+  findMandalMatch,
+  calculateRainfallStats,
+  getRainfallMandals,
+  getYearRainfall,
+  assessRainfallQuality,
+  saveRainfallData,
+  reloadRainfallData
+};
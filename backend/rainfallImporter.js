@@ -0,0 +1,388 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCSV } = require('./agmarknetImporter');
+const {
+  rainfallData,
+  rainfallQualityConfig,
+  MONTHS,
+  isMonthDue,
+  assessRainfallQuality,
+  saveRainfallData,
+  reloadRainfallData
+} = require('./rainfallData');
+
+// Export headers (lowercased, non-alphanumerics removed) mapped to fields. APSDPS and IMD mandal
+// rainfall exports come either wide (one row per mandal and year, a column per month) or long
+// (one row per mandal and month, with a Year/Month or a period column)
+const HEADER_FIELDS = {
+  mandal: 'mandal',
+  mandalname: 'mandal',
+  station: 'mandal',
+  stationname: 'mandal',
+  district: 'district',
+  districtname: 'district',
+  year: 'year',
+  month: 'month',
+  monthname: 'month',
+  period: 'period',
+  monthyear: 'period',
+  date: 'period',
+  rainfall: 'rainfall',
+  rainfallmm: 'rainfall',
+  actual: 'rainfall',
+  actualmm: 'rainfall',
+  actualrainfall: 'rainfall',
+  actualrainfallmm: 'rainfall',
+  rf: 'rainfall',
+  rfmm: 'rainfall',
+  total: 'total',
+  totalmm: 'total',
+  annual: 'total',
+  annualtotal: 'total'
+};
+
+// Tokens IMD and APSDPS use in place of a number: NIL is no rain and TR a trace (under 0.1 mm),
+// the rest mean the gauge was not read or not reported
+const ZERO_TOKENS = ['nil', 'tr', 'trace'];
+const MISSING_TOKENS = ['', 'na', 'n/a', 'nr', 'null', '-', '--', '---', 'x'];
+
+const FULL_MONTH_NAMES = ["january", "february", "march", "april", "may", "june", "july", "august",
+  "september", "october", "november", "december"];
+
+/**
+ * Month name from a header or cell ("Jan", "January", "Sept", "1", "01")
+ */
+function parseMonthName(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (/^\d{1,2}$/.test(text)) {
+    const number = parseInt(text, 10);
+    return number >= 1 && number <= 12 ? MONTHS[number - 1] : null;
+  }
+  const index = MONTHS.findIndex((month, i) =>
+    text === month.toLowerCase() || text === FULL_MONTH_NAMES[i] || (i === 8 && text === 'sept')
+  );
+  return index === -1 ? null : MONTHS[index];
+}
+
+/**
+ * Year and month from a period cell: "Jul-2024", "July 2024", "2024-07", "07/2024" or a day date "15-07-2024"
+ * @returns {Object|null} { year, month }
+ */
+function parsePeriod(value) {
+  const text = String(value || '').trim();
+  let match = /^(\d{4})[-/](\d{1,2})(?:[-/]\d{1,2})?$/.exec(text);
+  if (match) return { year: match[1], month: parseMonthName(match[2]) };
+
+  match = /^(?:\d{1,2}[-/])?(\d{1,2})[-/](\d{4})$/.exec(text);
+  if (match) return { year: match[2], month: parseMonthName(match[1]) };
+
+  match = /^(?:\d{1,2}[\s\-/])?([A-Za-z]+)[\s\-/,]+(\d{4})$/.exec(text);
+  if (match) return { year: match[2], month: parseMonthName(match[1]) };
+
+  return null;
+}
+
+/**
+ * Read a rainfall cell
+ * @returns {Object} { value } (a number, or null when not reported) or { error } for unreadable text
+ */
+function parseRainfallValue(cell) {
+  const text = String(cell === undefined || cell === null ? '' : cell).trim().toLowerCase();
+  if (MISSING_TOKENS.includes(text)) return { value: null };
+  if (ZERO_TOKENS.includes(text)) return { value: 0 };
+
+  const number = Number(text.replace(/,/g, ''));
+  return Number.isFinite(number) ? { value: number } : { error: `Unreadable rainfall value "${cell}"` };
+}
+
+/**
+ * Mandal name as stored: upper case, brackets and extra spaces removed ("Kuppam (Urban)" -> "KUPPAM URBAN")
+ */
+function canonicalMandalName(name) {
+  return String(name || '').toUpperCase().replace(/[()]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Convert export rows (header row first) into monthly readings
+ * @param {Array<Array<string>>} rows - Rows including the header row
+ * @returns {Object} { format, readings: [{ mandal, year, month, value, row }], skipped, totalMismatches }
+ */
+function parseRainfallRows(rows) {
+  // Exports may have title lines above the header, so find the first row with a mandal column
+  const headerIndex = rows.findIndex(row =>
+    row.some(cell => HEADER_FIELDS[cell.toLowerCase().replace(/[^a-z0-9]/g, '')] === 'mandal')
+  );
+
+  if (headerIndex === -1) {
+    throw new Error('No rainfall header row found (expected a Mandal or Station column)');
+  }
+
+  const columns = rows[headerIndex].map(cell => {
+    const key = cell.toLowerCase().replace(/[^a-z0-9]/g, '');
+    // Month columns in wide exports ("Jan", "January", "Jun (mm)")
+    const month = HEADER_FIELDS[key] ? null : parseMonthName(key.replace(/mm$/, ''));
+    return { field: HEADER_FIELDS[key] || null, month };
+  });
+
+  const monthColumns = columns.filter(column => column.month);
+  const format = monthColumns.length > 0 ? "wide" : "long";
+  const has = field => columns.some(column => column.field === field);
+
+  if (format === "wide" && !has('year')) {
+    throw new Error('Wide rainfall exports need a Year column');
+  }
+  if (format === "long" && (!has('rainfall') || !(has('period') || (has('year') && has('month'))))) {
+    throw new Error('Long rainfall exports need a Rainfall column and either Year and Month or a Period column');
+  }
+
+  const readings = [];
+  const skipped = [];
+  const totalMismatches = [];
+  const currentYear = new Date().getFullYear();
+
+  rows.slice(headerIndex + 1).forEach((row, index) => {
+    const rowNumber = headerIndex + index + 2;
+    const values = {};
+    columns.forEach((column, i) => {
+      if (column.field) values[column.field] = row[i];
+    });
+
+    const mandal = canonicalMandalName(values.mandal);
+    if (!mandal) {
+      skipped.push({ row: rowNumber, reason: 'Missing mandal' });
+      return;
+    }
+
+    if (format === "wide") {
+      const year = String(values.year || '').trim();
+      if (!/^\d{4}$/.test(year) || parseInt(year, 10) > currentYear) {
+        skipped.push({ row: rowNumber, reason: `Invalid year "${values.year || ''}"` });
+        return;
+      }
+
+      let sum = 0;
+      let allMonths = true;
+      columns.forEach((column, i) => {
+        if (!column.month) return;
+        const parsed = parseRainfallValue(row[i]);
+        if (parsed.error) {
+          skipped.push({ row: rowNumber, month: column.month, reason: parsed.error });
+          allMonths = false;
+          return;
+        }
+        if (parsed.value === null) allMonths = false;
+        else sum += parsed.value;
+        readings.push({ mandal, year, month: column.month, value: parsed.value, row: rowNumber });
+      });
+
+      // The export's own annual total should match its months
+      const total = parseRainfallValue(values.total).value;
+      if (allMonths && monthColumns.length === 12 && typeof total === 'number' && Math.abs(total - sum) > 1) {
+        totalMismatches.push({ mandal, year, row: rowNumber, reportedTotal: total, sumOfMonths: Math.round(sum * 10) / 10 });
+      }
+      return;
+    }
+
+    const period = values.period ? parsePeriod(values.period) : { year: String(values.year || '').trim(), month: parseMonthName(values.month) };
+    if (!period || !/^\d{4}$/.test(period.year) || !period.month || parseInt(period.year, 10) > currentYear) {
+      skipped.push({ row: rowNumber, reason: `Invalid year or month "${values.period || `${values.year || ''} ${values.month || ''}`.trim()}"` });
+      return;
+    }
+
+    const parsed = parseRainfallValue(values.rainfall);
+    if (parsed.error) {
+      skipped.push({ row: rowNumber, reason: parsed.error });
+      return;
+    }
+    readings.push({ mandal, year: period.year, month: period.month, value: parsed.value, row: rowNumber });
+  });
+
+  return { format, readings, skipped, totalMismatches };
+}
+
+/**
+ * Check readings before they are stored: implausible values (negative or above the monthly maximum) are
+ * stored as null, and repeated mandal-months are combined. A blank repeat never replaces a reported
+ * value; repeats that report different values are listed as conflicting and left out of the import, so
+ * the stored value (if any) stays until the export is corrected.
+ * @returns {Object} { readings, duplicates: [{ mandal, year, month, rows, values, conflicting, kept }], implausibleValues }
+ */
+function validateReadings(readings) {
+  const byKey = new Map();
+  const implausibleValues = [];
+
+  readings.forEach(reading => {
+    let { value } = reading;
+    if (value !== null && (value < 0 || value > rainfallQualityConfig.maxMonthlyMm)) {
+      implausibleValues.push({
+        mandal: reading.mandal,
+        year: reading.year,
+        month: reading.month,
+        row: reading.row,
+        value,
+        reason: value < 0 ? 'Negative rainfall' : `More than ${rainfallQualityConfig.maxMonthlyMm} mm in a month`
+      });
+      value = null;
+    }
+
+    const key = `${reading.mandal}|${reading.year}|${reading.month}`;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push({ ...reading, value });
+  });
+
+  const validated = [];
+  const duplicates = [];
+  byKey.forEach(repeats => {
+    const reported = repeats.filter(reading => reading.value !== null);
+    const conflicting = new Set(reported.map(reading => reading.value)).size > 1;
+    const kept = conflicting ? null : (reported[0] || repeats[0]);
+
+    if (kept) validated.push(kept);
+    if (repeats.length > 1) {
+      const { mandal, year, month } = repeats[0];
+      duplicates.push({
+        mandal,
+        year,
+        month,
+        rows: repeats.map(reading => reading.row),
+        values: repeats.map(reading => reading.value),
+        conflicting,
+        kept: kept ? kept.value : null
+      });
+    }
+  });
+
+  return { readings: validated, duplicates, implausibleValues };
+}
+
+/**
+ * Merge readings into rainfall records. A reported value replaces the stored one; a missing reading
+ * only fills a month that has no entry, so a blank cell never erases a recorded value.
+ * Every month that has ended gets an entry, null when nothing was recorded.
+ * @returns {Object} { data, added, updated, unchanged }
+ */
+function mergeReadings(existingData, readings, asOf = new Date()) {
+  const data = JSON.parse(JSON.stringify(existingData));
+  let added = 0;
+  let updated = 0;
+  let unchanged = 0;
+
+  readings.forEach(({ mandal, year, month, value }) => {
+    data[mandal] = data[mandal] || {};
+    data[mandal][year] = data[mandal][year] || {};
+    const stored = data[mandal][year][month];
+
+    if (value === null) {
+      if (stored === undefined) data[mandal][year][month] = null;
+      return;
+    }
+    if (stored === undefined || stored === null) added++;
+    else if (stored !== value) updated++;
+    else unchanged++;
+    data[mandal][year][month] = value;
+  });
+
+  return { data: completeRecords(data, asOf), added, updated, unchanged };
+}
+
+/**
+ * Give every month that has ended an explicit entry (null when not recorded) and turn invalid
+ * readings into null, so missing data is never confused with a dry month
+ */
+function completeRecords(data, asOf = new Date()) {
+  Object.values(data).forEach(mandalData => {
+    Object.keys(mandalData).forEach(year => {
+      const yearData = mandalData[year];
+      MONTHS.forEach(month => {
+        const value = yearData[month];
+        const valid = typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= rainfallQualityConfig.maxMonthlyMm;
+        if (!valid && (value !== undefined || isMonthDue(year, month, asOf))) yearData[month] = null;
+      });
+    });
+  });
+  return data;
+}
+
+/**
+ * Import an APSDPS/IMD mandal rainfall CSV export into rainfallData.json
+ * @param {string} filePath - Path to the .csv export
+ * @param {Object} options - { dryRun } validates and reports without saving
+ * @returns {Object} Import summary with the data-quality report
+ */
+function importRainfallFile(filePath, options = {}) {
+  const parsed = parseRainfallRows(parseCSV(fs.readFileSync(filePath, 'utf8')));
+  const { readings, duplicates, implausibleValues } = validateReadings(parsed.readings);
+  const merged = mergeReadings(rainfallData, readings);
+  const mandals = [...new Set(readings.map(reading => reading.mandal))];
+
+  if (!options.dryRun) {
+    saveRainfallData(merged.data);
+    reloadRainfallData();
+  }
+
+  const years = readings.map(reading => reading.year).sort();
+  return {
+    file: path.basename(filePath),
+    format: parsed.format,
+    dryRun: Boolean(options.dryRun),
+    readingsRead: parsed.readings.length,
+    added: merged.added,
+    updated: merged.updated,
+    unchanged: merged.unchanged,
+    mandals,
+    yearRange: years.length > 0 ? { from: years[0], to: years[years.length - 1] } : null,
+    issues: {
+      skipped: parsed.skipped,
+      duplicates,
+      implausibleValues,
+      totalMismatches: parsed.totalMismatches
+    },
+    // Quality of the stored records for the imported mandals after the import
+    quality: options.dryRun ? null : assessRainfallQuality(mandals)
+  };
+}
+
+// CLI: node rainfallImporter.js [--dry-run] <export.csv> [...more files]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const files = args.filter(arg => arg !== '--dry-run');
+
+  if (files.length === 0) {
+    console.error('Usage: node rainfallImporter.js [--dry-run] <mandal-rainfall.csv> [...]');
+    process.exit(1);
+  }
+
+  files.forEach(file => {
+    try {
+      const summary = importRainfallFile(file, { dryRun });
+      const { issues } = summary;
+      console.log(`${dryRun ? '🔎 Checked' : '✅ Imported'} ${summary.file} (${summary.format}): ${summary.added} added, ${summary.updated} updated, ${summary.unchanged} unchanged`);
+      console.log(`   Mandals: ${summary.mandals.join(', ')}`);
+      console.log(`   Skipped rows: ${issues.skipped.length}, duplicates: ${issues.duplicates.length} (${issues.duplicates.filter(d => d.conflicting).length} conflicting), implausible values: ${issues.implausibleValues.length}, total mismatches: ${issues.totalMismatches.length}`);
+      issues.skipped.forEach(entry => console.log(`   ⚠️  Row ${entry.row}: ${entry.reason}`));
+      issues.implausibleValues.forEach(entry => console.log(`   ⚠️  ${entry.mandal} ${entry.month} ${entry.year}: ${entry.value} mm (${entry.reason}), treated as missing`));
+      issues.duplicates.filter(entry => entry.conflicting).forEach(entry =>
+        console.log(`   ⚠️  ${entry.mandal} ${entry.month} ${entry.year}: rows ${entry.rows.join(', ')} disagree (${entry.values.map(value => value === null ? 'blank' : value).join(' vs ')}), not imported`)
+      );
+      (summary.quality || []).forEach(entry => {
+        const missing = entry.missingMonths.reduce((count, year) => count + year.months.length, 0);
+        console.log(`   📋 ${entry.mandal}: ${Math.round(entry.completeness * 100)}% of months recorded, ${missing} missing, ${entry.suspectZeros.length} suspect zeros`);
+      });
+    } catch (error) {
+      console.error(`❌ Failed to import ${file}:`, error.message);
+      process.exitCode = 1;
+    }
+  });
+}
+
+module.exports = {
+  parseMonthName,
+  parsePeriod,
+  parseRainfallValue,
+  parseRainfallRows,
+  validateReadings,
+  mergeReadings,
+  completeRecords,
+  importRainfallFile
+};
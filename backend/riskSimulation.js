@@ -0,0 +1,270 @@
+const { getPriceHistory, aggregateMonthly } = require('./priceHistory');
+const { INTERVAL_Z } = require('./priceForecast');
+const { calculateDroughtIndices, isWaterIntensive } = require('./droughtIndices');
+const { normalizeIrrigation } = require('./yieldBenchmarks');
+const { finiteOr } = require('./numbers');
+
+// Correlation of yield and price shocks: a poor harvest in the area tends to lift the price. 0 draws them
+// independently.
+const priceYieldCorrelation = parseFloat(process.env.RISK_PRICE_YIELD_CORRELATION);
+
+// Simulation settings. Loss-probability cut-offs set the risk level: below medium is Low, from high up High.
+const riskConfig = {
+  iterations: finiteOr(parseInt(process.env.RISK_SIMULATION_ITERATIONS, 10), 2000),
+  // Fixed seed so the same inputs give the same distribution
+  seed: finiteOr(parseInt(process.env.RISK_SIMULATION_SEED, 10), 20260618),
+  lossProbability: {
+    medium: finiteOr(parseFloat(process.env.RISK_LOSS_PROBABILITY_MEDIUM), 0.1),
+    high: finiteOr(parseFloat(process.env.RISK_LOSS_PROBABILITY_HIGH), 0.25)
+  },
+  // Monthly prices needed to use the price history when there is no forecast; with fewer the price is
+  // held fixed and only yield and drought variance are simulated
+  minPriceMonths: finiteOr(parseInt(process.env.RISK_MIN_PRICE_MONTHS, 10), 6),
+  priceYieldCorrelation: Number.isFinite(priceYieldCorrelation) ? Math.min(Math.max(priceYieldCorrelation, -1), 1) : -0.3,
+  // Share of the usual yield harvested in a drought season
+  droughtYieldFactor: {
+    rainfed: finiteOr(parseFloat(process.env.DROUGHT_YIELD_FACTOR_RAINFED), 0.6),
+    irrigated: finiteOr(parseFloat(process.env.DROUGHT_YIELD_FACTOR_IRRIGATED), 0.9),
+    // Water-intensive crops lose more even when irrigated, as borewells and tanks run low
+    waterIntensive: finiteOr(parseFloat(process.env.DROUGHT_YIELD_FACTOR_WATER_INTENSIVE), 0.75)
+  }
+};
+
+// z of the 10th and 90th percentiles of the standard normal
+const Z90 = 1.2816;
+
+// Drought seasons in droughtIndices for each crop season
+const DROUGHT_SEASON_KEYS = { Kharif: "kharif", Rabi: "rabi", Zaid: "summer", Perennial: "kharif" };
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Mulberry32: small seeded generator, uniform on [0, 1)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal by the Box-Muller transform
+function createNormal(random) {
+  return () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Log-normal with different spreads below and above the centre, so a skewed 10th-90th percentile
+ * range (e.g. a benchmark or forecast interval) is kept
+ * @param {number} centre - Median
+ * @param {number} sigmaLow - Log spread below the median
+ * @param {number} sigmaHigh - Log spread above the median
+ */
+const twoPieceLogNormal = (centre, sigmaLow, sigmaHigh) => z => centre * Math.exp(z * (z < 0 ? sigmaLow : sigmaHigh));
+
+/**
+ * Yield distribution: the expected yield with the spread of the crop's benchmark (10th and 90th
+ * percentiles relative to the median). With drought shocks the benchmark's lower tail, which already
+ * holds the bad seasons, is replaced by its upper spread, so the drought draws supply the downside once.
+ */
+function yieldDistribution(expectedYield, benchmark, withDroughtShocks) {
+  const sigmaHigh = benchmark && benchmark.p90 > 0 ? Math.log(benchmark.p90 / benchmark.median) / Z90 : 0;
+  const sigmaLow = withDroughtShocks ? sigmaHigh
+    : benchmark && benchmark.p10 > 0 ? Math.log(benchmark.median / benchmark.p10) / Z90 : 0;
+  return {
+    basis: benchmark ? `${benchmark.basis}Benchmark` : "fixed",
+    downside: withDroughtShocks ? "droughtShocks" : "benchmark",
+    median: round2(expectedYield),
+    sigmaLow: round2(sigmaLow),
+    sigmaHigh: round2(sigmaHigh),
+    sample: twoPieceLogNormal(expectedYield, sigmaLow, sigmaHigh)
+  };
+}
+
+/**
+ * Price distribution, from the first available of: the harvest-month forecast's prediction interval,
+ * the spread of the market's monthly prices, or a fixed MSP. Without enough price history the price is
+ * held fixed with basis "insufficientData" rather than given a guessed spread.
+ */
+function priceDistribution(cropName, profitability) {
+  const price = profitability.pricePerQuintal;
+  const band = profitability.priceBand;
+
+  if (band && band.low > 0 && band.high > 0) {
+    const z = INTERVAL_Z[band.intervalLevel] || Z90;
+    const sigmaLow = Math.log(price / band.low) / z;
+    const sigmaHigh = Math.log(band.high / price) / z;
+    return { basis: "forecast", median: price, sigmaLow: round2(sigmaLow), sigmaHigh: round2(sigmaHigh), sample: twoPieceLogNormal(price, sigmaLow, sigmaHigh) };
+  }
+
+  if (!profitability.market) {
+    // MSP: the announced price, not a market outcome
+    return { basis: "msp", median: price, sigmaLow: 0, sigmaHigh: 0, sample: () => price };
+  }
+
+  const history = getPriceHistory(cropName, { market: profitability.market });
+  const monthly = history ? aggregateMonthly(history.series).map(month => month.avgModalPrice).filter(value => value > 0) : [];
+  if (monthly.length < riskConfig.minPriceMonths) {
+    return { basis: "insufficientData", median: price, sigmaLow: 0, sigmaHigh: 0, sample: () => price };
+  }
+
+  const logs = monthly.map(value => Math.log(value));
+  const meanLog = logs.reduce((sum, value) => sum + value, 0) / logs.length;
+  const sigma = Math.sqrt(logs.reduce((sum, value) => sum + (value - meanLog) ** 2, 0) / (logs.length - 1));
+  return { basis: "history", median: price, sigmaLow: round2(sigma), sigmaHigh: round2(sigma), sample: twoPieceLogNormal(price, sigma, sigma) };
+}
+
+/**
+ * Chance of a drought season for the crop's season in the mandal's rainfall record, and the share of
+ * the yield left in one. A farm whose irrigation is not known is taken as rainfed (irrigationAssumed).
+ * @returns {Object|null} null when the mandal has no classified seasons
+ */
+function droughtShock(cropName, { mandal, season, irrigation }) {
+  if (!mandal) return null;
+  const indices = calculateDroughtIndices(mandal);
+  if (!indices) return null;
+
+  const seasonKey = DROUGHT_SEASON_KEYS[season] || "kharif";
+  const classified = indices.seasons[seasonKey].filter(entry => entry.classification);
+  if (classified.length === 0) return null;
+
+  const droughtSeasons = classified.filter(entry => entry.classification === "DROUGHT");
+  const knownIrrigation = normalizeIrrigation(irrigation);
+  const irrigated = knownIrrigation === "irrigated";
+  const yieldFactor = !irrigated
+    ? riskConfig.droughtYieldFactor.rainfed
+    : isWaterIntensive(cropName) ? riskConfig.droughtYieldFactor.waterIntensive : riskConfig.droughtYieldFactor.irrigated;
+
+  return {
+    mandal: indices.mandal,
+    season: seasonKey,
+    probability: round2(droughtSeasons.length / classified.length),
+    droughtSeasons: droughtSeasons.map(entry => entry.season),
+    seasonsOnRecord: classified.length,
+    irrigation: irrigated ? "irrigated" : "rainfed",
+    irrigationAssumed: knownIrrigation === null,
+    yieldFactor
+  };
+}
+
+// Value at a fraction of a sorted array (nearest rank)
+const percentile = (sorted, fraction) => sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(fraction * sorted.length) - 1))];
+
+/**
+ * Risk level from the probability of a loss (see riskConfig.lossProbability)
+ * @returns {string} "Low", "Medium" or "High"
+ */
+function classifyRisk(probabilityOfLoss) {
+  if (probabilityOfLoss >= riskConfig.lossProbability.high) return "High";
+  if (probabilityOfLoss >= riskConfig.lossProbability.medium) return "Medium";
+  return "Low";
+}
+
+/**
+ * Monte Carlo simulation of a recommendation's season profit: yield sampled from the crop's yield benchmark
+ * spread around the expected yield, price from the forecast interval or price history (correlated with the
+ * yield, see riskConfig.priceYieldCorrelation), and, with droughtShock, drought seasons drawn at the mandal's
+ * recorded frequency. Costs are the recommendation's total cost; market charges take the same share of the
+ * gross as in the recommendation. When the price has too little history it is held fixed, and riskLevelBasis
+ * is "fixedPrice": the risk level then reflects yield and drought variance only.
+ * @param {Object} recommendation - From generateCropRecommendation
+ * @param {Object} options - { droughtShock (default true), iterations, seed, and mandal, season and irrigation,
+ *   which default to the recommendation's farmConditions }
+ * @returns {Object|null} { iterations, inputs, probabilityOfLoss, riskLevel, riskLevelBasis, income, profit,
+ *   valueAtRisk },
+ *   or null when the crop has no price to simulate
+ */
+function simulateProfitRisk(recommendation, options = {}) {
+  const profitability = recommendation.profitability;
+  if (!profitability || !(profitability.pricePerQuintal > 0) || !(profitability.yieldQuintals > 0)) return null;
+
+  const iterations = Math.min(Math.max(parseInt(options.iterations, 10) || riskConfig.iterations, 100), 20000);
+  const random = createRandom(options.seed ?? riskConfig.seed);
+  const normal = createNormal(random);
+
+  const drought = options.droughtShock === false ? null : droughtShock(recommendation.crop, { ...recommendation.farmConditions, ...options });
+  const yieldDist = yieldDistribution(profitability.yieldQuintals, recommendation.yieldBenchmark, Boolean(drought));
+  const priceDist = priceDistribution(recommendation.crop, profitability);
+  const correlation = riskConfig.priceYieldCorrelation;
+  const netShare = profitability.expectedIncome > 0 ? profitability.netIncome / profitability.expectedIncome : 1;
+  const totalCost = profitability.totalCost;
+
+  const incomes = [];
+  const profits = [];
+  let droughtDraws = 0;
+  for (let i = 0; i < iterations; i++) {
+    const yieldShock = normal();
+    const priceShock = correlation * yieldShock + Math.sqrt(1 - correlation ** 2) * normal();
+    let yieldQuintals = yieldDist.sample(yieldShock);
+    if (drought && random() < drought.probability) {
+      yieldQuintals *= drought.yieldFactor;
+      droughtDraws++;
+    }
+    const income = yieldQuintals * priceDist.sample(priceShock) * netShare;
+    incomes.push(income);
+    profits.push(income - totalCost);
+  }
+  incomes.sort((a, b) => a - b);
+  profits.sort((a, b) => a - b);
+
+  const losses = profits.filter(profit => profit < 0).length;
+  const probabilityOfLoss = round2(losses / iterations);
+  const p5 = percentile(profits, 0.05);
+
+  // Ten equal-width bins from the 1st to the 99th percentile (the tails go in the end bins)
+  const low = percentile(profits, 0.01);
+  const high = percentile(profits, 0.99);
+  const width = (high - low) / 10 || 1;
+  const counts = new Array(10).fill(0);
+  profits.forEach(profit => {
+    counts[Math.min(9, Math.max(0, Math.floor((profit - low) / width)))]++;
+  });
+
+  return {
+    iterations,
+    inputs: {
+      yield: { basis: yieldDist.basis, downside: yieldDist.downside, medianQuintals: yieldDist.median, sigmaLow: yieldDist.sigmaLow, sigmaHigh: yieldDist.sigmaHigh },
+      price: { basis: priceDist.basis, medianPerQuintal: priceDist.median, sigmaLow: priceDist.sigmaLow, sigmaHigh: priceDist.sigmaHigh },
+      priceYieldCorrelation: priceDist.sigmaLow > 0 || priceDist.sigmaHigh > 0 ? correlation : null,
+      drought: drought ? { ...drought, simulatedShare: round2(droughtDraws / iterations) } : null,
+      totalCost: Math.round(totalCost),
+      netShareOfGross: round2(netShare)
+    },
+    probabilityOfLoss,
+    riskLevel: classifyRisk(probabilityOfLoss),
+    riskLevelBasis: priceDist.basis === "insufficientData" ? "fixedPrice" : "simulation",
+    income: {
+      p10: Math.round(percentile(incomes, 0.1)),
+      p50: Math.round(percentile(incomes, 0.5)),
+      p90: Math.round(percentile(incomes, 0.9))
+    },
+    profit: {
+      mean: Math.round(profits.reduce((sum, profit) => sum + profit, 0) / iterations),
+      p5: Math.round(p5),
+      p10: Math.round(percentile(profits, 0.1)),
+      p25: Math.round(percentile(profits, 0.25)),
+      p50: Math.round(percentile(profits, 0.5)),
+      p75: Math.round(percentile(profits, 0.75)),
+      p90: Math.round(percentile(profits, 0.9)),
+      p95: Math.round(percentile(profits, 0.95)),
+      histogram: counts.map((count, index) => ({
+        from: Math.round(low + index * width),
+        to: Math.round(low + (index + 1) * width),
+        share: round2(count / iterations)
+      }))
+    },
+    // The loss not exceeded in 95% of simulated seasons (0 when even the 5th percentile is a profit)
+    valueAtRisk: {
+      confidence: 0.95,
+      loss: Math.max(0, Math.round(-p5))
+    }
+  };
+}
+
+module.exports = {
+  riskConfig,
+  classifyRisk,
+  simulateProfitRisk
+};
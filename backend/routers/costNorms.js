@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const {
+  COST_COMPONENTS,
+  costNormsSource,
+  getCostNormRows,
+  getCostNorm,
+  scaleCostNorm,
+  estimateStageCosts,
+  normalizeCostNormRow,
+  storeCostNormRows,
+  deleteCostNormRow
+} = require('../costNorms');
+const { importCostNorms } = require('../costNormsImporter');
+const { resolveCrop } = require('../cropRegistry');
+const { resolveLocation } = require('../gazetteer');
+const { readQuantity, convertArea } = require('../units');
+
+// Compare the digests so the buffers are the same length and the check takes the same time for any key
+const sameKey = (given, expected) => crypto.timingSafeEqual(
+  crypto.createHash('sha256').update(String(given)).digest(),
+  crypto.createHash('sha256').update(String(expected)).digest()
+);
+
+/**
+ * Edits need the X-Admin-Key header to match ADMIN_API_KEY; without ADMIN_API_KEY set, norms are read-only
+ */
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_API_KEY) {
+    return res.status(403).json({
+      success: false,
+      error: 'Cost norm editing is disabled (ADMIN_API_KEY is not set)'
+    });
+  }
+  const adminKey = req.get('X-Admin-Key');
+  if (!adminKey || !sameKey(adminKey, process.env.ADMIN_API_KEY)) {
+    return res.status(401).json({
+      success: false,
+      error: 'A valid X-Admin-Key header is required'
+    });
+  }
+  next();
+}
+
+/**
+ * GET /api/cost-norms
+ * List the cost of cultivation norms (Rs per acre), optionally for one crop, category or mandal
+ *
+ * Query:
+ *   crop, category, mandal - Optional filters
+ */
+router.get('/', (req, res) => {
+  try {
+    const { crop, category, mandal } = req.query;
+    const norms = getCostNormRows({ crop, category, mandal });
+
+    res.json({
+      success: true,
+      unit: "Rs/acre",
+      components: COST_COMPONENTS,
+      ...costNormsSource,
+      count: norms.length,
+      norms
+    });
+
+  } catch (error) {
+    console.error('Error listing cost norms:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/cost-norms/import
+ * Import norms from CSV (admin). Columns: crop (or category), mandal (optional), unit (optional, acre or
+ * hectare), seed, fertilizer, plant protection, labour, machinery, irrigation, marketing, total (optional, checked)
+ * and source (optional). Rows replace the norms for the same crop and mandal.
+ *
+ * Body:
+ * {
+ *   "csv": "crop,mandal,seed,...\nTomato,Kuppam,7000,...",
+ *   "unit": "hectare", // Optional, for rows without a unit column (default acre)
+ *   "source": "DES 2024", // Optional, for rows without a source column
+ *   "dryRun": true // Optional, check and report without saving
+ * }
+ */
+router.post('/import', requireAdmin, (req, res) => {
+  try {
+    const { csv, unit, source, dryRun } = req.body;
+
+    if (!csv || typeof csv !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'csv (the CSV file content) is required'
+      });
+    }
+
+    let summary;
+    try {
+      summary = importCostNorms(csv, { unit, source, dryRun: Boolean(dryRun) });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      import: summary
+    });
+
+  } catch (error) {
+    console.error('Error importing cost norms:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/cost-norms
+ * Add or replace the norm for a crop (optionally in one mandal) or a crop category (admin)
+ *
+ * Body:
+ * {
+ *   "crop": "Tomato", // Or "category": "vegetable"
+ *   "mandal": "Kuppam", // Optional, a norm for this mandal only
+ *   "unit": "acre", // Optional, the area the costs are for (acre or hectare, default acre)
+ *   "seed": 7200, "fertilizer": 14600, "plantProtection": 10900, "labour": 21900,
+ *   "machinery": 5800, "irrigation": 5100, "marketing": 3600,
+ *   "source": "Kuppam ADA survey 2026" // Optional
+ * }
+ */
+router.put('/', requireAdmin, (req, res) => {
+  try {
+    const normalized = normalizeCostNormRow(req.body);
+    if (normalized.error) {
+      return res.status(400).json({
+        success: false,
+        error: normalized.error
+      });
+    }
+
+    const stored = storeCostNormRows([{ ...normalized.row, source: normalized.row.source || 'admin edit' }]);
+
+    res.json({
+      success: true,
+      created: stored.added > 0,
+      norm: getCostNormRows({ crop: normalized.row.crop, mandal: normalized.row.mandal })
+        .find(row => row.crop === normalized.row.crop && row.category === normalized.row.category && row.mandal === normalized.row.mandal)
+    });
+
+  } catch (error) {
+    console.error('Error saving cost norm:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/cost-norms
+ * Delete the norm for a crop (and mandal) or a category (admin); the crop falls back to the next norm
+ * in the lookup order
+ *
+ * Query:
+ *   crop or category - Required
+ *   mandal - Optional, deletes the crop's norm for that mandal only
+ */
+router.delete('/', requireAdmin, (req, res) => {
+  try {
+    const { crop, category, mandal } = req.query;
+    const cropEntry = crop ? resolveCrop(crop) : null;
+
+    if (!crop && !category) {
+      return res.status(400).json({
+        success: false,
+        error: 'crop or category query parameter is required'
+      });
+    }
+    if (crop && !cropEntry) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown crop: ${crop}`
+      });
+    }
+
+    let mandalName = null;
+    if (mandal) {
+      const resolved = resolveLocation(mandal, { level: "mandal" });
+      if (resolved.error) {
+        return res.status(400).json({
+          success: false,
+          error: resolved.error,
+          suggestions: resolved.suggestions
+        });
+      }
+      mandalName = resolved.location.mandal;
+    }
+
+    const row = {
+      crop: cropEntry ? cropEntry.id : null,
+      category: cropEntry ? cropEntry.category : String(category).toLowerCase(),
+      mandal: mandalName
+    };
+    if (!deleteCostNormRow(row)) {
+      return res.status(404).json({
+        success: false,
+        error: `No cost norm for ${cropEntry ? cropEntry.name : `${row.category} (category)`}${mandalName ? ` in ${mandalName}` : ''}`
+      });
+    }
+
+    res.json({
+      success: true,
+      deleted: row
+    });
+
+  } catch (error) {
+    console.error('Error deleting cost norm:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/cost-norms/:crop
+ * The norm used for a crop: its norm for the mandal, else its district-wide norm, else its category's,
+ * else the default; with an area, the costs for the farm spread over the nine crop stages
+ *
+ * Query:
+ *   mandal - Optional, looked up in the gazetteer
+ *   area, areaUnit - Optional farm area (default unit hectare)
+ */
+router.get('/:crop', (req, res) => {
+  try {
+    const { mandal } = req.query;
+
+    const resolvedLocation = resolveLocation(mandal);
+    if (resolvedLocation.error) {
+      return res.status(400).json({
+        success: false,
+        error: resolvedLocation.error,
+        suggestions: resolvedLocation.suggestions
+      });
+    }
+    const place = resolvedLocation.location;
+
+    const areaInput = readQuantity(req.query, 'area', 'area', 'hectare');
+    if (areaInput.error) {
+      return res.status(400).json({
+        success: false,
+        error: areaInput.error
+      });
+    }
+
+    const norm = getCostNorm(req.params.crop, place ? place.mandal : null);
+    let farm = null;
+    if (areaInput.quantity) {
+      const areaHectares = convertArea(areaInput.quantity.value, areaInput.quantity.unit, 'hectare');
+      const costs = scaleCostNorm(norm, areaHectares);
+      farm = {
+        areaHectares: Math.round(areaHectares * 100) / 100,
+        costs,
+        stages: estimateStageCosts(costs)
+      };
+    }
+
+    res.json({
+      success: true,
+      norm,
+      farm
+    });
+
+  } catch (error) {
+    console.error('Error fetching cost norm:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const { getAllCrops, resolveCrop } = require('../cropRegistry');
+const { getCropMSP } = require('../mspData');
+const { resolveAPMCCommodity, getAPMCCropDataByMarket } = require('../apmcData');
+const { getRythuBazarCropData } = require('../rythuBazarData');
+
+/**
+ * GET /api/crops
+ * List crops in the crop registry
+ *
+ * Query:
+ *   category - Optional (vegetable, fruit, grain, pulse, oilseed, cash, spice, flower, plantation, sericulture)
+ *   season - Optional (Kharif, Rabi, Zaid, Perennial)
+ *   sector - Optional (horticulture, agriculture, sericulture)
+ */
+router.get('/', (req, res) => {
+  try {
+    const { category, season, sector } = req.query;
+    const crops = getAllCrops({ category, season, sector });
+
+    res.json({
+      success: true,
+      count: crops.length,
+      crops
+    });
+
+  } catch (error) {
+    console.error('Error listing crops:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/crops/:id
+ * Get one crop by registry ID or any of its names (English, Telugu, Hindi, alias or source key),
+ * with the price data available for it
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const crop = resolveCrop(req.params.id);
+
+    if (!crop) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown crop: ${req.params.id}`
+      });
+    }
+
+    const mspEntry = getCropMSP(crop.id);
+    const rythuBazarData = crop.rythuBazarName ? getRythuBazarCropData(crop.rythuBazarName) : null;
+
+    res.json({
+      success: true,
+      crop,
+      dataAvailability: {
+        msp: mspEntry ? { mspKey: mspEntry.crop, latestMSP: mspEntry.latestMSP } : null,
+        apmc: {
+          commodity: resolveAPMCCommodity(crop.id),
+          markets: getAPMCCropDataByMarket(crop.id).map(data => data.region)
+        },
+        rythuBazar: rythuBazarData ? { commodity: rythuBazarData.commodity, latestDate: rythuBazarData.latest?.date || null } : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching crop:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
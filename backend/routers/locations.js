@@ -0,0 +1,148 @@
+const express = require('express');
+const router = express.Router();
+const { LEVELS, gazetteerSource, getPlaces, resolveLocation } = require('../gazetteer');
+const { boundariesSource, resolveGeoPosition } = require('../boundaries');
+
+/**
+ * GET /api/locations
+ * Places in the gazetteer (state, districts, mandals and villages) with Telugu names, LGD codes and coordinates
+ *
+ * Query:
+ *   level - Optional, only places of this level (state, district, mandal, village)
+ */
+router.get('/', (req, res) => {
+  try {
+    const { level } = req.query;
+
+    if (level && !LEVELS.includes(level)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid level: ${level} (use ${LEVELS.join(', ')})`
+      });
+    }
+
+    const locations = getPlaces(level);
+
+    res.json({
+      success: true,
+      ...gazetteerSource,
+      count: locations.length,
+      locations
+    });
+
+  } catch (error) {
+    console.error('Error listing locations:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/locations/resolve
+ * Look up a place by name, Telugu name, alias or LGD code; unknown names get a list of close matches
+ *
+ * Query:
+ *   q - A place name or code, or
+ *   village, mandal (or subDistrict), district - As in the land records; the finest one decides the place
+ *   level - Optional, restricts q to one level
+ */
+router.get('/resolve', (req, res) => {
+  try {
+    const { q, village, mandal, subDistrict, district, level } = req.query;
+
+    if (level && !LEVELS.includes(level)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid level: ${level} (use ${LEVELS.join(', ')})`
+      });
+    }
+
+    if (!q && !village && !mandal && !subDistrict && !district) {
+      return res.status(400).json({
+        success: false,
+        error: 'q, or one of village, mandal, subDistrict and district, is required'
+      });
+    }
+
+    const resolved = q
+      ? resolveLocation(q, { level })
+      : resolveLocation({ village, mandal, subDistrict, district });
+
+    if (resolved.error) {
+      return res.status(404).json({
+        success: false,
+        error: resolved.error,
+        suggestions: resolved.suggestions
+      });
+    }
+
+    res.json({
+      success: true,
+      location: resolved.location,
+      warnings: resolved.warnings
+    });
+
+  } catch (error) {
+    console.error('Error resolving location:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/locations/locate
+ * Mandal and village containing a point, from the mandal and village boundaries on file
+ *
+ * Query:
+ *   geoPosition - Soil card position, e.g. "12.7479°N, 78.3410°E" or "12.7479, 78.3410", or
+ *   latitude, longitude - Decimal degrees
+ */
+router.get('/locate', (req, res) => {
+  try {
+    const { geoPosition, latitude, longitude } = req.query;
+
+    if (!geoPosition && (latitude === undefined || longitude === undefined)) {
+      return res.status(400).json({
+        success: false,
+        error: 'geoPosition, or latitude and longitude, is required'
+      });
+    }
+
+    const resolved = resolveGeoPosition(geoPosition || { latitude, longitude });
+
+    if (resolved.error) {
+      return res.status(400).json({
+        success: false,
+        error: resolved.error
+      });
+    }
+
+    if (!resolved.location) {
+      return res.status(404).json({
+        success: false,
+        error: resolved.warnings[0],
+        geoPosition: resolved.coordinates
+      });
+    }
+
+    res.json({
+      success: true,
+      location: resolved.location,
+      geoPosition: resolved.coordinates,
+      boundarySource: boundariesSource
+    });
+
+  } catch (error) {
+    console.error('Error locating position:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const Together = require('together-ai');
+const { convertArea, convertMass, readQuantity } = require('../units');
+const { resolveLocation } = require('../gazetteer');
+const { getYieldBenchmark, getBenchmarkConditions, scaleYieldBenchmark, assessYield } = require('../yieldBenchmarks');
 
 const together = new Together({
   apiKey: process.env.TOGETHER_API_KEY
@@ -29,6 +32,34 @@ router.post('/analyze', async (req, res) => {
       });
     }
 
+    // Land area and yields may come in any supported unit (landAreaUnit, actualYieldUnit, expectedYieldUnit)
+    const landAreaInput = readQuantity(req.body, 'landArea', 'area', 'hectare');
+    const actualYieldInput = readQuantity(req.body, 'actualYield', 'mass', 'quintal');
+    const expectedYieldInput = readQuantity(req.body, 'expectedYield', 'mass', 'quintal');
+    const unitError = [landAreaInput, actualYieldInput, expectedYieldInput].find(input => input.error);
+    if (unitError) {
+      return res.status(400).json({
+        error: unitError.error
+      });
+    }
+
+    // Village and mandal are looked up in the gazetteer; an unknown place is rejected with suggestions
+    const resolvedLocation = resolveLocation(location);
+    if (resolvedLocation.error) {
+      return res.status(400).json({
+        error: resolvedLocation.error,
+        suggestions: resolvedLocation.suggestions
+      });
+    }
+    const place = resolvedLocation.location;
+
+    // Analysis runs in hectares and quintals
+    const round2 = value => Math.round(value * 100) / 100;
+    const landAreaHectares = landAreaInput.quantity
+      ? round2(convertArea(landAreaInput.quantity.value, landAreaInput.quantity.unit, 'hectare'))
+      : 1;
+    const actualYieldQuintals = round2(convertMass(actualYieldInput.quantity.value, actualYieldInput.quantity.unit, 'quintal'));
+
     // Infer season from sowing date if not provided
     let inferredSeason = season;
     if (!season && cropDetails?.sowingDate) {
@@ -38,14 +69,35 @@ router.post('/analyze', async (req, res) => {
     // Use variety as crop name if crop name not provided
     const finalCropName = cropName || cropDetails?.variety || 'Unknown Crop';
 
+    // Without an expected yield, the loss gap is measured against the median yield benchmark for the crop,
+    // mandal, season, irrigation and variety
+    const yieldBenchmark = getYieldBenchmark(finalCropName, getBenchmarkConditions({
+      mandal: place ? place.mandal : null,
+      season,
+      sowingDate: cropDetails?.sowingDate,
+      waterSource: cropDetails?.waterSource,
+      irrigationMethod: cropDetails?.methodOfIrrigation,
+      variety: cropDetails?.variety
+    }));
+    const yieldAchievement = assessYield(yieldBenchmark, actualYieldQuintals, landAreaHectares);
+    const expectedYieldQuintals = expectedYieldInput.quantity
+      ? round2(convertMass(expectedYieldInput.quantity.value, expectedYieldInput.quantity.unit, 'quintal'))
+      : round2(yieldBenchmark.median * landAreaHectares);
+
     // Create prompt for AI
     const prompt = createAnalysisPrompt({
       cropName: finalCropName,
       season: inferredSeason || 'Unknown Season',
-      landArea: landArea || 1,
-      location: location || {},
-      actualYield,
-      expectedYield: expectedYield || actualYield * 1.2,
+      landArea: landAreaHectares,
+      location: place ? {
+        village: place.village || location.village,
+        mandal: place.mandal,
+        district: place.district
+      } : {},
+      actualYield: actualYieldQuintals,
+      expectedYield: expectedYieldQuintals,
+      yieldBenchmark,
+      yieldAchievement,
       costs,
       income,
       cropDetails: cropDetails || {},
@@ -75,7 +127,7 @@ router.post('/analyze', async (req, res) => {
     const totalCost = Object.values(costs).reduce((sum, val) => sum + (typeof val === 'number' ? val : 0), 0);
     const totalIncome = Object.values(income).reduce((sum, val) => sum + (typeof val === 'number' ? val : 0), 0);
     const netProfit = totalIncome - totalCost;
-    const yieldGap = (expectedYield || actualYield * 1.2) - actualYield;
+    const yieldGap = round2(expectedYieldQuintals - actualYieldQuintals);
 
     res.json({
       success: true,
@@ -87,10 +139,24 @@ router.post('/analyze', async (req, res) => {
           totalIncome,
           netProfit,
           profitMargin: totalIncome > 0 ? ((netProfit / totalIncome) * 100).toFixed(2) : 0,
-          actualYield,
-          expectedYield: expectedYield || actualYield * 1.2,
+          actualYield: actualYieldQuintals,
+          expectedYield: expectedYieldQuintals,
+          expectedYieldSource: expectedYieldInput.quantity ? 'request' : `${yieldBenchmark.basis}Benchmark`,
           yieldGap
         },
+        yieldBenchmark: {
+          ...yieldBenchmark,
+          farm: scaleYieldBenchmark(yieldBenchmark, landAreaHectares)
+        },
+        yieldAchievement,
+        units: {
+          landArea: 'hectare',
+          yield: 'quintal',
+          currency: 'INR'
+        },
+        landAreaHectares,
+        location: place,
+        ...(resolvedLocation.warnings.length > 0 && { locationWarnings: resolvedLocation.warnings }),
         analysis,
         timestamp: new Date().toISOString()
       }
@@ -148,7 +214,8 @@ function createAnalysisPrompt(data) {
   const totalCost = Object.values(data.costs).reduce((sum, val) => sum + (typeof val === 'number' ? val : 0), 0);
   const totalIncome = Object.values(data.income).reduce((sum, val) => sum + (typeof val === 'number' ? val : 0), 0);
   const netProfit = totalIncome - totalCost;
-  const yieldGap = data.expectedYield - data.actualYield;
+  const yieldGap = Math.round((data.expectedYield - data.actualYield) * 100) / 100;
+  const benchmarkYield = data.yieldBenchmark ? scaleYieldBenchmark(data.yieldBenchmark, data.landArea) : null;
 
   return `Analyze the crop loss and provide recommendations for the following farming data:
 
@@ -156,12 +223,13 @@ function createAnalysisPrompt(data) {
 - Crop/Variety: ${data.cropName}
 - Season: ${data.season}
 - Land Area: ${data.landArea} hectares
-${data.location?.village ? `- Location: ${data.location.village}${data.location.mandal ? `, ${data.location.mandal}` : ''}` : ''}
+${data.location?.mandal ? `- Location: ${data.location.village ? `${data.location.village}, ` : ''}${data.location.mandal} mandal${data.location.district ? `, ${data.location.district} district` : ''}` : ''}
 
 **Yield Analysis:**
 - Actual Yield: ${data.actualYield} quintals
 - Expected Yield: ${data.expectedYield} quintals
-- Yield Gap: ${yieldGap} quintals (${((yieldGap / data.expectedYield) * 100).toFixed(1)}% less than expected)
+- Yield Gap: ${Math.abs(yieldGap)} quintals (${Math.abs((yieldGap / data.expectedYield) * 100).toFixed(1)}% ${yieldGap >= 0 ? 'less' : 'more'} than expected)
+${benchmarkYield ? `- Benchmark Yield for this Area: ${benchmarkYield.median} quintals median, ${benchmarkYield.p10}-${benchmarkYield.p90} quintals for 80% of farms (${data.yieldBenchmark.estimate ? 'estimated ' : ''}${data.yieldBenchmark.basis} benchmark, a rough guide only); this yield is at about the ${data.yieldAchievement.percentile}th percentile` : ''}
 
 **Cost Breakdown (₹):**
 ${data.costs.labour ? `- Labour: ₹${data.costs.labour}` : ''}
@@ -187,7 +255,7 @@ ${data.income.subsidy ? `- Government Subsidy: ₹${data.income.subsidy}` : ''}
 
 **Farming Details:**
 ${data.cropDetails?.waterSource ? `- Water Source: ${data.cropDetails.waterSource}` : ''}
-${data.cropDetails?.irrigationMethod ? `- Irrigation Method: ${data.cropDetails.irrigationMethod}` : ''}
+${data.cropDetails?.methodOfIrrigation ? `- Irrigation Method: ${data.cropDetails.methodOfIrrigation}` : ''}
 ${data.cropDetails?.sowingDate ? `- Date of Sowing: ${data.cropDetails.sowingDate}` : ''}
 ${data.cropDetails?.harvestDate ? `- Date of Harvest: ${data.cropDetails.harvestDate}` : ''}
 ${data.cropDetails?.soilType ? `- Soil Type: ${data.cropDetails.soilType}` : ''}
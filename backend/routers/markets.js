@@ -0,0 +1,389 @@
+const express = require('express');
+const router = express.Router();
+const { calculatePriceTrend } = require('../priceHistory');
+const { getAllMarkets, resolveCandidateMarkets } = require('../marketMaster');
+const { getAllAPMCCrops, getAPMCMarkets } = require('../apmcData');
+const { compareSalesChannels } = require('../channelComparison');
+const { getGlutAlerts, getGlutSettings } = require('../glutAlerts');
+const { normalizeUnit, describeUnits, readQuantity, convertMass } = require('../units');
+const { getSellTimingAdvice, MAX_HORIZON_MONTHS } = require('../sellTiming');
+const { forecastPrices, INTERVAL_Z, MAX_HORIZON_MONTHS: MAX_FORECAST_MONTHS } = require('../priceForecast');
+const { resolveLocation } = require('../gazetteer');
+
+const SEVERITIES = ["HIGH", "MEDIUM", "LOW"];
+
+/**
+ * GET /api/markets
+ * List the markets farmers in the region sell at, with coordinates and whether price data is available
+ */
+router.get('/', (req, res) => {
+  try {
+    const marketsWithData = getAPMCMarkets();
+
+    res.json({
+      success: true,
+      markets: getAllMarkets().map(market => ({
+        ...market,
+        hasPriceData: marketsWithData.includes(market.name),
+        commodities: getAllAPMCCrops(market.name).map(crop => crop.crop)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching markets:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/markets/nearest
+ * Get candidate markets for a farmer's mandal, nearest first
+ *
+ * Query:
+ *   mandal - Farmer's mandal or village, looked up in the gazetteer (required)
+ *   maxDistanceKm - Optional maximum road distance
+ */
+router.get('/nearest', (req, res) => {
+  try {
+    const { mandal, maxDistanceKm } = req.query;
+
+    if (!mandal) {
+      return res.status(400).json({
+        success: false,
+        error: 'mandal is required'
+      });
+    }
+
+    const { location, error, suggestions } = resolveLocation(mandal);
+    if (error || !location.mandal) {
+      return res.status(404).json({
+        success: false,
+        error: error || `${location.name} is a ${location.level}, not a mandal or village`,
+        suggestions: suggestions || []
+      });
+    }
+
+    const options = maxDistanceKm ? { maxDistanceKm: parseFloat(maxDistanceKm) } : {};
+
+    res.json({
+      success: true,
+      mandal: location.mandal,
+      markets: resolveCandidateMarkets(location.mandal, options)
+    });
+
+  } catch (error) {
+    console.error('Error resolving nearest markets:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/markets/glut-alerts
+ * Alerts for commodities whose arrivals are spiking above their seasonal baseline while modal prices fall
+ *
+ * Query (all optional):
+ *   crop - Only this crop
+ *   market - Only this APMC market
+ *   severity - HIGH, MEDIUM or LOW
+ *   mandal, vehicleType - Farmer's location and transport, for choosing a market to divert to
+ */
+router.get('/glut-alerts', (req, res) => {
+  try {
+    const { crop, market, severity, mandal, vehicleType } = req.query;
+
+    if (severity && !SEVERITIES.includes(severity.toUpperCase())) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid severity: ${severity} (expected ${SEVERITIES.join(', ')})`
+      });
+    }
+
+    const resolvedLocation = resolveLocation(mandal);
+    if (resolvedLocation.error) {
+      return res.status(400).json({
+        success: false,
+        error: resolvedLocation.error,
+        suggestions: resolvedLocation.suggestions
+      });
+    }
+    const farmerMandal = resolvedLocation.location ? resolvedLocation.location.mandal : null;
+
+    const alerts = getGlutAlerts({ crop, market, severity, mandal: farmerMandal, vehicleType });
+
+    res.json({
+      success: true,
+      count: alerts.length,
+      alerts,
+      settings: getGlutSettings()
+    });
+
+  } catch (error) {
+    console.error('Error detecting market gluts:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/markets/channel-comparison
+ * Compare selling directly at the Rythu Bazar with selling through wholesale
+ *
+ * Query:
+ *   crop - Crop name (required)
+ *   quantity, quantityUnit - Quantity to sell (kg, quintal or tonne; default 1000 kg); quantityKg also works
+ *   date - Optional bulletin date (YYYY-MM-DD), defaults to the latest bulletin
+ *   mandal - Optional farmer's mandal or village (gazetteer name), for transport distance
+ *   stallLimitKgPerDay, maxStallDays, labourCostPerStallDay - Optional overrides of the stall assumptions
+ *   vehicleType - Optional vehicle for the wholesale load
+ */
+router.get('/channel-comparison', (req, res) => {
+  try {
+    const { crop, quantityKg = 1000, date, mandal, stallLimitKgPerDay, maxStallDays, labourCostPerStallDay, vehicleType } = req.query;
+
+    if (!crop) {
+      return res.status(400).json({
+        success: false,
+        error: 'crop is required'
+      });
+    }
+
+    const quantityInput = readQuantity(req.query, 'quantity', 'mass', 'kg');
+    if (quantityInput.error) {
+      return res.status(400).json({
+        success: false,
+        error: quantityInput.error
+      });
+    }
+
+    const quantity = quantityInput.quantity
+      ? convertMass(quantityInput.quantity.value, quantityInput.quantity.unit, 'kg')
+      : parseFloat(quantityKg);
+    if (!(quantity > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'quantity must be a positive number'
+      });
+    }
+
+    const resolvedLocation = resolveLocation(mandal);
+    if (resolvedLocation.error) {
+      return res.status(400).json({
+        success: false,
+        error: resolvedLocation.error,
+        suggestions: resolvedLocation.suggestions
+      });
+    }
+    const farmerMandal = resolvedLocation.location ? resolvedLocation.location.mandal : null;
+
+    const overrides = {};
+    if (stallLimitKgPerDay) overrides.stallLimitKgPerDay = parseFloat(stallLimitKgPerDay);
+    if (maxStallDays) overrides.maxStallDays = parseInt(maxStallDays, 10);
+    if (labourCostPerStallDay) overrides.labourCostPerStallDay = parseFloat(labourCostPerStallDay);
+
+    const comparison = compareSalesChannels({ crop, quantityKg: quantity, date, mandal: farmerMandal, vehicleType, ...overrides });
+
+    if (!comparison) {
+      return res.status(404).json({
+        success: false,
+        error: `No Rythu Bazar prices found for ${crop}${date ? ` on ${date}` : ''}`
+      });
+    }
+
+    res.json({
+      success: true,
+      comparison
+    });
+
+  } catch (error) {
+    console.error('Error comparing sales channels:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/markets/:crop/trend
+ * Get the APMC price trend for a crop: moving averages, month-over-month change and seasonal index
+ *
+ * Query:
+ *   market - Optional APMC market, defaults to the crop's main market
+ *   from, to - Optional date range (YYYY-MM-DD)
+ *   priceUnit - Optional price unit (Rs/Qui, Rs/Kg or Rs/Tonne), defaults to Rs/Qui
+ */
+router.get('/:crop/trend', (req, res) => {
+  try {
+    const { crop } = req.params;
+    const { market, from, to, priceUnit } = req.query;
+
+    if (priceUnit && !normalizeUnit(priceUnit, 'price')) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid priceUnit: ${priceUnit} (expected ${describeUnits('price').join(', ')})`
+      });
+    }
+
+    const trend = calculatePriceTrend(crop, { market, from, to, priceUnit });
+
+    if (!trend) {
+      return res.status(404).json({
+        success: false,
+        error: `No APMC price history found for ${crop}${market ? ` at ${market}` : ''}`
+      });
+    }
+
+    res.json({
+      success: true,
+      crop: trend.commodity,
+      trend
+    });
+
+  } catch (error) {
+    console.error('Error calculating price trend:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/markets/:crop/sell-timing
+ * Advise whether to sell a storable crop now or hold it, from the seasonal price pattern,
+ * storage cost, weight loss in storage and interest
+ *
+ * Query (all optional):
+ *   market - APMC market, defaults to the crop's main market
+ *   quantity, quantityUnit - Quantity held (default unit quintal), for the total gain
+ *   horizonMonths - Months to look ahead (1-6, default 6)
+ *   storageCostPerQuintalPerMonth, shrinkagePercentPerMonth, interestPercentPerMonth - Override the storage assumptions
+ */
+router.get('/:crop/sell-timing', (req, res) => {
+  try {
+    const { crop } = req.params;
+    const { market, horizonMonths, storageCostPerQuintalPerMonth, shrinkagePercentPerMonth, interestPercentPerMonth } = req.query;
+
+    const quantityInput = readQuantity(req.query, 'quantity', 'mass', 'quintal');
+    if (quantityInput.error) {
+      return res.status(400).json({
+        success: false,
+        error: quantityInput.error
+      });
+    }
+
+    const horizon = horizonMonths ? parseInt(horizonMonths, 10) : MAX_HORIZON_MONTHS;
+    if (!(horizon >= 1 && horizon <= MAX_HORIZON_MONTHS)) {
+      return res.status(400).json({
+        success: false,
+        error: `horizonMonths must be between 1 and ${MAX_HORIZON_MONTHS}`
+      });
+    }
+
+    const overrides = {};
+    const overrideInputs = { storageCostPerQuintalPerMonth, shrinkagePercentPerMonth, interestPercentPerMonth };
+    for (const [name, input] of Object.entries(overrideInputs)) {
+      if (input === undefined || input === '') continue;
+      const value = Number(input);
+      if (!Number.isFinite(value) || value < 0) {
+        return res.status(400).json({
+          success: false,
+          error: `${name} must be a number of 0 or more`
+        });
+      }
+      overrides[name] = value;
+    }
+
+    const advice = getSellTimingAdvice(crop, {
+      market,
+      horizonMonths: horizon,
+      quantityQuintals: quantityInput.quantity
+        ? convertMass(quantityInput.quantity.value, quantityInput.quantity.unit, 'quintal')
+        : null,
+      ...overrides
+    });
+
+    if (!advice) {
+      return res.status(404).json({
+        success: false,
+        error: `No APMC prices found for ${crop}${market ? ` at ${market}` : ''}`
+      });
+    }
+
+    res.json({
+      success: true,
+      advice
+    });
+
+  } catch (error) {
+    console.error('Error advising sell timing:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/markets/:crop/forecast
+ * Forecast monthly modal prices with prediction intervals. Seasonal naive, Holt-Winters and an
+ * ARIMA-style model are backtested on the market's history and the one with the lowest error is used.
+ *
+ * Query (all optional):
+ *   market - APMC market, defaults to the crop's main market
+ *   horizonMonths - Months to forecast (1-12, default 6)
+ *   intervalLevel - Prediction interval coverage: 0.8 (default), 0.9 or 0.95
+ */
+router.get('/:crop/forecast', (req, res) => {
+  try {
+    const { crop } = req.params;
+    const { market, horizonMonths, intervalLevel } = req.query;
+
+    const horizon = horizonMonths ? parseInt(horizonMonths, 10) : 6;
+    if (!(horizon >= 1 && horizon <= MAX_FORECAST_MONTHS)) {
+      return res.status(400).json({
+        success: false,
+        error: `horizonMonths must be between 1 and ${MAX_FORECAST_MONTHS}`
+      });
+    }
+
+    const level = intervalLevel ? parseFloat(intervalLevel) : undefined;
+    if (level !== undefined && !INTERVAL_Z[level]) {
+      return res.status(400).json({
+        success: false,
+        error: `intervalLevel must be one of: ${Object.keys(INTERVAL_Z).join(', ')}`
+      });
+    }
+
+    const forecast = forecastPrices(crop, { market, horizonMonths: horizon, intervalLevel: level });
+
+    if (!forecast) {
+      return res.status(404).json({
+        success: false,
+        error: `Not enough APMC price history to forecast ${crop}${market ? ` at ${market}` : ''}`
+      });
+    }
+
+    res.json({
+      success: true,
+      forecast
+    });
+
+  } catch (error) {
+    console.error('Error forecasting prices:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
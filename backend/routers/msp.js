@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const { getMSPData, getApplicableMSP, MARKETING_SEASONS } = require('../mspData');
+
+const isValidDate = value => !value || !isNaN(new Date(value));
+
+/**
+ * GET /api/msp
+ * List MSP tables with their season and latest announced marketing year
+ *
+ * Query:
+ *   season - Optional (Kharif or Rabi)
+ */
+router.get('/', (req, res) => {
+  try {
+    const { season } = req.query;
+    const crops = getMSPData().filter(entry =>
+      !season || entry.season.toLowerCase() === season.toLowerCase()
+    );
+
+    res.json({
+      success: true,
+      unit: "Rs/Qui",
+      marketingSeasons: MARKETING_SEASONS,
+      crops
+    });
+
+  } catch (error) {
+    console.error('Error listing MSP data:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/msp/:crop
+ * Get the MSP that applies to a crop for a sowing date, harvest date or sale date
+ *
+ * Query (all optional; defaults to today's date):
+ *   sowingDate, harvestDate - Crop dates (YYYY-MM-DD); the harvest date wins when both are given
+ *   date - Sale date (YYYY-MM-DD), used when neither crop date is given
+ *   marketingYear - Explicit marketing year (e.g. 2025-26)
+ */
+router.get('/:crop', (req, res) => {
+  try {
+    const { crop } = req.params;
+    const { sowingDate, harvestDate, date, marketingYear } = req.query;
+
+    const invalid = Object.entries({ sowingDate, harvestDate, date })
+      .find(([, value]) => !isValidDate(value));
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid ${invalid[0]}: ${invalid[1]} (expected YYYY-MM-DD)`
+      });
+    }
+
+    if (marketingYear && !/^\d{4}-\d{2}$/.test(marketingYear)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid marketingYear: ${marketingYear} (expected e.g. 2025-26)`
+      });
+    }
+
+    const msp = getApplicableMSP(crop, { sowingDate, harvestDate, date, marketingYear });
+
+    if (!msp) {
+      return res.status(404).json({
+        success: false,
+        error: `No MSP is announced for ${crop}`
+      });
+    }
+
+    res.json({
+      success: true,
+      msp
+    });
+
+  } catch (error) {
+    console.error('Error resolving MSP:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const Together = require('together-ai');
+const { convertArea, readQuantity } = require('../units');
+const { resolveLocation } = require('../gazetteer');
 
 const together = new Together({
   apiKey: process.env.TOGETHER_API_KEY
@@ -19,17 +21,43 @@ router.post('/recommendations', async (req, res) => {
     } = req.body;
 
     // Validate required fields
-    if (!location || !location.mandal) {
+    if (!location || !location.mandal || !String(location.mandal).trim()) {
       return res.status(400).json({
         error: 'Missing required fields',
         required: ['location (with mandal)']
       });
     }
 
+    // The mandal (and village, if listed) must be in the gazetteer
+    const resolvedLocation = resolveLocation(location);
+    if (resolvedLocation.error) {
+      return res.status(400).json({
+        error: resolvedLocation.error,
+        suggestions: resolvedLocation.suggestions
+      });
+    }
+    const resolved = resolvedLocation.location;
+    const place = {
+      village: (resolved ? resolved.village : null) || location.village,
+      mandal: resolved ? resolved.mandal : null,
+      district: resolved ? resolved.district : null
+    };
+
+    // Land area may come in any supported unit (landAreaUnit); the analysis uses hectares
+    const landAreaInput = readQuantity(req.body, 'landArea', 'area', 'hectare');
+    if (landAreaInput.error) {
+      return res.status(400).json({
+        error: landAreaInput.error
+      });
+    }
+    const landAreaHectares = landAreaInput.quantity
+      ? Math.round(convertArea(landAreaInput.quantity.value, landAreaInput.quantity.unit, 'hectare') * 100) / 100
+      : 1;
+
     // Create prompt for AI
     const prompt = createNaturalFarmingPrompt({
-      location: location || {},
-      landArea: landArea || 1,
+      location: place,
+      landArea: landAreaHectares,
       currentCrop: currentCrop || 'mixed crops',
       soilType: soilType || 'red soil',
       waterSource: waterSource || 'bore well',
@@ -63,11 +91,12 @@ router.post('/recommendations', async (req, res) => {
       success: true,
       data: {
         location: {
-          village: location.village,
-          mandal: location.mandal,
+          ...place,
           region: 'Andhra Pradesh'
         },
-        landArea,
+        ...(resolvedLocation.warnings.length > 0 && { locationWarnings: resolvedLocation.warnings }),
+        landArea: landAreaInput.quantity,
+        landAreaHectares,
         currentCrop,
         benefits: parsedResponse.benefits,
         recommendedPractices: parsedResponse.practices,
@@ -91,7 +120,7 @@ function createNaturalFarmingPrompt(data) {
   return `Provide natural farming recommendations for a farmer in the Kuppam region of Andhra Pradesh, India.
 
 **Farmer's Current Situation:**
-- Location: ${data.location.village ? `${data.location.village}, ` : ''}${data.location.mandal}, Andhra Pradesh
+- Location: ${data.location.village ? `${data.location.village}, ` : ''}${data.location.mandal} mandal, ${data.location.district ? `${data.location.district} district, ` : ''}Andhra Pradesh
 - Land Area: ${data.landArea} hectares
 - Current Crop: ${data.currentCrop}
 - Soil Type: ${data.soilType}
@@ -2,8 +2,17 @@ const express = require('express');
 const router = express.Router();
 const OpenAI = require('openai');
 const dotenv = require('dotenv');
-const { getMSPData } = require('../mspData');
+const { getApplicableMSP, getCropMSP } = require('../mspData');
+const { getCropSector } = require('../cropRegistry');
 const { getAPMCCropData } = require('../apmcData');
+const { calculateNetRealization } = require('../netRealization');
+const { getCropGlutAlerts } = require('../glutAlerts');
+const { getDroughtAdvisory } = require('../droughtIndices');
+const { getSowingWindow } = require('../sowingWindow');
+const { calculateIrrigationGap } = require('../irrigationGap');
+const { convertArea, convertMass, readQuantity } = require('../units');
+const { resolveFarmLocation } = require('../boundaries');
+const { getFarmCostOfCultivation, estimateStageCosts } = require('../costNorms');
 
 dotenv.config();
 
@@ -21,49 +30,15 @@ function initializeTogetherAI() {
   });
 }
 
-/**
- * Determine crop category based on crop name
- */
-function getCropCategory(crop) {
-  if (!crop) return 'agriculture';
-  
-  const cropLower = crop.toLowerCase();
-  
-  // Horticulture crops (fruits, vegetables, flowers, spices)
-  const horticultureKeywords = [
-    'tomato', 'potato', 'onion', 'chilli', 'brinjal', 'cauliflower', 'cabbage',
-    'beans', 'cucumber', 'gourd', 'okra', 'carrot', 'radish', 'beetroot',
-    'mango', 'banana', 'orange', 'citrus', 'guava', 'papaya', 'pomegranate',
-    'coconut', 'oilpalm', 'cashew', 'spice', 'turmeric', 'ginger', 'garlic',
-    'flower', 'rose', 'marigold', 'chrysanthemum'
-  ];
-  
-  // Sericulture crops (mulberry, silk-related)
-  const sericultureKeywords = [
-    'mulberry', 'silk', 'sericulture', 'silkworm'
-  ];
-  
-  // Check for horticulture
-  if (horticultureKeywords.some(keyword => cropLower.includes(keyword))) {
-    return 'horticulture';
-  }
-  
-  // Check for sericulture
-  if (sericultureKeywords.some(keyword => cropLower.includes(keyword))) {
-    return 'sericulture';
-  }
-  
-  // Default to agriculture (grains, pulses, oilseeds, cash crops)
-  return 'agriculture';
-}
-
 /**
  * Get government schemes for farmers in Andhra Pradesh
- * Returns filtered schemes based on farmer profile and crop details
+ * Returns filtered schemes based on farmer profile and crop details; with the farm's location
+ * (farmerProfile.location), schemes applied for at the village RSK say where
  */
 function getApplicableGovernmentSchemes(farmerProfile = {}, crop, farmingType = null) {
-  const { irrigationMethod } = farmerProfile;
-  const cropCategory = getCropCategory(crop);
+  const { irrigationMethod, location } = farmerProfile;
+  // Scheme categories follow the crop's department: horticulture, sericulture or agriculture
+  const cropCategory = getCropSector(crop);
   
   // All schemes with categories/tags from Excel file: Agricultural Schemes (2).xlsx
   const allSchemes = [
@@ -91,7 +66,8 @@ function getApplicableGovernmentSchemes(farmerProfile = {}, crop, farmingType =
     {
       name: "Rythu Seva Kendralu (RSKs)",
       link: "https://agriculture.ap.gov.in/home",
-      categories: ['universal']
+      categories: ['universal'],
+      appliedAtRSK: true
     },
     {
       name: "Weekly Polam Pilisthundhi",
@@ -297,7 +273,10 @@ function getApplicableGovernmentSchemes(farmerProfile = {}, crop, farmingType =
       seenNames.add(scheme.name);
       uniqueSchemes.push({
         name: scheme.name,
-        link: scheme.link
+        link: scheme.link,
+        ...(scheme.appliedAtRSK && location && location.mandal && {
+          applyAt: `Rythu Seva Kendram, ${location.village ? `${location.village} village, ` : ''}${location.mandal} mandal`
+        })
       });
     }
   });
@@ -307,8 +286,11 @@ function getApplicableGovernmentSchemes(farmerProfile = {}, crop, farmingType =
 
 /**
  * Calculate stage-wise investment requirements
+ * @param {number} landArea - Land area in hectares
  */
 function calculateStageWiseInvestment(stages, crop, landArea = 0.6) {
+  const landAreaAcres = convertArea(landArea, "hectare", "acre");
+
   const stageNames = [
     "Treating Soil",
     "Land Preparation", 
@@ -346,7 +328,7 @@ function calculateStageWiseInvestment(stages, crop, landArea = 0.6) {
       stage: index + 1,
       name: stageNames[index] || stage.stageName,
       totalCost: totalCost,
-      costPerAcre: Math.round(totalCost / (landArea * 2.47)), // Convert hectares to acres
+      costPerAcre: Math.round(totalCost / landAreaAcres),
       breakdown: breakdown
     };
   });
@@ -354,11 +336,39 @@ function calculateStageWiseInvestment(stages, crop, landArea = 0.6) {
   const totalInvestment = stageInvestments.reduce((sum, stage) => sum + stage.totalCost, 0);
   
   return {
+    basis: "stages",
     totalInvestment,
-    totalInvestmentPerAcre: Math.round(totalInvestment / (landArea * 2.47)),
+    totalInvestmentPerAcre: Math.round(totalInvestment / landAreaAcres),
     stages: stageInvestments,
     landAreaHectares: landArea,
-    landAreaAcres: Math.round(landArea * 2.47 * 100) / 100
+    landAreaAcres: Math.round(landAreaAcres * 100) / 100
+  };
+}
+
+/**
+ * Stage-wise investment estimated from the crop's cost of cultivation norm, in the shape of
+ * calculateStageWiseInvestment, for farmers whose stages record no costs
+ * @param {Object} costOfCultivation - From getFarmCostOfCultivation
+ */
+function estimateStageWiseInvestment(costOfCultivation) {
+  const landAreaAcres = convertArea(costOfCultivation.areaHectares, "hectare", "acre");
+  const stages = estimateStageCosts(costOfCultivation.costs).map(stage => ({
+    stage: stage.stage,
+    name: stage.name,
+    totalCost: stage.totalCost,
+    costPerAcre: Math.round(stage.totalCost / landAreaAcres),
+    breakdown: stage.breakdown.map(entry => ({ category: entry.component, cost: entry.cost }))
+  }));
+  const totalInvestment = stages.reduce((sum, stage) => sum + stage.totalCost, 0);
+
+  return {
+    basis: "costNorms",
+    estimate: costOfCultivation.estimate,
+    totalInvestment,
+    totalInvestmentPerAcre: Math.round(totalInvestment / landAreaAcres),
+    stages,
+    landAreaHectares: costOfCultivation.areaHectares,
+    landAreaAcres: Math.round(landAreaAcres * 100) / 100
   };
 }
 
@@ -381,10 +391,12 @@ function getCategoryDetails(category) {
 
 /**
  * Get market data for crop
+ * @param {string} crop - Crop name
+ * @param {Object} cropDates - { sowingDate, harvestDate } used to pick the MSP marketing year
  */
-function getMarketData(crop) {
+function getMarketData(crop, cropDates = {}) {
   const apmcData = getAPMCCropData(crop);
-  const mspDataAll = getMSPData();
+  const mspEntry = getApplicableMSP(crop, cropDates);
   
   let marketPrice = null;
   let mspPrice = null;
@@ -392,6 +404,7 @@ function getMarketData(crop) {
   if (apmcData) {
     marketPrice = {
       price: apmcData.avgModalPrice,
+      market: apmcData.region,
       source: `APMC ${apmcData.region}`,
       priceRange: {
         min: apmcData.minPrice,
@@ -400,26 +413,41 @@ function getMarketData(crop) {
     };
   }
   
-  // Find MSP for crop
-  const mspKey = Object.keys(mspDataAll).find(key => 
-    key.toLowerCase().includes(crop.toLowerCase()) || 
-    crop.toLowerCase().includes(key.toLowerCase().split(' ')[0])
-  );
-  
-  if (mspKey) {
-    const mspEntry = mspDataAll.find(d => d.crop === mspKey);
-    if (mspEntry) {
-      mspPrice = {
-        price: mspEntry.msp["2025-26"],
-        trend: mspEntry.trend,
-        category: mspEntry.category
-      };
-    }
+  if (mspEntry) {
+    mspPrice = {
+      price: mspEntry.msp,
+      mspKey: mspEntry.mspKey,
+      season: mspEntry.season,
+      marketingSeason: mspEntry.marketingSeason,
+      marketingYear: mspEntry.marketingYear,
+      note: mspEntry.note,
+      trend: getCropMSP(crop).trend
+    };
   }
   
   return { marketPrice, mspPrice };
 }
 
+/**
+ * Net realization for the AI-projected harvest when it is sold at the APMC the price came from
+ * @returns {Object|null} Result of calculateNetRealization, or null without a projection or APMC price
+ */
+function getProjectedNetRealization(projections, marketData, mandal, vehicleType) {
+  if (!projections || !marketData.marketPrice) return null;
+
+  const quantityQuintals = parseFloat(projections.expectedYieldQuintals);
+  const pricePerQuintal = parseFloat(projections.marketPricePerQuintal) || marketData.marketPrice.price;
+  if (!quantityQuintals || !pricePerQuintal) return null;
+
+  return calculateNetRealization({
+    pricePerQuintal,
+    quantityQuintals,
+    market: marketData.marketPrice.market,
+    mandal,
+    vehicleType
+  });
+}
+
 /**
  * Main API endpoint for Next Crop Selection & AI Insights
  */
@@ -434,6 +462,11 @@ router.post('/', async (req, res) => {
       suggestedCrop,
       season = 'Kharif',
       region = 'Kuppam',
+      mandal,
+      geoPosition = req.body.soilDetails?.geoPosition,
+      vehicleType,
+      sowingDate,
+      harvestDate,
       language = 'en',
       // Optional fields
       currentYield,
@@ -462,23 +495,69 @@ router.post('/', async (req, res) => {
       });
     }
     
-    // Extract farmer data (with defaults)
-    const farmerLandArea = parseFloat(landArea) || 0.6;
+    // Land area and yield may come in any supported unit (landAreaUnit, currentYieldUnit)
+    const landAreaInput = readQuantity(req.body, 'landArea', 'area', 'hectare');
+    const currentYieldInput = readQuantity(req.body, 'currentYield', 'mass', 'kg');
+    const unitError = landAreaInput.error || currentYieldInput.error;
+    if (unitError) {
+      return res.status(400).json({
+        success: false,
+        error: unitError
+      });
+    }
+    
+    // Mandal (or region) is looked up in the gazetteer, unless a geoPosition inside the mandal boundaries
+    // on file places the farm; rainfall comes from the place's rain gauge
+    const resolvedLocation = resolveFarmLocation(mandal || req.body.region || (geoPosition ? undefined : region), geoPosition);
+    if (resolvedLocation.error) {
+      return res.status(400).json({
+        success: false,
+        error: resolvedLocation.error,
+        suggestions: resolvedLocation.suggestions
+      });
+    }
+    const place = resolvedLocation.location;
+    const farmerMandal = place ? place.mandal : null;
+    const rainfallStation = place ? place.rainfallStation : null;
+    
+    // Extract farmer data (with defaults), in hectares and kg
+    const farmerLandArea = landAreaInput.quantity
+      ? convertArea(landAreaInput.quantity.value, landAreaInput.quantity.unit, 'hectare') || 0.6
+      : 0.6;
     const farmerCurrentCrop = currentCrop || 'Previous Crop';
-    const farmerCurrentYield = currentYield || null;
+    const farmerCurrentYield = currentYieldInput.quantity
+      ? Math.round(convertMass(currentYieldInput.quantity.value, currentYieldInput.quantity.unit, 'kg'))
+      : null;
     const farmerCurrentIncome = currentIncome || null;
     
-    // Calculate stage-wise investment
+    // Calculate stage-wise investment from the farmer's stages, or from the suggested crop's cost of
+    // cultivation norm when the stages record no costs
     console.log('Calculating stage-wise investment...');
-    const investmentAnalysis = calculateStageWiseInvestment(stages, suggestedCrop, farmerLandArea);
+    const costOfCultivation = getFarmCostOfCultivation(suggestedCrop, farmerLandArea, farmerMandal);
+    const stageInvestment = calculateStageWiseInvestment(stages, suggestedCrop, farmerLandArea);
+    const investmentAnalysis = stageInvestment.totalInvestment > 0 ? stageInvestment : estimateStageWiseInvestment(costOfCultivation);
     
     // Get market data
     console.log('Fetching market data...');
-    const marketData = getMarketData(suggestedCrop);
+    // The next crop is being planned now, so without dates it is taken as sown today
+    const marketData = getMarketData(suggestedCrop, { sowingDate: sowingDate || new Date(), harvestDate });
+    
+    // Best sowing month from the mandal's rainfall history (within the requested season, if one was given)
+    const sowingWindow = getSowingWindow(suggestedCrop, rainfallStation, { season: req.body.season });
+    
+    // Irrigation the crop needs beyond the mandal's effective rainfall, sown on the given date or in the sowing window
+    const plannedSowing = sowingDate ? new Date(sowingDate) : null;
+    const irrigationGap = calculateIrrigationGap(suggestedCrop, rainfallStation, {
+      sowingMonth: plannedSowing && !isNaN(plannedSowing) ? plannedSowing.getMonth() + 1 : sowingWindow?.recommended?.month,
+      season: req.body.season,
+      areaHectares: farmerLandArea,
+      irrigationMethod,
+      waterSource
+    });
     
     // Get applicable government schemes
     console.log('Fetching applicable government schemes...');
-    const farmerProfileForSchemes = { bplFamily, gender, irrigationMethod };
+    const farmerProfileForSchemes = { bplFamily, gender, irrigationMethod, location: place };
     const governmentSchemes = getApplicableGovernmentSchemes(farmerProfileForSchemes, suggestedCrop, farmingType);
     
     // Initialize Together AI
@@ -490,7 +569,7 @@ router.post('/', async (req, res) => {
 
 **FARMER PROFILE:**
 - Location: ${region}, Andhra Pradesh
-- Land Area: ${farmerLandArea} hectares (${(farmerLandArea * 2.47).toFixed(2)} acres)
+- Land Area: ${farmerLandArea} hectares (${investmentAnalysis.landAreaAcres} acres)
 - Current Crop: ${farmerCurrentCrop}
 - Current Yield: ${farmerCurrentYield ? `${farmerCurrentYield} kg` : 'Not provided'}
 - Current Income: ${farmerCurrentIncome ? `₹${farmerCurrentIncome}` : 'Not provided'}
@@ -502,15 +581,18 @@ router.post('/', async (req, res) => {
 
 **SUGGESTED CROP FOR ANALYSIS:** ${suggestedCrop}
 **SEASON:** ${season}
+${sowingWindow && sowingWindow.recommended ? `**SOWING WINDOW:** ${sowingWindow.recommended.month} (${sowingWindow.recommended.reason})` : ''}
+${irrigationGap ? `**IRRIGATION NEED:** ${irrigationGap.totals.netIrrigationMm} mm beyond effective rainfall for ${irrigationGap.sowingMonth} sowing (${irrigationGap.totals.grossIrrigationLitres.toLocaleString('en-IN')} litres by ${irrigationGap.irrigationMethod} irrigation${irrigationGap.pump ? `, about ${irrigationGap.pump.totalHours} borewell pump hours` : ''})` : ''}
 **REGION CONTEXT:** ${region} region, Chittoor district, Andhra Pradesh
 
 **INVESTMENT ANALYSIS:**
-Total Investment Required: ₹${investmentAnalysis.totalInvestment.toLocaleString('en-IN')}
+Total Investment Required: ₹${investmentAnalysis.totalInvestment.toLocaleString('en-IN')}${investmentAnalysis.basis === 'costNorms' ? ` (estimated from the ${suggestedCrop} cost of cultivation norm)` : ''}
 Investment per Acre: ₹${investmentAnalysis.totalInvestmentPerAcre.toLocaleString('en-IN')}
+Cost of Cultivation Norm for ${suggestedCrop}${costOfCultivation.estimate ? ' (a rough estimate, not a local survey)' : ''}: ₹${costOfCultivation.perAcre.total.toLocaleString('en-IN')}/acre (seed ₹${costOfCultivation.perAcre.seed}, fertilizer ₹${costOfCultivation.perAcre.fertilizer}, plant protection ₹${costOfCultivation.perAcre.plantProtection}, labour ₹${costOfCultivation.perAcre.labour}, machinery ₹${costOfCultivation.perAcre.machinery}, irrigation ₹${costOfCultivation.perAcre.irrigation}, marketing ₹${costOfCultivation.perAcre.marketing})
 
 **MARKET DATA:**
 ${marketData.marketPrice ? `APMC Price: ₹${marketData.marketPrice.price}/quintal (${marketData.marketPrice.source})` : 'APMC Price: Not available'}
-${marketData.mspPrice ? `MSP 2025-26: ₹${marketData.mspPrice.price}/quintal` : 'MSP: Not available'}
+${marketData.mspPrice ? `MSP ${marketData.mspPrice.marketingSeason} ${marketData.mspPrice.marketingYear}: ₹${marketData.mspPrice.price}/quintal` : 'MSP: Not available'}
 
 **CURRENT CROP COMPARISON:**
 Current Crop: ${farmerCurrentCrop}
@@ -611,6 +693,9 @@ Return ONLY the JSON object.`;
       parsedInsights = { rawInsights: aiInsights };
     }
     
+    // Gross revenue is what the AI projects; net is after transport and market deductions
+    const netRealization = getProjectedNetRealization(parsedInsights.projections, marketData, farmerMandal, vehicleType);
+    
     // Build final response
     const response = {
       success: true,
@@ -618,16 +703,30 @@ Return ONLY the JSON object.`;
         crop: suggestedCrop,
         season: season,
         region: region,
+        location: place,
+        locationSource: resolvedLocation.locationSource,
+        ...(resolvedLocation.warnings.length > 0 && { locationWarnings: resolvedLocation.warnings }),
+        ...(resolvedLocation.locationMismatch && { locationMismatch: resolvedLocation.locationMismatch }),
+        units: {
+          area: 'hectare',
+          yield: 'kg',
+          price: 'Rs/Qui',
+          currency: 'INR'
+        },
         
         // Investment Requirements
         investmentRequirements: {
+          basis: investmentAnalysis.basis,
           totalInvestment: investmentAnalysis.totalInvestment,
           totalInvestmentPerAcre: investmentAnalysis.totalInvestmentPerAcre,
           landArea: {
             hectares: investmentAnalysis.landAreaHectares,
-            acres: investmentAnalysis.landAreaAcres
+            acres: investmentAnalysis.landAreaAcres,
+            input: landAreaInput.quantity
           },
-          stages: investmentAnalysis.stages
+          stages: investmentAnalysis.stages,
+          // The suggested crop's cost of cultivation norm for the farm, by component
+          costOfCultivation
         },
         
         // AI-Powered Projections (from AI or calculated)
@@ -638,7 +737,10 @@ Return ONLY the JSON object.`;
           },
           marketPrice: parsedInsights.projections.marketPricePerQuintal || marketData.marketPrice?.price || marketData.mspPrice?.price,
           estimatedRevenue: parsedInsights.projections.estimatedRevenue,
-          estimatedProfit: parsedInsights.projections.estimatedProfit
+          estimatedProfit: parsedInsights.projections.estimatedProfit,
+          estimatedNetRevenue: netRealization ? netRealization.netIncome : null,
+          estimatedNetProfit: netRealization ? netRealization.netIncome - investmentAnalysis.totalInvestment : null,
+          netRealization
         } : {
           expectedYield: {
             kg: null,
@@ -647,16 +749,29 @@ Return ONLY the JSON object.`;
           },
           marketPrice: marketData.marketPrice?.price || marketData.mspPrice?.price || null,
           estimatedRevenue: null,
-          estimatedProfit: null
+          estimatedProfit: null,
+          estimatedNetRevenue: null,
+          estimatedNetProfit: null,
+          netRealization: null
         },
         
         // Market Context
         marketContext: {
           apmcPrice: marketData.marketPrice,
           mspPrice: marketData.mspPrice,
-          priceSource: marketData.marketPrice ? 'APMC' : (marketData.mspPrice ? 'MSP' : 'Estimated')
+          priceSource: marketData.marketPrice ? 'APMC' : (marketData.mspPrice ? 'MSP' : 'Estimated'),
+          marketAlerts: getCropGlutAlerts(suggestedCrop, { mandal: farmerMandal, vehicleType })
         },
         
+        // Sowing month with the best chance of establishment rain
+        sowingWindow,
+        
+        // Monthly crop water requirement, effective rainfall and irrigation deficit (with pump hours for borewells)
+        irrigationGap,
+        
+        // Water-intensive crop in a drought-prone mandal
+        droughtAdvisory: getDroughtAdvisory(suggestedCrop, rainfallStation),
+        
         // Risk and Success Factors
         riskFactors: parsedInsights.riskFactors || [],
         successFactors: parsedInsights.successFactors || [],
@@ -667,13 +782,16 @@ Return ONLY the JSON object.`;
             name: farmerCurrentCrop,
             yield: farmerCurrentYield,
             income: farmerCurrentIncome,
-            investment: investmentAnalysis.totalInvestment // Using same stages
+            investment: stageInvestment.totalInvestment // The farmer's stages
           },
           suggestedCrop: {
             name: suggestedCrop,
             estimatedYield: parsedInsights.projections?.expectedYieldKg || null,
             estimatedIncome: parsedInsights.projections?.estimatedRevenue || null,
-            investment: investmentAnalysis.totalInvestment
+            estimatedNetIncome: netRealization ? netRealization.netIncome : null,
+            investment: investmentAnalysis.totalInvestment,
+            costOfCultivationNorm: costOfCultivation.costs.total,
+            costOfCultivationNormIsEstimate: costOfCultivation.estimate
           },
           comparison: parsedInsights.comparison || {
             investmentChange: "AI response not properly formatted",
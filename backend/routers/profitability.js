@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const { generateCropRecommendation } = require('../profitabilityEngine');
+const { groupCosts, calculateBreakEven, calculateSensitivity } = require('../breakEven');
+const { resolveFarmLocation } = require('../boundaries');
+const { getSoilCardGeoPosition, getLandArea } = require('./requestHelpers');
+
+/**
+ * POST /api/profitability/break-even
+ * Break-even price per quintal and yield for a crop on a farm, and a tornado table of how net profit moves
+ * with ±10/20/30% changes in price, yield, labour cost and input cost
+ *
+ * Body:
+ * {
+ *   "cropName": "TOMATO",
+ *   "farmerData": { ... }, // Optional, the farmer's stage costs and yield; otherwise the cost norm and yield benchmark
+ *   "mandal": "KUPPAM", // Optional, prices at the best reachable market (looked up in the gazetteer)
+ *   "vehicleType": "TRACTOR", // Optional, transport for the net realization
+ *   "harvestMonth": "Mar", // Optional, prices the harvest by seasonal index for that month
+ *   "landArea": 2, // Optional, hectares (or landAreaUnit); defaults to the farmer profile's totalAreaHectares, then 0.6
+ *   "season": "Kharif", // Optional, for the yield benchmark
+ *   "irrigation": "irrigated" // Optional, irrigated or rainfed for the yield benchmark
+ * }
+ */
+router.post('/break-even', (req, res) => {
+  try {
+    const { cropName, farmerData, harvestMonth, mandal, vehicleType, season, irrigation } = req.body;
+
+    if (!cropName) {
+      return res.status(400).json({
+        success: false,
+        error: 'cropName is required'
+      });
+    }
+
+    const resolvedLocation = resolveFarmLocation(mandal, getSoilCardGeoPosition(farmerData));
+    if (resolvedLocation.error) {
+      return res.status(400).json({
+        success: false,
+        error: resolvedLocation.error,
+        suggestions: resolvedLocation.suggestions
+      });
+    }
+    const place = resolvedLocation.location;
+
+    const landArea = getLandArea(req.body);
+    if (landArea.error) {
+      return res.status(400).json({
+        success: false,
+        error: landArea.error
+      });
+    }
+
+    const recommendation = generateCropRecommendation(cropName, farmerData, landArea.hectares, {
+      harvestMonth,
+      mandal: place ? place.mandal : null,
+      vehicleType,
+      season,
+      irrigation
+    });
+
+    const breakEven = calculateBreakEven(recommendation);
+    if (!breakEven) {
+      return res.status(404).json({
+        success: false,
+        error: `No price or yield to work out a break-even for ${cropName}`
+      });
+    }
+    const costGroups = groupCosts(recommendation, farmerData);
+
+    res.json({
+      success: true,
+      crop: cropName,
+      cropId: recommendation.cropId,
+      location: place,
+      locationSource: resolvedLocation.locationSource,
+      ...(resolvedLocation.warnings.length > 0 && { locationWarnings: resolvedLocation.warnings }),
+      ...(resolvedLocation.locationMismatch && { locationMismatch: resolvedLocation.locationMismatch }),
+      landArea,
+      units: {
+        yield: "quintal",
+        price: "Rs/Qui",
+        area: "hectare",
+        currency: "INR"
+      },
+      basis: {
+        yieldBasis: recommendation.profitability.perHectare.yieldBasis,
+        yieldIsEstimate: recommendation.profitability.perHectare.yieldIsEstimate,
+        costBasis: recommendation.profitability.costBasis,
+        costIsEstimate: recommendation.profitability.costIsEstimate,
+        priceSource: recommendation.profitability.priceSource,
+        pricingBasis: recommendation.profitability.pricingBasis,
+        market: recommendation.profitability.market || null
+      },
+      breakEven,
+      costGroups,
+      sensitivity: calculateSensitivity(recommendation, costGroups)
+    });
+
+  } catch (error) {
+    console.error('Error calculating break-even:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,119 @@
 const express = require('express');
 const router = express.Router();
-const { getAllAPMCCrops, getHighDemandCrops } = require('../apmcData');
+const { getAllAPMCCrops, getHighDemandCrops, getAPMCMarkets } = require('../apmcData');
 const { getTopProfitableCrops, generateCropRecommendation, generateCropOperationalDetails } = require('../profitabilityEngine');
+const { compareSalesChannels } = require('../channelComparison');
+const { convertMass } = require('../units');
+const { getSellTimingAdvice } = require('../sellTiming');
+const { calculateIrrigationGap } = require('../irrigationGap');
+const { resolveFarmLocation } = require('../boundaries');
+const { simulateProfitRisk } = require('../riskSimulation');
+const { getSoilCardGeoPosition, getLandArea } = require('./requestHelpers');
+
+// Units of the numbers in these responses (APMC prices and arrivals are per quintal)
+const RESPONSE_UNITS = {
+  yield: "quintal",
+  price: "Rs/Qui",
+  arrivals: "quintal",
+  area: "hectare",
+  currency: "INR"
+};
+
+/**
+ * Sell-now vs hold advice for the harvest, with a pointer to the full month-by-month analysis
+ */
+function getSellTimingSummary(cropName, recommendation) {
+  const advice = getSellTimingAdvice(cropName, {
+    market: recommendation.profitability?.market,
+    quantityQuintals: recommendation.profitability?.yieldQuintals
+  });
+  if (!advice) return null;
+
+  return {
+    storable: advice.storable,
+    market: advice.market,
+    ...advice.recommendation,
+    details: `/api/markets/${encodeURIComponent(cropName)}/sell-timing`
+  };
+}
+
+/**
+ * Gross income range from the harvest-month price forecast's prediction interval (null without a forecast)
+ */
+function formatIncomeRange(profitability) {
+  const band = profitability?.incomeBand;
+  if (!band) return null;
+  return `₹${Math.round(band.low).toLocaleString('en-IN')} - ₹${Math.round(band.high).toLocaleString('en-IN')}`;
+}
+
+/**
+ * Per-hectare yield, cost and income behind a recommendation, with the area they are scaled to
+ */
+function formatPerHectareBasis(recommendation) {
+  const perHectare = recommendation.profitability.perHectare;
+  return {
+    yieldBasis: perHectare.yieldBasis,
+    yieldIsEstimate: perHectare.yieldIsEstimate,
+    costBasis: perHectare.costBasis,
+    costIsEstimate: perHectare.costIsEstimate,
+    areaHectares: recommendation.areaHectares,
+    yieldQuintals: perHectare.yieldQuintals,
+    totalCost: `₹${perHectare.totalCost.toLocaleString('en-IN')}`,
+    grossIncome: `₹${perHectare.expectedIncome.toLocaleString('en-IN')}`,
+    netIncome: `₹${perHectare.netIncome.toLocaleString('en-IN')}`
+  };
+}
+
+/**
+ * Season's irrigation need for the recommendation's area after the mandal's effective rainfall, with a pointer
+ * to the month-by-month calculation (null when the mandal has no rainfall records)
+ */
+function getIrrigationGapSummary(recommendation, mandal, farmerData) {
+  const cropDetails = farmerData?.profile?.metaData?.masterData?.cropDetails;
+  const gap = calculateIrrigationGap(recommendation.crop, mandal, {
+    areaHectares: recommendation.areaHectares,
+    waterSource: cropDetails?.waterSource,
+    irrigationMethod: cropDetails?.methodOfIrrigation
+  });
+  if (!gap) return null;
+
+  return {
+    mandal: gap.mandal,
+    sowingMonth: gap.sowingMonth,
+    cropWaterRequirementMm: gap.totals.cropWaterRequirementMm,
+    effectiveRainfallMm: gap.totals.effectiveRainfallMm,
+    netIrrigationMm: gap.totals.netIrrigationMm,
+    grossIrrigationLitres: gap.totals.grossIrrigationLitres,
+    irrigationMethod: gap.irrigationMethod,
+    pumpHours: gap.pump ? gap.pump.totalHours : null,
+    details: `/api/rainfall/${encodeURIComponent(gap.mandal)}/irrigation-gap?crop=${encodeURIComponent(recommendation.crop)}&sowingMonth=${gap.sowingMonth}`
+  };
+}
+
+/**
+ * Profit simulation headline figures for a list of recommendations (the full distribution is in /analyze)
+ */
+function formatRiskSummary(simulation) {
+  if (!simulation) return null;
+  return {
+    riskLevel: simulation.riskLevel,
+    riskLevelBasis: simulation.riskLevelBasis,
+    probabilityOfLoss: simulation.probabilityOfLoss,
+    netIncome: simulation.income,
+    profit: { p10: simulation.profit.p10, p50: simulation.profit.p50, p90: simulation.profit.p90 },
+    valueAtRisk: simulation.valueAtRisk
+  };
+}
+
+/**
+ * Rythu Bazar vs wholesale comparison for a vegetable recommendation's harvest (null for other crops)
+ */
+function getDirectMarketingComparison(recommendation, mandal) {
+  if (recommendation.category !== 'vegetable') return null;
+  const quantityKg = Math.round(convertMass(recommendation.profitability?.yieldQuintals || 0, "quintal", "kg"));
+  if (quantityKg <= 0) return null;
+  return compareSalesChannels({ crop: recommendation.crop, quantityKg, mandal });
+}
 
 /**
  * POST /api/profitable-crops
@@ -10,45 +122,102 @@ const { getTopProfitableCrops, generateCropRecommendation, generateCropOperation
  * Body:
  * {
  *   "farmerData": { ... }, // Optional farmer profile
- *   "region": "KUPPAM", // Optional, defaults to PALAMANER area
+ *   "region": "KUPPAM", // Optional, defaults to the KUPPAM/PALAMANER market area
+ *   "mandal": "GUDUPALLE", // Optional, prices each crop at the best reachable market
+ *   // mandal (or region) is looked up in the gazetteer: a mandal or village name, Telugu name or LGD code
+ *   "vehicleType": "MINI_TRUCK", // Optional, AUTO | MINI_TRUCK | TRACTOR | TRUCK for transport cost
+ *   "landArea": 2, // Optional, hectares (or landAreaUnit); defaults to the farmer profile's totalAreaHectares, then 0.6
+ *   "season": "Rabi", // Optional, for the yield benchmark; defaults to the season of the farmer's sowing date
+ *   "irrigation": "rainfed", // Optional, irrigated or rainfed for the yield benchmark; defaults from the farmer's water source
+ *   "droughtShock": false, // Optional, leave the mandal's drought seasons out of the profit simulation
  *   "topN": 5 // Optional, number of crops to return
  * }
  */
 router.post('/', async (req, res) => {
   try {
-    const { farmerData, region = "KUPPAM/PALAMANER", topN = 5 } = req.body;
+    const { farmerData, region = "KUPPAM/PALAMANER", mandal, vehicleType, season, irrigation, droughtShock, topN = 5 } = req.body;
+    
+    // Only a mandal or region the farmer gave is looked up; the default market area has no mandal.
+    // A soil card geoPosition inside the mandal boundaries on file decides the mandal.
+    const resolvedLocation = resolveFarmLocation(mandal || req.body.region, getSoilCardGeoPosition(farmerData));
+    if (resolvedLocation.error) {
+      return res.status(400).json({
+        success: false,
+        error: resolvedLocation.error,
+        suggestions: resolvedLocation.suggestions
+      });
+    }
+    const place = resolvedLocation.location;
+    const farmerMandal = place ? place.mandal : null;
+    
+    const landArea = getLandArea(req.body);
+    if (landArea.error) {
+      return res.status(400).json({
+        success: false,
+        error: landArea.error
+      });
+    }
     
     // Get available crops from APMC data
     const apmcCrops = getAllAPMCCrops();
     const cropNames = apmcCrops.map(c => c.crop);
     
-    // Get land area from farmer data or use default
-    const landArea = farmerData?.profile?.metaData?.masterData?.agriStack?.totalAreaHectares || 0.6;
-    
-    // Generate recommendations
-    const recommendations = getTopProfitableCrops(cropNames, farmerData, topN);
+    // Generate recommendations; estimates without farmer data are scaled to the farm area
+    const recommendations = getTopProfitableCrops(cropNames, farmerData, topN, {
+      landAreaHectares: landArea.hectares,
+      mandal: farmerMandal,
+      vehicleType,
+      season,
+      irrigation
+    });
     
     // Generate operational details for each crop recommendation
     const formattedRecommendations = await Promise.all(
       recommendations.map(async (rec) => {
+        // The profit simulation sets the risk level in the operational details
+        rec.riskSimulation = simulateProfitRisk(rec, { droughtShock });
+
         // Generate operational details (replaces financial details)
         const operationalDetails = await generateCropOperationalDetails(
           rec.crop,
           rec,
-          farmerData
+          farmerData,
+          { mandal: farmerMandal }
         );
         
         return {
           crop: rec.crop,
+          cropId: rec.cropId,
           expectedIncome: `₹${rec.expectedIncome.toLocaleString('en-IN')}`,
+          grossIncome: `₹${rec.expectedIncome.toLocaleString('en-IN')}`,
+          expectedIncomeRange: formatIncomeRange(rec.profitability),
+          netIncome: `₹${rec.netIncome.toLocaleString('en-IN')}`,
+          perHectare: formatPerHectareBasis(rec),
+          yieldBenchmark: rec.yieldBenchmark,
+          yieldAchievement: rec.yieldAchievement,
+          marketDeductions: rec.profitability.netRealization ? {
+            ...rec.profitability.netRealization.deductions,
+            total: rec.profitability.netRealization.totalDeductions,
+            percentOfGross: rec.profitability.netRealization.deductionPercent
+          } : null,
           demand: rec.demand,
           successRate: `${rec.successRate}%`,
+          riskLevel: rec.riskSimulation ? rec.riskSimulation.riskLevel : null,
+          riskSimulation: formatRiskSummary(rec.riskSimulation),
+          marketAlerts: rec.marketAlerts,
+          droughtAdvisory: rec.droughtAdvisory,
+          irrigationGap: getIrrigationGapSummary(rec, farmerMandal, farmerData),
+          directMarketing: getDirectMarketingComparison(rec, farmerMandal),
           details: operationalDetails, // Operational details instead of financial details
           marketInfo: rec.marketData ? {
+            market: rec.marketData.region,
+            distanceKm: rec.marketDistanceKm,
             recentTrades: rec.marketData.recentTrades.length,
             totalArrivals: rec.marketData.totalArrivals,
             avgPrice: `₹${rec.marketData.avgModalPrice}/quintal`,
-            volatility: rec.marketData.priceVolatility
+            volatility: rec.marketData.priceVolatility,
+            volatilityMetrics: rec.marketData.volatilityMetrics,
+            demandMetrics: rec.marketData.demandMetrics
           } : null
         };
       })
@@ -57,7 +226,13 @@ router.post('/', async (req, res) => {
     res.json({
       success: true,
       region,
+      location: place,
+      locationSource: resolvedLocation.locationSource,
+      ...(resolvedLocation.warnings.length > 0 && { locationWarnings: resolvedLocation.warnings }),
+      ...(resolvedLocation.locationMismatch && { locationMismatch: resolvedLocation.locationMismatch }),
+      landArea,
       totalCropsAnalyzed: cropNames.length,
+      units: RESPONSE_UNITS,
       recommendations: formattedRecommendations
     });
     
@@ -77,12 +252,20 @@ router.post('/', async (req, res) => {
  * Body:
  * {
  *   "cropName": "TOMATO",
- *   "farmerData": { ... } // Optional
+ *   "farmerData": { ... }, // Optional
+ *   "mandal": "KUPPAM", // Optional, prices at the best reachable market (looked up in the gazetteer)
+ *   "vehicleType": "TRACTOR", // Optional, transport for the net realization
+ *   "harvestMonth": "Mar", // Optional, prices the harvest by seasonal index for that month
+ *   "landArea": 2, // Optional, hectares (or landAreaUnit); defaults to the farmer profile's totalAreaHectares, then 0.6
+ *   "season": "Kharif", // Optional, for the yield benchmark
+ *   "irrigation": "irrigated", // Optional, irrigated or rainfed for the yield benchmark
+ *   "droughtShock": true, // Optional, draw drought seasons at the mandal's recorded frequency in the simulation (default true)
+ *   "iterations": 5000 // Optional, simulated seasons (default 2000)
  * }
  */
 router.post('/analyze', async (req, res) => {
   try {
-    const { cropName, farmerData } = req.body;
+    const { cropName, farmerData, harvestMonth, mandal, vehicleType, season, irrigation, droughtShock, iterations } = req.body;
     
     if (!cropName) {
       return res.status(400).json({
@@ -91,7 +274,29 @@ router.post('/analyze', async (req, res) => {
       });
     }
     
-    const recommendation = generateCropRecommendation(cropName, farmerData);
+    const resolvedLocation = resolveFarmLocation(mandal, getSoilCardGeoPosition(farmerData));
+    if (resolvedLocation.error) {
+      return res.status(400).json({
+        success: false,
+        error: resolvedLocation.error,
+        suggestions: resolvedLocation.suggestions
+      });
+    }
+    const place = resolvedLocation.location;
+    const farmerMandal = place ? place.mandal : null;
+    
+    const landArea = getLandArea(req.body);
+    if (landArea.error) {
+      return res.status(400).json({
+        success: false,
+        error: landArea.error
+      });
+    }
+    
+    const recommendation = generateCropRecommendation(cropName, farmerData, landArea.hectares, { harvestMonth, mandal: farmerMandal, vehicleType, season, irrigation });
+    
+    // Profit distribution from simulated seasons; its loss probability sets the risk level
+    recommendation.riskSimulation = simulateProfitRisk(recommendation, { droughtShock, iterations });
     
     // Get LLM insights if API key available
     let llmInsights = null;
@@ -103,18 +308,46 @@ router.post('/analyze', async (req, res) => {
     res.json({
       success: true,
       crop: cropName,
+      cropId: recommendation.cropId,
+      location: place,
+      locationSource: resolvedLocation.locationSource,
+      ...(resolvedLocation.warnings.length > 0 && { locationWarnings: resolvedLocation.warnings }),
+      ...(resolvedLocation.locationMismatch && { locationMismatch: resolvedLocation.locationMismatch }),
+      landArea,
+      units: RESPONSE_UNITS,
       analysis: {
         expectedIncome: `₹${recommendation.expectedIncome.toLocaleString('en-IN')}`,
+        grossIncome: `₹${recommendation.expectedIncome.toLocaleString('en-IN')}`,
+        expectedIncomeRange: formatIncomeRange(recommendation.profitability),
+        netIncome: `₹${recommendation.netIncome.toLocaleString('en-IN')}`,
+        perHectare: formatPerHectareBasis(recommendation),
+        yieldBenchmark: recommendation.yieldBenchmark,
+        yieldAchievement: recommendation.yieldAchievement,
         demand: recommendation.demand,
         successRate: `${recommendation.successRate}%`,
+        riskLevel: recommendation.riskSimulation ? recommendation.riskSimulation.riskLevel : null,
+        riskSimulation: recommendation.riskSimulation,
         profitability: {
           roi: `${recommendation.profitability.roi}%`,
           totalCost: `₹${Math.round(recommendation.profitability.totalCost).toLocaleString('en-IN')}`,
           profit: `₹${Math.round(recommendation.profitability.profit).toLocaleString('en-IN')}`,
+          netProfit: `₹${Math.round(recommendation.profitability.netProfit).toLocaleString('en-IN')}`,
+          netRealization: recommendation.profitability.netRealization,
           pricePerQuintal: `₹${recommendation.profitability.pricePerQuintal}/quintal`,
           priceSource: recommendation.profitability.priceSource,
-          costBreakdown: recommendation.profitability.costBreakdown
+          pricingBasis: recommendation.profitability.pricingBasis,
+          priceBand: recommendation.profitability.priceBand,
+          incomeBand: recommendation.profitability.incomeBand,
+          marketComparison: recommendation.profitability.marketComparison,
+          costBreakdown: recommendation.profitability.costBreakdown,
+          costBasis: recommendation.profitability.costBasis,
+          costIsEstimate: recommendation.profitability.costIsEstimate
         },
+        marketAlerts: recommendation.marketAlerts,
+        droughtAdvisory: recommendation.droughtAdvisory,
+        irrigationGap: farmerMandal ? getIrrigationGapSummary(recommendation, farmerMandal, farmerData) : null,
+        directMarketing: getDirectMarketingComparison(recommendation, farmerMandal),
+        sellTiming: getSellTimingSummary(cropName, recommendation),
         marketData: recommendation.marketData
       },
       llmInsights
@@ -132,13 +365,18 @@ router.post('/analyze', async (req, res) => {
 /**
  * GET /api/profitable-crops/high-demand
  * Get high demand crops in the region
+ *
+ * Query:
+ *   market - Optional APMC market, defaults to each crop's main market
  */
 router.get('/high-demand', (req, res) => {
   try {
-    const highDemandCrops = getHighDemandCrops();
+    const { market } = req.query;
+    const highDemandCrops = getHighDemandCrops(market);
     
     const formatted = highDemandCrops.map(crop => ({
       crop: crop.crop,
+      market: crop.region,
       demand: crop.demand,
       totalArrivals: crop.totalArrivals,
       avgPrice: `₹${crop.avgModalPrice}/quintal`,
@@ -147,7 +385,8 @@ router.get('/high-demand', (req, res) => {
     
     res.json({
       success: true,
-      region: "PALAMANER",
+      region: market ? market.toUpperCase() : getAPMCMarkets().join('/'),
+      units: RESPONSE_UNITS,
       highDemandCrops: formatted
     });
     
@@ -163,10 +402,22 @@ router.get('/high-demand', (req, res) => {
 /**
  * GET /api/profitable-crops/market-overview
  * Get market overview for all crops
+ *
+ * Query:
+ *   market - Optional APMC market, defaults to each crop's main market
  */
 router.get('/market-overview', (req, res) => {
   try {
-    const allCrops = getAllAPMCCrops();
+    const { market } = req.query;
+    const allCrops = getAllAPMCCrops(market);
+    
+    if (allCrops.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `No APMC data found for market ${market}`,
+        availableMarkets: getAPMCMarkets()
+      });
+    }
     
     const overview = {
       totalCrops: allCrops.length,
@@ -176,16 +427,20 @@ router.get('/market-overview', (req, res) => {
       ),
       crops: allCrops.map(crop => ({
         crop: crop.crop,
+        market: crop.region,
         avgPrice: `₹${crop.avgModalPrice}/quintal`,
         demand: crop.demand,
         arrivals: crop.totalArrivals,
-        volatility: crop.priceVolatility
+        volatility: crop.priceVolatility,
+        volatilityMetrics: crop.volatilityMetrics,
+        demandMetrics: crop.demandMetrics
       }))
     };
     
     res.json({
       success: true,
-      region: "PALAMANER",
+      region: market ? market.toUpperCase() : getAPMCMarkets().join('/'),
+      units: RESPONSE_UNITS,
       overview
     });
     
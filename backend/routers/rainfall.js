@@ -0,0 +1,335 @@
+const express = require('express');
+const router = express.Router();
+const {
+  findMandalMatch,
+  calculateRainfallStats,
+  getRainfallMandals,
+  getYearRainfall,
+  assessRainfallQuality,
+  rainfallQualityConfig
+} = require('../rainfallData');
+const { calculateDroughtIndices, getDroughtSummaries, droughtConfig } = require('../droughtIndices');
+const { getSowingWindow } = require('../sowingWindow');
+const { calculateIrrigationGap, parseMonth, RAINFALL_BASES } = require('../irrigationGap');
+const { readQuantity, convertArea } = require('../units');
+const { suggestPlaces } = require('../gazetteer');
+
+// 404 body for a place with no rainfall record, with gazetteer names close to it
+const unknownMandal = mandal => ({
+  success: false,
+  error: `No rainfall records for mandal: ${mandal} (available: ${getRainfallMandals().map(entry => entry.mandal).join(', ')})`,
+  suggestions: suggestPlaces(mandal)
+});
+
+/**
+ * GET /api/rainfall/mandals
+ * List mandals with rainfall records and the years covered
+ */
+router.get('/mandals', (req, res) => {
+  try {
+    const mandals = getRainfallMandals();
+
+    res.json({
+      success: true,
+      count: mandals.length,
+      mandals
+    });
+
+  } catch (error) {
+    console.error('Error listing rainfall mandals:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/rainfall/drought
+ * Drought summary for every mandal: drought years, Kharif drought frequency and whether it is drought-prone
+ */
+router.get('/drought', (req, res) => {
+  try {
+    const mandals = getDroughtSummaries();
+
+    res.json({
+      success: true,
+      count: mandals.length,
+      mandals,
+      thresholds: droughtConfig
+    });
+
+  } catch (error) {
+    console.error('Error summarizing droughts:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/rainfall/quality
+ * Data-quality report for the rainfall records: months due but not recorded, invalid readings and
+ * zeros in normally wet months, for every mandal or the one given in ?mandal=
+ */
+router.get('/quality', (req, res) => {
+  try {
+    const { mandal } = req.query;
+    const matched = mandal ? findMandalMatch(mandal) : null;
+
+    if (mandal && !matched) {
+      return res.status(404).json(unknownMandal(mandal));
+    }
+
+    const mandals = assessRainfallQuality(matched ? [matched] : undefined);
+
+    res.json({
+      success: true,
+      unit: "mm",
+      count: mandals.length,
+      mandals,
+      thresholds: rainfallQualityConfig
+    });
+
+  } catch (error) {
+    console.error('Error assessing rainfall data quality:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/rainfall/:mandal
+ * Rainfall statistics for a mandal: yearly totals, seasonal and monthly averages and the latest year.
+ * Mandals and villages are looked up in the gazetteer ("Kuppam", "Gudupalle", "శాంతిపురం"), or by rainfall record name.
+ */
+router.get('/:mandal', (req, res) => {
+  try {
+    const stats = calculateRainfallStats(req.params.mandal);
+
+    if (!stats) {
+      return res.status(404).json(unknownMandal(req.params.mandal));
+    }
+
+    res.json({
+      success: true,
+      unit: "mm",
+      rainfall: stats
+    });
+
+  } catch (error) {
+    console.error('Error fetching rainfall statistics:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/rainfall/:mandal/drought
+ * Standardized Precipitation Index, departure from normal and dry months for each season
+ * (Kharif, Rabi, Summer) and calendar year, each classified as DROUGHT, NORMAL or EXCESS
+ */
+router.get('/:mandal/drought', (req, res) => {
+  try {
+    const indices = calculateDroughtIndices(req.params.mandal);
+
+    if (!indices) {
+      return res.status(404).json(unknownMandal(req.params.mandal));
+    }
+
+    res.json({
+      success: true,
+      drought: indices
+    });
+
+  } catch (error) {
+    console.error('Error calculating drought indices:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/rainfall/:mandal/sowing-window
+ * Recommend the month to sow a crop from the mandal's rainfall history: the chance of enough rain
+ * to establish in the first 30 days and of a dry first month, for each of the crop's sowing months
+ *
+ * Query:
+ *   crop - Required, crop name or alias
+ *   season - Optional (Kharif, Rabi, Zaid, Perennial), limits the candidate months to one season
+ */
+router.get('/:mandal/sowing-window', (req, res) => {
+  try {
+    const { mandal } = req.params;
+    const { crop, season } = req.query;
+
+    if (!crop) {
+      return res.status(400).json({
+        success: false,
+        error: 'crop query parameter is required'
+      });
+    }
+
+    const sowingWindow = getSowingWindow(crop, mandal, { season });
+
+    if (!sowingWindow) {
+      return res.status(404).json(unknownMandal(mandal));
+    }
+
+    res.json({
+      success: true,
+      sowingWindow
+    });
+
+  } catch (error) {
+    console.error('Error recommending sowing window:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/rainfall/:mandal/irrigation-gap
+ * Month-by-month irrigation need for a crop: crop water requirement from FAO-56 crop coefficients and
+ * Hargreaves reference ET, less effective rainfall, in mm and litres for the farm, with pump hours for borewells
+ *
+ * Query:
+ *   crop - Required, crop name or alias
+ *   sowingMonth - Optional (Jan-Dec or 1-12), defaults to the recommended sowing window month
+ *   season - Optional, limits the default sowing window to one season
+ *   area, areaUnit - Optional farm area (default unit hectare); litres are for 1 hectare without it
+ *   irrigationMethod - Optional drip, sprinkler or flood (default flood)
+ *   waterSource - Optional; a borewell or tube well adds pump hours
+ *   pumpHp, pumpHeadM, pumpDischargeLph - Optional pump details for the pump hour estimate
+ *   rainfall - Optional "normal" (mean monthly rainfall, default) or "dependable" (80% dependable)
+ */
+router.get('/:mandal/irrigation-gap', (req, res) => {
+  try {
+    const { mandal } = req.params;
+    const { crop, sowingMonth, season, irrigationMethod, waterSource, rainfall = "normal" } = req.query;
+
+    if (!crop) {
+      return res.status(400).json({
+        success: false,
+        error: 'crop query parameter is required'
+      });
+    }
+
+    if (sowingMonth && !parseMonth(sowingMonth)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid sowingMonth: ${sowingMonth} (use Jan-Dec or 1-12)`
+      });
+    }
+
+    if (!RAINFALL_BASES.includes(rainfall)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid rainfall: ${rainfall} (use ${RAINFALL_BASES.join(' or ')})`
+      });
+    }
+
+    const pumpOptions = {};
+    for (const field of ['pumpHp', 'pumpHeadM', 'pumpDischargeLph']) {
+      if (req.query[field] === undefined) continue;
+      const value = parseFloat(req.query[field]);
+      if (!Number.isFinite(value) || value <= 0) {
+        return res.status(400).json({
+          success: false,
+          error: `${field} must be a positive number`
+        });
+      }
+      pumpOptions[field] = value;
+    }
+
+    const areaInput = readQuantity(req.query, 'area', 'area', 'hectare');
+    if (areaInput.error) {
+      return res.status(400).json({
+        success: false,
+        error: areaInput.error
+      });
+    }
+    const areaHectares = areaInput.quantity
+      ? convertArea(areaInput.quantity.value, areaInput.quantity.unit, 'hectare')
+      : null;
+
+    const irrigationGap = calculateIrrigationGap(crop, mandal, {
+      sowingMonth,
+      season,
+      areaHectares,
+      irrigationMethod,
+      waterSource,
+      rainfallBasis: rainfall,
+      ...pumpOptions
+    });
+
+    if (!irrigationGap) {
+      return res.status(404).json(unknownMandal(mandal));
+    }
+
+    res.json({
+      success: true,
+      irrigationGap
+    });
+
+  } catch (error) {
+    console.error('Error calculating irrigation gap:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/rainfall/:mandal/:year
+ * Monthly rainfall for one year against the mandal's monthly averages, with seasonal totals
+ */
+router.get('/:mandal/:year', (req, res) => {
+  try {
+    const { mandal, year } = req.params;
+
+    if (!/^\d{4}$/.test(year)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid year: ${year}`
+      });
+    }
+
+    if (!findMandalMatch(mandal)) {
+      return res.status(404).json(unknownMandal(mandal));
+    }
+
+    const rainfall = getYearRainfall(mandal, year);
+
+    if (!rainfall) {
+      return res.status(404).json({
+        success: false,
+        error: `No rainfall records for ${findMandalMatch(mandal)} in ${year}`
+      });
+    }
+
+    res.json({
+      success: true,
+      rainfall
+    });
+
+  } catch (error) {
+    console.error('Error fetching year rainfall:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
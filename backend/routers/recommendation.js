@@ -2,182 +2,18 @@ const express = require('express');
 const Together = require('together-ai');
 const OpenAI = require('openai');
 const dotenv = require('dotenv');
-const fs = require('fs');
-const path = require('path');
 const router = express.Router();
 const { getMSPData, getHighValueCrops } = require('../mspData');
+const { getCropGlutAlerts } = require('../glutAlerts');
+const { convertArea, convertPrice, convertYield, readQuantity } = require('../units');
+const { calculateRainfallStats } = require('../rainfallData');
+const { resolveFarmLocation } = require('../boundaries');
+const { calculateDroughtIndices, getDroughtAdvisory } = require('../droughtIndices');
+const { resolveCrop } = require('../cropRegistry');
 
 // Load environment variables
 dotenv.config();
 
-// Load rainfall data
-const rainfallDataPath = path.join(__dirname, '../rainfallData.json');
-let rainfallData = {};
-try {
-  const rainfallDataContent = fs.readFileSync(rainfallDataPath, 'utf8');
-  rainfallData = JSON.parse(rainfallDataContent);
-} catch (error) {
-  console.error('Error loading rainfall data:', error.message);
-}
-
-// Function to normalize mandal names for better matching
-function normalizeMandalName(mandalName) {
-  if (!mandalName) return '';
-  
-  return mandalName
-    .toLowerCase()
-    .replace(/\s+/g, '') // Remove all spaces
-    .replace(/[^a-z]/g, '') // Remove non-letters
-    .replace(/urban|rural/g, '') // Remove common suffixes
-    .replace(/shanthi|santhi/g, 'santhi') // Normalize phonetic variations
-    .replace(/kuppam|kupam|kpm/g, 'kuppam') // Normalize Kuppam variations
-    .replace(/gudipalle|gudupalle|gudipalli|gudupal/g, 'gudipalle') // Normalize Gudipalle variations
-    .replace(/ramakuppam|ramkuppam|ramkupam/g, 'ramakuppam'); // Normalize Ramakuppam variations
-}
-
-// Function to calculate similarity score between two normalized names
-function calculateSimilarity(normalizedName, targetName) {
-  const normalizedTarget = normalizeMandalName(targetName);
-  
-  // Exact match
-  if (normalizedName === normalizedTarget) return 100;
-  
-  // Check if one contains the other
-  if (normalizedName.includes(normalizedTarget) || normalizedTarget.includes(normalizedName)) {
-    return 80;
-  }
-  
-  // Check for common substrings (at least 4 characters)
-  let maxCommon = 0;
-  for (let i = 0; i < normalizedName.length; i++) {
-    for (let j = i + 4; j <= normalizedName.length; j++) {
-      const substring = normalizedName.substring(i, j);
-      if (normalizedTarget.includes(substring)) {
-        maxCommon = Math.max(maxCommon, substring.length);
-      }
-    }
-  }
-  
-  // Return similarity score based on common substring length
-  return maxCommon > 0 ? (maxCommon / Math.max(normalizedName.length, normalizedTarget.length)) * 50 : 0;
-}
-
-// Function to find the best matching mandal name
-function findMandalMatch(requestedMandal) {
-  if (!requestedMandal) return null;
-  
-  const normalizedName = normalizeMandalName(requestedMandal);
-  if (!normalizedName) return null;
-  
-  console.log(`🔍 Normalizing "${requestedMandal}" to "${normalizedName}"`);
-  
-  // Create array of all available mandals with their similarity scores
-  const mandalMatches = Object.keys(rainfallData).map(mandal => ({
-    name: mandal,
-    similarity: calculateSimilarity(normalizedName, mandal)
-  }));
-  
-  // Sort by similarity score (highest first)
-  mandalMatches.sort((a, b) => b.similarity - a.similarity);
-  
-  // Return the best match if similarity is above threshold
-  const bestMatch = mandalMatches[0];
-  if (bestMatch && bestMatch.similarity > 0) {
-    console.log(`✅ Matched "${requestedMandal}" to "${bestMatch.name}" (similarity: ${bestMatch.similarity.toFixed(1)})`);
-    return bestMatch.name;
-  }
-  
-  console.log(`❌ No suitable match found for "${requestedMandal}"`);
-  console.log(`📋 Available mandals: ${Object.keys(rainfallData).join(', ')}`);
-  return null;
-}
-
-// Function to calculate rainfall statistics for a mandal
-function calculateRainfallStats(requestedMandal) {
-  console.log(`🔍 Processing rainfall data for mandal: ${requestedMandal}`);
-
-  // Find the best matching mandal name
-  const matchedMandal = findMandalMatch(requestedMandal);
-
-  if (!matchedMandal) {
-    console.log(`❌ No rainfall data found for mandal: ${requestedMandal} (tried various matching strategies)`);
-    console.log(`📋 Available mandals: ${Object.keys(rainfallData).join(', ')}`);
-    return null;
-  }
-
-  console.log(`✅ Matched "${requestedMandal}" to "${matchedMandal}", analyzing ${Object.keys(rainfallData[matchedMandal]).length} years of data`);
-
-  const mandalData = rainfallData[matchedMandal];
-  const years = Object.keys(mandalData);
-  const monthlyTotals = {};
-  const yearlyTotals = {};
-  const seasonalPatterns = {
-    kharif: [], // Jun-Oct
-    rabi: [],   // Nov-Mar
-    summer: []  // Apr-May
-  };
-
-  // Calculate monthly and yearly totals
-  years.forEach(year => {
-    let yearlyTotal = 0;
-    const months = Object.keys(mandalData[year]);
-
-    months.forEach(month => {
-      const rainfall = mandalData[year][month];
-      yearlyTotal += rainfall;
-
-      // Initialize monthly total if not exists
-      if (!monthlyTotals[month]) {
-        monthlyTotals[month] = [];
-      }
-      monthlyTotals[month].push(rainfall);
-
-      // Categorize by season
-      const monthNum = new Date(`${month} 1`).getMonth() + 1;
-      if (monthNum >= 6 && monthNum <= 10) {
-        seasonalPatterns.kharif.push(rainfall);
-      } else if (monthNum >= 11 || monthNum <= 3) {
-        seasonalPatterns.rabi.push(rainfall);
-      } else {
-        seasonalPatterns.summer.push(rainfall);
-      }
-    });
-
-    yearlyTotals[year] = yearlyTotal;
-  });
-
-  // Calculate averages
-  const monthlyAverages = {};
-  Object.keys(monthlyTotals).forEach(month => {
-    const values = monthlyTotals[month].filter(v => v > 0); // Exclude zero values for averages
-    monthlyAverages[month] = values.length > 0 ? (values.reduce((a, b) => a + b, 0) / values.length).toFixed(1) : 0;
-  });
-
-  const avgYearlyRainfall = Object.values(yearlyTotals).reduce((a, b) => a + b, 0) / years.length;
-  const avgKharif = seasonalPatterns.kharif.filter(v => v > 0).reduce((a, b) => a + b, 0) / Math.max(seasonalPatterns.kharif.filter(v => v > 0).length, 1);
-  const avgRabi = seasonalPatterns.rabi.filter(v => v > 0).reduce((a, b) => a + b, 0) / Math.max(seasonalPatterns.rabi.filter(v => v > 0).length, 1);
-  const avgSummer = seasonalPatterns.summer.filter(v => v > 0).reduce((a, b) => a + b, 0) / Math.max(seasonalPatterns.summer.filter(v => v > 0).length, 1);
-
-  // Find most recent year data
-  const latestYear = Math.max(...years.map(y => parseInt(y)));
-  const latestData = mandalData[latestYear.toString()];
-
-  return {
-    mandal: matchedMandal,
-    averageYearlyRainfall: avgYearlyRainfall.toFixed(1),
-    seasonalAverages: {
-      kharif: avgKharif.toFixed(1),
-      rabi: avgRabi.toFixed(1),
-      summer: avgSummer.toFixed(1)
-    },
-    monthlyAverages,
-    yearlyTotals,
-    latestYearData: latestData,
-    yearsAnalyzed: years.length,
-    rainfallPattern: avgYearlyRainfall > 1000 ? 'High' : avgYearlyRainfall > 500 ? 'Medium' : 'Low'
-  };
-}
-
 // Separate function for OpenAI API request
 async function getOpenAIRecommendation(farmProfile) {
   const openai = new OpenAI({
@@ -199,6 +35,56 @@ async function getOpenAIRecommendation(farmProfile) {
   return response.choices[0].message.content;
 }
 
+/**
+ * Registry entry for a crop name from the AI response. Names like "Moong (Green Gram)" are tried whole,
+ * then by the name outside and inside the brackets.
+ * @returns {Object|null} Crop record from resolveCrop
+ */
+function resolveRecommendedCrop(name) {
+  if (typeof name !== 'string') return null;
+  const bracketed = name.match(/^([^(]+)\(([^)]+)\)\s*$/);
+  const candidates = bracketed ? [name, bracketed[1], bracketed[2]] : [name];
+  for (const candidate of candidates) {
+    const crop = resolveCrop(candidate);
+    if (crop) return crop;
+  }
+  return null;
+}
+
+/**
+ * Match the recommended crop and alternatives to the crop registry. A crop the registry knows is
+ * renamed to its registry name with its cropId; any other is kept as the AI named it, with cropId null
+ * and unresolved true, as no market, drought or price data is keyed to it.
+ * @returns {Object} { recommendation, unresolvedCrops } where unresolvedCrops lists the names kept as given
+ */
+function resolveRecommendationCrops(recommendationData) {
+  const unresolvedCrops = [];
+  const matchCrop = name => {
+    const crop = resolveRecommendedCrop(name);
+    if (crop) return { name: crop.name, cropId: crop.id, unresolved: false };
+    unresolvedCrops.push(name);
+    return { name, cropId: null, unresolved: true };
+  };
+
+  const recommended = matchCrop(recommendationData.recommendedCrop);
+  const alternativeCrops = (recommendationData.alternativeCrops || []).map(alternative => {
+    if (!alternative || !alternative.crop) return alternative;
+    const match = matchCrop(alternative.crop);
+    return { ...alternative, crop: match.name, cropId: match.cropId, unresolved: match.unresolved };
+  });
+
+  return {
+    recommendation: {
+      ...recommendationData,
+      recommendedCrop: recommended.name,
+      cropId: recommended.cropId,
+      unresolved: recommended.unresolved,
+      alternativeCrops
+    },
+    unresolvedCrops
+  };
+}
+
 // Get crop recommendation
 router.post('/', async (req, res) => {
   console.log('API called: /api/recommendations');
@@ -219,6 +105,32 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ error: 'All crop data fields are required' });
     }
 
+    // Yield and price may come in any supported unit (yieldHistoryUnit, marketPriceUnit)
+    const yieldInput = readQuantity(cropData, 'yieldHistory', 'yield', 'tonne/hectare');
+    const priceInput = readQuantity(cropData, 'marketPrice', 'price', 'Rs/Kg');
+    const landDetailsInput = cropData.landDetails || {};
+    const totalAreaInput = readQuantity(landDetailsInput, 'totalArea', 'area', 'hectare');
+    const assignedAreaInput = readQuantity(landDetailsInput, 'extentAssignedArea', 'area', 'hectare');
+    const unitError = [yieldInput, priceInput, totalAreaInput, assignedAreaInput].find(input => input.error);
+    if (unitError) {
+      return res.status(400).json({ error: unitError.error });
+    }
+
+    // Village, sub-district (mandal) and district are looked up in the gazetteer; the soil card
+    // geoPosition, when it falls inside the mandal boundaries on file, decides the mandal and village
+    const resolvedLocation = resolveFarmLocation(landDetailsInput, cropData.soilDetails?.geoPosition);
+    if (resolvedLocation.error) {
+      return res.status(400).json({ error: resolvedLocation.error, suggestions: resolvedLocation.suggestions });
+    }
+    const place = resolvedLocation.location;
+
+    const yieldTonnesPerHectare = convertYield(yieldInput.quantity.value, yieldInput.quantity.unit, 'tonne/hectare');
+    const marketPricePerKg = convertPrice(priceInput.quantity.value, priceInput.quantity.unit, 'Rs/Kg');
+    const toHectares = input => (input.quantity ? convertArea(input.quantity.value, input.quantity.unit, 'hectare') : 0);
+    const totalAreaHectares = toHectares(totalAreaInput);
+    const assignedAreaHectares = toHectares(assignedAreaInput);
+    const round2 = value => Math.round(value * 100) / 100;
+
     console.log('Validation passed, initializing AI...');
     console.log('Selected AI Provider:', aiProvider);
 
@@ -231,7 +143,7 @@ router.post('/', async (req, res) => {
     const cropTrendAnalysis = highValueCrops.slice(0, 12).map(crop => {
       const data = allCropData.find(d => d.crop === crop.crop);
       const trend = data.trend;
-      return `- ${crop.crop}:\n    ${trend["2021-22"]} → ${trend["2022-23"]} → ${trend["2023-24"]} → ${trend["2024-25"]} → ${trend["2025-26"]} ₹/q`;
+      return `- ${crop.crop} (${data.season}):\n    ${Object.values(trend).join(' → ')} ₹/q`;
     }).join('\n');
 
     const historicalPriceContext = `
@@ -240,7 +152,7 @@ Showing 5-year trend analysis for maximum profit potential:
 
 ${cropTrendAnalysis}
 
-HIGH-VALUE CROPS (>5000 ₹/quintal in 2025-26):
+HIGH-VALUE CROPS (>5000 ₹/quintal in the latest announced marketing year):
 ${highValueCrops.map(c => c.crop).join(', ')}
 
 MARKET ANALYSIS FOCUS:
@@ -270,11 +182,11 @@ RECOMMENDATION STRATEGY:
       encumbrance = {}
     } = cropData;
 
-    // Get rainfall statistics for the mandal
-    const mandalName = landDetails.subDistrict || landDetails.district || 'Unknown';
-    console.log(`📍 Extracted mandal name from request: "${mandalName}"`);
+    // Get rainfall statistics from the rain gauge the gazetteer assigns to the village or mandal
+    const mandalName = place && place.mandal ? place.mandal : 'Unknown';
+    console.log(`📍 Resolved mandal (${resolvedLocation.locationSource}): "${mandalName}"`);
 
-    const rainfallStats = calculateRainfallStats(mandalName);
+    const rainfallStats = place && place.rainfallStation ? calculateRainfallStats(place.rainfallStation) : null;
 
     const rainfallAnalysis = rainfallStats ? `
 RAINFALL ANALYSIS FOR ${rainfallStats.mandal.toUpperCase()} (${rainfallStats.yearsAnalyzed} years of data):
@@ -289,10 +201,10 @@ SEASONAL AVERAGES:
 - Summer Season (Apr-May): ${rainfallStats.seasonalAverages.summer} mm
 
 MONTHLY AVERAGES (mm):
-${Object.entries(rainfallStats.monthlyAverages).map(([month, avg]) => `- ${month}: ${avg}`).join('\n')}
+${Object.entries(rainfallStats.monthlyAverages).map(([month, avg]) => `- ${month}: ${avg === null ? 'not recorded' : avg}`).join('\n')}
 
-LATEST YEAR DATA (2025):
-${Object.entries(rainfallStats.latestYearData).map(([month, rainfall]) => `- ${month}: ${rainfall} mm`).join('\n')}
+LATEST YEAR DATA (${rainfallStats.latestYear}):
+${Object.entries(rainfallStats.latestYearData).map(([month, rainfall]) => `- ${month}: ${rainfall === null ? 'not recorded' : `${rainfall} mm`}`).join('\n')}
 
 AGRICULTURAL IMPLICATIONS:
 - ${rainfallStats.rainfallPattern === 'High' ? 'Suitable for water-intensive crops, but consider drainage needs' : rainfallStats.rainfallPattern === 'Medium' ? 'Balanced rainfall - good for diverse cropping patterns' : 'Low rainfall area - focus on drought-resistant crops and water conservation'}
@@ -300,6 +212,13 @@ AGRICULTURAL IMPLICATIONS:
 - Consider irrigation supplementation for Rabi crops during dry spells
 - Historical data shows ${rainfallStats.yearsAnalyzed} years of rainfall patterns for accurate planning` : 'No rainfall data available for this region';
 
+    // Season-wise drought indicators (SPI, departure from normal, dry months)
+    const droughtIndices = rainfallStats ? calculateDroughtIndices(rainfallStats.mandal) : null;
+    const droughtAnalysis = droughtIndices ? `
+DROUGHT INDICATORS FOR ${droughtIndices.mandal} (Kharif season, Jun-Oct):
+${droughtIndices.seasons.kharif.filter(season => season.classification).map(season => `- ${season.season}: ${season.total} mm, ${season.departurePercent}% from normal, SPI ${season.spi ?? 'n/a'}, ${season.dryMonthCount} dry months - ${season.classification}${season.indicesAgree === false ? ` (${season.classificationBasis.join(' and ')} only)` : ''}`).join('\n')}
+- Kharif drought frequency: ${Math.round((droughtIndices.summary.kharifDroughtFrequency || 0) * 100)}% of seasons${droughtIndices.summary.droughtProne ? ' (DROUGHT-PRONE mandal: avoid water-intensive crops such as paddy, sugarcane and banana unless irrigation is assured)' : ''}` : '';
+
     console.log(`🌧️  Rainfall analysis ${rainfallStats ? 'SUCCESSFULLY GENERATED' : 'NOT AVAILABLE'} for mandal: ${mandalName}`);
     if (rainfallStats) {
       console.log(`   📊 Average rainfall: ${rainfallStats.averageYearlyRainfall}mm (${rainfallStats.rainfallPattern} region)`);
@@ -319,17 +238,17 @@ BASIC FARM INFORMATION:
 - Soil pH: ${cropData.phLevel}
 - Annual Rainfall: ${actualRainfall} mm
 - Average Temperature: ${cropData.temperature} °C
-- Last Year's Yield: ${cropData.yieldHistory} tons/hectare
-- Current Market Price: ₹${cropData.marketPrice} per kg
+- Last Year's Yield: ${round2(yieldTonnesPerHectare)} tons/hectare (${round2(convertYield(yieldTonnesPerHectare, 'tonne/hectare', 'quintal/acre'))} quintals/acre)
+- Current Market Price: ₹${round2(marketPricePerKg)} per kg (₹${round2(convertPrice(marketPricePerKg, 'Rs/Kg', 'Rs/Qui'))} per quintal)
 
 LAND DETAILS:
-- State: ${landDetails.state || 'Not provided'}
-- District: ${landDetails.district || 'Not provided'}
-- Sub-District: ${landDetails.subDistrict || 'Not provided'}
-- Village: ${landDetails.village || 'Not provided'}
+- State: ${place?.state || landDetails.state || 'Not provided'}
+- District: ${place?.district || landDetails.district || 'Not provided'}
+- Sub-District (Mandal): ${place?.mandal || landDetails.subDistrict || 'Not provided'}
+- Village: ${place?.village || landDetails.village || 'Not provided'}
 - Survey Number: ${landDetails.surveyNumber || 'Not provided'}
-- Total Area: ${landDetails.totalArea || 0} hectares
-- Extent Assigned Area: ${landDetails.extentAssignedArea || 0} hectares
+- Total Area: ${round2(totalAreaHectares)} hectares (${round2(convertArea(totalAreaHectares, 'hectare', 'acre'))} acres)
+- Extent Assigned Area: ${round2(assignedAreaHectares)} hectares (${round2(convertArea(assignedAreaHectares, 'hectare', 'acre'))} acres)
 - Land Source: ${landDetails.landSource || 'Not provided'}
 
 SOIL HEALTH PARAMETERS:
@@ -344,6 +263,7 @@ FARMER'S INVESTMENT & INCOME:
 - Farmer Assets: ${cropDetailsFarmer.farmerAssets?.join(', ') || 'Not provided'}
 
 ${rainfallAnalysis}
+${droughtAnalysis}
 
 ${historicalPriceContext}
 
@@ -623,10 +543,53 @@ REQUIREMENTS:
       };
     }
 
+    // Market, drought and price data are keyed by the crop registry; crops it does not know are flagged
+    const resolvedCrops = resolveRecommendationCrops(recommendationData);
+    recommendationData = resolvedCrops.recommendation;
+
+    // Flag current market gluts for the recommended crops; diversion markets are compared by distance from the farm's mandal
+    const alertOptions = { mandal: place ? place.mandal : null };
+    recommendationData.marketAlerts = getCropGlutAlerts(recommendationData.recommendedCrop, alertOptions);
+    (recommendationData.alternativeCrops || []).forEach(alternative => {
+      if (alternative && alternative.crop) alternative.marketAlerts = getCropGlutAlerts(alternative.crop, alertOptions);
+    });
+
+    // Downgrade water-intensive crops in drought-prone mandals
+    const droughtMandal = rainfallStats ? rainfallStats.mandal : null;
+    recommendationData.droughtAdvisory = getDroughtAdvisory(recommendationData.recommendedCrop, droughtMandal);
+    if (recommendationData.droughtAdvisory && typeof recommendationData.confidenceScore === 'number') {
+      recommendationData.confidenceScore = Math.max(0, recommendationData.confidenceScore - recommendationData.droughtAdvisory.successRatePenalty);
+    }
+    (recommendationData.alternativeCrops || []).forEach(alternative => {
+      if (!alternative || !alternative.crop) return;
+      alternative.droughtAdvisory = getDroughtAdvisory(alternative.crop, droughtMandal);
+      if (alternative.droughtAdvisory && typeof alternative.score === 'number') {
+        alternative.score = Math.max(0, alternative.score - alternative.droughtAdvisory.successRatePenalty);
+      }
+    });
+    if (Array.isArray(recommendationData.alternativeCrops)) {
+      recommendationData.alternativeCrops.sort((a, b) => (b?.score ?? 0) - (a?.score ?? 0));
+    }
+
     // Return the AI-generated recommendation
     res.json({
       success: true,
-      recommendation: recommendationData
+      recommendation: recommendationData,
+      location: place,
+      locationSource: resolvedLocation.locationSource,
+      ...(resolvedLocation.warnings.length > 0 && { locationWarnings: resolvedLocation.warnings }),
+      ...(resolvedLocation.locationMismatch && { locationMismatch: resolvedLocation.locationMismatch }),
+      ...(resolvedCrops.unresolvedCrops.length > 0 && { unresolvedCrops: resolvedCrops.unresolvedCrops }),
+      units: {
+        expectedProfit: 'INR',
+        expectedYield: 'tonne',
+        inputs: {
+          yieldHistory: yieldInput.quantity,
+          marketPrice: priceInput.quantity,
+          totalArea: totalAreaInput.quantity,
+          extentAssignedArea: assignedAreaInput.quantity
+        }
+      }
     });
 
   } catch (error) {
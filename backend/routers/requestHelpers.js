@@ -0,0 +1,33 @@
+const { DEFAULT_LAND_AREA_HECTARES } = require('../profitabilityEngine');
+const { convertArea, readQuantity } = require('../units');
+
+/**
+ * Soil card geoPosition from the farmer profile, if any
+ */
+function getSoilCardGeoPosition(farmerData) {
+  return farmerData?.profile?.metaData?.masterData?.soilDetails?.geoPosition;
+}
+
+/**
+ * Farm area in hectares: landArea from the request (in landAreaUnit, default hectare), else the farmer
+ * profile's total area, else the default holding
+ * @returns {Object} { hectares, source } or { error }
+ */
+function getLandArea(body) {
+  const landAreaInput = readQuantity(body, 'landArea', 'area', 'hectare');
+  if (landAreaInput.error) return { error: landAreaInput.error };
+  if (landAreaInput.quantity) {
+    const hectares = Math.round(convertArea(landAreaInput.quantity.value, landAreaInput.quantity.unit, 'hectare') * 100) / 100;
+    if (!(hectares > 0)) return { error: 'landArea must be at least 0.01 hectare' };
+    return { hectares, source: "request" };
+  }
+
+  const profileArea = parseFloat(body.farmerData?.profile?.metaData?.masterData?.agriStack?.totalAreaHectares);
+  if (profileArea > 0) return { hectares: profileArea, source: "farmerProfile" };
+  return { hectares: DEFAULT_LAND_AREA_HECTARES, source: "default" };
+}
+
+module.exports = {
+  getSoilCardGeoPosition,
+  getLandArea
+};
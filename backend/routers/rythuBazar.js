@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+const { getRythuBazarCropData, getRythuBazarPricesByDate, getRythuBazarDates } = require('../rythuBazarData');
+const { getAPMCCropData } = require('../apmcData');
+const { convertPrice, normalizeUnit, describeUnits } = require('../units');
+
+/**
+ * Convert a bulletin price range ({ min, max, avg } in Rs/Kg) to another price unit
+ */
+function convertPriceRange(range, unit) {
+  if (!range || unit === "Rs/Kg") return range;
+  const toUnit = price => Math.round(convertPrice(price, "Rs/Kg", unit) * 100) / 100;
+  return { min: toUnit(range.min), max: toUnit(range.max), avg: toUnit(range.avg) };
+}
+
+/**
+ * GET /api/rythu-bazar/prices
+ * Get wholesale, local market and Rythu Bazar prices for all commodities on a bulletin date
+ *
+ * Query:
+ *   date - Optional ISO date (YYYY-MM-DD), defaults to the latest bulletin
+ *   priceUnit - Optional price unit (Rs/Kg, Rs/Qui or Rs/Tonne), defaults to Rs/Kg as in the bulletin
+ */
+router.get('/prices', (req, res) => {
+  try {
+    const { date, priceUnit } = req.query;
+    const unit = priceUnit ? normalizeUnit(priceUnit, 'price') : "Rs/Kg";
+
+    if (!unit) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid priceUnit: ${priceUnit} (expected ${describeUnits('price').join(', ')})`
+      });
+    }
+
+    const availableDates = getRythuBazarDates();
+
+    if (date && !availableDates.includes(date)) {
+      return res.status(404).json({
+        success: false,
+        error: `No Rythu Bazar bulletin for ${date}`,
+        availableDates
+      });
+    }
+
+    const prices = getRythuBazarPricesByDate(date);
+
+    res.json({
+      success: true,
+      date: prices.date,
+      unit,
+      availableDates,
+      prices: prices.commodities.map(item => ({
+        commodity: item.commodity,
+        name: item.name,
+        arrivals: item.arrivals,
+        wholesalePrice: convertPriceRange(item.wholesalePrice, unit),
+        localMarketPrice: convertPriceRange(item.localMarketPrice, unit),
+        rythuBazarPrice: convertPriceRange(item.rythuBazarPrice, unit)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching Rythu Bazar prices:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/rythu-bazar/:crop
+ * Get the daily Rythu Bazar price series for a crop, alongside APMC prices when available
+ */
+router.get('/:crop', (req, res) => {
+  try {
+    const { crop } = req.params;
+    const cropData = getRythuBazarCropData(crop);
+
+    if (!cropData) {
+      return res.status(404).json({
+        success: false,
+        error: `No Rythu Bazar prices found for ${crop}`
+      });
+    }
+
+    // APMC prices are per quintal, Rythu Bazar prices per kg
+    const apmcData = getAPMCCropData(crop);
+
+    res.json({
+      success: true,
+      crop: cropData.commodity,
+      rythuBazar: cropData,
+      apmc: apmcData ? {
+        region: apmcData.region,
+        unit: "Rs/Qui",
+        avgModalPrice: apmcData.avgModalPrice,
+        avgModalPricePerKg: Math.round(convertPrice(apmcData.avgModalPrice, "Rs/Qui", "Rs/Kg") * 100) / 100,
+        recentTrades: apmcData.recentTrades
+      } : null
+    });
+
+  } catch (error) {
+    console.error('Error fetching Rythu Bazar crop prices:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const {
+  BENCHMARK_CONDITIONS,
+  yieldBenchmarksSource,
+  getYieldBenchmarkRows,
+  getYieldBenchmark,
+  getBenchmarkConditions,
+  scaleYieldBenchmark,
+  assessYield
+} = require('../yieldBenchmarks');
+const { resolveLocation } = require('../gazetteer');
+const { readQuantity, convertArea, convertMass } = require('../units');
+
+/**
+ * GET /api/yield-benchmarks
+ * List the yield benchmarks (quintals per hectare: 10th percentile, median, 90th percentile)
+ *
+ * Query:
+ *   crop, category, mandal, season, irrigation - Optional filters
+ */
+router.get('/', (req, res) => {
+  try {
+    const { crop, category, mandal, season, irrigation } = req.query;
+    const benchmarks = getYieldBenchmarkRows({ crop, category, mandal, season, irrigation });
+
+    res.json({
+      success: true,
+      unit: "quintals/hectare",
+      conditions: BENCHMARK_CONDITIONS,
+      ...yieldBenchmarksSource,
+      count: benchmarks.length,
+      benchmarks
+    });
+
+  } catch (error) {
+    console.error('Error listing yield benchmarks:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/yield-benchmarks/:crop
+ * The benchmark that applies to a crop on a farm; with an area and a yield, the yield's achievement
+ * against it
+ *
+ * Query:
+ *   mandal - Optional, looked up in the gazetteer
+ *   season - Optional Kharif, Rabi or Zaid (or sowingDate)
+ *   irrigation - Optional irrigated or rainfed (or waterSource, e.g. "Bore Well")
+ *   variety - Optional
+ *   area, areaUnit - Optional farm area (default unit hectare)
+ *   yield, yieldUnit - Optional harvest (default unit quintal), needs area
+ */
+router.get('/:crop', (req, res) => {
+  try {
+    const { mandal, season, sowingDate, irrigation, waterSource, variety } = req.query;
+
+    const resolvedLocation = resolveLocation(mandal);
+    if (resolvedLocation.error) {
+      return res.status(400).json({
+        success: false,
+        error: resolvedLocation.error,
+        suggestions: resolvedLocation.suggestions
+      });
+    }
+    const place = resolvedLocation.location;
+
+    const areaInput = readQuantity(req.query, 'area', 'area', 'hectare');
+    const yieldInput = readQuantity(req.query, 'yield', 'mass', 'quintal');
+    const unitError = [areaInput, yieldInput].find(input => input.error);
+    if (unitError) {
+      return res.status(400).json({
+        success: false,
+        error: unitError.error
+      });
+    }
+    if (yieldInput.quantity && !areaInput.quantity) {
+      return res.status(400).json({
+        success: false,
+        error: 'area is required with yield'
+      });
+    }
+
+    const benchmark = getYieldBenchmark(req.params.crop, getBenchmarkConditions({
+      mandal: place ? place.mandal : null,
+      season,
+      sowingDate,
+      irrigation,
+      waterSource,
+      variety
+    }));
+
+    let farm = null;
+    if (areaInput.quantity) {
+      const areaHectares = convertArea(areaInput.quantity.value, areaInput.quantity.unit, 'hectare');
+      farm = {
+        areaHectares: Math.round(areaHectares * 100) / 100,
+        benchmark: scaleYieldBenchmark(benchmark, areaHectares),
+        achievement: yieldInput.quantity
+          ? assessYield(benchmark, convertMass(yieldInput.quantity.value, yieldInput.quantity.unit, 'quintal'), areaHectares)
+          : null
+      };
+    }
+
+    res.json({
+      success: true,
+      benchmark,
+      farm
+    });
+
+  } catch (error) {
+    console.error('Error fetching yield benchmark:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
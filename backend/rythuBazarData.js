@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveCrop } = require('./cropRegistry');
+
+// Rythu Bazar daily price bulletins (wholesale, local market and Rythu Bazar prices in ₹/kg)
+const rythuBazarDataPath = path.join(__dirname, 'rythuBazarData.json');
+let rawRythuBazarData = {};
+try {
+  rawRythuBazarData = JSON.parse(fs.readFileSync(rythuBazarDataPath, 'utf8'));
+} catch (error) {
+  console.error('Error loading Rythu Bazar data:', error.message);
+}
+
+// Bulletin lines that are not a single crop. They are priced apart in every bulletin, so each
+// keeps its own series
+const NON_CROP_LINES = {
+  "others": "OTHERS",
+  "others (unnamed)": "OTHERS (UNNAMED)"
+};
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+/**
+ * Parse a bulletin price such as "22/27" or "36" into min/max ₹ per kg
+ * @param {string|number} value - Price or "min/max" price range
+ * @returns {Object|null} { min, max, avg } in ₹/kg, or null if unparseable
+ */
+function parsePriceRange(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const parts = String(value)
+    .split('/')
+    .map(part => parseFloat(part.trim()))
+    .filter(part => !isNaN(part));
+
+  if (parts.length === 0) return null;
+
+  const min = Math.min(...parts);
+  const max = Math.max(...parts);
+
+  return {
+    min,
+    max,
+    avg: Math.round(((min + max) / 2) * 100) / 100
+  };
+}
+
+/**
+ * Normalize a bulletin commodity name (e.g. "Bitter Gourd/potti/podugu") to its Rythu Bazar
+ * name in the crop registry
+ * @param {string} rawName - Commodity name as printed in the bulletin
+ * @returns {string} Commodity name (uppercase)
+ */
+function normalizeCommodityName(rawName) {
+  if (!rawName) return '';
+
+  const cleaned = rawName.toLowerCase().replace(/\s+/g, ' ').trim();
+
+  // Bulletins list local names after a slash, so try the full name first and then each part
+  const candidates = [cleaned, ...cleaned.split('/').map(part => part.trim()).filter(Boolean)];
+
+  for (const candidate of candidates) {
+    if (NON_CROP_LINES[candidate]) return NON_CROP_LINES[candidate];
+
+    const crop = resolveCrop(candidate);
+    if (crop && crop.rythuBazarName) return crop.rythuBazarName;
+  }
+
+  return candidates[1] ? candidates[1].toUpperCase() : cleaned.toUpperCase();
+}
+
+/**
+ * Convert a bulletin date such as "02-Dec-2025" to ISO format (2025-12-02)
+ */
+function parseBulletinDate(dateLabel) {
+  const match = /^(\d{1,2})-([A-Za-z]{3})-(\d{4})$/.exec(dateLabel);
+  if (!match) return null;
+
+  const month = MONTHS[match[2].toLowerCase()];
+  if (!month) return null;
+
+  return `${match[3]}-${String(month).padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+}
+
+/**
+ * Collect daily bulletins from the raw JSON.
+ * Bulletins are grouped under month keys, but not always at the same depth,
+ * so any key that parses as a date and holds a commodities list is a bulletin.
+ */
+function collectBulletins(node, bulletins = []) {
+  if (!node || typeof node !== 'object') return bulletins;
+
+  Object.entries(node).forEach(([key, value]) => {
+    const date = parseBulletinDate(key);
+    if (date && value && Array.isArray(value.commodities)) {
+      bulletins.push({ date, commodities: value.commodities });
+    } else {
+      collectBulletins(value, bulletins);
+    }
+  });
+
+  return bulletins;
+}
+
+/**
+ * Build per-commodity daily series from the bulletins
+ */
+function buildCommoditySeries(rawData) {
+  const series = {};
+
+  collectBulletins(rawData).forEach(({ date, commodities }) => {
+    commodities.forEach(item => {
+      const commodity = normalizeCommodityName(item.name);
+      if (!commodity) return;
+
+      if (!series[commodity]) {
+        series[commodity] = [];
+      }
+
+      series[commodity].push({
+        date,
+        name: item.name,
+        arrivals: item.arrivals_qtls,
+        wholesalePrice: parsePriceRange(item.wholesale_price),
+        localMarketPrice: parsePriceRange(item.local_market_price),
+        rythuBazarPrice: parsePriceRange(item.rythu_bazar_price),
+        unit: "Rs/Kg"
+      });
+    });
+  });
+
+  // Most recent first, same as APMC recentTrades
+  Object.values(series).forEach(entries => entries.sort((a, b) => b.date.localeCompare(a.date)));
+
+  return series;
+}
+
+const rythuBazarSeries = buildCommoditySeries(rawRythuBazarData);
+
+/**
+ * Average the midpoint of a price field across a daily series
+ */
+function averagePrice(entries, field) {
+  const values = entries.map(entry => entry[field]?.avg).filter(value => typeof value === 'number');
+  if (values.length === 0) return null;
+  return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100;
+}
+
+/**
+ * Summarize a commodity series with its latest prices and period averages
+ */
+function summarizeCommodity(commodity, entries) {
+  return {
+    commodity,
+    unit: "Rs/Kg",
+    latest: entries[0] || null,
+    totalArrivals: entries.reduce((sum, entry) => sum + (entry.arrivals || 0), 0),
+    avgWholesalePrice: averagePrice(entries, 'wholesalePrice'),
+    avgLocalMarketPrice: averagePrice(entries, 'localMarketPrice'),
+    avgRythuBazarPrice: averagePrice(entries, 'rythuBazarPrice'),
+    dailyPrices: entries
+  };
+}
+
+function getRythuBazarCropData(cropName) {
+  if (!cropName) return null;
+
+  const commodity = normalizeCommodityName(cropName);
+  const entries = rythuBazarSeries[commodity];
+
+  return entries ? summarizeCommodity(commodity, entries) : null;
+}
+
+function getAllRythuBazarCrops() {
+  return Object.keys(rythuBazarSeries)
+    .map(commodity => summarizeCommodity(commodity, rythuBazarSeries[commodity]))
+    .sort((a, b) => b.totalArrivals - a.totalArrivals);
+}
+
+/**
+ * Get all commodity prices for one bulletin date (defaults to the latest bulletin)
+ * @param {string} date - ISO date (YYYY-MM-DD), optional
+ * @returns {Object} { date, commodities }
+ */
+function getRythuBazarPricesByDate(date = null) {
+  const dates = getRythuBazarDates();
+  const selectedDate = date || dates[0] || null;
+
+  const commodities = Object.keys(rythuBazarSeries)
+    .map(commodity => {
+      const entry = rythuBazarSeries[commodity].find(e => e.date === selectedDate);
+      return entry ? { commodity, ...entry } : null;
+    })
+    .filter(Boolean);
+
+  return {
+    date: selectedDate,
+    commodities
+  };
+}
+
+function getRythuBazarDates() {
+  const dates = new Set();
+  Object.values(rythuBazarSeries).forEach(entries => entries.forEach(entry => dates.add(entry.date)));
+  return [...dates].sort((a, b) => b.localeCompare(a));
+}
+
+module.exports = {
+  rythuBazarSeries,
+  parsePriceRange,
+  normalizeCommodityName,
+  getRythuBazarCropData,
+  getAllRythuBazarCrops,
+  getRythuBazarPricesByDate,
+  getRythuBazarDates
+};
@@ -0,0 +1,214 @@
+const { getAPMCCropData, resolveAPMCCommodity } = require('./apmcData');
+const { resolveCrop, getCrop, normalizeCropKey } = require('./cropRegistry');
+const { MONTH_NAMES, calculatePriceTrend } = require('./priceHistory');
+const { finiteOr } = require('./numbers');
+
+// Storage cost (₹/quintal/month) and weight loss (%/month) by category; crops that do not keep are null
+const categoryStorage = {
+  grain: { method: "Warehouse", costPerQuintalPerMonth: 8, shrinkagePercentPerMonth: 0.5 },
+  pulse: { method: "Warehouse", costPerQuintalPerMonth: 10, shrinkagePercentPerMonth: 0.5 },
+  oilseed: { method: "Warehouse", costPerQuintalPerMonth: 10, shrinkagePercentPerMonth: 0.7 },
+  cash: { method: "Warehouse", costPerQuintalPerMonth: 10, shrinkagePercentPerMonth: 0.3 },
+  spice: { method: "Warehouse", costPerQuintalPerMonth: 12, shrinkagePercentPerMonth: 0.5 },
+  plantation: { method: "Warehouse", costPerQuintalPerMonth: 10, shrinkagePercentPerMonth: 0.5 }
+};
+
+// Crops whose storage differs from their category (vegetables that keep, cold-stored spices)
+const cropStorage = {
+  "potato": { method: "Cold storage", costPerQuintalPerMonth: 35, shrinkagePercentPerMonth: 1.5, maxMonths: 6 },
+  "onion": { method: "Ventilated shed", costPerQuintalPerMonth: 10, shrinkagePercentPerMonth: 4, maxMonths: 4 },
+  "garlic": { method: "Ventilated shed", costPerQuintalPerMonth: 10, shrinkagePercentPerMonth: 2, maxMonths: 6 },
+  "dry-chilli": { method: "Cold storage", costPerQuintalPerMonth: 40, shrinkagePercentPerMonth: 0.5 },
+  "turmeric": { method: "Warehouse", costPerQuintalPerMonth: 12, shrinkagePercentPerMonth: 0.3 }
+};
+
+// Names that mean the fresh crop elsewhere but the stored, dried form when asking when to sell
+const storedFormNames = {
+  "chilli": "dry-chilli",
+  "chillies": "dry-chilli",
+  "chili": "dry-chilli",
+  "mirchi": "dry-chilli"
+};
+
+// Money not received at harvest: interest on a crop loan, or the return the farmer forgoes
+const INTEREST_PERCENT_PER_MONTH = finiteOr(parseFloat(process.env.SELL_TIMING_INTEREST_PERCENT_PER_MONTH), 1);
+
+// Holding must beat selling now by at least this much to be worth the price risk
+const MIN_HOLD_GAIN_PERCENT = finiteOr(parseFloat(process.env.SELL_TIMING_MIN_GAIN_PERCENT), 3);
+
+const MAX_HORIZON_MONTHS = 6;
+
+const round = (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Storage assumptions for a crop, or null when it does not keep
+ * @param {Object} crop - Registry entry from resolveCrop
+ * @param {Object} overrides - { storageCostPerQuintalPerMonth, shrinkagePercentPerMonth }
+ */
+function getStorageProfile(crop, overrides = {}) {
+  const base = (crop && (cropStorage[crop.id] || categoryStorage[crop.category])) || null;
+  if (!base) return null;
+
+  return {
+    method: base.method,
+    costPerQuintalPerMonth: finiteOr(overrides.storageCostPerQuintalPerMonth, base.costPerQuintalPerMonth),
+    shrinkagePercentPerMonth: finiteOr(overrides.shrinkagePercentPerMonth, base.shrinkagePercentPerMonth),
+    maxMonths: base.maxMonths || MAX_HORIZON_MONTHS
+  };
+}
+
+/**
+ * Registry entry to advise on: a bare "chilli" is the dry chilli farmers store, not the green chilli
+ * sold fresh. Other names resolve as usual
+ * @param {string} cropName - Crop name or alias
+ * @returns {Object|null} Registry entry
+ */
+function resolveSellTimingCrop(cropName) {
+  const storedForm = storedFormNames[normalizeCropKey(cropName)];
+  return storedForm ? getCrop(storedForm) : resolveCrop(cropName);
+}
+
+/**
+ * Expected modal price path over the coming months from the seasonal index of the APMC series.
+ * Months without a seasonal index keep the current price. The range widens with the horizon
+ * by the series' coefficient of variation.
+ */
+function estimatePricePath(trend, currentPrice, horizonMonths, coefficientOfVariation) {
+  const latestMonth = trend ? parseInt(trend.period.to.slice(5, 7), 10) - 1 : new Date().getMonth();
+  const seasonalIndex = trend ? trend.seasonalIndex : {};
+  const currentIndex = seasonalIndex[MONTH_NAMES[latestMonth]];
+
+  return Array.from({ length: horizonMonths }, (_, i) => {
+    const monthsAhead = i + 1;
+    const month = MONTH_NAMES[(latestMonth + monthsAhead) % 12];
+    const index = seasonalIndex[month];
+    const seasonal = index && currentIndex;
+    const expectedPrice = seasonal ? currentPrice * (index / currentIndex) : currentPrice;
+    const spread = coefficientOfVariation * Math.sqrt(monthsAhead);
+
+    return {
+      month,
+      monthsAhead,
+      expectedPrice: round(expectedPrice),
+      low: round(expectedPrice * Math.max(0, 1 - spread)),
+      high: round(expectedPrice * (1 + spread)),
+      seasonalIndex: seasonal ? index : null,
+      method: seasonal ? "SEASONAL_INDEX" : "CURRENT_MODAL"
+    };
+  });
+}
+
+/**
+ * Advise whether to sell a storable crop now or hold it for a better month. Each month's expected
+ * price is reduced by weight lost in storage, storage charges and interest on the money not
+ * received today, and compared with selling at today's price.
+ * @param {string} cropName - Crop name or alias
+ * @param {Object} options - { market, quantityQuintals, horizonMonths (1-6), storageCostPerQuintalPerMonth,
+ *   shrinkagePercentPerMonth, interestPercentPerMonth }
+ * @returns {Object|null} Sell timing advice, or null when the crop has no APMC prices
+ */
+function getSellTimingAdvice(cropName, options = {}) {
+  let crop = resolveSellTimingCrop(cropName);
+  let commodity = resolveAPMCCommodity(crop ? crop.name : cropName);
+  let marketData = commodity ? getAPMCCropData(commodity, options.market) : null;
+
+  // Without prices for the stored form, advise on the crop as named and say why
+  let storedForm = null;
+  if (!marketData && crop && storedFormNames[normalizeCropKey(cropName)]) {
+    storedForm = crop;
+    crop = resolveCrop(cropName);
+    commodity = resolveAPMCCommodity(cropName);
+    marketData = commodity ? getAPMCCropData(commodity, options.market) : null;
+  }
+  if (!marketData) return null;
+
+  const currentPrice = marketData.avgModalPrice;
+  const quantityQuintals = options.quantityQuintals || null;
+  const storage = getStorageProfile(crop, options);
+  const interestPercentPerMonth = finiteOr(options.interestPercentPerMonth, INTEREST_PERCENT_PER_MONTH);
+
+  const advice = {
+    crop: commodity,
+    cropId: crop ? crop.id : null,
+    market: marketData.region,
+    unit: "Rs/Qui",
+    currentPrice,
+    quantityQuintals,
+    storable: Boolean(storage),
+    storage: storage ? { ...storage, interestPercentPerMonth } : null,
+    pricePath: [],
+    recommendation: null
+  };
+
+  if (!storage) {
+    advice.recommendation = {
+      action: "SELL_NOW",
+      holdUntil: null,
+      monthsToHold: 0,
+      expectedGainPerQuintal: 0,
+      expectedGainTotal: quantityQuintals ? 0 : null,
+      reason: `${crop ? crop.name : commodity} does not keep; sell at harvest`
+        + (storedForm ? `. ${storedForm.name} keeps, but there are no APMC prices for it${options.market ? ` at ${options.market}` : ''}` : '')
+    };
+    return advice;
+  }
+
+  const horizonMonths = Math.min(options.horizonMonths || MAX_HORIZON_MONTHS, storage.maxMonths, MAX_HORIZON_MONTHS);
+  const trend = calculatePriceTrend(commodity, { market: marketData.region });
+  const cv = marketData.volatilityMetrics ? marketData.volatilityMetrics.coefficientOfVariation : 0;
+
+  advice.pricePath = estimatePricePath(trend, currentPrice, horizonMonths, cv).map(point => {
+    const remainingFraction = Math.pow(1 - storage.shrinkagePercentPerMonth / 100, point.monthsAhead);
+    const shrinkageLoss = point.expectedPrice * (1 - remainingFraction);
+    const storageCost = storage.costPerQuintalPerMonth * point.monthsAhead;
+    const interestCost = currentPrice * (interestPercentPerMonth / 100) * point.monthsAhead;
+    const netPricePerQuintal = point.expectedPrice - shrinkageLoss - storageCost - interestCost;
+
+    return {
+      ...point,
+      shrinkageLoss: round(shrinkageLoss),
+      storageCost: round(storageCost),
+      interestCost: round(interestCost),
+      netPricePerQuintal: round(netPricePerQuintal),
+      gainOverSellNow: round(netPricePerQuintal - currentPrice)
+    };
+  });
+
+  const best = advice.pricePath.reduce((top, point) =>
+    (!top || point.netPricePerQuintal > top.netPricePerQuintal ? point : top), null);
+  const hold = best && best.gainOverSellNow >= currentPrice * (MIN_HOLD_GAIN_PERCENT / 100);
+  const seasonalData = advice.pricePath.some(point => point.method === "SEASONAL_INDEX");
+
+  if (hold) {
+    advice.recommendation = {
+      action: "HOLD",
+      holdUntil: best.month,
+      monthsToHold: best.monthsAhead,
+      expectedGainPerQuintal: best.gainOverSellNow,
+      expectedGainTotal: quantityQuintals ? round(best.gainOverSellNow * quantityQuintals) : null,
+      reason: `Prices usually rise to about ₹${best.expectedPrice}/quintal by ${best.month}; after storage, weight loss and interest that is ₹${best.gainOverSellNow}/quintal more than selling now`
+    };
+  } else {
+    advice.recommendation = {
+      action: "SELL_NOW",
+      holdUntil: null,
+      monthsToHold: 0,
+      expectedGainPerQuintal: 0,
+      expectedGainTotal: quantityQuintals ? 0 : null,
+      reason: seasonalData
+        ? `No month in the next ${horizonMonths} is expected to pay at least ${MIN_HOLD_GAIN_PERCENT}% more than today after storage, weight loss and interest`
+        : "Not enough price history for a seasonal pattern; holding would only add storage cost and weight loss"
+    };
+  }
+
+  return advice;
+}
+
+module.exports = {
+  categoryStorage,
+  cropStorage,
+  MAX_HORIZON_MONTHS,
+  getStorageProfile,
+  resolveSellTimingCrop,
+  getSellTimingAdvice
+};
@@ -16,12 +16,30 @@ const lossAnalysisRouter = require('./routers/lossAnalysis');
 const naturalFarmingRouter = require('./routers/naturalFarming');
 const profitableCropsRouter = require('./routers/profitableCrops');
 const nextCropInsightsRouter = require('./routers/nextCropInsights');
+const rythuBazarRouter = require('./routers/rythuBazar');
+const marketsRouter = require('./routers/markets');
+const cropsRouter = require('./routers/crops');
+const mspRouter = require('./routers/msp');
+const rainfallRouter = require('./routers/rainfall');
+const locationsRouter = require('./routers/locations');
+const costNormsRouter = require('./routers/costNorms');
+const yieldBenchmarksRouter = require('./routers/yieldBenchmarks');
+const profitabilityRouter = require('./routers/profitability');
 
 app.use('/api/recommendations', recommendationRouter);
 app.use('/api/loss-analysis', lossAnalysisRouter);
 app.use('/api/natural-farming', naturalFarmingRouter);
 app.use('/api/profitable-crops', profitableCropsRouter);
 app.use('/api/next-crop-insights', nextCropInsightsRouter);
+app.use('/api/rythu-bazar', rythuBazarRouter);
+app.use('/api/markets', marketsRouter);
+app.use('/api/crops', cropsRouter);
+app.use('/api/msp', mspRouter);
+app.use('/api/rainfall', rainfallRouter);
+app.use('/api/locations', locationsRouter);
+app.use('/api/cost-norms', costNormsRouter);
+app.use('/api/yield-benchmarks', yieldBenchmarksRouter);
+app.use('/api/profitability', profitabilityRouter);
 
 app.get('/', (req, res) => {
   res.json({ message: 'Crop Recommendation API' });
@@ -0,0 +1,134 @@
+const { rainfallData, MONTHS, monthRainfall, findMandalMatch } = require('./rainfallData');
+const { getCropProfile } = require('./cropProfiles');
+const { finiteOr } = require('./numbers');
+
+// Share of the crop's average monthly water need it must get in its first 30 days to establish;
+// seedlings use about half the water of the full canopy (FAO-56 initial-stage crop coefficient)
+const ESTABLISHMENT_NEED_FRACTION = finiteOr(parseFloat(process.env.SOWING_ESTABLISHMENT_NEED_FRACTION), 0.5);
+
+// Monthly records cannot show daily gaps; a first month under this much rain is counted as a dry spell
+const DRY_SPELL_MONTH_MM = finiteOr(parseFloat(process.env.SOWING_DRY_SPELL_MM), 25);
+
+const round1 = value => Math.round(value * 10) / 10;
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * Rain needed in the first 30 days after sowing for the crop to establish
+ */
+function establishmentNeedMm(profile) {
+  return round1((profile.waterNeedMm / profile.durationDays) * 30 * ESTABLISHMENT_NEED_FRACTION);
+}
+
+/**
+ * Rainfall outlook for sowing in one month, from every year of the mandal's record
+ */
+function evaluateSowingMonth(mandalData, month, season, profile, needMm) {
+  const startIndex = MONTHS.indexOf(month);
+  const durationMonths = Math.max(1, Math.round(profile.durationDays / 30));
+  const years = Object.keys(mandalData).map(year => parseInt(year, 10)).sort((a, b) => a - b);
+
+  const establishment = years
+    .map(year => monthRainfall(mandalData, year, month))
+    .filter(value => value !== null);
+
+  // Rain over the crop's whole duration, for years where every month is recorded
+  const seasonTotals = years
+    .map(year => {
+      const values = Array.from({ length: durationMonths }, (_, i) => {
+        const index = startIndex + i;
+        return monthRainfall(mandalData, year + Math.floor(index / 12), MONTHS[index % 12]);
+      });
+      return values.includes(null) ? null : values.reduce((sum, value) => sum + value, 0);
+    })
+    .filter(total => total !== null);
+
+  const adequate = establishment.filter(value => value >= needMm).length;
+  const dry = establishment.filter(value => value < DRY_SPELL_MONTH_MM).length;
+
+  return {
+    month,
+    season,
+    yearsOfRecord: establishment.length,
+    adequateRainProbability: establishment.length > 0 ? round2(adequate / establishment.length) : null,
+    drySpellProbability: establishment.length > 0 ? round2(dry / establishment.length) : null,
+    averageEstablishmentRainMm: establishment.length > 0
+      ? round1(establishment.reduce((sum, value) => sum + value, 0) / establishment.length)
+      : null,
+    seasonRainfallCoveragePercent: seasonTotals.length > 0
+      ? Math.round((seasonTotals.reduce((sum, total) => sum + total, 0) / seasonTotals.length / profile.waterNeedMm) * 100)
+      : null
+  };
+}
+
+/**
+ * Recommend the month to sow a crop in a mandal: the candidate month with the highest probability
+ * of enough rain in the first 30 days, then the lowest chance of a dry spell, then the most rain
+ * over the crop's duration
+ * @param {string} cropName - Crop name or alias
+ * @param {string} mandalName - Mandal or village, or a rainfall record name (see findMandalMatch)
+ * @param {Object} options - { season } restricts the candidates to one season's sowing months
+ * @returns {Object|null} Sowing window, or null when the mandal has no rainfall records
+ */
+function getSowingWindow(cropName, mandalName, options = {}) {
+  const mandal = findMandalMatch(mandalName);
+  if (!mandal) return null;
+
+  const profile = getCropProfile(cropName);
+  const needMm = establishmentNeedMm(profile);
+
+  let seasons = Object.keys(profile.sowingMonths);
+  if (options.season) {
+    const requested = seasons.find(season => season.toLowerCase() === String(options.season).toLowerCase());
+    // A season the crop is not grown in still gets a window, with a note below
+    seasons = requested ? [requested] : seasons;
+  }
+
+  const candidates = seasons.flatMap(season =>
+    profile.sowingMonths[season].map(month => evaluateSowingMonth(rainfallData[mandal], month, season, profile, needMm))
+  );
+
+  const ranked = candidates
+    .filter(candidate => candidate.yearsOfRecord > 0)
+    .sort((a, b) =>
+      b.adequateRainProbability - a.adequateRainProbability ||
+      a.drySpellProbability - b.drySpellProbability ||
+      (b.seasonRainfallCoveragePercent ?? 0) - (a.seasonRainfallCoveragePercent ?? 0)
+    );
+  const best = ranked[0] || null;
+
+  const seasonNotGrown = options.season && !seasons.some(season => season.toLowerCase() === String(options.season).toLowerCase());
+
+  return {
+    crop: profile.name,
+    cropId: profile.cropId,
+    mandal,
+    unit: "mm",
+    profile: {
+      durationDays: profile.durationDays,
+      waterNeedMm: profile.waterNeedMm,
+      establishmentNeedMm: needMm,
+      source: profile.source
+    },
+    candidates,
+    recommended: best ? {
+      month: best.month,
+      season: best.season,
+      adequateRainProbability: best.adequateRainProbability,
+      drySpellProbability: best.drySpellProbability,
+      reason: `${best.month} sowing got at least ${needMm} mm in the first month in ${Math.round(best.adequateRainProbability * 100)}% of ${best.yearsOfRecord} recorded years, with a dry first month in ${Math.round(best.drySpellProbability * 100)}%`
+    } : null,
+    notes: [
+      `Dry spell: a first month with under ${DRY_SPELL_MONTH_MM} mm (monthly records cannot show gaps within a month)`,
+      ...(best && best.seasonRainfallCoveragePercent !== null && best.seasonRainfallCoveragePercent < 100
+        ? [`Rain over the crop's ${profile.durationDays} days has averaged ${best.seasonRainfallCoveragePercent}% of its ${profile.waterNeedMm} mm need; plan irrigation for the rest`]
+        : []),
+      ...(seasonNotGrown ? [`${profile.name} is not usually grown in ${options.season}; showing its usual seasons`] : [])
+    ]
+  };
+}
+
+module.exports = {
+  DRY_SPELL_MONTH_MM,
+  establishmentNeedMm,
+  getSowingWindow
+};
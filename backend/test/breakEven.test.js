@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { groupCosts, calculateBreakEven, calculateSensitivity } = require('../breakEven');
+
+// 2 hectares, 40 quintals at Rs 2000 with 5% market charges against Rs 60,000 of costs
+const recommendation = (profitability = {}) => ({
+  crop: 'Tomato',
+  areaHectares: 2,
+  farmConditions: {},
+  profitability: {
+    pricePerQuintal: 2000,
+    yieldQuintals: 40,
+    totalCost: 60000,
+    expectedIncome: 80000,
+    netIncome: 76000,
+    costBasis: 'costNorm',
+    costBreakdown: { seed: 8000, fertilizer: 7000, plantProtection: 5000, labour: 20000, machinery: 10000, irrigation: 6000, marketing: 4000 },
+    ...profitability
+  }
+});
+
+test('finds the break-even price and yield after market charges', () => {
+  const breakEven = calculateBreakEven(recommendation());
+
+  assert.equal(breakEven.netShareOfGross, 0.95);
+  assert.equal(breakEven.costPerQuintal, 1500);
+  assert.equal(breakEven.breakEvenPricePerQuintal, 1578.95);
+  assert.equal(breakEven.breakEvenYieldQuintals, 31.58);
+  assert.equal(breakEven.breakEvenYieldPerHectare, 15.79);
+  assert.equal(breakEven.priceMarginPercent, 21.05);
+  assert.equal(breakEven.yieldMarginPercent, 21.05);
+});
+
+test('margins are negative below break-even', () => {
+  const breakEven = calculateBreakEven(recommendation({ totalCost: 100000 }));
+
+  assert.ok(breakEven.breakEvenPricePerQuintal > 2000);
+  assert.ok(breakEven.priceMarginPercent < 0);
+  assert.ok(breakEven.yieldMarginPercent < 0);
+});
+
+test('returns null without a price or yield', () => {
+  assert.equal(calculateBreakEven(recommendation({ pricePerQuintal: 0 })), null);
+  assert.equal(calculateBreakEven(recommendation({ yieldQuintals: 0 })), null);
+  assert.equal(calculateBreakEven({ profitability: null }), null);
+});
+
+test('groups cost norm components for the sensitivity table', () => {
+  const groups = groupCosts(recommendation());
+
+  assert.equal(groups.labour, 20000);
+  assert.equal(groups.inputs, 20000);
+  assert.equal(groups.other, 20000);
+  assert.equal(groups.splitByNorm, 0);
+  assert.deepEqual(groups.estimated, { labour: 0, inputs: 0 });
+});
+
+test('places named farmer costs and splits the rest by the norm', () => {
+  const farmerData = {
+    profile: {
+      metaData: {
+        stages: [
+          { stageName: 'Sowing', categories: [{ category: 'HIRED_LABOUR', data: { totalCost: 12000 } }, { category: 'SEEDS', data: { totalCost: 6000 } }] },
+          { stageName: 'Harvesting', categories: [{ category: 'OTHER', data: { totalCost: 9000 } }] }
+        ]
+      }
+    }
+  };
+  const groups = groupCosts(recommendation({ costBasis: 'farmerData', totalCost: 27000 }), farmerData);
+
+  assert.equal(groups.basis, 'farmerData');
+  assert.equal(groups.splitByNorm, 9000);
+  assert.ok(groups.components.labour >= 12000);
+  assert.ok(groups.components.seed >= 6000);
+  assert.equal(groups.labour - groups.estimated.labour, 12000);
+  const placed = Object.values(groups.components).reduce((sum, cost) => sum + cost, 0);
+  assert.ok(Math.abs(placed - 27000) <= 7);
+});
+
+test('sensitivity rows swing net profit around the base', () => {
+  const rec = recommendation();
+  const sensitivity = calculateSensitivity(rec, groupCosts(rec));
+
+  assert.equal(sensitivity.baseNetProfit, 16000);
+  assert.deepEqual(sensitivity.rows.map(row => row.variable).slice(0, 2).sort(), ['price', 'yield']);
+  const price = sensitivity.rows.find(row => row.variable === 'price');
+  assert.deepEqual(price.changes.map(change => change.changePercent), [-30, -20, -10, 10, 20, 30]);
+  assert.equal(price.changes[0].profitChange, -22800);
+  assert.equal(price.swing, 45600);
+  const labour = sensitivity.rows.find(row => row.variable === 'labourCost');
+  assert.equal(labour.changes[labour.changes.length - 1].profitChange, -6000);
+  assert.equal(labour.estimated, false);
+  const swings = sensitivity.rows.map(row => row.swing);
+  assert.deepEqual(swings, [...swings].sort((a, b) => b - a));
+});
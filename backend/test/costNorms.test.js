@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeCostNormRow, mergeCostNormRows, COST_COMPONENTS } = require('../costNorms');
+
+const costs = { seed: 1000, fertilizer: 2000, plantProtection: 1500, labour: 5000, machinery: 2500, irrigation: 1000, marketing: 500 };
+
+test('normalizes a crop row in Rs per acre', () => {
+  const { row, error } = normalizeCostNormRow({ crop: 'Tomatoes', ...costs, source: ' Kuppam survey ' });
+
+  assert.equal(error, undefined);
+  assert.equal(row.crop, 'tomato');
+  assert.equal(row.category, 'vegetable');
+  assert.equal(row.mandal, null);
+  assert.deepEqual(row.costs, costs);
+  assert.equal(row.source, 'Kuppam survey');
+  assert.equal(row.estimate, false);
+});
+
+test('converts per-hectare costs and reads formatted amounts', () => {
+  const { row } = normalizeCostNormRow({ category: 'Vegetable', unit: 'Rs/ha', ...costs, labour: '₹12,355' });
+
+  assert.equal(row.crop, null);
+  assert.equal(row.category, 'vegetable');
+  assert.equal(row.costs.labour, 5000);
+  assert.equal(row.costs.seed, 405);
+  assert.deepEqual(Object.keys(row.costs), COST_COMPONENTS);
+});
+
+test('rejects rows it cannot place or price', () => {
+  assert.match(normalizeCostNormRow({ ...costs }).error, /crop or category is required/);
+  assert.match(normalizeCostNormRow({ crop: 'Moonrock', ...costs }).error, /Unknown crop/);
+  assert.match(normalizeCostNormRow({ category: 'spices and gems', ...costs }).error, /Unknown category/);
+  assert.match(normalizeCostNormRow({ category: 'vegetable', mandal: 'Kuppam', ...costs }).error, /cannot be set for one mandal/);
+  assert.match(normalizeCostNormRow({ crop: 'tomato', ...costs, unit: 'bigha' }).error, /Invalid unit/);
+  assert.match(normalizeCostNormRow({ crop: 'tomato', ...costs, labour: -5 }).error, /labour must be a cost of 0 or more/);
+  assert.match(normalizeCostNormRow({ crop: 'tomato', ...costs, seed: '' }).error, /seed must be a cost/);
+});
+
+test('a merged row replaces the row for the same crop and mandal', () => {
+  const { row } = normalizeCostNormRow({ crop: 'tomato', ...costs });
+  const existing = [{ ...row, costs: { ...costs, labour: 1 } }, { crop: null, category: 'vegetable', mandal: null, costs }];
+  const merged = mergeCostNormRows(existing, [row]);
+
+  assert.equal(merged.added, 0);
+  assert.equal(merged.updated, 1);
+  assert.equal(merged.norms.length, 2);
+  assert.equal(merged.norms[0].costs.labour, 5000);
+});
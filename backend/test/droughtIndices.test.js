@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyRainfall, calculateDroughtIndices } = require('../droughtIndices');
+
+test('either index past its cut-off classifies a season', () => {
+  assert.deepEqual(classifyRainfall(0.76, 145.6), { classification: 'EXCESS', basis: ['departure'], indicesAgree: false });
+  assert.deepEqual(classifyRainfall(-1.2, -10), { classification: 'DROUGHT', basis: ['spi'], indicesAgree: false });
+  assert.deepEqual(classifyRainfall(-1.72, -94.9), { classification: 'DROUGHT', basis: ['spi', 'departure'], indicesAgree: true });
+});
+
+test('normal seasons, departure-only records and opposite indices', () => {
+  assert.deepEqual(classifyRainfall(-0.16, -12), { classification: 'NORMAL', basis: ['spi', 'departure'], indicesAgree: true });
+  assert.deepEqual(classifyRainfall(null, -30), { classification: 'DROUGHT', basis: ['departure'], indicesAgree: true });
+  assert.equal(classifyRainfall(1.5, -40).classification, 'CONFLICTING');
+  assert.equal(classifyRainfall(null, null), null);
+});
+
+test('Gudipalle Kharif 2020 is an excess season on its departure', () => {
+  const season = calculateDroughtIndices('Gudipalle').seasons.kharif.find(entry => entry.season === '2020');
+
+  assert.equal(season.classification, 'EXCESS');
+  assert.deepEqual(season.classificationBasis, ['departure']);
+  assert.equal(season.indicesAgree, false);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCSV } = require('../agmarknetImporter');
+const { parseRainfallRows, validateReadings, mergeReadings } = require('../rainfallImporter');
+
+const asOf = new Date('2026-06-01');
+
+const importCsv = (csv, existing = {}) => {
+  const parsed = parseRainfallRows(parseCSV(csv));
+  const validated = validateReadings(parsed.readings);
+  return { parsed, validated, merged: mergeReadings(existing, validated.readings, asOf) };
+};
+
+test('parses a wide export with NIL, trace and blank cells', () => {
+  const { parsed } = importCsv([
+    'Mandal,Year,Jan,Feb,Mar,Apr,May,Jun,Jul,Aug,Sep,Oct,Nov,Dec,Total',
+    'Kuppam (Urban),2019,NIL,TR,,12,40,55,80,120,150,170,60,10,697'
+  ].join('\n'));
+
+  assert.equal(parsed.format, 'wide');
+  const byMonth = Object.fromEntries(parsed.readings.map(reading => [reading.month, reading.value]));
+  assert.equal(parsed.readings[0].mandal, 'KUPPAM URBAN');
+  assert.equal(byMonth.Jan, 0);
+  assert.equal(byMonth.Feb, 0);
+  assert.equal(byMonth.Mar, null);
+  assert.equal(byMonth.Oct, 170);
+});
+
+test('a blank repeat of a mandal-year never replaces reported months', () => {
+  const { validated, merged } = importCsv([
+    'Mandal,Year,Jan,Feb,Mar,Apr,May,Jun,Jul,Aug,Sep,Oct,Nov,Dec',
+    'KUPPAM URBAN,2019,1,5,8,12,40,55,80,120,150,170,60,10',
+    'KUPPAM URBAN,2019,1,,,,,,,,,,,'
+  ].join('\n'));
+
+  const year = merged.data['KUPPAM URBAN']['2019'];
+  assert.equal(year.Feb, 5);
+  assert.equal(year.Nov, 60);
+  assert.equal(validated.duplicates.length, 12);
+  assert.ok(validated.duplicates.every(duplicate => !duplicate.conflicting));
+  assert.equal(merged.added, 12);
+});
+
+test('conflicting reported repeats are listed and left out of the import', () => {
+  const existing = { 'KUPPAM URBAN': { '2019': { Jan: 3 } } };
+  const { validated, merged } = importCsv([
+    'Mandal,Period,Rainfall',
+    'KUPPAM URBAN,Jan-2019,4',
+    'KUPPAM URBAN,Jan-2019,9',
+    'KUPPAM URBAN,Feb-2019,2',
+    'KUPPAM URBAN,Feb-2019,2'
+  ].join('\n'), existing);
+
+  const jan = validated.duplicates.find(duplicate => duplicate.month === 'Jan');
+  const feb = validated.duplicates.find(duplicate => duplicate.month === 'Feb');
+  assert.deepEqual(jan.values, [4, 9]);
+  assert.equal(jan.conflicting, true);
+  assert.equal(jan.kept, null);
+  assert.equal(feb.conflicting, false);
+  assert.equal(merged.data['KUPPAM URBAN']['2019'].Jan, 3);
+  assert.equal(merged.data['KUPPAM URBAN']['2019'].Feb, 2);
+});
+
+test('implausible readings are stored as missing', () => {
+  const { validated, merged } = importCsv([
+    'Mandal,Year,Month,Rainfall',
+    'GUDIPALLE,2020,Jul,-5',
+    'GUDIPALLE,2020,Aug,5000'
+  ].join('\n'));
+
+  assert.equal(validated.implausibleValues.length, 2);
+  assert.equal(merged.data.GUDIPALLE['2020'].Jul, null);
+  assert.equal(merged.data.GUDIPALLE['2020'].Aug, null);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simulateProfitRisk, classifyRisk, riskConfig } = require('../riskSimulation');
+
+// 250 quintals at Rs 1500 with 5% market charges against Rs 2.5 lakh of costs
+const recommendation = (profitability = {}, yieldBenchmark = { basis: 'crop', p10: 150, median: 250, p90: 350 }) => ({
+  crop: 'Tomato',
+  farmConditions: {},
+  yieldBenchmark,
+  profitability: {
+    pricePerQuintal: 1500,
+    yieldQuintals: 250,
+    totalCost: 250000,
+    expectedIncome: 375000,
+    netIncome: 356250,
+    priceBand: { low: 1000, high: 2200, intervalLevel: 0.8 },
+    ...profitability
+  }
+});
+
+const options = { seed: 42, iterations: 1000, droughtShock: false };
+
+test('the same seed gives the same distribution', () => {
+  const first = simulateProfitRisk(recommendation(), options);
+  const second = simulateProfitRisk(recommendation(), options);
+  const reseeded = simulateProfitRisk(recommendation(), { ...options, seed: 7 });
+
+  assert.deepEqual(first, second);
+  assert.notDeepEqual(first.profit, reseeded.profit);
+});
+
+test('takes spreads from the forecast interval and the yield benchmark', () => {
+  const result = simulateProfitRisk(recommendation(), options);
+
+  assert.equal(result.iterations, 1000);
+  assert.equal(result.inputs.price.basis, 'forecast');
+  assert.equal(result.inputs.yield.basis, 'cropBenchmark');
+  assert.equal(result.inputs.yield.downside, 'benchmark');
+  assert.ok(result.inputs.yield.sigmaLow > result.inputs.yield.sigmaHigh);
+  assert.equal(result.inputs.priceYieldCorrelation, riskConfig.priceYieldCorrelation);
+  assert.equal(result.inputs.netShareOfGross, 0.95);
+  assert.equal(result.riskLevel, classifyRisk(result.probabilityOfLoss));
+  assert.equal(result.riskLevelBasis, 'simulation');
+
+  const { p5, p25, p50, p75, p95 } = result.profit;
+  assert.ok(p5 <= p25 && p25 <= p50 && p50 <= p75 && p75 <= p95);
+  assert.equal(result.valueAtRisk.loss, Math.max(0, -p5));
+  const shares = result.profit.histogram.reduce((sum, bin) => sum + bin.share, 0);
+  assert.ok(Math.abs(shares - 1) < 0.05);
+});
+
+test('an MSP crop with no yield spread has one outcome', () => {
+  const result = simulateProfitRisk(recommendation({ priceBand: null }, null), options);
+
+  assert.equal(result.inputs.price.basis, 'msp');
+  assert.equal(result.inputs.yield.basis, 'fixed');
+  assert.equal(result.inputs.priceYieldCorrelation, null);
+  assert.equal(result.probabilityOfLoss, 0);
+  assert.equal(result.riskLevel, 'Low');
+  assert.equal(result.profit.p5, 106250);
+  assert.equal(result.profit.p95, 106250);
+  assert.equal(result.valueAtRisk.loss, 0);
+});
+
+test('rates yield risk at a fixed price without enough price history', () => {
+  const result = simulateProfitRisk(recommendation({ priceBand: null, market: 'NO SUCH MARKET' }), options);
+
+  assert.equal(result.inputs.price.basis, 'insufficientData');
+  assert.equal(result.inputs.price.sigmaLow, 0);
+  assert.equal(result.riskLevelBasis, 'fixedPrice');
+  assert.equal(result.riskLevel, classifyRisk(result.probabilityOfLoss));
+  assert.ok(result.probabilityOfLoss > 0);
+  assert.ok(result.profit.p5 < result.profit.p95);
+});
+
+test('returns null without a price or yield', () => {
+  assert.equal(simulateProfitRisk(recommendation({ pricePerQuintal: 0 }), options), null);
+  assert.equal(simulateProfitRisk(recommendation({ yieldQuintals: 0 }), options), null);
+});
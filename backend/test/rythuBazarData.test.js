@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { rythuBazarSeries, normalizeCommodityName, getRythuBazarCropData } = require('../rythuBazarData');
+
+test('the two bulletin "others" lines keep separate series', () => {
+  assert.equal(normalizeCommodityName('Others'), 'OTHERS');
+  assert.equal(normalizeCommodityName('Others (Unnamed)'), 'OTHERS (UNNAMED)');
+
+  const others = getRythuBazarCropData('Others');
+  const unnamed = getRythuBazarCropData('Others (Unnamed)');
+  assert.ok(others.dailyPrices.every(entry => entry.name === 'Others'));
+  assert.ok(unnamed.dailyPrices.every(entry => entry.name === 'Others (Unnamed)'));
+});
+
+test('each commodity has one entry per bulletin date', () => {
+  assert.ok(rythuBazarSeries.OTHERS);
+  Object.values(rythuBazarSeries).forEach(entries => {
+    const dates = entries.map(entry => entry.date);
+    assert.equal(new Set(dates).size, dates.length);
+  });
+});
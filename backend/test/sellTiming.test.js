@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveSellTimingCrop, getStorageProfile } = require('../sellTiming');
+
+test('a bare chilli is advised on as the dry chilli farmers store', () => {
+  const chilli = resolveSellTimingCrop('Chilli');
+
+  assert.equal(chilli.id, 'dry-chilli');
+  assert.equal(getStorageProfile(chilli).method, 'Cold storage');
+  assert.equal(resolveSellTimingCrop('mirchi').id, 'dry-chilli');
+});
+
+test('named fresh and stored crops resolve as given', () => {
+  const greenChilli = resolveSellTimingCrop('green chilli');
+
+  assert.equal(greenChilli.id, 'green-chilli');
+  assert.equal(getStorageProfile(greenChilli), null);
+  assert.equal(resolveSellTimingCrop('red chilli').id, 'dry-chilli');
+  assert.equal(getStorageProfile(resolveSellTimingCrop('potato')).maxMonths, 6);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { assessYield, yieldPercentile, normalizeIrrigation } = require('../yieldBenchmarks');
+
+const benchmark = { p10: 100, median: 200, p90: 300 };
+
+test('assesses a yield against the benchmark per hectare', () => {
+  const assessment = assessYield(benchmark, 300, 2);
+
+  assert.equal(assessment.yieldQuintalsPerHectare, 150);
+  assert.equal(assessment.achievement, 0.75);
+  assert.equal(assessment.percentile, 30);
+  assert.equal(assessment.gapQuintals, 100);
+  assert.equal(assessment.level, 'below median');
+});
+
+test('levels follow the benchmark percentiles', () => {
+  assert.equal(assessYield(benchmark, 50, 1).level, 'bottom 10%');
+  assert.equal(assessYield(benchmark, 200, 1).level, 'above median');
+  assert.equal(assessYield(benchmark, 300, 1).level, 'top 10%');
+  assert.equal(assessYield(benchmark, 400, 1).gapQuintals, -200);
+});
+
+test('percentiles interpolate between the benchmark points', () => {
+  assert.equal(yieldPercentile(benchmark, 0), 0);
+  assert.equal(yieldPercentile(benchmark, 50), 5);
+  assert.equal(yieldPercentile(benchmark, 200), 50);
+  assert.equal(yieldPercentile(benchmark, 250), 70);
+  assert.equal(yieldPercentile(benchmark, 600), 95);
+});
+
+test('zero-width benchmark ranges and no area give finite results', () => {
+  const flat = { p10: 200, median: 200, p90: 200 };
+  assert.equal(yieldPercentile(flat, 200), 90);
+  assert.equal(yieldPercentile({ p10: 100, median: 200, p90: 200 }, 200), 90);
+
+  const noArea = assessYield(benchmark, 100, 0);
+  assert.equal(noArea.yieldQuintalsPerHectare, 0);
+  assert.equal(noArea.percentile, 0);
+  assert.equal(assessYield({ p10: 0, median: 0, p90: 0 }, 100, 1).achievement, null);
+});
+
+test('maps water sources to irrigated or rainfed', () => {
+  assert.equal(normalizeIrrigation('Borewell'), 'irrigated');
+  assert.equal(normalizeIrrigation('Drip Irrigation'), 'irrigated');
+  assert.equal(normalizeIrrigation('Rain-fed'), 'rainfed');
+  assert.equal(normalizeIrrigation('somewhere'), null);
+  assert.equal(normalizeIrrigation(''), null);
+});
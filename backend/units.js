@@ -0,0 +1,214 @@
+// Units of measure used across the API, with conversions between them.
+// Mass is stored in kg, area in hectares; prices are rupees per unit of mass.
+const units = {
+  mass: {
+    kg: { name: "kg", factor: 1, aliases: ["kg", "kgs", "kilo", "kilos", "kilogram", "kilograms"] },
+    quintal: { name: "quintal", factor: 100, aliases: ["quintal", "quintals", "q", "qtl", "qtls", "qui"] },
+    tonne: { name: "tonne", factor: 1000, aliases: ["tonne", "tonnes", "ton", "tons", "t", "mt"] }
+  },
+  area: {
+    hectare: { name: "hectare", factor: 1, aliases: ["hectare", "hectares", "ha"] },
+    acre: { name: "acre", factor: 0.40468564224, aliases: ["acre", "acres", "ac"] },
+    // 40 guntas or 100 cents make an acre (land records in AP, Telangana and Karnataka)
+    guntha: { name: "guntha", factor: 0.40468564224 / 40, aliases: ["guntha", "gunthas", "gunta", "guntas"] },
+    cent: { name: "cent", factor: 0.40468564224 / 100, aliases: ["cent", "cents"] }
+  }
+};
+
+// Price unit labels in the style of the Agmarknet reports ("Rs/Qui")
+const priceUnitLabels = {
+  kg: "Rs/Kg",
+  quintal: "Rs/Qui",
+  tonne: "Rs/Tonne"
+};
+
+const aliasIndex = {};
+Object.entries(units).forEach(([dimension, dimensionUnits]) => {
+  aliasIndex[dimension] = {};
+  Object.entries(dimensionUnits).forEach(([key, unit]) => {
+    unit.aliases.forEach(alias => { aliasIndex[dimension][alias] = key; });
+  });
+});
+
+const cleanUnit = unit => String(unit).toLowerCase().replace(/\s+/g, ' ').trim();
+
+function normalizeBaseUnit(unit, dimension) {
+  if (unit === undefined || unit === null || unit === '') return null;
+  return aliasIndex[dimension][cleanUnit(unit)] || null;
+}
+
+/**
+ * Normalize a price unit: "Rs/Qui", "₹/quintal", "per kg", "kg" all work
+ * @returns {string|null} Price unit label ("Rs/Kg", "Rs/Qui", "Rs/Tonne")
+ */
+function normalizePriceUnit(unit) {
+  if (unit === undefined || unit === null || unit === '') return null;
+  const massUnit = cleanUnit(unit)
+    .replace(/^(rs\.?|inr|₹|rupees?)\s*/, '')
+    .replace(/^(\/|per\s+)/, '')
+    .trim();
+  const key = aliasIndex.mass[massUnit];
+  return key ? priceUnitLabels[key] : null;
+}
+
+/**
+ * Normalize a yield rate unit (mass per area): "tons/hectare", "quintal per acre", "kg/ac"
+ * @returns {string|null} "<mass>/<area>", e.g. "tonne/hectare"
+ */
+function normalizeYieldUnit(unit) {
+  if (unit === undefined || unit === null || unit === '') return null;
+  const parts = cleanUnit(unit).split(/\s*(?:\/|\bper\b)\s*/).filter(Boolean);
+  if (parts.length !== 2) return null;
+  const mass = aliasIndex.mass[parts[0]];
+  const area = aliasIndex.area[parts[1]];
+  return mass && area ? `${mass}/${area}` : null;
+}
+
+/**
+ * Normalize a unit name within a dimension
+ * @param {string} unit - Unit as given by the caller
+ * @param {string} dimension - "mass", "area", "price" or "yield"
+ * @returns {string|null} Canonical unit, or null when it is not a unit of that dimension
+ */
+function normalizeUnit(unit, dimension) {
+  if (dimension === "price") return normalizePriceUnit(unit);
+  if (dimension === "yield") return normalizeYieldUnit(unit);
+  if (!units[dimension]) throw new Error(`Unknown dimension: ${dimension}`);
+  return normalizeBaseUnit(unit, dimension);
+}
+
+function requireUnit(unit, dimension) {
+  const normalized = normalizeUnit(unit, dimension);
+  if (!normalized) throw new Error(`Unknown ${dimension} unit: ${unit}`);
+  return normalized;
+}
+
+const massKeyOfPrice = label => Object.keys(priceUnitLabels).find(key => priceUnitLabels[key] === label);
+
+/**
+ * Convert a value between units of one dimension
+ * @param {number} value - Value in the from unit
+ * @param {string} from - Unit of the value
+ * @param {string} to - Unit to convert to
+ * @param {string} dimension - "mass", "area", "price" or "yield"
+ * @returns {number} Converted value (unrounded)
+ */
+function convert(value, from, to, dimension) {
+  const fromUnit = requireUnit(from, dimension);
+  const toUnit = requireUnit(to, dimension);
+  if (fromUnit === toUnit) return value;
+
+  if (dimension === "price") {
+    // Rupees per unit of mass: a bigger unit costs proportionally more
+    return value * units.mass[massKeyOfPrice(toUnit)].factor / units.mass[massKeyOfPrice(fromUnit)].factor;
+  }
+
+  if (dimension === "yield") {
+    const [fromMass, fromArea] = fromUnit.split('/');
+    const [toMass, toArea] = toUnit.split('/');
+    const kgPerHectare = value * units.mass[fromMass].factor / units.area[fromArea].factor;
+    return kgPerHectare * units.area[toArea].factor / units.mass[toMass].factor;
+  }
+
+  return value * units[dimension][fromUnit].factor / units[dimension][toUnit].factor;
+}
+
+const convertMass = (value, from, to) => convert(value, from, to, "mass");
+const convertArea = (value, from, to) => convert(value, from, to, "area");
+const convertPrice = (value, from, to) => convert(value, from, to, "price");
+const convertYield = (value, from, to) => convert(value, from, to, "yield");
+
+/**
+ * Typed quantity: a value with its canonical unit
+ * @returns {Object} { value, unit }
+ */
+function quantity(value, unit, dimension) {
+  return { value, unit: requireUnit(unit, dimension) };
+}
+
+/**
+ * Convert a typed quantity, rounding to the given decimal places
+ * @returns {Object} { value, unit }
+ */
+function convertQuantity(qty, to, dimension, digits = 2) {
+  const unit = requireUnit(to, dimension);
+  const value = convert(qty.value, qty.unit, unit, dimension);
+  return { value: Math.round(value * 10 ** digits) / 10 ** digits, unit };
+}
+
+/**
+ * Accepted unit names for a dimension, for error messages and docs
+ */
+function describeUnits(dimension) {
+  if (dimension === "price") return Object.values(priceUnitLabels);
+  if (dimension === "yield") return ["<mass>/<area>, e.g. tonne/hectare, quintal/acre, kg/acre"];
+  return Object.keys(units[dimension]);
+}
+
+/**
+ * Parse a quantity given as a number, a "2.5 acres" string or { value, unit }
+ * @param {number|string|Object} input - Quantity as given by the caller
+ * @param {string} dimension - "mass", "area", "price" or "yield"
+ * @param {string} defaultUnit - Unit assumed when none is given
+ * @param {string} unit - Optional explicit unit (e.g. from a separate "landAreaUnit" field)
+ * @returns {Object|null} { value, unit }, or null when the value or unit is invalid
+ */
+function parseQuantity(input, dimension, defaultUnit, unit = null) {
+  let value = input;
+  let givenUnit = unit;
+
+  if (input && typeof input === 'object') {
+    value = input.value;
+    givenUnit = input.unit || givenUnit;
+  } else if (typeof input === 'string') {
+    const match = input.trim().match(/^(-?\d+(?:\.\d+)?)\s*(.*)$/);
+    if (!match) return null;
+    value = match[1];
+    givenUnit = match[2] || givenUnit;
+  }
+
+  const number = parseFloat(value);
+  if (!Number.isFinite(number)) return null;
+
+  const normalized = normalizeUnit(givenUnit || defaultUnit, dimension);
+  if (!normalized) return null;
+
+  return { value: number, unit: normalized };
+}
+
+/**
+ * Read a quantity field from a request body or query, with an optional "<field>Unit" companion field
+ * @param {Object} source - req.body or req.query
+ * @param {string} field - Field name, e.g. "landArea"
+ * @param {string} dimension - "mass", "area", "price" or "yield"
+ * @param {string} defaultUnit - Unit assumed when none is given
+ * @returns {Object} { quantity } ({ value, unit }, or null when the field is absent) or { error }
+ */
+function readQuantity(source, field, dimension, defaultUnit) {
+  const input = source ? source[field] : undefined;
+  if (input === undefined || input === null || input === '') return { quantity: null };
+
+  const parsed = parseQuantity(input, dimension, defaultUnit, source[`${field}Unit`]);
+  if (!parsed) {
+    return {
+      error: `Invalid ${field}: ${JSON.stringify(input)}${source[`${field}Unit`] ? ` ${source[`${field}Unit`]}` : ''} (accepted ${dimension} units: ${describeUnits(dimension).join(', ')})`
+    };
+  }
+  return { quantity: parsed };
+}
+
+module.exports = {
+  units,
+  priceUnitLabels,
+  normalizeUnit,
+  convert,
+  convertMass,
+  convertArea,
+  convertPrice,
+  convertYield,
+  quantity,
+  convertQuantity,
+  describeUnits,
+  parseQuantity,
+  readQuantity
+};
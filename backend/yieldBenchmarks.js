@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveCrop, getCropCategory } = require('./cropRegistry');
+
+// Yield benchmarks in quintals per hectare: median and 10th-90th percentile range by crop, optionally
+// for one mandal, season, irrigated or rainfed farms and variety, and by crop category
+const yieldBenchmarksPath = path.join(__dirname, 'yieldBenchmarks.json');
+
+// Conditions a benchmark row can be limited to, most specific first. A more specific row wins over any
+// combination of less specific ones (a variety row beats a mandal + irrigation + season row).
+const BENCHMARK_CONDITIONS = ["variety", "mandal", "irrigation", "season"];
+
+// Water sources and irrigation methods, compared without spaces or punctuation ("Bore-well" is "BOREWELL")
+const IRRIGATED_SOURCES = [
+  "IRRIGATED", "IRRIGATION", "BOREWELL", "BORE", "TUBEWELL", "OPENWELL", "WELL", "CANAL", "TANK", "LIFT",
+  "RIVER", "POND", "FARMPOND", "CHECKDAM", "DRIP", "SPRINKLER", "MICRO", "FLOOD", "FURROW", "BASIN"
+];
+const RAINFED_SOURCES = ["RAINFED", "NONE", "DRYLAND", "UNIRRIGATED"];
+
+// "Drip Irrigation" and "Canal Irrigation" name the same method or source as "Drip" and "Canal"
+const sourceKey = value => String(value).toUpperCase().replace(/[^A-Z]/g, '').replace(/(.)IRRIGATION$/, '$1');
+
+function loadYieldBenchmarksFile() {
+  try {
+    return JSON.parse(fs.readFileSync(yieldBenchmarksPath, 'utf8'));
+  } catch (error) {
+    console.error('Error loading yield benchmarks:', error.message);
+    return { unit: "quintals/hectare", default: null, benchmarks: [] };
+  }
+}
+
+const yieldBenchmarks = loadYieldBenchmarksFile();
+
+const DEFAULT_BENCHMARK = yieldBenchmarks.default || { p10: 60, median: 125, p90: 175 };
+
+const sameText = (a, b) => String(a).trim().toUpperCase() === String(b).trim().toUpperCase();
+
+/**
+ * "irrigated" or "rainfed" from an explicit value, a water source ("Bore Well", "Rainfed") or an
+ * irrigation method ("Drip", "Drip Irrigation", "Flood")
+ * @returns {string|null} null when nothing was given or the value is not a known source or method
+ */
+function normalizeIrrigation(value) {
+  if (value === undefined || value === null) return null;
+  const key = sourceKey(value);
+  if (IRRIGATED_SOURCES.includes(key)) return "irrigated";
+  if (RAINFED_SOURCES.includes(key)) return "rainfed";
+  return null;
+}
+
+/**
+ * Season a crop sown on a date belongs to: Kharif (June-September), Rabi (October-January) or Zaid
+ * (February-May). Accepts DD-MM-YYYY as in the farmer records, or any date Date can read.
+ * @returns {string|null}
+ */
+function seasonOfDate(value) {
+  if (!value) return null;
+  const dayFirst = String(value).match(/^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/);
+  const month = dayFirst ? parseInt(dayFirst[2]) : new Date(value).getMonth() + 1;
+  if (!(month >= 1 && month <= 12)) return null;
+  if (month >= 6 && month <= 9) return "Kharif";
+  if (month >= 10 || month === 1) return "Rabi";
+  return "Zaid";
+}
+
+/**
+ * Benchmark conditions for a farm from the details it records
+ * @param {Object} details - { mandal, season, sowingDate, irrigation, waterSource, irrigationMethod, variety }
+ * @returns {Object} { mandal, season, irrigation, variety } (null where unknown)
+ */
+function getBenchmarkConditions(details = {}) {
+  const season = details.season ? String(details.season).trim().split(/\s+/)[0] : seasonOfDate(details.sowingDate);
+  return {
+    mandal: details.mandal ? String(details.mandal).toUpperCase() : null,
+    season: season ? season.charAt(0).toUpperCase() + season.slice(1).toLowerCase() : null,
+    irrigation: normalizeIrrigation(details.irrigation) || normalizeIrrigation(details.waterSource) || normalizeIrrigation(details.irrigationMethod),
+    variety: details.variety ? String(details.variety).trim() : null
+  };
+}
+
+/**
+ * Benchmark rows as stored, optionally for one crop, category, mandal, season or irrigation
+ */
+function getYieldBenchmarkRows(filters = {}) {
+  const crop = filters.crop ? resolveCrop(filters.crop) : null;
+  return yieldBenchmarks.benchmarks
+    .filter(row => !filters.crop || (crop && row.crop === crop.id))
+    .filter(row => !filters.category || row.category === filters.category)
+    .filter(row => ["mandal", "season", "irrigation"].every(field => !filters[field] || (row[field] && sameText(row[field], filters[field]))));
+}
+
+// A row applies when each condition it sets matches the farm; its specificity ranks it among those that do
+const rowApplies = (row, conditions) =>
+  BENCHMARK_CONDITIONS.every(field => !row[field] || (conditions[field] && sameText(row[field], conditions[field])));
+const specificity = row =>
+  BENCHMARK_CONDITIONS.reduce((score, field, index) => score + (row[field] ? 2 ** (BENCHMARK_CONDITIONS.length - 1 - index) : 0), 0);
+
+/**
+ * Yield benchmark for a crop on a farm: the most specific of the crop's rows that applies, else its
+ * category's, else the default
+ * @param {string} cropName - Crop name or alias
+ * @param {Object} conditions - { mandal, season, irrigation, variety } (see getBenchmarkConditions)
+ * @returns {Object} { cropId, crop, category, basis, conditions, unit, p10, median, p90, source, estimate } where
+ *   basis is "crop", "category" or "default", conditions are those the row is limited to and estimate is
+ *   false only for rows marked measured (e.g. from crop-cutting experiments)
+ */
+function getYieldBenchmark(cropName, conditions = {}) {
+  const crop = resolveCrop(cropName);
+  const category = crop ? crop.category : getCropCategory(cropName);
+  const farm = getBenchmarkConditions(conditions);
+
+  const best = rows => rows
+    .filter(row => rowApplies(row, farm))
+    .sort((a, b) => specificity(b) - specificity(a))[0];
+  const cropRow = crop ? best(yieldBenchmarks.benchmarks.filter(row => row.crop === crop.id)) : null;
+  const categoryRow = !cropRow && category ? best(yieldBenchmarks.benchmarks.filter(row => !row.crop && row.category === category)) : null;
+  const row = cropRow || categoryRow;
+
+  const limitedTo = {};
+  BENCHMARK_CONDITIONS.forEach(field => {
+    if (row && row[field]) limitedTo[field] = row[field];
+  });
+
+  return {
+    cropId: crop ? crop.id : null,
+    crop: crop ? crop.name : cropName,
+    category: category || null,
+    basis: cropRow ? "crop" : categoryRow ? "category" : "default",
+    conditions: limitedTo,
+    unit: yieldBenchmarks.unit,
+    p10: (row || DEFAULT_BENCHMARK).p10,
+    median: (row || DEFAULT_BENCHMARK).median,
+    p90: (row || DEFAULT_BENCHMARK).p90,
+    source: row ? row.source : "default benchmark",
+    estimate: !(row && row.measured)
+  };
+}
+
+/**
+ * A benchmark for a farm's area, in quintals
+ * @returns {Object} { p10, median, p90 }
+ */
+function scaleYieldBenchmark(benchmark, areaHectares) {
+  const round2 = value => Math.round(value * 100) / 100;
+  return {
+    p10: round2(benchmark.p10 * areaHectares),
+    median: round2(benchmark.median * areaHectares),
+    p90: round2(benchmark.p90 * areaHectares)
+  };
+}
+
+/**
+ * Approximate percentile of a per-hectare yield within a benchmark, interpolating between zero, the
+ * 10th percentile, the median and the 90th percentile (yields above the 90th approach 100). A range
+ * of zero width (e.g. p10 equal to the median) is skipped.
+ */
+function yieldPercentile(benchmark, yieldPerHectare) {
+  const { p10, median, p90 } = benchmark;
+  let percentile;
+  if (yieldPerHectare <= 0) {
+    percentile = 0;
+  } else if (yieldPerHectare < p10) {
+    percentile = 10 * yieldPerHectare / p10;
+  } else if (yieldPerHectare < median && median > p10) {
+    percentile = 10 + 40 * (yieldPerHectare - p10) / (median - p10);
+  } else if (yieldPerHectare < p90 && p90 > median) {
+    percentile = 50 + 40 * (yieldPerHectare - median) / (p90 - median);
+  } else {
+    percentile = 100 - 10 * p90 / yieldPerHectare;
+  }
+  return Math.round(percentile);
+}
+
+/**
+ * A farm's yield against its benchmark
+ * @param {Object} benchmark - From getYieldBenchmark
+ * @param {number} yieldQuintals - The farm's yield
+ * @param {number} areaHectares - The farm's area
+ * @returns {Object} { yieldQuintalsPerHectare, achievement (yield as a fraction of the median), percentile,
+ *   gapQuintals (median for the area less the yield; negative above the median), level }
+ */
+function assessYield(benchmark, yieldQuintals, areaHectares) {
+  const perHectare = areaHectares > 0 ? yieldQuintals / areaHectares : 0;
+  const round2 = value => Math.round(value * 100) / 100;
+  const level = perHectare >= benchmark.p90 ? "top 10%"
+    : perHectare >= benchmark.median ? "above median"
+    : perHectare >= benchmark.p10 ? "below median"
+    : "bottom 10%";
+
+  return {
+    yieldQuintalsPerHectare: round2(perHectare),
+    achievement: benchmark.median > 0 ? round2(perHectare / benchmark.median) : null,
+    percentile: yieldPercentile(benchmark, perHectare),
+    gapQuintals: round2(benchmark.median * areaHectares - yieldQuintals),
+    level
+  };
+}
+
+module.exports = {
+  BENCHMARK_CONDITIONS,
+  yieldBenchmarksSource: { source: yieldBenchmarks.source, notes: yieldBenchmarks.notes },
+  normalizeIrrigation,
+  seasonOfDate,
+  getBenchmarkConditions,
+  getYieldBenchmarkRows,
+  getYieldBenchmark,
+  scaleYieldBenchmark,
+  yieldPercentile,
+  assessYield
+};